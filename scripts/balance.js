@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Headless balance simulator: plays a maze and tower layout through the waves and prints a report.
+//
+//   npm run balance -- --maze scripts/layouts/example-maze.json --towers scripts/layouts/example-towers.json
+//
+// Options: --level ID (a level from src/config/levels, classic by default), --difficulty easy|normal|hard,
+// --waves N, --seed N, --sample SECONDS, --json (machine-readable report on stdout, e.g. for regression
+// tests), --verbose (the game's own logging, on stderr).
+// Exits with 1 when the run fails and 2 on bad input.
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { DEFAULT_DIFFICULTY } from '../src/config/Difficulty.js';
+import { DEFAULT_LEVEL_ID, getLevel } from '../src/config/Levels.js';
+import { createRouteFinder } from '../src/FlowField.js';
+import { Pathfinding } from '../src/Pathfinding.js';
+import { MAZE_LAYOUT_SCHEMA, TOWER_LAYOUT_SCHEMA, runBalance, validateLayout } from '../src/simulation/Balance.js';
+import { SILENT_LOGGER } from '../src/simulation/Clock.js';
+
+function readLayout(file, schema, name) {
+    let data;
+    try {
+        data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Can't read ${name} layout ${file}: ${error.message}`);
+    }
+    return validateLayout(data, schema, name);
+}
+
+function formatReport(report) {
+    const lines = [];
+    const result = report.outcome === 'victory'
+        ? `Victory after ${report.waves} waves`
+        : `${report.outcome === 'defeat' ? 'Defeat' : 'Stalled'} on wave ${report.failedWave}`;
+    lines.push(`${result} (${report.level}, ${report.difficulty}, seed ${report.seed}) - ${report.seconds}s, ${report.health} health, $${report.money}, score ${report.score}`);
+
+    lines.push('', 'Wave  Spawned  Killed  Leaked  Lives lost  Money start/end  Health  Seconds');
+    for (const wave of report.waveReports) {
+        lines.push([
+            String(wave.wave).padStart(4),
+            String(wave.spawned).padStart(8),
+            String(wave.killed).padStart(7),
+            String(wave.leaked).padStart(7),
+            String(wave.leakDamage).padStart(11),
+            `${wave.moneyAtStart ?? '-'}/${wave.moneyAtEnd ?? '-'}`.padStart(16),
+            String(wave.healthAtEnd ?? '-').padStart(7),
+            String(wave.seconds ?? '-').padStart(8)
+        ].join(' '));
+    }
+
+    lines.push('', 'Tower        Cell            Level  Built  Damage  Kills');
+    for (const tower of report.towers) {
+        const level = tower.specialization ? `${tower.level} ${tower.specialization}` : String(tower.level);
+        lines.push([
+            tower.type.padEnd(12),
+            `(${tower.x}, ${tower.z})`.padEnd(15),
+            level.padStart(6),
+            `w${tower.builtOnWave}`.padStart(6),
+            String(tower.damage).padStart(7),
+            String(tower.kills).padStart(6)
+        ].join(' '));
+    }
+    for (const entry of report.unbuilt) {
+        lines.push(`${entry.type.padEnd(12)} (${entry.x}, ${entry.z})`.padEnd(28) + ' never afforded');
+    }
+
+    lines.push('', 'Money over time: ' + report.moneySamples.map(sample => `${sample.seconds}s $${sample.money}`).join(', '));
+    return lines.join('\n');
+}
+
+function main() {
+    const { values } = parseArgs({
+        options: {
+            maze: { type: 'string' },
+            towers: { type: 'string' },
+            level: { type: 'string', default: DEFAULT_LEVEL_ID },
+            difficulty: { type: 'string', default: DEFAULT_DIFFICULTY },
+            waves: { type: 'string', default: '10' },
+            seed: { type: 'string', default: '1' },
+            sample: { type: 'string', default: '5' },
+            json: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || !values.maze || !values.towers) {
+        console.log('Usage: node scripts/balance.js --maze <file> --towers <file> [--level ID] [--difficulty easy|normal|hard] [--waves N] [--seed N] [--sample SECONDS] [--json] [--verbose]');
+        return values.help ? 0 : 2;
+    }
+
+    let report;
+    try {
+        const level = getLevel(values.level);
+        // Same routes and height as single player
+        const findPath = createRouteFinder({
+            pathfinding: new Pathfinding(level.gridSize, level.terrain),
+            spawns: level.spawnPoints,
+            exits: level.exitPoints,
+            yCoordinate: 1.0
+        });
+
+        report = runBalance({
+            maze: readLayout(values.maze, MAZE_LAYOUT_SCHEMA, 'maze'),
+            towers: readLayout(values.towers, TOWER_LAYOUT_SCHEMA, 'towers'),
+            findPath,
+            level,
+            difficulty: values.difficulty,
+            waves: Number(values.waves),
+            seed: Number(values.seed),
+            sampleSeconds: Number(values.sample),
+            // The game rules' own messages, on stderr so stdout stays the report
+            logger: values.verbose ? { log: console.error } : SILENT_LOGGER
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return 2;
+    }
+
+    console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report));
+    return report.outcome === 'victory' ? 0 : 1;
+}
+
+process.exitCode = main();
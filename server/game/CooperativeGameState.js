@@ -1,5 +1,24 @@
+import { requireTowerDefinition, getFireIntervalMs, calculateUpgradedStats } from '../../src/config/TowerCatalog.js';
+import { DEFAULT_TARGETING_MODE } from '../../src/config/TargetingModes.js';
+import { getEnemyArchetype } from '../../src/config/EnemyCatalog.js';
+import { FLIGHT_ALTITUDE, buildFlightPath } from '../../src/config/FlightPaths.js';
+import { COOPERATIVE_LEVEL_ID, getFixedObstacles, getLevel } from '../../src/config/Levels.js';
+import { WaveSpawner, resolveSpawnPoint } from '../../src/config/WaveScript.js';
+import TowerCombat from './TowerCombat.js';
+import EnemyAbilities from './EnemyAbilities.js';
+import { createEnemy } from './EnemyFactory.js';
+
+// Whether a list of cell centres has the given position
+function hasCell(cells, pos) {
+    return cells.some(cell => Math.abs(cell.x - pos.x) < 0.01 && Math.abs(cell.z - pos.z) < 0.01);
+}
+
 class CooperativeGameState {
-    constructor() {
+    /**
+     * @param {Object} level - From Levels.js; the board, waves and starting money both players share
+     */
+    constructor(level = getLevel(COOPERATIVE_LEVEL_ID)) {
+        this.level = level;
         this.players = new Map(); // playerId -> player data
         this.towers = new Map(); // towerId -> tower data
         this.enemies = new Map(); // enemyId -> enemy data
@@ -9,7 +28,7 @@ class CooperativeGameState {
         // Shared resources (key difference from competitive mode)
         this.sharedResources = {
             health: 100,
-            money: 150,
+            money: level.startingMoney,
             score: 0,
             wave: 1
         };
@@ -22,41 +41,48 @@ class CooperativeGameState {
             player2: 0
         };
         
-        // Single shared board (20x20 centered at origin)
+        // Single shared board centered at origin
+        const halfSize = level.gridSize / 2;
         this.gameBoard = {
-            mapSize: 20,
+            mapSize: level.gridSize,
             center: { x: 0, y: 0, z: 0 },
             bounds: {
-                minX: -10,
-                maxX: 10,
-                minZ: -10,
-                maxZ: 10
+                minX: -halfSize,
+                maxX: halfSize,
+                minZ: -halfSize,
+                maxZ: halfSize
             }
         };
         
-        // Dual spawn system for cooperative play
-        this.spawnPoints = [
-            { x: -8, z: -8, id: 'spawn1' }, // Northwest
-            { x: -8, z: 8, id: 'spawn2' }   // Southwest
-        ];
-        this.exitPoint = { x: 8, z: 0 }; // East center
+        // The level's spawns, one per player in the default level, and its single exit
+        this.spawnPoints = level.spawnPoints.map((point, index) => ({ x: point.x, z: point.z, id: `spawn${index + 1}` }));
+        this.exitPoint = { ...level.exitPoints[0] };
         
         // Game progression
         this.enemiesSpawned = 0;
         this.enemiesKilled = 0;
         this.gameTime = 0;
-        this.lastEnemySpawn = 0;
-        this.enemySpawnInterval = 2000;
+        this.waveSpawner = new WaveSpawner(level.waveScript); // Plays the current wave from the level's script
+        this.nextWaveTime = 0; // gameTime the next wave may start (end of the intermission)
         
         // State tracking
         this.lastState = {};
         this.changedEntities = new Set();
+        
+        // Any tower can hit any enemy on the shared board
+        this.combat = new TowerCombat(this, {
+            canTarget: () => true,
+            onEnemyKilled: (enemy) => this.killEnemy(enemy)
+        });
+        this.enemyAbilities = new EnemyAbilities(this);
+        
         this.initialized = false;
     }
     
     initialize() {
         this.gameTime = 0;
-        this.lastEnemySpawn = 0;
+        this.waveSpawner.reset();
+        this.nextWaveTime = 0;
         this.enemiesSpawned = 0;
         this.enemiesKilled = 0;
         this.gamePhase = 'building';
@@ -192,7 +218,7 @@ class CooperativeGameState {
             
             // Check if position is already occupied
             const gridPos = `${pos.x},${pos.z}`;
-            if (this.maze.has(gridPos)) {
+            if (this.maze.has(gridPos) || hasCell(getFixedObstacles(this.level), pos)) {
                 return { success: false, reason: 'position_occupied' };
             }
         }
@@ -247,6 +273,12 @@ class CooperativeGameState {
             damage: this.getTowerDamage(towerData.type),
             range: this.getTowerRange(towerData.type),
             fireRate: this.getTowerFireRate(towerData.type),
+            targetingMode: DEFAULT_TARGETING_MODE,
+            specialization: null,
+            pierce: 0,
+            shredDuration: 0,
+            effect: this.getTowerEffect(towerData.type),
+            kills: 0,
             lastFired: 0,
             cost: towerData.cost,
             createdAt: this.gameTime
@@ -279,6 +311,10 @@ class CooperativeGameState {
             return { success: false, reason: 'out_of_bounds' };
         }
         
+        if (hasCell(this.level.unbuildable, pos)) {
+            return { success: false, reason: 'unbuildable' };
+        }
+        
         // Check if position is NOT on a maze block (towers must be placed on maze blocks)
         // Use underscore format to match client key format
         const gridPos = `${pos.x.toFixed(1)}_${pos.z.toFixed(1)}`;
@@ -313,6 +349,14 @@ class CooperativeGameState {
         this.markEntityChanged('gameState', 'resources');
     }
     
+    // A steal_money beam takes from the shared pool
+    stealMoney(enemy, amount) {
+        const stolen = Math.max(0, Math.min(amount, this.sharedResources.money));
+        this.sharedResources.money -= stolen;
+        this.markEntityChanged('gameState', 'resources');
+        return stolen;
+    }
+    
     addSharedScore(amount) {
         this.sharedResources.score += amount;
         this.markEntityChanged('gameState', 'resources');
@@ -346,18 +390,40 @@ class CooperativeGameState {
             return;
         }
         
-        const timeSinceLastSpawn = this.gameTime - this.lastEnemySpawn;
+        const wave = this.sharedResources.wave;
+        if (this.waveSpawner.wave !== wave) {
+            if (this.gameTime < this.nextWaveTime) return; // Intermission
+            this.waveSpawner.start(wave, this.gameTime);
+            console.log(`🌊 Wave ${wave} started`);
+        }
+        
+        for (const spawn of this.waveSpawner.takeDueSpawns(this.gameTime)) {
+            this.spawnEnemy(spawn);
+        }
         
-        if (timeSinceLastSpawn >= this.enemySpawnInterval) {
-            this.spawnEnemy();
-            this.lastEnemySpawn = this.gameTime;
+        // Splitter children keep the wave going until they're gone too
+        if (this.waveSpawner.isDone() && this.enemies.size === 0) {
+            this.completeWave();
         }
     }
     
-    spawnEnemy() {
+    completeWave() {
+        const wave = this.sharedResources.wave;
+        const intermission = this.level.waveScript.getWaveIntermission(wave);
+        this.nextWaveTime = this.gameTime + intermission;
+        this.sharedResources.wave++;
+        this.addSharedMoney(50); // Wave completion bonus, same as the other modes
+        
+        console.log(`🌊 Wave ${wave} cleared - wave ${this.sharedResources.wave} in ${intermission / 1000}s`);
+    }
+    
+    /**
+     * @param {{archetype: string, spawnPoint: (number|null)}} spawn - Scripted spawn from the wave schedule
+     */
+    spawnEnemy(spawn) {
         const enemyId = `enemy_${this.enemiesSpawned}`;
         
-        // Choose random viable spawn point
+        // Use the script's spawn point, or a random viable one when it leaves it open
         const viableSpawns = this.getViableSpawnPoints();
         
         if (viableSpawns.length === 0) {
@@ -365,7 +431,7 @@ class CooperativeGameState {
             return;
         }
         
-        const spawnPoint = viableSpawns[Math.floor(Math.random() * viableSpawns.length)];
+        const spawnPoint = resolveSpawnPoint(spawn, viableSpawns);
         
         // Use calculated path if available, otherwise fall back to simple path
         let enemyPath = this.primaryPath;
@@ -384,28 +450,23 @@ class CooperativeGameState {
             }
         }
         
-        const enemyType = this.getEnemyTypeForWave(this.sharedResources.wave);
-        const enemyHealth = this.getEnemyHealth(this.sharedResources.wave);
-        const enemySpeed = this.getEnemySpeed(this.sharedResources.wave);
-        
-        const enemy = {
-            id: enemyId,
-            type: enemyType,
-            health: enemyHealth,
-            maxHealth: enemyHealth,
-            speed: enemySpeed,
-            position: { x: spawnPoint.x, y: 0.5, z: spawnPoint.z },
-            path: enemyPath,
-            pathProgress: 0,
-            reward: this.getEnemyReward(this.sharedResources.wave),
-            createdAt: this.gameTime
-        };
+        // Flyers ignore the maze and arc over it straight to the exit
+        const flying = !!getEnemyArchetype(spawn.archetype).flying;
+        if (flying) {
+            enemyPath = buildFlightPath(spawnPoint, this.exitPoint);
+        }
+        
+        const wave = this.sharedResources.wave;
+        const enemy = createEnemy(this, enemyId, spawn.archetype, wave, {
+            position: { x: spawnPoint.x, y: flying ? FLIGHT_ALTITUDE : 0.5, z: spawnPoint.z },
+            path: enemyPath
+        });
         
         this.enemies.set(enemyId, enemy);
         this.enemiesSpawned++;
         this.markEntityChanged('enemies', enemyId);
         
-        console.log(`🚀 Spawned enemy ${enemyId} (wave ${this.sharedResources.wave})`);
+        console.log(`🚀 Spawned ${spawn.archetype} ${enemyId} (wave ${wave})`);
     }
     
     getViableSpawnPoints() {
@@ -424,7 +485,7 @@ class CooperativeGameState {
     
     // Get maze obstacles for pathfinding (all maze pieces on shared board)
     getMazeObstacles(playerId = null) {
-        const obstacles = [];
+        const obstacles = getFixedObstacles(this.level);
         
         for (const [posKey, mazePiece] of this.maze) {
             // Parse position key (format: "x,z")
@@ -481,7 +542,10 @@ class CooperativeGameState {
     
     updateEnemies(deltaTime) {
         for (const [enemyId, enemy] of this.enemies) {
-            enemy.pathProgress += (enemy.speed * deltaTime) / 1000;
+            // Slows and stuns scale how far the enemy gets this tick
+            const speedMultiplier = this.combat.updateStatusEffects(enemy, deltaTime);
+            if (!this.enemies.has(enemyId)) continue; // Killed by damage over time
+            enemy.pathProgress += (enemy.speed * speedMultiplier * deltaTime) / 1000;
             
             if (enemy.pathProgress >= 1.0) {
                 this.handleEnemyReachedEnd(enemy);
@@ -492,50 +556,57 @@ class CooperativeGameState {
                 this.markEntityChanged('enemies', enemyId);
             }
         }
+        
+        this.enemyAbilities.updateHealers(deltaTime);
+        this.enemyAbilities.updateBosses();
+        this.enemyAbilities.updateBeams();
     }
     
+    // Tower/Enemy Combat (same simulation as the competitive state, see TowerCombat)
     updateTowers(deltaTime) {
-        // Basic tower update - to be enhanced
-        for (const [towerId, tower] of this.towers) {
-            // Tower logic here
-        }
+        this.combat.updateTowers(deltaTime);
     }
     
     updateProjectiles(deltaTime) {
-        // Basic projectile update - to be enhanced
-        for (const [projectileId, projectile] of this.projectiles) {
-            // Projectile logic here
-        }
+        this.combat.updateProjectiles(deltaTime);
+    }
+    
+    killEnemy(enemy) {
+        // Kills pay into the shared pool no matter whose tower landed the hit
+        this.addSharedMoney(enemy.reward);
+        this.addSharedScore(enemy.reward * 10);
+        
+        this.enemyAbilities.splitEnemy(enemy);
+        this.enemies.delete(enemy.id);
+        this.enemiesKilled++;
+        this.markEntityChanged('enemies', enemy.id);
     }
     
     handleEnemyReachedEnd(enemy) {
-        this.loseSharedHealth(10);
+        this.loseSharedHealth(enemy.leakDamage);
         console.log(`Enemy ${enemy.id} reached end! Shared health now: ${this.sharedResources.health}`);
     }
     
     // Helper methods
     getTowerDamage(type) {
-        const damages = { basic: 25, sniper: 50, cannon: 100, missile: 75 };
-        return damages[type] || 25;
+        return requireTowerDefinition(type).damage;
     }
     
     getTowerRange(type) {
-        const ranges = { basic: 3, sniper: 6, cannon: 2.5, missile: 4 };
-        return ranges[type] || 3;
+        return requireTowerDefinition(type).range;
     }
     
+    // Milliseconds between shots
     getTowerFireRate(type) {
-        const rates = { basic: 1000, sniper: 2000, cannon: 3000, missile: 1500 };
-        return rates[type] || 1000;
+        return getFireIntervalMs(requireTowerDefinition(type).fireRate);
     }
     
-    getEnemyTypeForWave(wave) {
-        if (wave <= 3) return 'ufo-a';
-        if (wave <= 6) return 'ufo-b';
-        if (wave <= 9) return 'ufo-c';
-        return 'ufo-d';
+    // Status effect applied on hit, or null
+    getTowerEffect(type) {
+        return calculateUpgradedStats(type, 1).effect;
     }
     
+    // Health and speed of a plain enemy this wave; archetypes scale from these
     getEnemyHealth(wave) {
         return 50 + (wave * 15);
     }
@@ -544,10 +615,6 @@ class CooperativeGameState {
         return 2 + (wave * 0.2);
     }
     
-    getEnemyReward(wave) {
-        return 10 + Math.floor(wave / 2);
-    }
-    
     interpolatePathPosition(path, progress) {
         if (path.length < 2) return path[0] || { x: 0, y: 0, z: 0 };
         
@@ -599,6 +666,7 @@ class CooperativeGameState {
             gamePhase: this.gamePhase,
             currentTurn: this.currentTurn,
             shapesPlaced: { ...this.shapesPlaced },
+            levelId: this.level.id,
             spawnPoints: this.spawnPoints,
             exitPoint: this.exitPoint,
             gameTime: this.gameTime
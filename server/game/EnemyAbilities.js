@@ -0,0 +1,146 @@
+import {
+    BOSS_ABILITY_EFFECTS,
+    findBeamTarget,
+    getBossPhasesReached,
+    getEnemyArchetype,
+    getHealAmount
+} from '../../src/config/EnemyCatalog.js';
+import { isSupportTower } from '../../src/config/Auras.js';
+import { createEnemy } from './EnemyFactory.js';
+
+const BEAM_DURATION = 2000; // ms, same as the client Enemy.beamDuration
+
+/**
+ * Archetype abilities (healers, splitters, boss phases, beams) shared by the competitive and cooperative
+ * game states. Children are built with createEnemy (EnemyFactory.js); the owning state applies status effects
+ * through gameState.combat and hands over stolen money through gameState.stealMoney.
+ */
+class EnemyAbilities {
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    // Healers repair damaged allies in range once per heal interval
+    updateHealers(deltaTime) {
+        const state = this.gameState;
+
+        for (const healer of state.enemies.values()) {
+            const heal = getEnemyArchetype(healer.type).heal;
+            if (!heal) continue;
+
+            healer.sinceHeal = (healer.sinceHeal || 0) + deltaTime;
+            if (healer.sinceHeal < heal.interval) continue;
+            healer.sinceHeal -= heal.interval;
+
+            for (const ally of state.enemies.values()) {
+                if (ally === healer || ally.playerId !== healer.playerId) continue;
+
+                const distance = Math.sqrt(
+                    Math.pow(ally.position.x - healer.position.x, 2) +
+                    Math.pow(ally.position.z - healer.position.z, 2)
+                );
+                if (distance > heal.radius) continue;
+
+                const amount = getHealAmount(heal, ally);
+                if (amount <= 0) continue;
+
+                ally.health += amount;
+                state.markEntityChanged('enemies', ally.id);
+            }
+        }
+    }
+
+    // Bosses enter each phase once as their health drops past its threshold
+    updateBosses() {
+        for (const enemy of this.gameState.enemies.values()) {
+            const boss = getEnemyArchetype(enemy.type).boss;
+            if (!boss) continue;
+
+            const reached = getBossPhasesReached(boss, enemy.health / enemy.maxHealth);
+            while (enemy.bossPhase < reached) {
+                this.enterBossPhase(enemy, boss.phases[enemy.bossPhase]);
+                enemy.bossPhase++; // Clients show the phase's beam when this changes
+                this.gameState.markEntityChanged('enemies', enemy.id);
+            }
+        }
+    }
+
+    /**
+     * Fire beam abilities on the same 2-7s then 3-7s rhythm as the client. Beams knock out the nearest
+     * tower or steal money; lift_block needs the client-built maze, so here its beam is only for show.
+     */
+    updateBeams() {
+        const state = this.gameState;
+
+        for (const enemy of state.enemies.values()) {
+            const beam = getEnemyArchetype(enemy.type).beam;
+            if (!beam) continue;
+
+            if (enemy.nextBeamAt === undefined) {
+                enemy.nextBeamAt = enemy.createdAt + 2000 + Math.random() * 5000;
+            }
+            if (state.gameTime < enemy.nextBeamAt) continue;
+
+            enemy.nextBeamAt = state.gameTime + BEAM_DURATION + 3000 + Math.random() * 4000;
+            enemy.beamCount++;
+            state.markEntityChanged('enemies', enemy.id);
+
+            if (beam.ability === 'disable_tower') {
+                const candidates = [...state.towers.values()].filter(tower =>
+                    !isSupportTower(tower.type) && !(tower.disabledRemaining > 0) && state.combat.canTarget(tower.playerId, enemy)
+                );
+                const tower = findBeamTarget(enemy.position, candidates, beam.radius, candidate => candidate.position);
+                if (tower) {
+                    tower.disabledRemaining = beam.duration; // Counted down by TowerCombat.updateTowers
+                    state.markEntityChanged('towers', tower.id);
+                }
+            } else if (beam.ability === 'steal_money') {
+                state.stealMoney(enemy, beam.amount);
+            }
+        }
+    }
+
+    // Speed bursts and shields are status effects on the boss itself; summons spawn at its side
+    enterBossPhase(enemy, phase) {
+        const effectType = BOSS_ABILITY_EFFECTS[phase.ability];
+        if (effectType) {
+            this.gameState.combat.applyStatusEffect(enemy, { type: effectType, duration: phase.duration }, {});
+        } else if (phase.ability === 'summon') {
+            this.spawnChildren(enemy, phase.archetype, phase.count, `summon${enemy.bossPhase}_`);
+        }
+    }
+
+    /**
+     * Release a dying splitter's children where it fell; call before the parent is removed
+     * @returns {Object[]} The children added to the state (empty for archetypes that don't split)
+     */
+    splitEnemy(enemy) {
+        const split = getEnemyArchetype(enemy.type).split;
+        if (!split) return [];
+
+        return this.spawnChildren(enemy, split.into, split.count, 'split');
+    }
+
+    // New enemies placed at the parent and carrying on along its path
+    spawnChildren(enemy, archetypeId, count, idTag) {
+        const state = this.gameState;
+        const children = [];
+
+        for (let i = 0; i < count; i++) {
+            const child = createEnemy(state, `${enemy.id}_${idTag}${i}`, archetypeId, enemy.wave, {
+                playerId: enemy.playerId,
+                position: { ...enemy.position },
+                path: enemy.path,
+                pathProgress: enemy.pathProgress
+            });
+
+            state.enemies.set(child.id, child);
+            state.markEntityChanged('enemies', child.id);
+            children.push(child);
+        }
+
+        return children;
+    }
+}
+
+export default EnemyAbilities;
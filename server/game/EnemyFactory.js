@@ -0,0 +1,34 @@
+import { getEnemyStats } from '../../src/config/EnemyCatalog.js';
+
+/**
+ * Build an enemy of an archetype for the competitive or cooperative game state.
+ * The wave sets the baseline its health and speed scale from (gameState.getEnemyHealth/getEnemySpeed).
+ * @param {Object} gameState - State the enemy spawns in; also stamps its createdAt
+ * @param {Object} fields - Placement: position, path, pathProgress (and playerId in competitive games)
+ */
+export function createEnemy(gameState, id, archetypeId, wave, fields) {
+    const stats = getEnemyStats(archetypeId, {
+        health: gameState.getEnemyHealth(wave),
+        speed: gameState.getEnemySpeed(wave)
+    });
+
+    return {
+        id,
+        type: archetypeId,
+        wave,
+        health: stats.health,
+        maxHealth: stats.health,
+        speed: stats.speed,
+        size: stats.size,
+        stealth: stats.stealth,
+        flying: stats.flying,
+        pathProgress: 0,
+        reward: stats.reward,
+        leakDamage: stats.leakDamage,
+        bossPhase: 0, // Boss phases triggered so far
+        beamCount: 0, // Beam abilities fired so far; clients show a beam when this changes
+        statusEffects: {}, // effectType -> { remaining, stacks, ... }
+        createdAt: gameState.gameTime,
+        ...fields
+    };
+}
@@ -1,3 +1,16 @@
+import {
+    getTowerDefinition,
+    isValidTowerType,
+    getFireIntervalMs,
+    calculateUpgradeCost,
+    calculateUpgradedStats,
+    calculateRefundAmount,
+    getSpecialization,
+    isBranchUpgrade
+} from '../../src/config/TowerCatalog.js';
+import { isValidTargetingMode } from '../../src/config/TargetingModes.js';
+import { Pathfinding } from '../../src/Pathfinding.js';
+
 class GameLogic {
     constructor(gameSession) {
         this.gameSession = gameSession;
@@ -8,6 +21,7 @@ class GameLogic {
             'tower:place': { interval: 100, max: 10 }, // Max 10 towers per 100ms
             'tower:upgrade': { interval: 200, max: 5 },
             'tower:sell': { interval: 150, max: 5 },
+            'tower:set_targeting': { interval: 100, max: 10 },
             'maze:place': { interval: 50, max: 20 }
         };
         
@@ -17,28 +31,10 @@ class GameLogic {
         this.initializePathfinding();
     }
     
-    async initializePathfinding() {
-        try {
-            // Import pathfinding on demand to avoid circular dependencies
-            const module = await import('../utils/Pathfinding.js');
-            const ServerPathfinding = module.default;
-            this.pathfinding = new ServerPathfinding(20);
-            console.log('Server-side pathfinding initialized successfully');
-            
-            // Run pathfinding tests in development
-            if (process.env.NODE_ENV !== 'production') {
-                try {
-                    const testModule = await import('../utils/PathfindingTest.js');
-                    testModule.testServerPathfinding();
-                    testModule.testCooperativePathfinding();
-                } catch (testError) {
-                    console.warn('Pathfinding tests failed:', testError);
-                }
-            }
-        } catch (error) {
-            console.error('Failed to load pathfinding module:', error);
-            // Don't throw error, just log and continue without pathfinding
-        }
+    initializePathfinding() {
+        // Same A* as the clients, so server and client routes agree for the same maze
+        this.pathfinding = new Pathfinding(this.gameState.gameBoard?.mapSize || 20);
+        console.log('Server-side pathfinding initialized successfully');
     }
     
     // Calculate path for a specific player using current obstacles
@@ -193,6 +189,8 @@ class GameLogic {
                 return this.handleTowerUpgrade(playerId, data);
             case 'tower:sell':
                 return this.handleTowerSell(playerId, data);
+            case 'tower:set_targeting':
+                return this.handleTowerSetTargeting(playerId, data);
             case 'maze:place':
                 return this.handleMazePlace(playerId, data);
             case 'maze:remove':
@@ -272,17 +270,36 @@ class GameLogic {
             return { success: false, reason: 'not_your_tower' };
         }
         
-        const upgradeCost = this.getUpgradeCost(tower.type, tower.level);
+        // At the branch level the player has to pick one of the catalogue specializations
+        let specialization = tower.specialization || null;
+        if (isBranchUpgrade(tower.type, tower.level)) {
+            if (!getSpecialization(tower.type, data.specialization)) {
+                return { success: false, reason: 'invalid_specialization' };
+            }
+            specialization = data.specialization;
+        }
+        
+        const upgradeCost = this.getUpgradeCost(tower.type, tower.level, specialization);
+        if (upgradeCost === null) {
+            return { success: false, reason: 'max_level' };
+        }
+        
         const player = this.gameState.players.get(playerId);
         
         if (player.money < upgradeCost) {
             return { success: false, reason: 'insufficient_funds' };
         }
         
-        // Upgrade tower
+        // Upgrade tower using the same catalogue maths as the client
         tower.level++;
-        tower.damage = Math.floor(tower.damage * 1.5);
-        tower.range = tower.range * 1.1;
+        tower.specialization = specialization;
+        const stats = calculateUpgradedStats(tower.type, tower.level, specialization);
+        tower.damage = stats.damage;
+        tower.range = stats.range;
+        tower.fireRate = getFireIntervalMs(stats.fireRate);
+        tower.pierce = stats.pierce;
+        tower.shredDuration = stats.shredDuration;
+        tower.effect = stats.effect;
         player.money -= upgradeCost;
         
         this.gameState.markEntityChanged('towers', data.towerId);
@@ -311,9 +328,8 @@ class GameLogic {
             return { success: false, reason: 'not_your_tower' };
         }
         
-        // Calculate sell value (75% of total investment)
-        const totalInvestment = tower.cost + this.getTotalUpgradeCost(tower.type, tower.level - 1);
-        const sellValue = Math.floor(totalInvestment * 0.75);
+        // Sell value is the catalogue refund rate applied to the total investment
+        const sellValue = calculateRefundAmount(tower.type, tower.level, tower.specialization);
         
         const player = this.gameState.players.get(playerId);
         player.money += sellValue;
@@ -339,6 +355,31 @@ class GameLogic {
         };
     }
     
+    handleTowerSetTargeting(playerId, data) {
+        const validation = this.validateTowerTargetingData(data);
+        if (!validation.success) return validation;
+        
+        const tower = this.gameState.towers.get(data.towerId);
+        if (!tower) {
+            return { success: false, reason: 'tower_not_found' };
+        }
+        
+        if (tower.playerId !== playerId) {
+            return { success: false, reason: 'not_your_tower' };
+        }
+        
+        tower.targetingMode = data.targetingMode;
+        this.gameState.markEntityChanged('towers', data.towerId);
+        
+        return {
+            success: true,
+            data: {
+                towerId: tower.id,
+                targetingMode: tower.targetingMode
+            }
+        };
+    }
+    
     // Maze Actions
     handleMazePlace(playerId, data) {
         // Extract shapeData from the nested structure sent by client
@@ -444,8 +485,7 @@ class GameLogic {
             return { success: false, reason: 'missing_required_fields' };
         }
         
-        const validTypes = ['basic', 'sniper', 'rapid', 'area'];
-        if (!validTypes.includes(data.type)) {
+        if (!isValidTowerType(data.type)) {
             return { success: false, reason: 'invalid_tower_type' };
         }
         
@@ -464,6 +504,16 @@ class GameLogic {
         return { success: true };
     }
     
+    validateTowerTargetingData(data) {
+        if (!data.towerId) {
+            return { success: false, reason: 'missing_tower_id' };
+        }
+        if (!isValidTargetingMode(data.targetingMode)) {
+            return { success: false, reason: 'invalid_targeting_mode' };
+        }
+        return { success: true };
+    }
+    
     validateTowerSellData(data) {
         if (!data.towerId) {
             return { success: false, reason: 'missing_tower_id' };
@@ -539,28 +589,14 @@ class GameLogic {
         }
     }
     
-    // Cost Calculations
+    // Cost Calculations (shared tower catalogue)
     getTowerCost(type) {
-        const costs = {
-            basic: 20,
-            sniper: 30,
-            cannon: 40,
-            missile: 35
-        };
-        return costs[type] || 20;
+        const config = getTowerDefinition(type);
+        return config ? config.cost : null;
     }
     
-    getUpgradeCost(type, currentLevel) {
-        const baseCost = this.getTowerCost(type);
-        return Math.floor(baseCost * Math.pow(1.5, currentLevel));
-    }
-    
-    getTotalUpgradeCost(type, level) {
-        let total = 0;
-        for (let i = 1; i <= level; i++) {
-            total += this.getUpgradeCost(type, i);
-        }
-        return total;
+    getUpgradeCost(type, currentLevel, specialization = null) {
+        return calculateUpgradeCost(type, currentLevel, specialization);
     }
 }
 
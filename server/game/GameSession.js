@@ -2,18 +2,24 @@ import { v4 as uuidv4 } from 'uuid';
 import GameState from './GameState.js';
 import CooperativeGameState from './CooperativeGameState.js';
 import GameLogic from './GameLogic.js';
+import { COOPERATIVE_LEVEL_ID, getLevelForMode } from '../../src/config/Levels.js';
 import { Logger } from '../monitoring/Logger.js';
 
 class GameSession {
-    constructor(sessionId, maxPlayers = 2, gameMode = 'cooperative') {
+    /**
+     * @param {string} levelId - Board a cooperative session plays on; one of getLevelsForMode('cooperative')
+     * @throws {Error} When a cooperative session is asked for a level it can't be played on
+     */
+    constructor(sessionId, maxPlayers = 2, gameMode = 'cooperative', levelId = COOPERATIVE_LEVEL_ID) {
         this.sessionId = sessionId || uuidv4();
         this.maxPlayers = maxPlayers;
         this.gameMode = gameMode; // 'competitive' or 'cooperative'
+        this.levelId = gameMode === 'cooperative' ? levelId : null;
         this.players = new Map(); // socketId -> player data
         
         // Use appropriate game state based on mode
         this.gameState = gameMode === 'cooperative' ? 
-            new CooperativeGameState() : 
+            new CooperativeGameState(getLevelForMode(levelId, 'cooperative')) : 
             new GameState();
             
         this.gameLogic = new GameLogic(this);
@@ -267,7 +273,7 @@ class GameSession {
                             speed: enemy.speed,
                             position: enemy.position,
                             path: enemy.path,
-                            wave: enemy.type // Include wave info
+                            wave: enemy.wave // Scales the client's baseline enemy
                         },
                         timestamp: Date.now()
                     });
@@ -391,7 +397,7 @@ class GameSession {
                             speed: enemy.speed,
                             position: enemy.position,
                             path: enemy.path,
-                            wave: enemy.type // Include wave info
+                            wave: enemy.wave // Scales the client's baseline enemy
                         },
                         timestamp: Date.now()
                     });
@@ -466,6 +472,7 @@ class GameSession {
             status: this.status,
             playerCount: this.players.size,
             maxPlayers: this.maxPlayers,
+            levelId: this.levelId,
             createdAt: this.createdAt,
             startedAt: this.startedAt,
             duration: this.startedAt ? Date.now() - this.startedAt : 0
@@ -1,3 +1,11 @@
+import { requireTowerDefinition, getFireIntervalMs, calculateUpgradedStats } from '../../src/config/TowerCatalog.js';
+import { DEFAULT_TARGETING_MODE } from '../../src/config/TargetingModes.js';
+import { pickArchetypeForWave } from '../../src/config/EnemyCatalog.js';
+import { FLIGHT_ALTITUDE, buildFlightPath } from '../../src/config/FlightPaths.js';
+import TowerCombat from './TowerCombat.js';
+import EnemyAbilities from './EnemyAbilities.js';
+import { createEnemy } from './EnemyFactory.js';
+
 class GameState {
     constructor() {
         this.players = new Map(); // playerId -> player state
@@ -21,6 +29,13 @@ class GameState {
         this.lastState = {};
         this.changedEntities = new Set();
         
+        // Towers only defend their owner's map
+        this.combat = new TowerCombat(this, {
+            canTarget: (playerId, enemy) => enemy.playerId === playerId,
+            onEnemyKilled: (enemy, playerId) => this.killEnemy(enemy, playerId)
+        });
+        this.enemyAbilities = new EnemyAbilities(this);
+        
         this.initialized = false;
     }
     
@@ -148,6 +163,12 @@ class GameState {
             damage: this.getTowerDamage(towerData.type),
             range: this.getTowerRange(towerData.type),
             fireRate: this.getTowerFireRate(towerData.type),
+            targetingMode: DEFAULT_TARGETING_MODE,
+            specialization: null,
+            pierce: 0,
+            shredDuration: 0,
+            effect: this.getTowerEffect(towerData.type),
+            kills: 0,
             lastFired: 0,
             target: null,
             cost: towerData.cost,
@@ -265,8 +286,12 @@ class GameState {
     // Enemy Management
     updateEnemies(deltaTime) {
         for (const [enemyId, enemy] of this.enemies) {
+            // Slows and stuns scale how far the enemy gets this tick
+            const speedMultiplier = this.combat.updateStatusEffects(enemy, deltaTime);
+            if (!this.enemies.has(enemyId)) continue; // Killed by damage over time
+            
             // Update enemy position along path
-            enemy.pathProgress += (enemy.speed * deltaTime) / 1000;
+            enemy.pathProgress += (enemy.speed * speedMultiplier * deltaTime) / 1000;
             
             if (enemy.pathProgress >= 1.0) {
                 // Enemy reached end - damage player
@@ -279,6 +304,10 @@ class GameState {
                 this.markEntityChanged('enemies', enemyId);
             }
         }
+        
+        this.enemyAbilities.updateHealers(deltaTime);
+        this.enemyAbilities.updateBosses();
+        this.enemyAbilities.updateBeams();
     }
     
     updateEnemySpawning() {
@@ -292,30 +321,35 @@ class GameState {
     }
     
     spawnEnemy() {
+        // Every player faces the same archetype so the race stays fair
+        const archetype = pickArchetypeForWave(this.currentWave);
+        const groupSize = archetype.groupSize || 1;
+        
         // Spawn enemies for each player
         for (const [playerId, player] of this.players) {
-            const enemyId = `enemy_${playerId}_${this.enemiesSpawned}`;
             const mapPos = this.getPlayerMapPosition(playerId);
             
-            const enemy = {
-                id: enemyId,
-                playerId,
-                type: this.getEnemyTypeForWave(this.currentWave),
-                health: this.getEnemyHealth(this.currentWave),
-                maxHealth: this.getEnemyHealth(this.currentWave),
-                speed: this.getEnemySpeed(this.currentWave),
-                position: { x: mapPos.x - 10, y: 0.5, z: mapPos.z - 10 }, // Start position
-                path: this.generateEnemyPath(playerId),
-                pathProgress: 0,
-                reward: this.getEnemyReward(this.currentWave),
-                createdAt: this.gameTime
-            };
+            // Flyers ignore the maze and arc over it straight to the exit
+            const groundPath = this.generateEnemyPath(playerId);
+            const path = archetype.flying
+                ? buildFlightPath(groundPath[0], groundPath[groundPath.length - 1])
+                : groundPath;
             
-            this.enemies.set(enemyId, enemy);
-            this.markEntityChanged('enemies', enemyId);
+            for (let i = 0; i < groupSize; i++) {
+                const enemyId = `enemy_${playerId}_${this.enemiesSpawned + i}`;
+                const enemy = createEnemy(this, enemyId, archetype.id, this.currentWave, {
+                    playerId,
+                    // Start position
+                    position: { x: mapPos.x - 10, y: archetype.flying ? FLIGHT_ALTITUDE : 0.5, z: mapPos.z - 10 },
+                    path
+                });
+                
+                this.enemies.set(enemyId, enemy);
+                this.markEntityChanged('enemies', enemyId);
+            }
         }
         
-        this.enemiesSpawned++;
+        this.enemiesSpawned += groupSize;
     }
     
     generateEnemyPath(playerId) {
@@ -378,99 +412,13 @@ class GameState {
         return this.playerPaths.get(playerId);
     }
     
-    // Tower/Enemy Combat
+    // Tower/Enemy Combat (shared with the cooperative state, see TowerCombat)
     updateTowers(deltaTime) {
-        for (const [towerId, tower] of this.towers) {
-            // Find targets
-            const target = this.findTowerTarget(tower);
-            
-            if (target && this.gameTime - tower.lastFired >= tower.fireRate) {
-                this.fireTower(tower, target);
-                tower.lastFired = this.gameTime;
-                this.markEntityChanged('towers', towerId);
-            }
-        }
-    }
-    
-    findTowerTarget(tower) {
-        let closestEnemy = null;
-        let closestDistance = tower.range;
-        
-        for (const enemy of this.enemies.values()) {
-            if (enemy.playerId !== tower.playerId) continue;
-            
-            const distance = Math.sqrt(
-                Math.pow(enemy.position.x - tower.position.x, 2) +
-                Math.pow(enemy.position.z - tower.position.z, 2)
-            );
-            
-            if (distance <= tower.range && distance < closestDistance) {
-                closestEnemy = enemy;
-                closestDistance = distance;
-            }
-        }
-        
-        return closestEnemy;
-    }
-    
-    fireTower(tower, target) {
-        const projectileId = `projectile_${tower.id}_${Date.now()}`;
-        const projectile = {
-            id: projectileId,
-            towerId: tower.id,
-            playerId: tower.playerId,
-            targetId: target.id,
-            position: { ...tower.position },
-            targetPosition: { ...target.position },
-            speed: 20, // units per second
-            damage: tower.damage,
-            createdAt: this.gameTime
-        };
-        
-        this.projectiles.set(projectileId, projectile);
-        this.markEntityChanged('projectiles', projectileId);
+        this.combat.updateTowers(deltaTime);
     }
     
     updateProjectiles(deltaTime) {
-        for (const [projectileId, projectile] of this.projectiles) {
-            const target = this.enemies.get(projectile.targetId);
-            
-            if (!target) {
-                // Target no longer exists
-                this.projectiles.delete(projectileId);
-                this.markEntityChanged('projectiles', projectileId);
-                continue;
-            }
-            
-            // Move projectile toward target
-            const dx = target.position.x - projectile.position.x;
-            const dz = target.position.z - projectile.position.z;
-            const distance = Math.sqrt(dx * dx + dz * dz);
-            
-            if (distance < 0.5) {
-                // Hit target
-                this.damageEnemy(target, projectile.damage, projectile.playerId);
-                this.projectiles.delete(projectileId);
-                this.markEntityChanged('projectiles', projectileId);
-            } else {
-                // Move closer
-                const moveDistance = (projectile.speed * deltaTime) / 1000;
-                projectile.position.x += (dx / distance) * moveDistance;
-                projectile.position.z += (dz / distance) * moveDistance;
-                this.markEntityChanged('projectiles', projectileId);
-            }
-        }
-    }
-    
-    damageEnemy(enemy, damage, attackingPlayerId) {
-        enemy.health -= damage;
-        
-        if (enemy.health <= 0) {
-            // Enemy died
-            this.killEnemy(enemy, attackingPlayerId);
-        } else {
-            this.markEntityChanged('enemies', enemy.id);
-        }
+        this.combat.updateProjectiles(deltaTime);
     }
     
     killEnemy(enemy, killingPlayerId) {
@@ -481,15 +429,27 @@ class GameState {
             this.markEntityChanged('players', killingPlayerId);
         }
         
+        this.enemyAbilities.splitEnemy(enemy);
         this.enemies.delete(enemy.id);
         this.enemiesKilled++;
         this.markEntityChanged('enemies', enemy.id);
     }
     
+    // A steal_money beam takes from the player the enemy is attacking
+    stealMoney(enemy, amount) {
+        const player = this.players.get(enemy.playerId);
+        if (!player) return 0;
+        
+        const stolen = Math.max(0, Math.min(amount, player.money));
+        player.money -= stolen;
+        this.markEntityChanged('players', enemy.playerId);
+        return stolen;
+    }
+    
     handleEnemyReachedEnd(enemy) {
         const player = this.players.get(enemy.playerId);
         if (player) {
-            player.health -= 10; // 10 damage per enemy that escapes
+            player.health -= enemy.leakDamage; // Archetype decides how much an escape hurts
             this.markEntityChanged('players', enemy.playerId);
         }
     }
@@ -530,27 +490,24 @@ class GameState {
     
     // Helper methods for game balance
     getTowerDamage(type) {
-        const damages = { basic: 25, sniper: 50, cannon: 100, missile: 75 };
-        return damages[type] || 25;
+        return requireTowerDefinition(type).damage;
     }
     
     getTowerRange(type) {
-        const ranges = { basic: 3, sniper: 6, cannon: 2.5, missile: 4 };
-        return ranges[type] || 3;
+        return requireTowerDefinition(type).range;
     }
     
+    // Milliseconds between shots
     getTowerFireRate(type) {
-        const rates = { basic: 1000, sniper: 2000, cannon: 3000, missile: 1500 };
-        return rates[type] || 1000;
+        return getFireIntervalMs(requireTowerDefinition(type).fireRate);
     }
     
-    getEnemyTypeForWave(wave) {
-        if (wave <= 3) return 'ufo-a';
-        if (wave <= 6) return 'ufo-b';
-        if (wave <= 9) return 'ufo-c';
-        return 'ufo-d';
+    // Status effect applied on hit, or null
+    getTowerEffect(type) {
+        return calculateUpgradedStats(type, 1).effect;
     }
     
+    // Health and speed of a plain enemy this wave; archetypes scale from these
     getEnemyHealth(wave) {
         return 50 + (wave * 15);
     }
@@ -559,10 +516,6 @@ class GameState {
         return 2 + (wave * 0.2);
     }
     
-    getEnemyReward(wave) {
-        return 10 + Math.floor(wave / 2);
-    }
-    
     // State synchronization helpers
     markEntityChanged(entityType, entityId) {
         this.changedEntities.add(`${entityType}:${entityId}`);
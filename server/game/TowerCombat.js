@@ -0,0 +1,321 @@
+import { isAntiAirTower, isPulseTower, requireTowerDefinition } from '../../src/config/TowerCatalog.js';
+import { calculateDamage } from '../../src/config/DamageTypes.js';
+import { getEnemyDefenses } from '../../src/config/EnemyCatalog.js';
+import { selectTarget } from '../../src/config/TargetingModes.js';
+import { NO_AURA, getAuraModifiers, isSupportTower } from '../../src/config/Auras.js';
+import {
+    STATUS_EFFECTS,
+    getStatusModifiers,
+    stackStatusEffect,
+    isValidStatusEffect
+} from '../../src/config/StatusEffects.js';
+
+/**
+ * Tower/enemy combat shared by the competitive and cooperative game states.
+ * The owning state decides which enemies a player's towers may hit and what a kill is worth.
+ *
+ * Enemy status effects are kept as enemy.statusEffects = { effectType: { remaining, stacks, ... } }
+ * so they serialize straight into state updates for the client.
+ */
+class TowerCombat {
+    /**
+     * @param {Object} gameState - State owning the towers, enemies and projectiles maps
+     * @param {Object} hooks
+     * @param {function(string, Object): boolean} hooks.canTarget - (playerId, enemy) => may that player's towers hit it
+     * @param {function(Object, string): void} hooks.onEnemyKilled - (enemy, killingPlayerId) => award and remove the enemy
+     */
+    constructor(gameState, { canTarget, onEnemyKilled }) {
+        this.gameState = gameState;
+        this.canTarget = canTarget;
+        this.onEnemyKilled = onEnemyKilled;
+    }
+
+    updateTowers(deltaTime) {
+        const state = this.gameState;
+
+        for (const [towerId, tower] of state.towers) {
+            if (isSupportTower(tower.type)) continue; // Support towers only buff others
+
+            // Towers knocked out by a UFO beam hold fire until it wears off
+            if (tower.disabledRemaining > 0) {
+                tower.disabledRemaining = Math.max(0, tower.disabledRemaining - deltaTime);
+                state.markEntityChanged('towers', towerId);
+                continue;
+            }
+
+            // Stored stats are base + level; support auras are layered on top each tick
+            const aura = getAuraModifiers(tower, state.towers.values());
+            if (state.gameTime - tower.lastFired < tower.fireRate / aura.fireRateMultiplier) continue;
+
+            if (isPulseTower(tower.type)) {
+                // Pulse towers hit everything in range at once, like the client area tower
+                const targets = this.getEnemiesInRange(tower, aura);
+                if (targets.length === 0) continue;
+
+                for (const enemy of targets) {
+                    this.hitEnemy(enemy, this.getHitSource(tower, aura));
+                }
+            } else {
+                const target = this.findTowerTarget(tower, aura);
+                if (!target) continue;
+
+                this.fireTower(tower, target, aura);
+            }
+
+            tower.lastFired = state.gameTime;
+            state.markEntityChanged('towers', towerId);
+        }
+    }
+
+    // Enemies this tower may hit right now; stealth enemies need a revealing aura,
+    // flying ones an anti-air tower (same rule as the client Tower.canTarget)
+    canSee(tower, enemy, aura) {
+        return this.canTarget(tower.playerId, enemy) &&
+            (!enemy.stealth || aura.revealsStealth) &&
+            (!enemy.flying || isAntiAirTower(tower.type));
+    }
+
+    getEnemiesInRange(tower, aura = NO_AURA) {
+        const enemies = [];
+        const range = tower.range * aura.rangeMultiplier;
+
+        for (const enemy of this.gameState.enemies.values()) {
+            if (!this.canSee(tower, enemy, aura)) continue;
+
+            const distance = Math.sqrt(
+                Math.pow(enemy.position.x - tower.position.x, 2) +
+                Math.pow(enemy.position.z - tower.position.z, 2)
+            );
+
+            if (distance <= range) {
+                enemies.push(enemy);
+            }
+        }
+
+        return enemies;
+    }
+
+    findTowerTarget(tower, aura = NO_AURA) {
+        const candidates = [];
+        const range = tower.range * aura.rangeMultiplier;
+
+        for (const enemy of this.gameState.enemies.values()) {
+            if (!this.canSee(tower, enemy, aura)) continue;
+
+            const distance = Math.sqrt(
+                Math.pow(enemy.position.x - tower.position.x, 2) +
+                Math.pow(enemy.position.z - tower.position.z, 2)
+            );
+
+            if (distance <= range) {
+                candidates.push({
+                    enemy,
+                    distance,
+                    progress: enemy.pathProgress,
+                    health: enemy.health
+                });
+            }
+        }
+
+        // Same rule as the client Tower.findTarget
+        return selectTarget(candidates, tower.targetingMode);
+    }
+
+    // What a hit from this tower does, carried by its projectiles
+    getHitSource(tower, aura = NO_AURA) {
+        return {
+            playerId: tower.playerId,
+            towerId: tower.id,
+            damage: Math.floor(tower.damage * aura.damageMultiplier),
+            damageType: requireTowerDefinition(tower.type).damageType,
+            antiAir: isAntiAirTower(tower.type),
+            shredDuration: tower.shredDuration || 0,
+            effect: tower.effect ? { ...tower.effect } : null
+        };
+    }
+
+    fireTower(tower, target, aura = NO_AURA) {
+        const state = this.gameState;
+        const projectileId = `projectile_${tower.id}_${Date.now()}`;
+        const projectile = {
+            id: projectileId,
+            towerId: tower.id,
+            targetId: target.id,
+            position: { ...tower.position },
+            targetPosition: { ...target.position },
+            speed: 20, // units per second
+            pierce: tower.pierce || 0,
+            ...this.getHitSource(tower, aura),
+            createdAt: state.gameTime
+        };
+
+        state.projectiles.set(projectileId, projectile);
+        state.markEntityChanged('projectiles', projectileId);
+    }
+
+    updateProjectiles(deltaTime) {
+        const state = this.gameState;
+
+        for (const [projectileId, projectile] of state.projectiles) {
+            const target = state.enemies.get(projectile.targetId);
+
+            if (!target) {
+                // Target no longer exists
+                state.projectiles.delete(projectileId);
+                state.markEntityChanged('projectiles', projectileId);
+                continue;
+            }
+
+            // Move projectile toward target
+            const dx = target.position.x - projectile.position.x;
+            const dz = target.position.z - projectile.position.z;
+            const distance = Math.sqrt(dx * dx + dz * dz);
+
+            if (distance < 0.5) {
+                // Hit target (plus anything a piercing shot carries on into)
+                const pierceTargets = this.getPierceTargets(projectile, target);
+                this.hitEnemy(target, projectile);
+                for (const pierceTarget of pierceTargets) {
+                    this.hitEnemy(pierceTarget, projectile);
+                }
+                state.projectiles.delete(projectileId);
+                state.markEntityChanged('projectiles', projectileId);
+            } else {
+                // Move closer
+                const moveDistance = (projectile.speed * deltaTime) / 1000;
+                projectile.position.x += (dx / distance) * moveDistance;
+                projectile.position.z += (dz / distance) * moveDistance;
+                state.markEntityChanged('projectiles', projectileId);
+            }
+        }
+    }
+
+    // Enemies behind the target along the projectile's flight line, nearest first
+    getPierceTargets(projectile, target) {
+        if (!projectile.pierce) return [];
+
+        const dirX = target.position.x - projectile.position.x;
+        const dirZ = target.position.z - projectile.position.z;
+        const length = Math.sqrt(dirX * dirX + dirZ * dirZ) || 1;
+        const candidates = [];
+
+        for (const enemy of this.gameState.enemies.values()) {
+            if (enemy === target || !this.canTarget(projectile.playerId, enemy)) continue;
+            if (enemy.flying && !projectile.antiAir) continue;
+
+            const offsetX = enemy.position.x - target.position.x;
+            const offsetZ = enemy.position.z - target.position.z;
+            const along = (offsetX * dirX + offsetZ * dirZ) / length;
+            if (along <= 0 || along > 3.0) continue;
+
+            const sideways = Math.abs(offsetX * dirZ - offsetZ * dirX) / length;
+            if (sideways <= 0.6) {
+                candidates.push({ enemy, along });
+            }
+        }
+
+        return candidates
+            .sort((a, b) => a.along - b.along)
+            .slice(0, projectile.pierce)
+            .map(candidate => candidate.enemy);
+    }
+
+    // Damage first, then effects on survivors - same order as the client Projectile.applyDamage
+    hitEnemy(enemy, source) {
+        const killed = this.damageEnemy(enemy, source.damage, source);
+        if (killed) return;
+
+        if (source.shredDuration > 0) {
+            this.applyStatusEffect(enemy, { type: 'weaken', duration: source.shredDuration }, source);
+        }
+        if (source.effect) {
+            this.applyStatusEffect(enemy, source.effect, source);
+        }
+    }
+
+    /**
+     * @param {Object} source - { playerId, towerId, damageType } - the tower is credited if this damage kills
+     * @param {Object} options
+     * @param {boolean} options.ignoreArmor - Skip flat armor (damage-over-time ticks)
+     * @returns {boolean} True when the enemy died
+     */
+    damageEnemy(enemy, damage, source, { ignoreArmor = false } = {}) {
+        // Armor and resistances first, then status effects - same order as the client Enemy.takeDamage
+        const modifiers = getStatusModifiers(Object.keys(enemy.statusEffects || {}));
+        const dealt = calculateDamage(damage, source.damageType, getEnemyDefenses(enemy.type), { ignoreArmor });
+        enemy.health -= dealt * modifiers.damageTakenMultiplier;
+
+        if (enemy.health <= 0) {
+            // Enemy died - credit the tower, then let the state pay out
+            const tower = this.gameState.towers.get(source.towerId);
+            if (tower) {
+                tower.kills = (tower.kills || 0) + 1;
+                this.gameState.markEntityChanged('towers', tower.id);
+            }
+            this.onEnemyKilled(enemy, source.playerId);
+            return true;
+        }
+
+        this.gameState.markEntityChanged('enemies', enemy.id);
+        return false;
+    }
+
+    // effect is { type, duration, damagePerTick? }; entries are plain data so they sync to clients
+    applyStatusEffect(enemy, effect, source) {
+        if (!isValidStatusEffect(effect.type)) return;
+
+        if (!enemy.statusEffects) enemy.statusEffects = {};
+        const existing = enemy.statusEffects[effect.type];
+        const stacked = stackStatusEffect(effect.type, existing || null, effect.duration);
+
+        enemy.statusEffects[effect.type] = {
+            remaining: stacked.remaining,        // ms left
+            stacks: stacked.stacks,
+            damagePerTick: Math.max(existing?.damagePerTick || 0, effect.damagePerTick || 0),
+            sinceTick: existing ? existing.sinceTick : 0, // ms since the last damage tick
+            damageType: source.damageType,
+            sourcePlayerId: source.playerId,     // Latest applier gets the kill
+            sourceTowerId: source.towerId
+        };
+        this.gameState.markEntityChanged('enemies', enemy.id);
+    }
+
+    /**
+     * Count down an enemy's effects, dealing any damage-over-time ticks that fall due
+     * @returns {number} Speed multiplier from the effects active during this tick
+     *                   (the enemy may have died - callers check it is still in the map)
+     */
+    updateStatusEffects(enemy, deltaTime) {
+        if (!enemy.statusEffects) return 1.0;
+
+        const { speedMultiplier } = getStatusModifiers(Object.keys(enemy.statusEffects));
+
+        for (const [effectType, entry] of Object.entries(enemy.statusEffects)) {
+            if (entry.damagePerTick > 0) {
+                const tickInterval = STATUS_EFFECTS[effectType].tickInterval;
+                entry.sinceTick += Math.min(deltaTime, entry.remaining);
+                while (entry.sinceTick >= tickInterval) {
+                    entry.sinceTick -= tickInterval;
+                    const source = {
+                        playerId: entry.sourcePlayerId,
+                        towerId: entry.sourceTowerId,
+                        damageType: entry.damageType
+                    };
+                    // Ticks seep past armor, resistances still apply
+                    if (this.damageEnemy(enemy, entry.damagePerTick * entry.stacks, source, { ignoreArmor: true })) {
+                        return speedMultiplier;
+                    }
+                }
+            }
+
+            entry.remaining -= deltaTime;
+            if (entry.remaining <= 0) {
+                delete enemy.statusEffects[effectType];
+            }
+        }
+
+        return speedMultiplier;
+    }
+}
+
+export default TowerCombat;
@@ -13,6 +13,7 @@ class GameEventHandler {
         socket.on('tower:place', (data) => this.handleTowerPlace(socket, data));
         socket.on('tower:upgrade', (data) => this.handleTowerUpgrade(socket, data));
         socket.on('tower:sell', (data) => this.handleTowerSell(socket, data));
+        socket.on('tower:set_targeting', (data) => this.handleTowerSetTargeting(socket, data));
         
         // Maze events
         socket.on('maze:place', (data) => this.handleMazePlace(socket, data));
@@ -147,6 +148,26 @@ class GameEventHandler {
         }
     }
     
+    handleTowerSetTargeting(socket, data) {
+        try {
+            const result = this.processGameAction(socket, 'tower:set_targeting', data);
+            if (result.success) {
+                // Everyone in the session sees the same targeting mode on the tower
+                const sessionId = this.sessionHandler.playerSessions.get(socket.id);
+                this.broadcastGameEvent(sessionId, 'tower:targeting_changed', {
+                    ...result.data,
+                    playerId: socket.playerId
+                });
+                this.logger.debug(`Tower targeting set by ${socket.id}:`, result.data);
+            } else {
+                socket.emit('tower:targeting_failed', { reason: result.reason });
+            }
+        } catch (error) {
+            this.logger.error('Error handling tower targeting change:', error);
+            socket.emit('tower:targeting_failed', { reason: 'server_error' });
+        }
+    }
+    
     handleMazePlace(socket, data) {
         try {
             const result = this.processGameAction(socket, 'maze:place', data);
@@ -442,6 +463,7 @@ class GameEventHandler {
             'tower:place': 100,
             'tower:upgrade': 200,
             'tower:sell': 150,
+            'tower:set_targeting': 100,
             'maze:place': 50,
             'maze:remove': 100
         };
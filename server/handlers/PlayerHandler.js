@@ -1,3 +1,5 @@
+import { COOPERATIVE_LEVEL_ID, getLevelForMode } from '../../src/config/Levels.js';
+
 class PlayerHandler {
     constructor(io, sessionHandler, logger) {
         this.io = io;
@@ -96,14 +98,24 @@ class PlayerHandler {
                 return;
             }
 
-            this.logger.info(`Starting quick match for player ${socket.id} (${player.name})`);
+            // The map the player picked, which has to be one made for cooperative play
+            const levelId = data.levelId || COOPERATIVE_LEVEL_ID;
+            try {
+                getLevelForMode(levelId, 'cooperative');
+            } catch (error) {
+                socket.emit('matchmaking:error', { message: error.message });
+                return;
+            }
+
+            this.logger.info(`Starting quick match for player ${socket.id} (${player.name}) on ${levelId}`);
             const result = this.sessionHandler.matchmakingManager.quickMatch(
                 socket.id,
                 {
                     name: player.name,
                     rating: data.rating || 1000
                 },
-                this.sessionHandler
+                this.sessionHandler,
+                levelId
             );
 
             if (result.success) {
@@ -24,10 +24,10 @@ class SessionHandler {
         socket.on('game:ready', (data) => this.handlePlayerReady(socket, data));
     }
     
-    // Create a new game session
+    // Create a new game session; options.levelId picks the board (the default cooperative level when missing)
     createSession(options = {}) {
         try {
-            const session = new GameSession(null, options.maxPlayers || 2, options.gameMode || 'cooperative');
+            const session = new GameSession(null, options.maxPlayers || 2, options.gameMode || 'cooperative', options.levelId);
             session.setIO(this.io);
             
             this.sessions.set(session.sessionId, session);
@@ -41,8 +41,15 @@ class SessionHandler {
     }
     
     handleCreateSession(socket, data) {
+        let session;
+        try {
+            session = new GameSession(null, data.maxPlayers || 2, data.gameMode || 'cooperative', data.levelId);
+        } catch (error) {
+            socket.emit('session:error', { message: error.message }); // A level the mode can't be played on
+            return;
+        }
+
         try {
-            const session = new GameSession(null, data.maxPlayers || 2, data.gameMode || 'cooperative');
             session.setIO(this.io);
             
             this.sessions.set(session.sessionId, session);
@@ -306,9 +313,9 @@ class SessionHandler {
     }
     
     // Quick match support
-    findAvailableSession() {
+    findAvailableSession(levelId) {
         for (const session of this.sessions.values()) {
-            if (session.status === 'waiting' && session.players.size < session.maxPlayers) {
+            if (session.status === 'waiting' && session.players.size < session.maxPlayers && session.levelId === levelId) {
                 return session;
             }
         }
@@ -1,3 +1,5 @@
+import { COOPERATIVE_LEVEL_ID } from '../../src/config/Levels.js';
+
 class MatchmakingManager {
     constructor() {
         this.matchmakingQueue = new Map(); // socketId -> matchmaking request
@@ -27,6 +29,7 @@ class MatchmakingManager {
                 skillLevel: preferences.skillLevel || 'beginner',
                 gameMode: preferences.gameMode || 'cooperative',
                 region: preferences.region || 'global',
+                levelId: preferences.levelId || COOPERATIVE_LEVEL_ID,
                 ...preferences
             },
             createdAt: Date.now(),
@@ -96,6 +99,11 @@ class MatchmakingManager {
         if (prefs1.gameMode !== prefs2.gameMode) {
             return false;
         }
+
+        // Players are only matched for the map they picked
+        if (prefs1.levelId !== prefs2.levelId) {
+            return false;
+        }
         
         // Check region compatibility (allow global)
         if (prefs1.region !== prefs2.region && 
@@ -129,13 +137,15 @@ class MatchmakingManager {
             createdAt: Date.now(),
             gameMode: players[0].preferences.gameMode,
             maxPlayers: players[0].preferences.maxPlayers,
+            levelId: players[0].preferences.levelId,
             sessionId: null  // Will be set when session is created
         };
         
         // Create a new game session for the match
         const session = this.sessionHandler.createSession({
             maxPlayers: match.maxPlayers,
-            gameMode: match.gameMode
+            gameMode: match.gameMode,
+            levelId: match.levelId
         });
 
         if (!session) {
@@ -154,12 +164,12 @@ class MatchmakingManager {
         return { success: true, match };
     }
     
-    // Quick match - find any available game or create new one
-    quickMatch(socketId, playerData, sessionHandler) {
-        console.log(`Quick match request from player ${socketId} with data:`, playerData);
+    // Quick match - find any available game on the level or create new one
+    quickMatch(socketId, playerData, sessionHandler, levelId = COOPERATIVE_LEVEL_ID) {
+        console.log(`Quick match request from player ${socketId} on ${levelId} with data:`, playerData);
         
         // First try to find an existing waiting session
-        const availableSession = sessionHandler.findAvailableSession();
+        const availableSession = sessionHandler.findAvailableSession(levelId);
         
         if (availableSession) {
             console.log(`Found available session ${availableSession.sessionId} for player ${socketId}`);
@@ -177,7 +187,8 @@ class MatchmakingManager {
         console.log(`No available session found, adding player ${socketId} to matchmaking queue`);
         const matchResult = this.addToQueue(socketId, playerData, { 
             maxPlayers: 2, 
-            gameMode: 'cooperative' 
+            gameMode: 'cooperative',
+            levelId
         });
         
         if (matchResult.success) {
@@ -344,6 +355,7 @@ class MatchmakingManager {
                 skillLevel: preferences.skillLevel || 'beginner',
                 gameMode: preferences.gameMode || 'competitive',
                 region: preferences.region || 'global',
+                levelId: preferences.levelId || COOPERATIVE_LEVEL_ID,
                 priority: true,
                 ...preferences
             },
@@ -1,83 +1,52 @@
 import * as THREE from 'three';
 import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
-import { loadTexture } from './utils/textureLoader.js';
 import { assetManager } from './managers/AssetManager.js';
+import { describeDefenses } from './config/DamageTypes.js';
+import { BEAM_ABILITY_COLORS, BOSS_ABILITY_EFFECTS } from './config/EnemyCatalog.js';
+import { STATUS_EFFECTS, getDominantEffect } from './config/StatusEffects.js';
+import { exposeStateFields } from './utils/stateAccessors.js';
+import { gameClock } from './core/GameClock.js';
 
 // Preload texture (fallback for basic mode)
 const ENEMY_TEX = new THREE.MeshPhongMaterial({ color: 0xff0000 });
 
+/**
+ * UFO mesh, beam, effect ring and debug label for one simulated enemy (see EnemyState).
+ * Single player renders the simulation's enemies; multiplayer builds a standalone state per server enemy.
+ */
 export class Enemy {
-    // Static method to determine enemy type based on wave
-    static getEnemyTypeForWave(wave) {
-        // Alternate between 'ufo-a' and 'ufo-d'
-        return wave % 2 === 0 ? 'ufo-d' : 'ufo-a';
-    }
-
-    constructor(waypoints, wave = 1) {
-        this.originalWaypoints = waypoints;
-        this.waypoints = waypoints;
-        this.currentWaypointIndex = 0;
-        this.wave = wave;
-        
-        // Enhanced scaling based on wave number
-        const baseSpeed = 1.2;
-        const baseHealth = 100;
-        
-        // Exponential scaling for higher waves
-        const speedMultiplier = 1 + (wave - 1) * 0.10; // +10% speed per wave
-        const healthMultiplier = Math.pow(1.25, wave - 1); // Exponential health scaling
-        
-        this.speed = baseSpeed * speedMultiplier;
-        this.baseSpeed = this.speed;
-        this.currentSpeed = this.speed; // Current speed (after turn modulation)
-        this.health = baseHealth * healthMultiplier;
-        this.maxHealth = this.health;
-        
-        // Path following variables
-        this.pathProgress = 0; // Progress along current segment (0-1)
-        this.currentSegmentIndex = 0;
-        this.direction = new THREE.Vector3();
-        this.velocity = new THREE.Vector3();
-        
-        // Collision avoidance
-        this.radius = 0.25; // Collision radius
-        this.minSeparationDistance = 0.6; // Minimum distance from other enemies
-        this.avoidanceForce = new THREE.Vector3();
-        
-        // Turn detection and speed modulation
-        this.upcomingTurnDistance = 3.0; // How far ahead to look for turns
-        this.turnSpeedReduction = 0.8; // Maximum speed reduction at turns (60% reduction)
-        this.minTurnAngle = Math.PI / 12; // Minimum angle (15 degrees) to start slowing
-        this.isNearTurn = false;
-        this.currentTurnAngle = 0;
-        
-        // Status effect tracking
-        this.activeEffects = new Map();
-        this.baseDamageMultiplier = 1.0;
-        
-        // UFO beam system
+    /**
+     * @param {EnemyState} state - The enemy to render
+     */
+    constructor(state) {
+        this.state = state;
+        state.onEvent = (type, detail) => this.onStateEvent(type, detail);
+        
+        // UFO beam visuals (the beam ability itself lives in the state)
         this.beamMesh = null;
         this.beamVisible = false;
         this.lastBeamTime = 0;
-        this.nextBeamTime = Date.now() + (Math.random() * 5000) + 2000; // Random delay 2-7 seconds
-        this.beamDuration = 2000; // Beam shows for 2 seconds
+        this.currentBeamDuration = this.beamDuration; // Boss abilities keep the beam up for as long as they last
         this.isBeamLoaded = false;
+        this.effectIndicator = null; // Ring tinted with the dominant active effect
         
         // Create enemy mesh with UFO model
         this.mesh = new THREE.Group();
         this.mesh.castShadow = true;
+        this.mesh.position.set(state.position.x, state.position.y, state.position.z);
         this.isModelLoaded = false;
         
-        // Load the appropriate UFO model based on wave
-        this.loadUFOModel(wave).then((ufoModel) => {
+        // Load the archetype's UFO model
+        this.loadUFOModel(this.archetype.model).then((ufoModel) => {
             if (ufoModel) {
-                // Keep UFOs at consistent size regardless of wave
+                // Size comes from the archetype, not the wave
+                ufoModel.scale.multiplyScalar(this.size);
                 this.mesh.add(ufoModel);
                 this.isModelLoaded = true;
             }
         }).catch((error) => {
             console.error('Failed to load UFO model, using fallback:', error);
-            this.createFallbackMesh(wave);
+            this.createFallbackMesh();
         });
 
         // Load UFO beam model
@@ -109,289 +78,110 @@ export class Enemy {
         
         // Update debug info initially
         this.updateDebugInfo();
-        
-        // Start at the first waypoint
-        if (waypoints.length > 0) {
-            const startPos = waypoints[0].position || waypoints[0];
-            this.mesh.position.copy(startPos);
-        }
-        
-        this.hasReachedEndFlag = false;
-        
-        this.calculateDirection();
     }
     
-    calculateDirection() {
-        if (this.currentSegmentIndex < this.waypoints.length - 1) {
-            const currentWaypoint = this.waypoints[this.currentSegmentIndex];
-            const nextWaypoint = this.waypoints[this.currentSegmentIndex + 1];
-            
-            const currentPos = currentWaypoint.position || currentWaypoint;
-            const nextPos = nextWaypoint.position || nextWaypoint;
-            
-            this.direction.subVectors(nextPos, currentPos).normalize();
-        }
+    /**
+     * Move the state along its path and redraw (multiplayer, where no simulation ticks the state)
+     * @param {Enemy[]} allEnemies - Neighbours to steer around
+     */
+    update(allEnemies = []) {
+        this.state.update(allEnemies.map(enemy => enemy.state));
+        this.render();
     }
     
-    update(allEnemies = []) {
-        if (this.hasReachedEndFlag || this.currentSegmentIndex >= this.waypoints.length - 1) {
-            return;
-        }
-        
-        // Update status effects
-        this.updateStatusEffects();
-        
-        const deltaTime = 0.016; // Approximately 60 FPS
-        
-        // If stunned, don't move
-        if (this.activeEffects.has('stun')) {
-            return;
-        }
-        
-        // Enhanced turn detection using pathfinding metadata
-        this.updateCurveBasedSpeed();
-        
-        // Calculate collision avoidance forces with curve preservation
-        this.calculateCurveAwareAvoidance(allEnemies);
-        
-        // Update movement using enhanced smooth interpolation
-        this.updateEnhancedMovement(deltaTime);
+    // Redraw from the state; call once per frame
+    render() {
+        const { position } = this.state;
+        this.mesh.position.set(position.x, position.y, position.z);
         
-        // Add UFO rotation animation if model is loaded
+        // Rotate the UFO around Y axis for floating effect
         if (this.isModelLoaded && this.mesh.children.length > 0) {
-            // Rotate the UFO around Y axis for floating effect
             this.mesh.rotation.y += 0.02;
-            // Removed bobbing animation to fix movement issues
         }
         
-        // Update beam system
         this.updateBeamSystem();
-        
-        // Update debug info
+        this.updateEffectIndicator();
         this.updateDebugInfo();
     }
     
-    updateCurveBasedSpeed() {
-        this.isNearTurn = false;
-        this.currentTurnAngle = 0;
-        let curveSpeedModifier = 1.0;
-        
-        // Check current waypoint for curve metadata
-        if (this.currentSegmentIndex < this.waypoints.length) {
-            const currentWaypoint = this.waypoints[this.currentSegmentIndex];
-            
-            // Use pathfinding metadata if available
-            if (currentWaypoint.curvature !== undefined) {
-                // Apply curve-based speed control
-                curveSpeedModifier = currentWaypoint.speedMultiplier || 1.0;
-                this.currentTurnAngle = currentWaypoint.turnAngle || 0;
-                this.isNearTurn = currentWaypoint.isSharpTurn || false;
-            }
-        }
-        
-        // Look ahead for upcoming curves (enhanced prediction)
-        let lookAheadDistance = 0;
-        let checkIndex = this.currentSegmentIndex;
-        const maxLookAhead = this.upcomingTurnDistance;
-        
-        while (checkIndex < this.waypoints.length - 1 && lookAheadDistance < maxLookAhead) {
-            const waypoint = this.waypoints[checkIndex];
-            const nextWaypoint = this.waypoints[checkIndex + 1];
-            
-            const currentPos = waypoint.position || waypoint;
-            const nextPos = nextWaypoint.position || nextWaypoint;
-            
-            const segmentLength = currentPos.distanceTo(nextPos);
-            lookAheadDistance += segmentLength;
-            
-            // Use enhanced curve metadata for prediction
-            if (nextWaypoint.curvature !== undefined && nextWaypoint.curvature > 0.1) {
-                this.isNearTurn = true;
-                this.currentTurnAngle = Math.max(this.currentTurnAngle, nextWaypoint.turnAngle || 0);
-                
-                // Apply distance-based fade for upcoming curves
-                const distanceFactor = Math.max(0.3, 1.0 - (lookAheadDistance / maxLookAhead));
-                const upcomingSpeedModifier = nextWaypoint.speedMultiplier || 1.0;
-                curveSpeedModifier = Math.min(curveSpeedModifier, 
-                    1.0 - (1.0 - upcomingSpeedModifier) * distanceFactor);
+    // Hits, effects, heals and beams reported by the state
+    onStateEvent(type, detail) {
+        switch (type) {
+            case 'damaged':
+                this.showDamageEffect();
+                break;
+            case 'effect':
+                this.showEffectApplication(detail.color);
+                break;
+            case 'healed':
+                this.showEffectApplication(0x44ff88);
+                break;
+            case 'beam':
+                this.showBeam(detail.duration, detail.color);
                 break;
-            }
-            
-            checkIndex++;
         }
-        
-        // Apply the curve-based speed modification
-        this.currentSpeed = this.speed * curveSpeedModifier;
     }
     
-    calculateCurveAwareAvoidance(allEnemies) {
-        this.avoidanceForce.set(0, 0, 0);
-        
-        // Get current movement direction for curve preservation
-        const currentWaypoint = this.waypoints[this.currentSegmentIndex];
-        const nextWaypoint = this.waypoints[Math.min(this.currentSegmentIndex + 1, this.waypoints.length - 1)];
-        
-        const currentPos = currentWaypoint.position || currentWaypoint;
-        const nextPos = nextWaypoint.position || nextWaypoint;
-        const pathDirection = new THREE.Vector3().subVectors(nextPos, currentPos).normalize();
-        
-        for (const otherEnemy of allEnemies) {
-            if (otherEnemy === this || !otherEnemy.isAlive()) continue;
-            
-            const distance = this.mesh.position.distanceTo(otherEnemy.mesh.position);
-            
-            if (distance < this.minSeparationDistance && distance > 0) {
-                // Calculate repulsion force
-                const repulsion = new THREE.Vector3()
-                    .subVectors(this.mesh.position, otherEnemy.mesh.position)
-                    .normalize();
-                
-                // Enhanced force calculation with exponential falloff
-                const forceMagnitude = Math.pow((this.minSeparationDistance - distance) / this.minSeparationDistance, 2);
-                repulsion.multiplyScalar(forceMagnitude * 3.0);
-                
-                // Preserve curve direction by biasing avoidance perpendicular to path
-                const perpendicular = new THREE.Vector3(-pathDirection.z, 0, pathDirection.x);
-                const perpendicularComponent = perpendicular.dot(repulsion);
-                const parallelComponent = pathDirection.dot(repulsion);
-                
-                // Favor perpendicular avoidance to maintain path following
-                repulsion.copy(perpendicular).multiplyScalar(perpendicularComponent * 1.5);
-                repulsion.add(pathDirection.clone().multiplyScalar(parallelComponent * 0.3));
-                
-                // Reduce Y component to keep movement horizontal
-                repulsion.y *= 0.1;
-                
-                this.avoidanceForce.add(repulsion);
-            }
-        }
-        
-        // Limit avoidance force to prevent breaking the curved path
-        const maxAvoidanceForce = 1.0; // Reduced to preserve curves better
-        if (this.avoidanceForce.length() > maxAvoidanceForce) {
-            this.avoidanceForce.normalize().multiplyScalar(maxAvoidanceForce);
-        }
+    // Place the enemy where the server says it is (multiplayer)
+    setPosition(x, y, z) {
+        this.state.setPosition({ x, y, z });
+        this.mesh.position.set(x, y, z);
     }
     
-    updateEnhancedMovement(deltaTime) {
-        if (this.currentSegmentIndex >= this.waypoints.length - 1) {
-            this.hasReachedEndFlag = true;
-            return;
-        }
-        
-        const currentWaypoint = this.waypoints[this.currentSegmentIndex];
-        const nextWaypoint = this.waypoints[this.currentSegmentIndex + 1];
-        
-        const currentPos = currentWaypoint.position || currentWaypoint;
-        const nextPos = nextWaypoint.position || nextWaypoint;
-        
-        // Calculate segment length and direction
-        const segmentDirection = new THREE.Vector3().subVectors(nextPos, currentPos);
-        const segmentLength = segmentDirection.length();
-        segmentDirection.normalize();
-        
-        // Enhanced velocity calculation with curve-aware speed
-        this.velocity.copy(segmentDirection);
-        this.velocity.multiplyScalar(this.currentSpeed);
-        
-        // Apply curve-preserving avoidance force
-        const avoidanceStrength = 0.2; // Reduced to better preserve curves
-        this.velocity.add(this.avoidanceForce.clone().multiplyScalar(avoidanceStrength));
-        
-        // Move along the path
-        const movement = this.velocity.clone().multiplyScalar(deltaTime);
-        this.mesh.position.add(movement);
-        
-        // Enhanced progress calculation with curve support
-        const currentSegmentPos = new THREE.Vector3().subVectors(this.mesh.position, currentPos);
-        this.pathProgress = currentSegmentPos.dot(segmentDirection) / segmentLength;
-        
-        // Check if we've reached the next waypoint with curve tolerance
-        const distanceToNext = this.mesh.position.distanceTo(nextPos);
-        const progressThreshold = Math.max(0.9, 1.0 - (segmentLength * 0.1)); // Dynamic threshold
-        
-        if (this.pathProgress >= progressThreshold || distanceToNext < 0.2) {
-            // Smooth transition to next waypoint with curve correction
-            const targetPos = nextPos.clone();
-            
-            // Minimal avoidance offset that doesn't break curves
-            const avoidanceOffset = this.avoidanceForce.clone().multiplyScalar(0.05);
-            avoidanceOffset.y = 0; // Keep Y level for horizontal avoidance only
-            targetPos.add(avoidanceOffset);
-            
-            // Smooth interpolation to target position
-            const lerpFactor = 0.3; // Smooth transition
-            this.mesh.position.lerp(targetPos, lerpFactor);
-            
-            // Move to next segment when close enough
-            if (distanceToNext < 0.15) {
-                this.currentSegmentIndex++;
-                this.pathProgress = 0;
-                
-                if (this.currentSegmentIndex >= this.waypoints.length - 1) {
-                    this.hasReachedEndFlag = true;
-                } else {
-                    this.calculateDirection();
-                }
-            }
-        }
+    getPosition() {
+        return this.mesh.position;
     }
     
-    updateStatusEffects() {
-        const currentTime = Date.now();
-        let speedModifier = 1.0;
-        this.baseDamageMultiplier = 1.0;
-        
-        // Process all active effects
-        for (const [effect, data] of this.activeEffects.entries()) {
-            if (currentTime >= data.endTime) {
-                this.activeEffects.delete(effect);
-                continue;
-            }
-            
-            // Apply effect modifiers
-            switch (effect) {
-                case 'slow':
-                    speedModifier *= 0.7; // 30% slower
-                    break;
-                case 'weaken':
-                    this.baseDamageMultiplier *= 1.25; // Takes 25% more damage
-                    break;
-                case 'stun':
-                    speedModifier = 0; // Cannot move
-                    break;
-            }
-        }
-        
-        // Update base speed (before turn modifications)
-        this.speed = this.baseSpeed * speedModifier;
+    // Mirror the server's effects without replaying the hit flash
+    syncStatusEffects(statusEffects = {}) {
+        this.state.syncStatusEffects(statusEffects);
+        this.updateEffectIndicator();
     }
     
-    applyEffect(effectType, duration) {
-        const currentTime = Date.now();
-        
-        // Define effect
-        let effect = {
-            endTime: currentTime + duration,
-            lastTickTime: currentTime
-        };
-        
-        switch (effectType) {
-            case 'slow':
-            case 'weaken':
-            case 'stun':
-                this.activeEffects.set(effectType, effect);
-                break;
+    isAlive() {
+        return this.state.isAlive();
+    }
+    
+    hasReachedEnd() {
+        return this.state.hasReachedEnd();
+    }
+    
+    getPathProgress() {
+        return this.state.getPathProgress();
+    }
+    
+    getBossPhaseName() {
+        return this.state.getBossPhaseName();
+    }
+    
+    // Ground ring showing the strongest active effect (see STATUS_EFFECT_PRIORITY)
+    updateEffectIndicator() {
+        const dominantEffect = getDominantEffect(this.activeEffects.keys());
+        
+        if (!dominantEffect) {
+            if (this.effectIndicator) this.effectIndicator.visible = false;
+            return;
         }
         
-        // Show visual effect
-        this.showEffectApplication();
+        if (!this.effectIndicator) {
+            const ringGeometry = new THREE.RingGeometry(this.radius * 1.4, this.radius * 1.8, 24);
+            const ringMaterial = new THREE.MeshBasicMaterial({
+                transparent: true,
+                opacity: 0.7,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            this.effectIndicator = new THREE.Mesh(ringGeometry, ringMaterial);
+            this.effectIndicator.rotation.x = -Math.PI / 2;
+            this.effectIndicator.position.y = 0.02;
+            this.mesh.add(this.effectIndicator);
+        }
         
-        // Update debug info
-        this.updateDebugInfo();
+        this.effectIndicator.material.color.setHex(STATUS_EFFECTS[dominantEffect].color);
+        this.effectIndicator.visible = true;
     }
     
-    showEffectApplication() {
+    showEffectApplication(color = 0xffffff) {
         // Create a quick flash effect
         const flashGeometry = new THREE.SphereGeometry(
             this.radius * 1.5,
@@ -399,7 +189,7 @@ export class Enemy {
             6
         );
         const flashMaterial = new THREE.MeshBasicMaterial({
-            color: 0xffffff,
+            color,
             transparent: true,
             opacity: 0.8
         });
@@ -409,59 +199,40 @@ export class Enemy {
         
         // Animate the flash
         const duration = 300; // ms
-        const startTime = Date.now();
+        const startTime = gameClock.now();
         
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+        gameClock.animate((delta, time) => {
+            const progress = Math.min((time - startTime) / duration, 1);
             
             flash.material.opacity = 0.8 * (1 - progress);
             flash.scale.setScalar(1 + progress * 0.5);
             
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                this.mesh.remove(flash);
-            }
-        };
-        
-        animate();
-    }
-    
-    takeDamage(damage) {
-        const actualDamage = damage * this.baseDamageMultiplier;
-        this.health -= actualDamage;
-        
-        if (this.health < 0) {
-            this.health = 0;
-        }
+            if (progress < 1) return true;
 
-        // Update debug info after damage
-        this.updateDebugInfo();
-        
-        // Visual feedback for damage
-        this.showDamageEffect();
-        
-        return this.health <= 0;
-    }
-    
-    hasReachedEnd() {
-        return this.hasReachedEndFlag;
-    }
-    
-    getPosition() {
-        return this.mesh.position;
+            this.mesh.remove(flash);
+            return false;
+        });
     }
     
-    isAlive() {
-        return this.health > 0;
+    // Show the beam for phases the server triggered (effects and minions arrive through state sync)
+    syncBossPhase(phaseCount = 0) {
+        if (!this.boss) return;
+
+        while (this.bossPhase < phaseCount) {
+            const phase = this.boss.phases[this.bossPhase];
+            const effectType = BOSS_ABILITY_EFFECTS[phase.ability];
+            this.showBeam(phase.duration || this.beamDuration, effectType ? STATUS_EFFECTS[effectType].color : 0x00ffff);
+            this.bossPhase++;
+        }
     }
 
     updateDebugInfo() {
         if (!this.debugLabel) return;
         
         const healthPercent = Math.round((this.health / this.maxHealth) * 100);
-        let statusEffects = Array.from(this.activeEffects.keys()).join(', ');
+        let statusEffects = Array.from(this.activeEffects.entries())
+            .map(([effect, data]) => data.stacks > 1 ? `${effect} x${data.stacks}` : effect)
+            .join(', ');
         let effectsText = statusEffects ? `Effects: ${statusEffects}` : '';
         
         // Enhanced curve and speed information
@@ -486,8 +257,9 @@ export class Enemy {
         let turnText = this.isNearTurn ? `Turn: ${turnAngleDegrees}°` : '';
         
         this.debugLabel.element.innerHTML = `
-            Wave ${this.wave}<br>
+            ${this.archetype.name}${this.flying ? ' (flying)' : ''} · Wave ${this.wave}<br>
             HP: ${healthPercent}%<br>
+            ${describeDefenses(this.defenses)}<br>
             Speed: ${baseSpeedPercent}%<br>
             ${speedMultiplierText ? speedMultiplierText + '<br>' : ''}
             ${curvatureText ? curvatureText + '<br>' : ''}
@@ -532,6 +304,7 @@ export class Enemy {
         
         // Clear all status effects
         this.activeEffects.clear();
+        this.effectIndicator = null; // Disposed with the other children above
         
         // Clean up beam
         if (this.beamMesh) {
@@ -540,9 +313,9 @@ export class Enemy {
         }
     }
     
-    async loadUFOModel(wave) {
+    async loadUFOModel(modelKey) {
         try {
-            const ufoModel = await assetManager.getEnemyModel(wave);
+            const ufoModel = await assetManager.getEnemyModel(modelKey);
             if (ufoModel) {
                 // Keep enemies on default layer (0) for bright light
                 ufoModel.traverse((child) => {
@@ -560,7 +333,7 @@ export class Enemy {
                 return ufoModel;
             }
         } catch (error) {
-            console.error('Failed to load UFO model for wave', wave, ':', error);
+            console.error('Failed to load UFO model', modelKey, ':', error);
             return null;
         }
     }
@@ -610,15 +383,10 @@ export class Enemy {
     updateBeamSystem() {
         if (!this.isBeamLoaded || !this.beamMesh) return;
         
-        const currentTime = Date.now();
-        
-        // Check if it's time to show the beam
-        if (!this.beamVisible && currentTime >= this.nextBeamTime) {
-            this.showBeam();
-        }
+        const currentTime = this.state.clock.now(); // Game time, so beams freeze with the game
         
         // Check if it's time to hide the beam
-        if (this.beamVisible && currentTime >= this.lastBeamTime + this.beamDuration) {
+        if (this.beamVisible && currentTime >= this.lastBeamTime + this.currentBeamDuration) {
             this.hideBeam();
         }
         
@@ -648,14 +416,56 @@ export class Enemy {
         }
     }
 
-    showBeam() {
+    // Show the beam for beams the server fired (their effects arrive through state sync)
+    syncBeams(beamCount = 0) {
+        if (!this.beam || beamCount <= this.beamCount) return;
+        
+        this.showBeam(this.beamDuration, BEAM_ABILITY_COLORS[this.beam.ability]);
+        this.beamCount = beamCount;
+    }
+    
+    /**
+     * Hang a lifted maze block under the UFO. Restoring the shape re-parents the mesh back into the maze;
+     * a block that is never recovered is disposed along with the UFO in cleanup.
+     * @param {THREE.Object3D|null} blockMesh - The lifted shape's mesh
+     */
+    carryBlock(blockMesh) {
+        if (blockMesh) {
+            blockMesh.position.set(0, -0.7, 0);
+            blockMesh.scale.setScalar(0.35);
+            this.mesh.add(blockMesh);
+        }
+    }
+
+    // Let go of the carried block's mesh so the maze can put it back
+    dropBlock() {
+        const blockMesh = this.liftedBlock?.mesh;
+        if (blockMesh) {
+            this.mesh.remove(blockMesh);
+            blockMesh.scale.setScalar(1);
+        }
+    }
+
+    /**
+     * @param {number} duration - ms the beam stays up
+     * @param {number|null} color - Tint for the beam's glow (null keeps the current one)
+     */
+    showBeam(duration = this.beamDuration, color = null) {
         if (this.beamMesh) {
             this.beamMesh.visible = true;
             this.beamVisible = true;
-            this.lastBeamTime = Date.now();
+            this.lastBeamTime = this.state.clock.now();
+            this.currentBeamDuration = duration;
+            
+            if (color !== null) {
+                this.beamMesh.traverse((child) => {
+                    if (child.isMesh) {
+                        const materials = Array.isArray(child.material) ? child.material : [child.material];
+                        materials.forEach(mat => mat.emissive && mat.emissive.setHex(color));
+                    }
+                });
+            }
             
-            // Schedule next beam appearance (random 3-7 seconds after this beam ends)
-            this.nextBeamTime = this.lastBeamTime + this.beamDuration + (Math.random() * 4000) + 3000;
         }
     }
 
@@ -696,11 +506,11 @@ export class Enemy {
         return material;
     }
     
-    createFallbackMesh(wave) {
+    createFallbackMesh() {
         // Create fallback sphere geometry if 3D model loading fails
         console.warn('Using fallback geometry for enemy');
         
-        // Consistent size across all waves
+        // Collision radius already includes the archetype size
         const size = this.radius;
         
         const geometry = new THREE.SphereGeometry(size, 8, 6);
@@ -750,4 +560,12 @@ export class Enemy {
             }
         });
     }
-} 
\ No newline at end of file
+}
+
+// Simulated fields the UI and multiplayer sync read and write on the view
+exposeStateFields(Enemy, [
+    'id', 'archetype', 'type', 'flying', 'wave', 'waypoints', 'size', 'radius', 'reward', 'leakDamage',
+    'health', 'maxHealth', 'speed', 'baseSpeed', 'currentSpeed', 'stealth', 'defenses', 'activeEffects',
+    'killedBy', 'currentSegmentIndex', 'currentWaypointIndex', 'pathProgress', 'isNearTurn', 'currentTurnAngle',
+    'boss', 'bossPhase', 'beam', 'beamCount', 'beamDuration', 'liftedBlock'
+]);
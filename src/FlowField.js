@@ -0,0 +1,167 @@
+// Flow field towards the exits: every reachable grid cell knows its distance to the nearest exit and the
+// next cell on the way, so any enemy can be routed from wherever it stands without another A* search.
+// Built once per maze/tower change and shared like Pathfinding.js.
+
+// Same step costs as the A* in Pathfinding.findPath (plus the terrain's climbing cost)
+const STRAIGHT_COST = 1;
+const DIAGONAL_COST = 1.4;
+
+// Fields a route finder keeps: the board as it is plus the placements being tried against it (previews, checks)
+const CACHED_FIELDS = 4;
+
+function cellKey(x, z) {
+    return `${x},${z}`;
+}
+
+export class FlowField {
+    /**
+     * @param {Pathfinding} pathfinding - Grid rules (bounds, blocking, corner cutting) and path smoothing
+     * @param {Array<{x: number, z: number}>} exits - Exit cells; every route leads to the nearest one
+     * @param {Array<{x: number, z: number}>} obstacles - Blocked cell centres
+     * @param {number} yCoordinate - Height of every waypoint
+     */
+    constructor(pathfinding, exits, obstacles, yCoordinate = 0.1) {
+        this.pathfinding = pathfinding;
+        this.exits = exits.map(exit => ({ x: exit.x, z: exit.z }));
+        this.obstacles = obstacles;
+        this.yCoordinate = yCoordinate;
+        this.cells = new Map(); // "x,z" -> { x, z, distance, next }
+        this.paths = new Map(); // Smoothed routes already asked for, by start position
+
+        this.build();
+    }
+
+    // Dijkstra outwards from every exit at once; moves are symmetric, so each cell's parent is its next step
+    build() {
+        const { pathfinding, obstacles } = this;
+
+        const open = new Map();
+        for (const exit of this.exits) {
+            if (pathfinding.isBlocked(exit.x, exit.z, obstacles)) continue;
+            open.set(cellKey(exit.x, exit.z), { x: exit.x, z: exit.z, distance: 0, next: null });
+        }
+
+        while (open.size > 0) {
+            // Take the open cell closest to an exit
+            let current = null;
+            for (const cell of open.values()) {
+                if (!current || cell.distance < current.distance) {
+                    current = cell;
+                }
+            }
+            open.delete(cellKey(current.x, current.z));
+            this.cells.set(cellKey(current.x, current.z), current);
+
+            for (const neighbor of pathfinding.getNeighbors(current, obstacles)) {
+                const key = cellKey(neighbor.x, neighbor.z);
+                if (this.cells.has(key)) continue;
+
+                const isDiagonal = neighbor.x !== current.x && neighbor.z !== current.z;
+                const distance = current.distance + (isDiagonal ? DIAGONAL_COST : STRAIGHT_COST) +
+                    pathfinding.terrain.getClimbCost(current, neighbor);
+                const existing = open.get(key);
+                if (!existing || distance < existing.distance) {
+                    open.set(key, { x: neighbor.x, z: neighbor.z, distance, next: current });
+                }
+            }
+        }
+    }
+
+    /**
+     * The reachable cell to route from for a position, or null when it is walled in. A grid point
+     * (a spawn) has to be reachable itself, as with A*; positions between cells (an enemy mid-step)
+     * take the neighbouring cell with the shortest way out.
+     */
+    getCell(position) {
+        if (Number.isInteger(position.x) && Number.isInteger(position.z)) {
+            return this.cells.get(cellKey(position.x, position.z)) || null;
+        }
+
+        let best = null;
+        let bestCost = Infinity;
+        const baseX = Math.round(position.x);
+        const baseZ = Math.round(position.z);
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const cell = this.cells.get(cellKey(baseX + dx, baseZ + dz));
+                if (!cell) continue;
+
+                const cost = Math.hypot(cell.x - position.x, cell.z - position.z) + cell.distance;
+                if (cost < bestCost) {
+                    best = cell;
+                    bestCost = cost;
+                }
+            }
+        }
+        return best;
+    }
+
+    hasRouteFrom(position) {
+        return this.getCell(position) !== null;
+    }
+
+    // Route length to the nearest exit in grid steps, or Infinity without one
+    getDistance(position) {
+        const cell = this.getCell(position);
+        return cell ? cell.distance : Infinity;
+    }
+
+    /**
+     * Smoothed waypoints from a position to the nearest exit, in the same format as Pathfinding.findPath
+     * @returns {Array<Object>|null} Null when there is no way out from there
+     */
+    pathFrom(position) {
+        const key = cellKey(position.x, position.z);
+        if (this.paths.has(key)) return this.paths.get(key);
+
+        const start = this.getCell(position);
+        let path = null;
+        if (start) {
+            const cells = [];
+            // Off-grid positions (enemies mid-step) head for their cell from where they stand
+            if (start.x !== position.x || start.z !== position.z) {
+                cells.push({ x: position.x, z: position.z });
+            }
+            for (let cell = start; cell; cell = cell.next) {
+                cells.push({ x: cell.x, z: cell.z });
+            }
+            path = this.pathfinding.toWaypoints(cells, this.obstacles, this.yCoordinate);
+        }
+
+        this.paths.set(key, path);
+        return path;
+    }
+}
+
+/**
+ * A findPath(obstacles, from) for a map's spawns and exits that keeps the last few flow fields and only
+ * builds a new one for obstacles it hasn't seen, so spawns, reroutes and per-frame path previews stay cheap.
+ * Given no position it routes from the first spawn, and returns null when the obstacles cut any spawn off
+ * from every exit, so it doubles as the maze check.
+ * @param {Object} options
+ * @param {Pathfinding} options.pathfinding
+ * @param {Array<{x: number, z: number}>} options.spawns - Every one of them needs a way out
+ * @param {Array<{x: number, z: number}>} options.exits - Routes lead to the nearest one
+ * @param {number} options.yCoordinate - Height of every waypoint
+ */
+export function createRouteFinder({ pathfinding, spawns, exits, yCoordinate = 0.1 }) {
+    const fields = new Map(); // Obstacle key -> FlowField, oldest first
+
+    return (obstacles, from = null) => {
+        const key = obstacles.map(obstacle => cellKey(obstacle.x, obstacle.z)).join(';');
+        let field = fields.get(key);
+        if (field) {
+            fields.delete(key); // Re-added below as the newest
+        } else {
+            field = new FlowField(pathfinding, exits, obstacles, yCoordinate);
+            if (fields.size >= CACHED_FIELDS) {
+                fields.delete(fields.keys().next().value);
+            }
+        }
+        fields.set(key, field);
+
+        if (from) return field.pathFrom(from);
+        if (!spawns.every(spawn => field.hasRouteFrom(spawn))) return null;
+        return field.pathFrom(spawns[0]);
+    };
+}
@@ -1,27 +1,12 @@
-export class GameState {
-    constructor() {
-        this.money = 100;
-        this.score = 0;
-        this.wave = 1;
-        this.enemiesCount = 0;
-        this.maxEnemies = 10;
-        // Add health system
-        this.health = 100;
-        this.maxHealth = 100;
-        // NEW: Track how many enemies have been spawned in the current wave
-        this.enemiesSpawned = 0;
-        // NEW: Delay between waves (milliseconds)
-        this.waveDelay = 10000; // 10 seconds
-        this.waveCooldownEnd = 0; // Timestamp until which spawning is paused
-        this.firstWaveStarted = false; // Track if first wave has started
-        
-        // Game phases: 'MAZE_BUILDING' or 'DEFENSE'
-        this.currentPhase = 'MAZE_BUILDING';
-        this.mazeCompleted = false;
-        
-        // Track when to give new shapes
-        this.lastShapeWave = 0;
-        this.wavesPerShape = 5; // Set back to 5 waves per shape
+import { SimulationState } from './simulation/SimulationState.js';
+
+// The single player economy and waves (see SimulationState) wired to the HUD and DOM events
+export class GameState extends SimulationState {
+    /**
+     * @param {WaveScript} [waveScript] - The level's waves
+     */
+    constructor(waveScript) {
+        super(waveScript);
         
         // DOM element references
         this.moneyElement = document.getElementById('money');
@@ -34,126 +19,18 @@ export class GameState {
         this.updateHUD();
     }
     
-    addMoney(amount) {
-        this.money += amount;
-        this.updateHUD();
-        // Dispatch money update event
-        document.dispatchEvent(new CustomEvent('moneyUpdated', { detail: { money: this.money } }));
-    }
-    
-    spendMoney(amount) {
-        if (this.money >= amount) {
-            this.money -= amount;
-            this.updateHUD();
-            // Dispatch money update event
-            document.dispatchEvent(new CustomEvent('moneyUpdated', { detail: { money: this.money } }));
-            return true;
-        }
-        return false;
-    }
-    
-    addScore(points) {
-        this.score += points;
-        this.updateHUD();
-    }
-    
-    addEnemy() {
-        this.enemiesCount++;
-        // NEW: Increment how many enemies have been spawned this wave
-        this.enemiesSpawned++;
-        this.updateHUD();
-    }
-    
-    removeEnemy() {
-        this.enemiesCount--;
-        if (this.enemiesCount <= 0) {
-            this.wave++;
-            this.enemiesCount = 0;
-            this.maxEnemies = Math.floor(this.maxEnemies * 1.2); // 20% more enemies each wave
-            // NEW: Reset spawned counter for the new wave
-            this.enemiesSpawned = 0;
-            
-            // Check if we should give a new shape
-            const shouldGiveShape = this.shouldGiveNewShape();
-            
-            if (shouldGiveShape) {
-                // At level 5 (and multiples of 5), skip the countdown and go directly to building phase
-                this.lastShapeWave = this.wave;
-                this.resetToMazeBuildingPhase();
-                console.log(`Wave ${this.wave}: Skipping countdown for shape wave - immediate building phase transition`);
-            } else {
-                // For regular waves, use the normal countdown
-                this.waveCooldownEnd = Date.now() + this.waveDelay;
-                console.log(`Wave ${this.wave}: Starting ${this.waveDelay/1000}s countdown before next wave`);
-            }
-            
-            this.addMoney(50); // Wave completion bonus
-            this.addScore(500);
-        }
+    onChanged() {
         this.updateHUD();
     }
     
-    getWave() {
-        return this.wave;
-    }
-    
-    getMoney() {
-        return this.money;
-    }
-    
-    getScore() {
-        return this.score;
-    }
-    
-    getEnemiesCount() {
-        return this.enemiesCount;
-    }
-    
-    getMaxEnemies() {
-        return this.maxEnemies;
-    }
-
-    // NEW: Returns true if still in cooldown period after a wave
-    isWaveCoolingDown() {
-        return Date.now() < this.waveCooldownEnd;
-    }
-
-    // Add getter for wave cooldown end time
-    getWaveCooldownEnd() {
-        return this.waveCooldownEnd;
-    }
-
-    // NEW: Returns true if we can spawn an enemy (spawn limit + cooldown)
-    canSpawnMore() {
-        // Don't spawn enemies until the first wave countdown is complete
-        if (!this.firstWaveStarted || this.isWaveCoolingDown()) {
-            return false;
-        }
-        return this.enemiesSpawned < this.maxEnemies;
+    onMoneyChanged() {
+        // Dispatch money update event
+        document.dispatchEvent(new CustomEvent('moneyUpdated', { detail: { money: this.money } }));
     }
     
-    canAfford(cost) {
-        return this.money >= cost;
-    }
-
-    // Add health-related methods
-    getHealth() {
-        return this.health;
-    }
-
-    getMaxHealth() {
-        return this.maxHealth;
-    }
-
-    loseHealth(amount) {
-        this.health = Math.max(0, this.health - amount);
-        this.updateHUD();
-        return this.health <= 0; // Return true if player died
-    }
-
-    healHealth(amount) {
-        this.health = Math.min(this.maxHealth, this.health + amount);
-        this.updateHUD();
+    onPhaseChanged(phase) {
+        // Dispatch phase change event
+        document.dispatchEvent(new CustomEvent('phaseChanged', { detail: phase }));
     }
     
     updateHUD() {
@@ -181,88 +58,4 @@ export class GameState {
             phaseElement.textContent = this.currentPhase === 'MAZE_BUILDING' ? 'Build Maze' : 'Defense';
         }
     }
-
-    // Phase management methods
-    getCurrentPhase() {
-        return this.currentPhase;
-    }
-
-    isMazeBuilding() {
-        return this.currentPhase === 'MAZE_BUILDING';
-    }
-
-    isDefensePhase() {
-        return this.currentPhase === 'DEFENSE';
-    }
-
-    startDefensePhase() {
-        this.currentPhase = 'DEFENSE';
-        this.mazeCompleted = true;
-        this.updateHUD();
-        
-        // Dispatch phase change event
-        document.dispatchEvent(new CustomEvent('phaseChanged', { detail: 'DEFENSE' }));
-        console.log('Defense phase started!');
-    }
-
-    resetToMazeBuildingPhase() {
-        this.currentPhase = 'MAZE_BUILDING';
-        this.mazeCompleted = false;
-        this.updateHUD();
-        
-        // Dispatch phase change event
-        document.dispatchEvent(new CustomEvent('phaseChanged', { detail: 'MAZE_BUILDING' }));
-    }
-    
-    // Save game state
-    save() {
-        const saveData = {
-            money: this.money,
-            score: this.score,
-            wave: this.wave,
-            enemiesCount: this.enemiesCount,
-            maxEnemies: this.maxEnemies,
-            health: this.health,
-            maxHealth: this.maxHealth,
-            // NEW: Persist enemiesSpawned so reloading mid-wave keeps correct state
-            enemiesSpawned: this.enemiesSpawned,
-            // NEW: Persist waveCooldownEnd for mid-wave delays
-            waveCooldownEnd: this.waveCooldownEnd,
-            firstWaveStarted: this.firstWaveStarted
-        };
-        
-        localStorage.setItem('towerDefenseGameState', JSON.stringify(saveData));
-    }
-    
-    // Load game state
-    load() {
-        const savedData = localStorage.getItem('towerDefenseGameState');
-        if (savedData) {
-            const data = JSON.parse(savedData);
-            this.money = data.money;
-            this.score = data.score;
-            this.wave = data.wave;
-            this.enemiesCount = data.enemiesCount;
-            this.maxEnemies = data.maxEnemies;
-            this.health = data.health || this.maxHealth; // Default to max health if not saved
-            this.maxHealth = data.maxHealth || this.maxHealth;
-            // NEW: Restore enemiesSpawned (fallback to 0 for old saves)
-            this.enemiesSpawned = data.enemiesSpawned || 0;
-            // NEW: Restore cooldown timer
-            this.waveCooldownEnd = data.waveCooldownEnd || 0;
-            this.firstWaveStarted = data.firstWaveStarted || false;
-            this.updateHUD();
-        }
-    }
-
-    shouldGiveNewShape() {
-        // Give a new shape every 5 waves
-        return this.wave > this.lastShapeWave && this.wave % this.wavesPerShape === 0;
-    }
-
-    startFirstWaveCountdown() {
-        // Set the cooldown for the first wave
-        this.waveCooldownEnd = Date.now() + this.waveDelay;
-        this.firstWaveStarted = true;
-    }
-} 
\ No newline at end of file
+}
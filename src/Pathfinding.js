@@ -1,4 +1,10 @@
-import * as THREE from 'three';
+// Grid A* for enemy routes, shared by the browser game, the server and the Node scripts, so every
+// side computes the same route for the same maze.
+//
+// findPath returns waypoints as plain objects: { x, y, z, turnAngle, isSharpTurn }. On raised terrain
+// a waypoint's y is lifted by the ground's level, so enemies climb the ramps between terraces.
+import { add, dot, length, normalize, scale, subtract, vector } from './simulation/vectors.js';
+import { FLAT_TERRAIN, TERRACE_HEIGHT } from './config/Terrain.js';
 
 class Node {
     constructor(x, z, g = 0, h = 0) {
@@ -20,8 +26,13 @@ class Node {
 }
 
 export class Pathfinding {
-    constructor(gridSize = 20) {
+    /**
+     * @param {number} gridSize
+     * @param {Terrain} terrain - The level's terrain; climbing costs extra and lifts the waypoints
+     */
+    constructor(gridSize = 20, terrain = FLAT_TERRAIN) {
         this.gridSize = gridSize;
+        this.terrain = terrain;
         this.nodeSize = 1; // Size of each grid cell
         this.directions = [
             { x: 1, z: 0 },   // right
@@ -107,7 +118,14 @@ export class Pathfinding {
         return neighbors;
     }
 
-    // Find path using A* algorithm
+    /**
+     * Find path using A* algorithm
+     * @param {{x: number, z: number}} start
+     * @param {{x: number, z: number}} end
+     * @param {Array<{x: number, z: number}>} obstacles - Blocked cell centres
+     * @param {number} yCoordinate - Height of every waypoint
+     * @returns {Array<Object>|null} Smoothed waypoints, or null when the obstacles leave no route
+     */
     findPath(start, end, obstacles, yCoordinate = 0.1) {
         // Store obstacles and y-coordinate for path reconstruction
         this.currentObstacles = obstacles;
@@ -157,7 +175,8 @@ export class Pathfinding {
                 
                 // Calculate g cost (cost from start to neighbor through current)
                 const gCost = current.g + ((neighbor.x - current.x !== 0 && 
-                                          neighbor.z - current.z !== 0) ? 1.4 : 1);
+                                          neighbor.z - current.z !== 0) ? 1.4 : 1) +
+                              this.terrain.getClimbCost(current, neighbor);
                 
                 const existingNeighbor = openSet.get(neighbor.toString());
                 
@@ -181,17 +200,29 @@ export class Pathfinding {
 
     // Reconstruct path from end node
     reconstructPath(endNode) {
-        const rawPath = [];
+        const cells = [];
         let current = endNode;
         
         while (current) {
-            // Center waypoints in grid cells instead of placing on grid intersections
-            rawPath.unshift(new THREE.Vector3(current.x, this.yCoordinate || 0.1, current.z));
+            cells.unshift({ x: current.x, z: current.z });
             current = current.parent;
         }
         
+        return this.toWaypoints(cells, this.currentObstacles, this.yCoordinate);
+    }
+
+    /**
+     * Smooth a run of grid cells into waypoints with turn angles (A* and flow field routes alike)
+     * @param {Array<{x: number, z: number}>} cells - Route from start to end
+     * @param {Array<{x: number, z: number}>} obstacles
+     * @param {number} yCoordinate - Height of every waypoint above the ground it's on
+     */
+    toWaypoints(cells, obstacles, yCoordinate) {
+        // Center waypoints in grid cells instead of placing on grid intersections
+        const rawPath = cells.map(cell => vector(cell.x, yCoordinate + this.terrain.getHeightAt(cell.x, cell.z) * TERRACE_HEIGHT, cell.z));
+        
         // Create smooth curved path
-        const smoothedPath = this.createSmoothPath(rawPath, this.currentObstacles);
+        const smoothedPath = this.createSmoothPath(rawPath, obstacles);
         
         // Add turn angle information to each waypoint
         return this.addTurnAngles(smoothedPath);
@@ -208,7 +239,7 @@ export class Pathfinding {
         const smoothPath = [];
         
         for (let i = 0; i < simplifiedPath.length; i++) {
-            smoothPath.push(simplifiedPath[i].clone());
+            smoothPath.push({ ...simplifiedPath[i] });
             
             // Add curve points between waypoints (except for the last one)
             if (i < simplifiedPath.length - 1) {
@@ -250,21 +281,19 @@ export class Pathfinding {
         return simplified;
     }
 
-    // Check if there's a clear line of sight between two points
+    // Check if there's a clear line of sight between two points (on one terrain level: shortcuts don't skip ramps)
     hasLineOfSight(start, end, obstacles) {
-        const direction = new THREE.Vector3().subVectors(end, start);
-        const distance = direction.length();
-        direction.normalize();
+        const level = this.terrain.getHeightAt(start.x, start.z);
+        const offset = subtract(end, start);
+        const distance = length(offset);
+        const direction = normalize(offset);
         
         // Sample points along the line
         const samples = Math.ceil(distance * 4); // More samples for better accuracy
         
         for (let i = 1; i < samples; i++) {
             const t = i / samples;
-            const samplePoint = new THREE.Vector3().addVectors(
-                start, 
-                direction.clone().multiplyScalar(distance * t)
-            );
+            const samplePoint = add(start, scale(direction, distance * t));
             
             // Check if sample point or its surroundings are blocked
             const checkRadius = 0.3; // Safety margin around the path
@@ -282,9 +311,12 @@ export class Pathfinding {
                     return false;
                 }
             }
+            if (this.terrain.getHeightAt(samplePoint.x, samplePoint.z) !== level) {
+                return false;
+            }
         }
         
-        return true;
+        return this.terrain.getHeightAt(end.x, end.z) === level;
     }
 
     // Create smooth curve points between two waypoints
@@ -296,24 +328,18 @@ export class Pathfinding {
         let nextDirection = null;
         
         if (index > 0) {
-            prevDirection = new THREE.Vector3()
-                .subVectors(current, fullPath[index - 1])
-                .normalize();
+            prevDirection = normalize(subtract(current, fullPath[index - 1]));
         }
         
         if (index < fullPath.length - 2) {
-            nextDirection = new THREE.Vector3()
-                .subVectors(fullPath[index + 2], next)
-                .normalize();
+            nextDirection = normalize(subtract(fullPath[index + 2], next));
         }
         
-        const currentDirection = new THREE.Vector3()
-            .subVectors(next, current)
-            .normalize();
+        const currentDirection = normalize(subtract(next, current));
         
         // If this is a significant turn, add curve points
         const isSignificantTurn = prevDirection && 
-            Math.abs(prevDirection.dot(currentDirection)) < 0.9; // Angle > ~25 degrees
+            Math.abs(dot(prevDirection, currentDirection)) < 0.9; // Angle > ~25 degrees
         
         if (isSignificantTurn) {
             // Create a smooth curve using quadratic bezier
@@ -327,9 +353,7 @@ export class Pathfinding {
             }
         } else {
             // For straight sections, add fewer intermediate points
-            const midPoint = new THREE.Vector3()
-                .addVectors(current, next)
-                .multiplyScalar(0.5);
+            const midPoint = scale(add(current, next), 0.5);
             curvePoints.push(midPoint);
         }
         
@@ -338,13 +362,12 @@ export class Pathfinding {
 
     // Calculate control point for bezier curve
     calculateControlPoint(start, end, incomingDirection) {
-        const midPoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+        const midPoint = scale(add(start, end), 0.5);
         
         if (incomingDirection) {
             // Offset the control point to create a natural curve
-            const perpendicular = new THREE.Vector3(-incomingDirection.z, 0, incomingDirection.x);
-            const offset = perpendicular.multiplyScalar(0.3); // Curve intensity
-            midPoint.add(offset);
+            const perpendicular = vector(-incomingDirection.z, 0, incomingDirection.x);
+            return add(midPoint, scale(perpendicular, 0.3)); // Curve intensity
         }
         
         return midPoint;
@@ -353,22 +376,20 @@ export class Pathfinding {
     // Quadratic bezier interpolation
     quadraticBezier(p0, p1, p2, t) {
         const oneMinusT = 1 - t;
-        return new THREE.Vector3(
+        return vector(
             oneMinusT * oneMinusT * p0.x + 2 * oneMinusT * t * p1.x + t * t * p2.x,
-            0.1, // Keep Y constant
+            p0.y + (p2.y - p0.y) * t, // Level along the path, rising evenly on a ramp
             oneMinusT * oneMinusT * p0.z + 2 * oneMinusT * t * p1.z + t * t * p2.z
         );
     }
 
     // Add turn angle information to waypoints for speed modulation
     addTurnAngles(path) {
-        if (path.length <= 2) return path;
-        
         const pathWithAngles = [];
         
         for (let i = 0; i < path.length; i++) {
             const waypoint = {
-                position: path[i].clone(),
+                ...path[i],
                 turnAngle: 0,
                 isSharpTurn: false
             };
@@ -379,11 +400,11 @@ export class Pathfinding {
                 const current = path[i];
                 const next = path[i + 1];
                 
-                const dir1 = new THREE.Vector3().subVectors(current, prev).normalize();
-                const dir2 = new THREE.Vector3().subVectors(next, current).normalize();
+                const dir1 = normalize(subtract(current, prev));
+                const dir2 = normalize(subtract(next, current));
                 
                 // Calculate the angle between directions
-                const dotProduct = dir1.dot(dir2);
+                const dotProduct = dot(dir1, dir2);
                 const angle = Math.acos(Math.max(-1, Math.min(1, dotProduct)));
                 
                 waypoint.turnAngle = angle;
@@ -395,4 +416,31 @@ export class Pathfinding {
         
         return pathWithAngles;
     }
-} 
\ No newline at end of file
+} 
+
+// Distance along a route's waypoints
+export function getPathLength(path) {
+    let total = 0;
+    for (let i = 1; i < path.length; i++) {
+        total += Math.hypot(path[i].x - path[i - 1].x, path[i].z - path[i - 1].z);
+    }
+    return total;
+}
+
+/**
+ * What blocking some more cells would do to the route, for placement previews
+ * @param {function(Array<{x: number, z: number}>): (Array|null)} findPath - Route around the given obstacles
+ * @param {Array<{x: number, z: number}>} obstacles - The board as it is
+ * @param {Array<{x: number, z: number}>} cells - Cells the placement would block
+ * @returns {{path: (Array|null), blocked: boolean, lengthChange: number}} The new route, whether the placement
+ *          leaves no route at all, and how much longer the route gets (negative when it gets shorter)
+ */
+export function previewBlockedCells(findPath, obstacles, cells) {
+    const current = findPath(obstacles);
+    const path = findPath([...obstacles, ...cells]);
+    return {
+        path,
+        blocked: !path,
+        lengthChange: path && current ? getPathLength(path) - getPathLength(current) : 0
+    };
+}
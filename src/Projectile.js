@@ -1,23 +1,25 @@
 import * as THREE from 'three';
 import { assetManager } from './managers/AssetManager.js';
+import { gameClock } from './core/GameClock.js';
 
+// Renders a ProjectileState: model, trail and orientation. Flight, hits, splash and pierce live in the
+// state (src/simulation/ProjectileState.js), which the Simulation advances.
 export class Projectile {
-    constructor(startPosition, target, damage, splashRadius = 0, towerType = 'basic') {
-        this.target = target;
-        this.damage = damage;
-        this.splashRadius = splashRadius;
-        this.towerType = towerType;
-        this.speed = 8.0; // units per second
-        this.maxDistance = 15.0; // Maximum travel distance before removal
-        this.traveledDistance = 0;
+    /**
+     * @param {ProjectileState} state - Simulated shot this view renders
+     */
+    constructor(state) {
+        this.state = state;
+        this.towerType = state.towerType;
+        this.splashRadius = state.splashRadius;
         this.isModelLoaded = false;
         
         // Create projectile mesh as a group
         this.mesh = new THREE.Group();
-        this.mesh.position.copy(startPosition);
+        this.syncPosition();
         
         // Load weapon-specific projectile model
-        this.loadProjectileModel(towerType).then((projectileModel) => {
+        this.loadProjectileModel(this.towerType).then((projectileModel) => {
             if (projectileModel) {
                 // Scale down the projectile for appropriate size
                 const scale = 0.6;
@@ -31,13 +33,6 @@ export class Projectile {
             this.createFallbackMesh();
         });
         
-        // Store starting position for distance calculation
-        this.startPosition = startPosition.clone();
-        
-        // Calculate initial direction to target
-        this.direction = new THREE.Vector3();
-        this.updateDirection();
-        
         // Trail points for particle effect
         this.trailPoints = [];
         this.maxTrailPoints = 10;
@@ -94,41 +89,37 @@ export class Projectile {
         }
     }
     
-    updateDirection() {
-        if (this.target && this.target.isAlive()) {
-            this.direction.subVectors(this.target.getPosition(), this.mesh.position).normalize();
-        }
+    syncPosition() {
+        const { x, y, z } = this.state.getPosition();
+        this.mesh.position.set(x, y, z);
     }
     
-    update() {
+    // Per-frame visuals: follow the state, extend the trail and orient the model
+    render() {
         const deltaTime = 0.016; // Approximately 60 FPS
         
-        // Update direction towards target (basic homing)
-        this.updateDirection();
-        
-        // Move projectile
-        const movement = this.direction.clone().multiplyScalar(this.speed * deltaTime);
-        this.mesh.position.add(movement);
+        this.syncPosition();
         
         // Update trail effect
         this.updateTrail();
         
-        // Update traveled distance
-        this.traveledDistance = this.mesh.position.distanceTo(this.startPosition);
-        
         // Orient projectile in direction of travel if model is loaded
         if (this.isModelLoaded && this.mesh.children.length > 0) {
             // Calculate orientation based on direction
-            const targetDirection = this.direction.clone().normalize();
+            const { x, y, z } = this.state.direction;
+            const targetDirection = new THREE.Vector3(x, y, z).normalize();
             
             // Different orientation based on projectile type
             switch (this.towerType) {
                 case 'sniper':
+                case 'venom':
                     // Arrows point forward
                     this.mesh.lookAt(this.mesh.position.clone().add(targetDirection));
                     break;
                 case 'area':
-                    // Boulders tumble
+                case 'frost':
+                case 'disruptor':
+                    // Boulders and cannonballs tumble
                     this.mesh.rotation.x += deltaTime * 4;
                     this.mesh.rotation.z += deltaTime * 3;
                     break;
@@ -147,42 +138,10 @@ export class Projectile {
         }
     }
     
-    hasHitTarget() {
-        if (!this.target || !this.target.isAlive()) {
-            return false;
-        }
-        
-        const distanceToTarget = this.mesh.position.distanceTo(this.target.getPosition());
-        return distanceToTarget < 0.3; // Hit radius
-    }
-    
-    shouldRemove() {
-        // Remove if traveled too far or target is dead
-        return this.traveledDistance > this.maxDistance || 
-               (this.target && !this.target.isAlive());
-    }
-    
     getPosition() {
         return this.mesh.position;
     }
     
-    getSplashTargets(enemies) {
-        if (this.splashRadius <= 0) return [];
-        
-        const position = this.getPosition();
-        return enemies.filter(enemy => {
-            if (!enemy.isAlive() || enemy === this.target) return false;
-            const distance = position.distanceTo(enemy.getPosition());
-            return distance <= this.splashRadius;
-        });
-    }
-    
-    applyDamage(enemy) {
-        if (!enemy.isAlive()) return 0;
-        enemy.takeDamage(this.damage);
-        return this.damage;
-    }
-    
     createImpactEffect() {
         const impactGeometry = new THREE.SphereGeometry(0.3, 8, 8);
         const impactMaterial = new THREE.MeshBasicMaterial({
@@ -199,24 +158,20 @@ export class Projectile {
         const startScale = 0.1;
         const endScale = this.splashRadius > 0 ? this.splashRadius : 0.5;
         const duration = 300; // ms
-        const startTime = Date.now();
+        const startTime = gameClock.now();
         
-        const animate = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = Math.min(elapsed / duration, 1);
+        gameClock.animate((delta, time) => {
+            const progress = Math.min((time - startTime) / duration, 1);
             
             const scale = startScale + (endScale - startScale) * progress;
             impact.scale.set(scale, scale, scale);
             impact.material.opacity = 0.8 * (1 - progress);
             
-            if (progress < 1) {
-                requestAnimationFrame(animate);
-            } else {
-                impact.parent.remove(impact);
-            }
-        };
-        
-        animate();
+            if (progress < 1) return true;
+
+            if (impact.parent) impact.parent.remove(impact);
+            return false;
+        });
         return impact;
     }
     
@@ -249,18 +204,15 @@ export class Projectile {
         this.isModelLoaded = true;
     }
     
-    reset(startPosition, target, damage, splashRadius = 0, towerType = 'basic') {
+    reset(state) {
         // Reset all properties for object pooling
-        this.target = target;
-        this.damage = damage;
-        this.splashRadius = splashRadius;
+        this.state = state;
+        this.splashRadius = state.splashRadius;
+        const towerType = state.towerType;
         this.towerType = towerType;
-        this.traveledDistance = 0;
         
-        // Reset position and direction
-        this.mesh.position.copy(startPosition);
-        this.startPosition = startPosition.clone();
-        this.updateDirection();
+        // Reset position
+        this.syncPosition();
         
         // Reset trail points
         this.trailPoints = [];
@@ -294,8 +246,7 @@ export class Projectile {
     
     cleanup() {
         // Reset for pooling without disposing geometry/materials
-        this.target = null;
-        this.traveledDistance = 0;
+        this.state = null;
         this.trailPoints = [];
         this.mesh.position.set(0, 0, 0);
         this.mesh.rotation.set(0, 0, 0);
@@ -330,7 +281,7 @@ export class Projectile {
         });
         
         this.mesh.clear();
-        this.target = null;
+        this.state = null;
         this.trailPoints = [];
     }
 } 
\ No newline at end of file
@@ -1,20 +1,26 @@
 import * as THREE from 'three';
-import { Projectile } from './Projectile.js';
-import { TOWER_TYPES, calculateUpgradedStats, calculateUpgradeCost, calculateRefundAmount } from './TowerTypes.js';
+import { TOWER_TYPES } from './TowerTypes.js';
 import { assetManager } from './managers/AssetManager.js';
-import { objectPool } from './managers/ObjectPool.js';
+import { STATUS_EFFECTS } from './config/StatusEffects.js';
+import { TERRACE_HEIGHT } from './config/Terrain.js';
+import { exposeStateFields } from './utils/stateAccessors.js';
+import { gameClock, FRAME_SECONDS } from './core/GameClock.js';
 
+// Renders a TowerState: model, weapon tracking, range ring and effects. Targeting, firing and upgrades
+// live in the state (src/simulation/TowerState.js), which single player advances through the Simulation.
 export class Tower {
-    constructor(x, y, z, type = 'basic') {
-        const towerConfig = TOWER_TYPES[type.toUpperCase()];
-        
-        this.position = new THREE.Vector3(x, y, z);
-        this.type = type;
-        this.level = 1; // Start at level 1
-        this.lastShotTime = 0;
+    /**
+     * @param {TowerState} state - Simulated tower this view renders
+     */
+    constructor(state) {
+        this.state = state;
+        state.onEvent = (type, detail) => this.onStateEvent(type, detail);
+
+        const towerConfig = TOWER_TYPES[this.type.toUpperCase()];
         
-        // Calculate initial stats based on level
-        this.updateStatsFromLevel();
+        this.position = new THREE.Vector3(state.position.x, state.position.y, state.position.z);
+        this.groundLevel = state.elevation * TERRACE_HEIGHT; // Top of the terrace the tower stands on
+        this.disabledIndicator = null;
         
         // Selection state for tower management
         this.isSelected = false;
@@ -25,12 +31,11 @@ export class Tower {
         this.mesh.castShadow = true;
         this.isModelLoaded = false;
         
-        // Adjust vertical position so tower base sits on top of block (block top ≈ 0.5)
-        this.position.y = 0.5; // Place tower directly on block surface
+        // The state already places the tower base on top of its block (block top ≈ 0.5)
         this.mesh.position.copy(this.position);
         
         // Load the modular tower model
-        this.loadTowerModel(type).then((towerModel) => {
+        this.loadTowerModel(this.type).then((towerModel) => {
             if (towerModel) {
                 // Enhance model materials for better appearance
                 this.enhanceModelMaterials(towerModel);
@@ -90,8 +95,8 @@ export class Tower {
         });
         this.rangeIndicator = new THREE.Mesh(rangeGeometry, rangeMaterial);
         this.rangeIndicator.rotation.x = -Math.PI / 2;
-        // Keep range indicator almost at ground level (y≈0.01)
-        const groundOffset = 0.01 - this.position.y;
+        // Keep range indicator almost at ground level (y≈0.01 above the tower's terrace)
+        const groundOffset = this.groundLevel + 0.01 - this.position.y;
         this.rangeIndicator.position.set(0, groundOffset, 0);
         this.mesh.add(this.rangeIndicator);
         
@@ -99,8 +104,8 @@ export class Tower {
         this.weaponMesh = null;
         this.weaponRotationGroup = null;
         
-        // For area tower, create particle emitters
-        if (this.type === 'area') {
+        // For pulse towers, create particle emitters
+        if (this.isPulse) {
             // Create particle system for area effect
             this.particles = [];
             this.maxParticles = 20;
@@ -108,7 +113,7 @@ export class Tower {
             // Create particle geometry and materials
             this.particleGeometry = new THREE.SphereGeometry(0.05, 4, 4);
             this.particleMaterial = new THREE.MeshBasicMaterial({
-                color: 0x888888, // Grey color
+                color: this.effect ? STATUS_EFFECTS[this.effect.type].color : 0x888888, // Grey unless the pulse carries an effect
                 transparent: true,
                 opacity: 0.6
             });
@@ -130,48 +135,42 @@ export class Tower {
             // Start particle animation
             this.animateParticles();
         }
-        
-        this.currentTarget = null;
     }
     
-    findTarget(enemies) {
-        if (this.type === 'area') {
-            // Area tower doesn't need to find specific target
-            return enemies.length > 0 ? enemies[0] : null;
-        }
-        
-        let closestEnemy = null;
-        let closestDistance = Infinity;
-        
-        for (const enemy of enemies) {
-            if (!enemy.isAlive()) continue;
-            
-            const distance = this.position.distanceTo(enemy.getPosition());
-            
-            if (distance <= this.range && distance < closestDistance) {
-                closestDistance = distance;
-                closestEnemy = enemy;
-            }
+    // Upgrades, range changes and pulse hits happen in the simulation; show them here
+    onStateEvent(type, detail) {
+        if (type === 'upgraded') {
+            this.createUpgradeEffect();
+        } else if (type === 'rangeChanged') {
+            this.updateRangeIndicator();
+        } else if (type === 'pulseHit') {
+            const { x, y, z } = detail.position;
+            this.createImpactParticles(this.mesh.worldToLocal(new THREE.Vector3(x, y, z)));
         }
-        
-        this.currentTarget = closestEnemy;
-        
-        // Rotate weapon towards target (non-area towers)
-        if (this.currentTarget && this.type !== 'area' && this.weaponRotationGroup) {
+    }
+    
+    /**
+     * Per-frame visuals: weapon tracking, the pulse crystal spin and the disabled ring
+     * @param {EnemyState[]} enemies - Enemies on the board, for the pulse crystal
+     */
+    render(enemies = []) {
+        // Rotate weapon towards target (non-pulse towers)
+        if (this.currentTarget && !this.isPulse && this.weaponRotationGroup) {
             const targetPos = this.currentTarget.getPosition();
-            const direction = new THREE.Vector3().subVectors(targetPos, this.position);
-            direction.y = 0; // Keep weapon horizontal
+            const direction = new THREE.Vector3(targetPos.x - this.position.x, 0, targetPos.z - this.position.z); // Keep weapon horizontal
             direction.normalize();
             
             const angle = Math.atan2(direction.x, direction.z);
             this.weaponRotationGroup.rotation.y = angle;
         }
         
-        // For area towers, rotate crystal when enemies are in range
-        if (this.type === 'area' && this.weaponRotationGroup) {
-            const hasEnemiesInRange = enemies.some(enemy => 
-                enemy.isAlive() && this.position.distanceTo(enemy.getPosition()) <= this.range
-            );
+        // For pulse towers, rotate crystal when enemies are in range
+        if (this.isPulse && this.weaponRotationGroup) {
+            const hasEnemiesInRange = enemies.some(enemy => {
+                if (!enemy.isAlive()) return false;
+                const { x, y, z } = enemy.getPosition();
+                return this.position.distanceTo(new THREE.Vector3(x, y, z)) <= this.range;
+            });
             
             if (hasEnemiesInRange) {
                 // Store animation state if not exists
@@ -197,71 +196,60 @@ export class Tower {
             }
         }
         
-        return this.currentTarget;
+        this.updateDisabledIndicator();
     }
     
-    shoot(target) {
-        if (!this.canShoot()) return null;
-        
-        this.lastShotTime = Date.now();
+    // Stealth enemies can only be targeted with a revealing aura in range
+    canSee(enemy) {
+        return this.state.canSee(enemy);
+    }
+    
+    // Visible, and on the ground unless this is an anti-air tower
+    canTarget(enemy) {
+        return this.state.canTarget(enemy);
+    }
+    
+    // A disable_tower beam knocks the tower out for duration ms (longer disables win)
+    disable(duration) {
+        this.state.disable(duration);
+        this.updateDisabledIndicator();
+    }
+    
+    // Mirror the server's disable countdown (multiplayer)
+    syncDisabled(remaining = 0) {
+        this.state.syncDisabled(remaining);
+        this.updateDisabledIndicator();
+    }
+    
+    isDisabled() {
+        return this.state.isDisabled();
+    }
+    
+    // Warning ring around disabled towers; call every frame so it clears when the disable runs out
+    updateDisabledIndicator() {
+        const disabled = this.isDisabled();
         
-        if (this.type === 'area') {
-            // Area attack logic
-            const enemies = target;
-            const deadEnemies = [];
-            
-            for (const enemy of enemies) {
-                const distance = this.position.distanceTo(enemy.getPosition());
-                if (distance <= this.range) {
-                    enemy.takeDamage(this.damage);
-                    
-                    if (!enemy.isAlive()) {
-                        deadEnemies.push(enemy);
-                    }
-                    
-                    // Create impact particles at enemy position
-                    this.createImpactParticles(enemy.getPosition());
-                }
-            }
-            
-            return deadEnemies;
+        if (disabled && !this.disabledIndicator) {
+            const ringGeometry = new THREE.RingGeometry(0.45, 0.6, 6);
+            const ringMaterial = new THREE.MeshBasicMaterial({
+                color: 0xff8800,
+                transparent: true,
+                opacity: 0.8,
+                side: THREE.DoubleSide,
+                depthWrite: false
+            });
+            this.disabledIndicator = new THREE.Mesh(ringGeometry, ringMaterial);
+            this.disabledIndicator.rotation.x = -Math.PI / 2;
+            this.disabledIndicator.position.y = this.groundLevel + 0.03 - this.position.y; // Just above ground
+            this.mesh.add(this.disabledIndicator);
         }
         
-        // Regular projectile for other towers
-        let worldBarrelTip;
-        
-        if (this.weaponRotationGroup) {
-            // Calculate projectile spawn from weapon position
-            const weaponWorldPosition = new THREE.Vector3();
-            this.weaponRotationGroup.getWorldPosition(weaponWorldPosition);
-            
-            // Add a small forward offset in the direction the weapon is facing
-            const weaponDirection = new THREE.Vector3(0, 0, 1);
-            weaponDirection.applyQuaternion(this.weaponRotationGroup.getWorldQuaternion(new THREE.Quaternion()));
-            weaponDirection.multiplyScalar(0.3); // Forward offset
-            
-            worldBarrelTip = weaponWorldPosition.add(weaponDirection);
-        } else {
-            // Fallback to fixed position for area towers or if weapon not found
-            const barrelTip = new THREE.Vector3(0, 0.3, 0);
-            worldBarrelTip = barrelTip.clone();
-            this.mesh.localToWorld(worldBarrelTip);
+        if (this.disabledIndicator) {
+            this.disabledIndicator.visible = disabled;
+            if (disabled) {
+                this.disabledIndicator.material.opacity = 0.5 + 0.3 * Math.sin(gameClock.now() * 0.01);
+            }
         }
-        
-        // Create projectile using object pool
-        const projectile = objectPool.getProjectile(
-            worldBarrelTip,
-            target,
-            this.damage,
-            this.type === 'area' ? this.range : 0,
-            this.type
-        );
-        
-        return projectile;
-    }
-    
-    canShoot() {
-        return Date.now() - this.lastShotTime > (1000 / this.fireRate);
     }
     
     getPosition() {
@@ -356,8 +344,8 @@ export class Tower {
         );
         fallbackMesh.castShadow = true;
         
-        // Create barrel for non-area towers
-        if (this.type !== 'area') {
+        // Create barrel for non-pulse towers
+        if (!this.isPulse) {
             this.weaponMesh = new THREE.Mesh(
                 towerConfig.model.barrel.geometry,
                 towerConfig.model.barrel.material.clone()
@@ -429,60 +417,43 @@ export class Tower {
         material.needsUpdate = true;
     }
     
-    // Update tower stats based on current level
-    updateStatsFromLevel() {
-        const stats = calculateUpgradedStats(this.type, this.level);
-        if (stats) {
-            this.damage = stats.damage;
-            this.fireRate = stats.fireRate;
-            this.range = stats.range;
-            this.splashRadius = stats.splashRadius;
-        } else {
-            // Fallback to base stats
-            const towerConfig = TOWER_TYPES[this.type.toUpperCase()];
-            this.damage = towerConfig.damage;
-            this.fireRate = towerConfig.fireRate;
-            this.range = towerConfig.range;
-            this.splashRadius = towerConfig.splashRadius;
-        }
-    }
-    
     // Check if tower can be upgraded
     canUpgrade() {
-        const config = TOWER_TYPES[this.type.toUpperCase()];
-        return config && config.upgrade && this.level < config.upgrade.maxLevel;
+        return this.state.canUpgrade();
     }
     
-    // Get upgrade cost for next level
+    // Get upgrade cost for next level (null when the next level needs a specialization choice)
     getUpgradeCost() {
-        return calculateUpgradeCost(this.type, this.level);
+        return this.state.getUpgradeCost();
+    }
+    
+    // Specializations to pick from for the next upgrade, empty unless at the branch level
+    getSpecializationChoices() {
+        return this.state.getSpecializationChoices();
     }
     
     // Get refund amount for destroying this tower
     getRefundAmount() {
-        return calculateRefundAmount(this.type, this.level);
+        return this.state.getRefundAmount();
     }
     
-    // Upgrade tower to next level
-    upgrade() {
-        if (!this.canUpgrade()) {
-            return false;
-        }
-        
-        this.level++;
-        this.updateStatsFromLevel();
-        
-        // Update range indicator if it exists
+    // Upgrade tower to next level. At the branch level a specialization id must be given.
+    upgrade(specializationId = null) {
+        return this.state.upgrade(specializationId);
+    }
+    
+    // Apply bonuses from the support towers around this one (see getAuraModifiers)
+    setAuraModifiers(modifiers) {
+        this.state.setAuraModifiers(modifiers);
+    }
+    
+    // Rebuild the range ring after the range changed
+    updateRangeIndicator() {
         if (this.rangeIndicator) {
             this.rangeIndicator.geometry.dispose();
             const rangeGeometry = new THREE.RingGeometry(this.range - 0.1, this.range, 32);
             this.rangeIndicator.geometry = rangeGeometry;
         }
-        
-        // Visual upgrade effect (can be enhanced later)
-        this.createUpgradeEffect();
-        
-        return true;
     }
     
     // Create visual effect when tower is upgraded
@@ -516,31 +487,30 @@ export class Tower {
         this.mesh.add(particles);
         
         // Animate particles upward and fade out
-        const startTime = Date.now();
+        const startTime = gameClock.now();
         const duration = 1000; // 1 second
         
-        const animateParticles = () => {
-            const elapsed = Date.now() - startTime;
-            const progress = elapsed / duration;
+        gameClock.animate((delta, time) => {
+            const progress = (time - startTime) / duration;
+            const frames = delta / FRAME_SECONDS;
             
             if (progress < 1) {
                 particles.children.forEach((particle, index) => {
-                    particle.position.y += 0.02;
+                    particle.position.y += 0.02 * frames;
                     particle.material.opacity = 0.8 * (1 - progress);
-                    particle.rotation.y += 0.1;
-                });
-                requestAnimationFrame(animateParticles);
-            } else {
-                // Clean up particles
-                this.mesh.remove(particles);
-                particles.children.forEach(particle => {
-                    particle.geometry.dispose();
-                    particle.material.dispose();
+                    particle.rotation.y += 0.1 * frames;
                 });
+                return true;
             }
-        };
-        
-        animateParticles();
+
+            // Clean up particles
+            this.mesh.remove(particles);
+            particles.children.forEach(particle => {
+                particle.geometry.dispose();
+                particle.material.dispose();
+            });
+            return false;
+        });
     }
 
     createImpactParticles(position) {
@@ -576,7 +546,8 @@ export class Tower {
         }
         
         // Animate impact particles
-        const animate = () => {
+        gameClock.animate((delta) => {
+            const frames = delta / FRAME_SECONDS;
             let activeParticles = 0;
             
             for (let i = particles.length - 1; i >= 0; i--) {
@@ -591,30 +562,26 @@ export class Tower {
                 }
                 
                 // Update position
-                particle.mesh.position.add(particle.velocity.multiplyScalar(0.1));
+                particle.mesh.position.add(particle.velocity.multiplyScalar(Math.pow(0.1, frames)));
                 
                 // Update life and opacity
-                particle.life -= 0.1;
+                particle.life -= 0.1 * frames;
                 particle.mesh.material.opacity = particle.life * 0.8;
                 
                 activeParticles++;
             }
             
-            if (activeParticles > 0) {
-                requestAnimationFrame(animate);
-            }
-        };
-        
-        animate();
+            return activeParticles > 0;
+        });
     }
 
     animateParticles() {
-        const animate = () => {
-            if (!this.particles) return; // Check if tower has been cleaned up
+        gameClock.animate((delta) => {
+            if (!this.particles) return false; // Tower has been cleaned up
             
             for (const particle of this.particles) {
                 // Update particle position in a circular pattern
-                particle.angle += particle.speed * 0.02;
+                particle.angle += particle.speed * 0.02 * (delta / FRAME_SECONDS);
                 
                 const x = Math.cos(particle.angle) * particle.radius;
                 const z = Math.sin(particle.angle) * particle.radius;
@@ -623,10 +590,8 @@ export class Tower {
                 particle.mesh.position.set(x, y, z);
             }
             
-            requestAnimationFrame(animate);
-        };
-        
-        animate();
+            return true;
+        });
     }
 
     cleanup() {
@@ -666,7 +631,7 @@ export class Tower {
             
             this.selectionRing = new THREE.Mesh(ringGeometry, ringMaterial);
             this.selectionRing.rotation.x = -Math.PI / 2;
-            this.selectionRing.position.y = 0.02 - this.position.y; // Just above ground
+            this.selectionRing.position.y = this.groundLevel + 0.02 - this.position.y; // Just above ground
             this.mesh.add(this.selectionRing);
             
             // Animate selection ring
@@ -682,29 +647,29 @@ export class Tower {
     
     // Animate the selection ring
     animateSelectionRing() {
-        if (!this.selectionRing || !this.isSelected) return;
-        
-        const time = Date.now() * 0.003;
-        this.selectionRing.material.opacity = 0.3 + 0.3 * Math.sin(time);
-        this.selectionRing.rotation.z += 0.01;
-        
-        requestAnimationFrame(() => this.animateSelectionRing());
+        gameClock.animate((delta, time) => {
+            if (!this.selectionRing || !this.isSelected) return false;
+            
+            this.selectionRing.material.opacity = 0.3 + 0.3 * Math.sin(time * 0.003);
+            this.selectionRing.rotation.z += 0.01 * (delta / FRAME_SECONDS);
+            return true;
+        });
     }
     
+    setTargetingMode(mode) {
+        return this.state.setTargetingMode(mode);
+    }
+
     // Get tower info for UI display
     getTowerInfo() {
-        const config = TOWER_TYPES[this.type.toUpperCase()];
-        return {
-            type: this.type,
-            name: config.name,
-            level: this.level,
-            maxLevel: config.upgrade ? config.upgrade.maxLevel : 1,
-            damage: this.damage,
-            fireRate: this.fireRate,
-            range: this.range,
-            upgradeCost: this.getUpgradeCost(),
-            refundAmount: this.getRefundAmount(),
-            canUpgrade: this.canUpgrade()
-        };
-    }
-} 
\ No newline at end of file
+        return this.state.getTowerInfo();
+    }
+}
+
+// Stats and progress live on the state; UI and multiplayer code read and write them through the view
+exposeStateFields(Tower, [
+    'id', 'type', 'level', 'specialization', 'targetingMode', 'kills',
+    'damage', 'fireRate', 'range', 'splashRadius', 'pierce', 'shredDuration', 'effect',
+    'isPulse', 'isSupport', 'antiAir', 'damageType', 'auraModifiers',
+    'disabledUntil', 'lastShotTime', 'currentTarget'
+]);
@@ -0,0 +1,66 @@
+// Support tower auras - shared by the client Tower and the server combat so a
+// buffed tower gets the same bonus everywhere.
+//
+// A support tower buffs every damage-dealing tower within its range. Auras of the
+// same kind don't add up: each stat takes the strongest bonus on offer.
+import { getTowerDefinition } from './TowerCatalog.js';
+
+export const AURA_STATS = {
+    damageMultiplier: 'Damage',
+    fireRateMultiplier: 'Fire rate',
+    rangeMultiplier: 'Range'
+};
+
+export const NO_AURA = Object.freeze({
+    damageMultiplier: 1,
+    fireRateMultiplier: 1,
+    rangeMultiplier: 1,
+    revealsStealth: false,
+    sources: []
+});
+
+export function isSupportTower(towerType) {
+    return getTowerDefinition(towerType)?.attack === 'support';
+}
+
+/**
+ * Work out the aura bonuses reaching a tower
+ * @param {{type: string, position: {x: number, z: number}}} tower - Tower being buffed
+ * @param {Iterable<{type: string, position: {x: number, z: number}, range: number}>} towers - Every tower on the map
+ * @returns {{damageMultiplier: number, fireRateMultiplier: number, rangeMultiplier: number,
+ *            revealsStealth: boolean, sources: Array<{tower: Object, name: string, aura: Object}>}}
+ */
+export function getAuraModifiers(tower, towers) {
+    if (isSupportTower(tower.type)) return NO_AURA;
+
+    const modifiers = { ...NO_AURA, sources: [] };
+
+    for (const support of towers) {
+        if (support === tower || !isSupportTower(support.type)) continue;
+
+        const dx = support.position.x - tower.position.x;
+        const dz = support.position.z - tower.position.z;
+        if (Math.sqrt(dx * dx + dz * dz) > support.range) continue;
+
+        const config = getTowerDefinition(support.type);
+        for (const stat of Object.keys(AURA_STATS)) {
+            if (config.aura[stat] !== undefined) {
+                modifiers[stat] = Math.max(modifiers[stat], config.aura[stat]);
+            }
+        }
+        if (config.aura.revealsStealth) modifiers.revealsStealth = true;
+
+        modifiers.sources.push({ tower: support, name: config.name, aura: config.aura });
+    }
+
+    return modifiers;
+}
+
+// Short description of an aura, e.g. "+25% Fire rate, reveals stealth"
+export function describeAura(aura) {
+    const parts = Object.entries(AURA_STATS)
+        .filter(([stat]) => aura[stat] !== undefined)
+        .map(([stat, label]) => `+${Math.round((aura[stat] - 1) * 100)}% ${label}`);
+    if (aura.revealsStealth) parts.push('reveals stealth');
+    return parts.join(', ');
+}
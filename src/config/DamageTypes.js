@@ -0,0 +1,65 @@
+// Damage types, armor and resistances - shared by the client Enemy and the server
+// combat so a hit deals the same damage everywhere.
+//
+// A hit is first scaled by the enemy's resistance to its damage type, then reduced
+// by the enemy's flat armor (unless the type ignores armor). Armor can never take
+// a hit below MIN_DAMAGE_FRACTION of its resisted damage, so chip damage still counts.
+// Each enemy archetype's armor and resistances live in enemies.json (see EnemyCatalog).
+
+export const DAMAGE_TYPES = {
+    kinetic: { name: 'Kinetic', ignoresArmor: false },
+    explosive: { name: 'Explosive', ignoresArmor: false },
+    energy: { name: 'Energy', ignoresArmor: true },
+    area: { name: 'Area', ignoresArmor: false }
+};
+
+export const DEFAULT_DAMAGE_TYPE = 'kinetic';
+export const MIN_DAMAGE_FRACTION = 0.2;
+
+export function isValidDamageType(damageType) {
+    return Object.prototype.hasOwnProperty.call(DAMAGE_TYPES, damageType);
+}
+
+/**
+ * Damage a hit actually deals after resistances and armor
+ * @param {number} amount - Raw damage of the hit
+ * @param {string} damageType - One of DAMAGE_TYPES
+ * @param {{armor: number, resistances: Object}} defenses - Target's defenses
+ * @param {Object} options
+ * @param {boolean} options.ignoreArmor - Skip armor (damage-over-time ticks)
+ * @returns {number}
+ */
+export function calculateDamage(amount, damageType, defenses, { ignoreArmor = false } = {}) {
+    const resisted = amount * (defenses.resistances[damageType] ?? 1);
+
+    if (ignoreArmor || DAMAGE_TYPES[damageType]?.ignoresArmor || defenses.armor <= 0) {
+        return resisted;
+    }
+
+    return Math.max(resisted - defenses.armor, resisted * MIN_DAMAGE_FRACTION);
+}
+
+/**
+ * How well a hit of this size and type does against some defenses
+ * @returns {{multiplier: number, label: string}} label is 'Strong', 'Normal' or 'Weak'
+ */
+export function getEffectiveness(amount, damageType, defenses) {
+    if (amount <= 0) return { multiplier: 1, label: 'Normal' };
+
+    const multiplier = calculateDamage(amount, damageType, defenses) / amount;
+    let label = 'Normal';
+    if (multiplier >= 1.15) label = 'Strong';
+    else if (multiplier <= 0.75) label = 'Weak';
+
+    return { multiplier, label };
+}
+
+// e.g. "Armor 5 · Kinetic 80% · Energy 125%"
+export function describeDefenses(defenses) {
+    const parts = [];
+    if (defenses.armor > 0) parts.push(`Armor ${defenses.armor}`);
+    for (const [damageType, multiplier] of Object.entries(defenses.resistances)) {
+        parts.push(`${DAMAGE_TYPES[damageType].name} ${Math.round(multiplier * 100)}%`);
+    }
+    return parts.length > 0 ? parts.join(' · ') : 'No armor';
+}
@@ -0,0 +1,23 @@
+// Difficulty presets: what the player starts with and how tough enemies are. Normal matches the
+// game's defaults.
+
+export const DIFFICULTIES = {
+    easy: { id: 'easy', startingMoney: 150, health: 150, enemyHealthMultiplier: 0.8 },
+    normal: { id: 'normal', startingMoney: 100, health: 100, enemyHealthMultiplier: 1 },
+    hard: { id: 'hard', startingMoney: 75, health: 75, enemyHealthMultiplier: 1.25 }
+};
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+/**
+ * @param {string} id - Key of DIFFICULTIES
+ * @returns {Object} The preset
+ * @throws {Error} For unknown ids
+ */
+export function getDifficulty(id = DEFAULT_DIFFICULTY) {
+    const difficulty = DIFFICULTIES[id];
+    if (!difficulty) {
+        throw new Error(`Unknown difficulty "${id}" (expected ${Object.keys(DIFFICULTIES).join(', ')})`);
+    }
+    return difficulty;
+}
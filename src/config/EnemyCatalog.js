@@ -0,0 +1,292 @@
+// Shared enemy archetype catalogue - loaded by both the client and the server so
+// every enemy kind has the same stats, defenses and abilities everywhere (enemies.json).
+//
+// health and speed are multipliers of the wave's baseline enemy, so each side keeps its
+// own wave scaling; reward (money per kill) and leakDamage (lives lost) are flat.
+import catalogData from './enemies.json' with { type: 'json' };
+import { DAMAGE_TYPES } from './DamageTypes.js';
+import { validateValue } from './SchemaValidation.js';
+
+const ID_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+export const ENEMY_CATALOG_SCHEMA = {
+    defaultArchetype: { type: 'string', required: true },
+    archetypes: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', required: true, pattern: ID_PATTERN },
+                name: { type: 'string', required: true },
+                description: { type: 'string', required: true },
+                model: { type: 'string', required: true, pattern: /^ufo-[a-d]$/ },
+                health: { type: 'number', required: true, min: 0.01 }, // x wave baseline
+                speed: { type: 'number', required: true, min: 0.01 },  // x wave baseline
+                size: { type: 'number', required: true, min: 0.1 },    // mesh and collision scale
+                reward: { type: 'number', required: true, min: 0 },
+                leakDamage: { type: 'number', required: true, min: 0 },
+                armor: { type: 'number', required: true, min: 0 },     // flat damage blocked per hit
+                // Damage multiplier per damage type (missing = 1)
+                resistances: {
+                    type: 'object',
+                    required: true,
+                    properties: Object.fromEntries(
+                        Object.keys(DAMAGE_TYPES).map(damageType => [damageType, { type: 'number', min: 0 }])
+                    )
+                },
+                stealth: { type: 'boolean' },
+                flying: { type: 'boolean' }, // flies over the maze, only anti-air towers can hit it
+                groupSize: { type: 'number', min: 1 }, // spawned together in one spawn slot
+                // Repairs allies within radius by fraction of their max health every interval ms
+                heal: {
+                    type: 'object',
+                    properties: {
+                        radius: { type: 'number', required: true, min: 0 },
+                        fraction: { type: 'number', required: true, min: 0, max: 1 },
+                        interval: { type: 'number', required: true, min: 1 }
+                    }
+                },
+                // Breaks into count enemies of another archetype on death
+                split: {
+                    type: 'object',
+                    properties: {
+                        into: { type: 'string', required: true, pattern: ID_PATTERN },
+                        count: { type: 'number', required: true, min: 1 }
+                    }
+                },
+                // Abduction beam fired every few seconds: knock out a tower, steal money or lift a maze block
+                beam: {
+                    type: 'object',
+                    properties: {
+                        ability: { type: 'string', required: true, pattern: /^(disable_tower|steal_money|lift_block)$/ },
+                        radius: { type: 'number', min: 0 },   // disable_tower and lift_block reach
+                        duration: { type: 'number', min: 0 }, // ms, disable_tower
+                        amount: { type: 'number', min: 0 }    // steal_money
+                    }
+                },
+                // Boss: phases trigger once each as health drops to their threshold (fraction of max)
+                boss: {
+                    type: 'object',
+                    properties: {
+                        phases: {
+                            type: 'array',
+                            required: true,
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    threshold: { type: 'number', required: true, min: 0, max: 1 },
+                                    name: { type: 'string', required: true },
+                                    ability: { type: 'string', required: true, pattern: /^(speed_burst|summon|shield)$/ },
+                                    duration: { type: 'number', min: 0 },              // ms, speed_burst and shield
+                                    archetype: { type: 'string', pattern: ID_PATTERN }, // summon
+                                    count: { type: 'number', min: 1 }                   // summon
+                                }
+                            }
+                        }
+                    }
+                },
+                minWave: { type: 'number', required: true, min: 1 }, // first wave it can spawn in
+                weight: { type: 'number', required: true, min: 0 }   // spawn odds; 0 = only spawned by others
+            }
+        }
+    }
+};
+
+/**
+ * Validate catalogue data against ENEMY_CATALOG_SCHEMA
+ * @param {Object} data - Parsed catalogue JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateEnemyCatalog(data) {
+    const errors = [];
+    validateValue(data, { type: 'object', required: true, properties: ENEMY_CATALOG_SCHEMA }, 'catalog', errors);
+    if (errors.length > 0) return errors;
+
+    const ids = new Set();
+    data.archetypes.forEach((archetype, index) => {
+        if (ids.has(archetype.id)) errors.push(`catalog.archetypes[${index}].id "${archetype.id}" is duplicated`);
+        ids.add(archetype.id);
+    });
+
+    if (!ids.has(data.defaultArchetype)) {
+        errors.push(`catalog.defaultArchetype "${data.defaultArchetype}" is not an archetype`);
+    }
+
+    data.archetypes.forEach((archetype, index) => {
+        if (!archetype.split) return;
+        const path = `catalog.archetypes[${index}].split.into`;
+        if (!ids.has(archetype.split.into)) {
+            errors.push(`${path} "${archetype.split.into}" is not an archetype`);
+        } else {
+            const child = data.archetypes.find(other => other.id === archetype.split.into);
+            if (child.split) errors.push(`${path} "${child.id}" splits again - children must not split`);
+            if (!!child.flying !== !!archetype.flying) errors.push(`${path} "${child.id}" must fly only if its parent does`);
+        }
+    });
+
+    data.archetypes.forEach((archetype, index) => {
+        const beam = archetype.beam;
+        if (!beam) return;
+        const path = `catalog.archetypes[${index}].beam`;
+        if (beam.ability !== 'steal_money' && !beam.radius) errors.push(`${path}.radius is required for ${beam.ability}`);
+        if (beam.ability === 'disable_tower' && !beam.duration) errors.push(`${path}.duration is required for disable_tower`);
+        if (beam.ability === 'steal_money' && !beam.amount) errors.push(`${path}.amount is required for steal_money`);
+        if (archetype.boss) errors.push(`${path} is not allowed on bosses - their beam belongs to their phases`);
+    });
+
+    data.archetypes.forEach((archetype, index) => {
+        if (!archetype.boss) return;
+        const path = `catalog.archetypes[${index}].boss.phases`;
+        archetype.boss.phases.forEach((phase, phaseIndex) => {
+            const previous = archetype.boss.phases[phaseIndex - 1];
+            if (previous && phase.threshold >= previous.threshold) {
+                errors.push(`${path}[${phaseIndex}].threshold should be below the previous phase's`);
+            }
+            if (phase.ability === 'summon') {
+                const summoned = data.archetypes.find(other => other.id === phase.archetype);
+                if (!summoned || summoned.boss || !phase.count) {
+                    errors.push(`${path}[${phaseIndex}] summon needs a count and a non-boss archetype`);
+                } else if (!!summoned.flying !== !!archetype.flying) {
+                    errors.push(`${path}[${phaseIndex}] summoned "${summoned.id}" must fly only if the boss does`);
+                }
+            } else if (!phase.duration) {
+                errors.push(`${path}[${phaseIndex}].duration is required for ${phase.ability}`);
+            }
+        });
+    });
+
+    if (!data.archetypes.some(archetype => archetype.minWave === 1 && archetype.weight > 0)) {
+        errors.push('catalog.archetypes needs at least one archetype that spawns from wave 1');
+    }
+
+    return errors;
+}
+
+const catalogErrors = validateEnemyCatalog(catalogData);
+if (catalogErrors.length > 0) {
+    throw new Error(`Invalid enemy catalogue (enemies.json):\n  - ${catalogErrors.join('\n  - ')}`);
+}
+
+export const DEFAULT_ARCHETYPE = catalogData.defaultArchetype;
+
+// Archetypes in catalogue order
+export const ENEMY_CATALOG = Object.freeze(catalogData.archetypes.map(archetype => Object.freeze(archetype)));
+
+const archetypesById = new Map(ENEMY_CATALOG.map(archetype => [archetype.id, archetype]));
+
+// Unknown ids fall back to the default archetype so stale saves and old servers still work
+export function getEnemyArchetype(archetypeId) {
+    return archetypesById.get(archetypeId) || archetypesById.get(DEFAULT_ARCHETYPE);
+}
+
+export function isValidArchetype(archetypeId) {
+    return archetypesById.has(archetypeId);
+}
+
+// Armor and resistances in the shape DamageTypes.calculateDamage expects
+export function getEnemyDefenses(archetypeId) {
+    const archetype = getEnemyArchetype(archetypeId);
+    return { armor: archetype.armor, resistances: archetype.resistances };
+}
+
+/**
+ * Pick which archetype spawns next, weighted among those unlocked by this wave
+ * @param {number} wave - Current wave
+ * @param {function(): number} random - Returns [0, 1); inject a seeded one for repeatable runs
+ * @returns {Object} Archetype definition
+ */
+export function pickArchetypeForWave(wave, random = Math.random) {
+    const available = ENEMY_CATALOG.filter(archetype => archetype.minWave <= wave && archetype.weight > 0);
+    const totalWeight = available.reduce((sum, archetype) => sum + archetype.weight, 0);
+
+    let roll = random() * totalWeight;
+    for (const archetype of available) {
+        roll -= archetype.weight;
+        if (roll < 0) return archetype;
+    }
+    return available[available.length - 1];
+}
+
+/**
+ * Stats of one enemy of this archetype, given the wave's baseline enemy
+ * @param {string} archetypeId - Archetype id
+ * @param {{health: number, speed: number}} baseline - Health and speed of a plain enemy this wave
+ * @returns {{health: number, speed: number, size: number, reward: number, leakDamage: number, stealth: boolean, flying: boolean}}
+ */
+export function getEnemyStats(archetypeId, baseline) {
+    const archetype = getEnemyArchetype(archetypeId);
+    return {
+        health: baseline.health * archetype.health,
+        speed: baseline.speed * archetype.speed,
+        size: archetype.size,
+        reward: archetype.reward,
+        leakDamage: archetype.leakDamage,
+        stealth: !!archetype.stealth,
+        flying: !!archetype.flying
+    };
+}
+
+// Status effect each timed boss ability puts on the boss itself
+export const BOSS_ABILITY_EFFECTS = {
+    speed_burst: 'haste',
+    shield: 'shielded'
+};
+
+export function isBossArchetype(archetypeId) {
+    return !!archetypesById.get(archetypeId)?.boss;
+}
+
+/**
+ * How many of a boss's phases its health has unlocked (phases are in falling threshold order)
+ * @param {Object} boss - The archetype's boss block
+ * @param {number} healthFraction - health / maxHealth
+ * @returns {number} Phases reached so far; compare with the count already triggered
+ */
+export function getBossPhasesReached(boss, healthFraction) {
+    return boss.phases.filter(phase => healthFraction <= phase.threshold).length;
+}
+
+// Beam glow per ability, so players can tell what a UFO is doing
+export const BEAM_ABILITY_COLORS = {
+    disable_tower: 0xff8800,
+    steal_money: 0xffdd00,
+    lift_block: 0x00ffff
+};
+
+/**
+ * Closest candidate under a beam, measured on the ground plane
+ * @param {{x: number, z: number}} origin - UFO position
+ * @param {Object[]} candidates - Towers or blocks the beam could hit
+ * @param {number} radius - Beam reach
+ * @param {function(Object): {x: number, z: number}} getPosition - Where a candidate sits
+ * @returns {Object|null} Nearest candidate in reach
+ */
+export function findBeamTarget(origin, candidates, radius, getPosition) {
+    let best = null;
+    let bestDistance = radius;
+    for (const candidate of candidates) {
+        const position = getPosition(candidate);
+        const distance = Math.sqrt(Math.pow(position.x - origin.x, 2) + Math.pow(position.z - origin.z, 2));
+        if (distance <= bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Money a steal_money beam takes (never more than there is)
+export function getStolenAmount(beam, money) {
+    return Math.max(0, Math.min(beam.amount, money));
+}
+
+/**
+ * Health a healer restores to one ally
+ * @param {Object} heal - The healer archetype's heal block
+ * @param {{health: number, maxHealth: number}} ally - Ally in range
+ * @returns {number} Amount to add (never overheals)
+ */
+export function getHealAmount(heal, ally) {
+    return Math.max(0, Math.min(ally.maxHealth * heal.fraction, ally.maxHealth - ally.health));
+}
@@ -0,0 +1,38 @@
+// Flight paths for flying enemies - shared by the client Enemy and the server game states.
+// Flyers ignore the maze and cross the board on a gentle arc from spawn to exit.
+
+export const FLIGHT_ALTITUDE = 1.5; // Height flyers cruise at, well above the maze blocks
+const FLIGHT_BEND = 0.15;           // Sideways bulge of the arc, as a fraction of the straight-line distance
+const FLIGHT_SEGMENTS = 8;          // Waypoints along the arc (plus the start)
+
+/**
+ * Waypoints of a flyer's route: a quadratic curve from start to exit at cruising altitude.
+ * Only the x/z of start and end are used, so rebuilding from an existing flight path gives the same route.
+ * @param {{x: number, z: number}} start - Spawn point
+ * @param {{x: number, z: number}} end - Exit point
+ * @returns {{x: number, y: number, z: number}[]}
+ */
+export function buildFlightPath(start, end) {
+    const dx = end.x - start.x;
+    const dz = end.z - start.z;
+
+    // Control point: the midpoint pushed sideways (perpendicular to the straight line)
+    const control = {
+        x: (start.x + end.x) / 2 - dz * FLIGHT_BEND,
+        z: (start.z + end.z) / 2 + dx * FLIGHT_BEND
+    };
+
+    const path = [];
+    for (let i = 0; i <= FLIGHT_SEGMENTS; i++) {
+        const t = i / FLIGHT_SEGMENTS;
+        const a = (1 - t) * (1 - t);
+        const b = 2 * (1 - t) * t;
+        const c = t * t;
+        path.push({
+            x: a * start.x + b * control.x + c * end.x,
+            y: FLIGHT_ALTITUDE,
+            z: a * start.z + b * control.z + c * end.z
+        });
+    }
+    return path;
+}
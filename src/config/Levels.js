@@ -0,0 +1,315 @@
+// Levels - the board a game is played on, loaded by the single player game and the cooperative
+// server from the same format (levels/*.json).
+//
+// A level gives:
+//   gridSize      - board width and depth in cells (even; the outer ring of cells is a border)
+//   spawnPoints   - grid points enemies enter from, e.g. { "x": -8, "z": -8 }; wave groups pick one by index
+//   exitPoints    - grid points enemies leave by; each enemy heads for the nearest
+//   restricted    - cells maze blocks may not cover (the areas round spawns and exits always are)
+//   unbuildable   - cells blocks may cover but towers can't be built on
+//   rocks         - cells taken by fixed obstacles from the start
+//   water         - cells nothing can cross or be built on, like rocks but drawn as water
+//   elevation     - raised cells, e.g. { "x": 2.5, "z": -3.5, "height": 1 } (1 to MAX_ELEVATION; see Terrain.js);
+//                   single player only, the cooperative server plays on flat ground
+//   decorations   - props placed where the level says instead of scattered at random, e.g.
+//                   { "type": "tree", "x": 3.2, "z": -6.7, "rotation": 1.5 } (types in LEVEL_DECORATIONS)
+//   startingMoney - money the game starts with
+//   waves         - the level's own wave script (WaveScript.js format); the shared waves.json when missing
+//   modes         - 'singleplayer' and/or 'cooperative'; the cooperative server has a single exit
+// Cells are given by their centres, e.g. { "x": 2.5, "z": -3.5 }.
+// Besides the files listed in LEVELS, getLevel accepts "random-<seed>" for a map from MapGenerator.js.
+import classicData from './levels/classic.json' with { type: 'json' };
+import crossroadsData from './levels/crossroads.json' with { type: 'json' };
+import quarryData from './levels/quarry.json' with { type: 'json' };
+import twinGatesData from './levels/twin-gates.json' with { type: 'json' };
+import { createRouteFinder } from '../FlowField.js';
+import { generateLevel, getMapSeed } from './MapGenerator.js';
+import { Pathfinding } from '../Pathfinding.js';
+import { validateValue } from './SchemaValidation.js';
+import { MAX_ELEVATION, Terrain } from './Terrain.js';
+import { DEFAULT_WAVE_SCRIPT, WaveScript, validateWaveScript } from './WaveScript.js';
+
+export const LEVEL_MODES = ['singleplayer', 'cooperative'];
+export const LEVEL_DECORATIONS = ['tree', 'tree-large', 'rocks', 'crystal', 'dirt']; // Environment asset keys
+
+const POINT = {
+    type: 'object',
+    required: true,
+    properties: {
+        x: { type: 'number', required: true },
+        z: { type: 'number', required: true }
+    }
+};
+const POINT_LIST = { type: 'array', items: POINT };
+
+export const LEVEL_SCHEMA = {
+    id: { type: 'string', required: true, pattern: /^[a-z0-9-]+$/ },
+    name: { type: 'string', required: true },
+    description: { type: 'string' },
+    modes: { type: 'array', required: true, items: { type: 'string', required: true } },
+    gridSize: { type: 'number', required: true, min: 10, max: 40 },
+    spawnPoints: { ...POINT_LIST, required: true },
+    exitPoints: { ...POINT_LIST, required: true },
+    restricted: POINT_LIST,
+    unbuildable: POINT_LIST,
+    rocks: POINT_LIST,
+    water: POINT_LIST,
+    elevation: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: true,
+            properties: {
+                x: { type: 'number', required: true },
+                z: { type: 'number', required: true },
+                height: { type: 'number', required: true, min: 1, max: MAX_ELEVATION }
+            }
+        }
+    },
+    decorations: {
+        type: 'array',
+        items: {
+            type: 'object',
+            required: true,
+            properties: {
+                type: { type: 'string', required: true },
+                x: { type: 'number', required: true },
+                z: { type: 'number', required: true },
+                rotation: { type: 'number' } // Radians about the vertical axis
+            }
+        }
+    },
+    startingMoney: { type: 'number', required: true, min: 0 },
+    waves: { type: 'object' } // Checked against WAVE_SCRIPT_SCHEMA
+};
+
+/**
+ * Validate level data: the schema, then that everything sits on the board and every spawn can reach an exit
+ * @param {Object} data - Parsed level JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateLevel(data) {
+    const errors = [];
+    validateValue(data, { type: 'object', required: true, properties: LEVEL_SCHEMA }, 'level', errors);
+    if (errors.length > 0) return errors;
+
+    const { gridSize } = data;
+    if (!Number.isInteger(gridSize) || gridSize % 2 !== 0) errors.push('level.gridSize should be an even whole number');
+
+    data.modes.forEach((mode, index) => {
+        if (!LEVEL_MODES.includes(mode)) errors.push(`level.modes[${index}] "${mode}" is not one of ${LEVEL_MODES.join(', ')}`);
+    });
+    if (data.modes.includes('cooperative') && data.exitPoints.length !== 1) {
+        errors.push('level.exitPoints should have exactly one exit for cooperative play');
+    }
+
+    // Spawns and exits need their 3x3 clear area inside the border
+    const pointLimit = gridSize / 2 - 2;
+    for (const field of ['spawnPoints', 'exitPoints']) {
+        if (data[field].length === 0) errors.push(`level.${field} needs at least one point`);
+        data[field].forEach((point, index) => {
+            if (!Number.isInteger(point.x) || !Number.isInteger(point.z) ||
+                Math.abs(point.x) > pointLimit || Math.abs(point.z) > pointLimit) {
+                errors.push(`level.${field}[${index}] should be a grid point from -${pointLimit} to ${pointLimit}`);
+            }
+        });
+    }
+
+    const cellLimit = gridSize / 2 - 1;
+    for (const field of ['restricted', 'unbuildable', 'rocks', 'water', 'elevation']) {
+        (data[field] || []).forEach((cell, index) => {
+            if (!Number.isInteger(cell.x - 0.5) || !Number.isInteger(cell.z - 0.5) ||
+                Math.abs(cell.x) > cellLimit || Math.abs(cell.z) > cellLimit) {
+                errors.push(`level.${field}[${index}] should be a cell centre (x.5) inside the border`);
+            }
+        });
+    }
+
+    (data.elevation || []).forEach((cell, index) => {
+        if (!Number.isInteger(cell.height)) errors.push(`level.elevation[${index}].height should be a whole number`);
+    });
+    if (data.modes.includes('cooperative') && data.elevation?.length > 0) {
+        errors.push('level.elevation should be empty for cooperative play (the server plays on flat ground)');
+    }
+
+    (data.decorations || []).forEach((decoration, index) => {
+        if (!LEVEL_DECORATIONS.includes(decoration.type)) {
+            errors.push(`level.decorations[${index}].type "${decoration.type}" is not one of ${LEVEL_DECORATIONS.join(', ')}`);
+        }
+        if (Math.abs(decoration.x) > gridSize / 2 || Math.abs(decoration.z) > gridSize / 2) {
+            errors.push(`level.decorations[${index}] is off the board`);
+        }
+    });
+
+    if (data.waves) {
+        const scriptErrors = validateWaveScript(data.waves);
+        errors.push(...scriptErrors.map(error => error.replace(/^script/, 'level.waves')));
+        if (scriptErrors.length === 0) {
+            data.waves.waves.forEach((wave, waveIndex) => wave.groups.forEach((group, groupIndex) => {
+                if (group.spawnPoint >= data.spawnPoints.length) {
+                    errors.push(`level.waves.waves[${waveIndex}].groups[${groupIndex}].spawnPoint has no spawn point ${group.spawnPoint}`);
+                }
+            }));
+        }
+    }
+    if (errors.length > 0) return errors;
+
+    // Rocks and water alone mustn't cut any spawn off
+    const pathfinding = new Pathfinding(gridSize, new Terrain(data.elevation));
+    const findPath = createRouteFinder({ pathfinding, spawns: data.spawnPoints, exits: data.exitPoints });
+    if (!findPath(getFixedObstacles(data))) errors.push('level has a spawn point that can\'t reach any exit');
+
+    return errors;
+}
+
+/**
+ * Cells enemies can never cross: the level's rocks and water
+ * @param {Object} level - Level data
+ * @returns {Array<{x: number, z: number}>}
+ */
+export function getFixedObstacles({ rocks = [], water = [] }) {
+    return [...rocks, ...water].map(cell => ({ x: cell.x, z: cell.z }));
+}
+
+/**
+ * Check level data and fill in its defaults
+ * @param {Object} data - Parsed level JSON
+ * @param {string} name - Used in the error, e.g. the file name
+ * @returns {Object} The level, with a waveScript to play and the Terrain its elevation makes
+ * @throws {Error} With every problem found when the data isn't a valid level
+ */
+export function loadLevel(data, name = data?.id) {
+    const errors = validateLevel(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid level (${name}):\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return {
+        description: '',
+        restricted: [],
+        unbuildable: [],
+        rocks: [],
+        water: [],
+        elevation: [],
+        decorations: [],
+        ...data,
+        waveScript: data.waves ? new WaveScript(data.waves, `${name} waves`) : DEFAULT_WAVE_SCRIPT,
+        terrain: new Terrain(data.elevation)
+    };
+}
+
+/**
+ * Read a level file's text, e.g. one exported from the level editor
+ * @param {string} text - File contents
+ * @returns {Object} The level data, as in the file
+ * @throws {Error} When the text isn't a valid level
+ */
+export function parseLevel(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid level: not JSON (${error.message})`);
+    }
+
+    const errors = validateLevel(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid level:\n  - ${errors.join('\n  - ')}`);
+    }
+    return data;
+}
+
+/**
+ * An empty board to start a new level from: one spawn and one exit in opposite corners
+ * @param {number} gridSize - Even, from 10 to 40
+ * @returns {Object} Level data
+ */
+export function createBlankLevel(gridSize = 20) {
+    const corner = gridSize / 2 - 2;
+    return {
+        id: 'custom',
+        name: 'Custom Level',
+        description: '',
+        modes: ['singleplayer'],
+        gridSize,
+        spawnPoints: [{ x: -corner, z: -corner }],
+        exitPoints: [{ x: corner, z: corner }],
+        restricted: [],
+        unbuildable: [],
+        rocks: [],
+        water: [],
+        elevation: [],
+        decorations: [],
+        startingMoney: 100
+    };
+}
+
+export const LEVELS = [
+    loadLevel(classicData, 'levels/classic.json'),
+    loadLevel(crossroadsData, 'levels/crossroads.json'),
+    loadLevel(quarryData, 'levels/quarry.json'),
+    loadLevel(twinGatesData, 'levels/twin-gates.json')
+];
+
+export const DEFAULT_LEVEL_ID = 'classic';
+export const COOPERATIVE_LEVEL_ID = 'twin-gates';
+
+// Seed -> generated level, so replaying a map doesn't generate it again; the most recently used are kept
+const generatedLevels = new Map();
+const MAX_GENERATED_LEVELS = 8;
+
+/**
+ * @param {string} id - A level's id, or "random-<seed>" for a generated map
+ * @returns {Object} The level
+ * @throws {Error} For unknown ids
+ */
+export function getLevel(id = DEFAULT_LEVEL_ID) {
+    const seed = getMapSeed(id);
+    if (seed !== null) {
+        const level = generatedLevels.get(seed) || loadLevel(generateLevel(seed));
+        generatedLevels.delete(seed);
+        generatedLevels.set(seed, level);
+        if (generatedLevels.size > MAX_GENERATED_LEVELS) {
+            generatedLevels.delete(generatedLevels.keys().next().value);
+        }
+        return level;
+    }
+
+    const level = LEVELS.find(candidate => candidate.id === id);
+    if (!level) {
+        throw new Error(`Unknown level "${id}" (expected ${LEVELS.map(candidate => candidate.id).join(', ')})`);
+    }
+    return level;
+}
+
+// Whether getLevel knows an id (saves and replays name the level they were played on)
+export function hasLevel(id) {
+    return getMapSeed(id) !== null || LEVELS.some(level => level.id === id);
+}
+
+// Levels playable in a mode ('singleplayer' or 'cooperative'), in menu order
+export function getLevelsForMode(mode) {
+    return LEVELS.filter(level => level.modes.includes(mode));
+}
+
+/**
+ * A level to play in a mode, e.g. the one a cooperative session was asked for
+ * @param {string} id - Level id (see getLevel)
+ * @param {string} mode - 'singleplayer' or 'cooperative'
+ * @returns {Object} The level
+ * @throws {Error} For unknown ids and levels not made for the mode
+ */
+export function getLevelForMode(id, mode) {
+    // Generated maps are single player only; turn them down before paying for generating one
+    if (getMapSeed(id) !== null && mode !== 'singleplayer') {
+        throw new Error(`Level "${id}" can't be played in ${mode} mode`);
+    }
+    if (!hasLevel(id)) {
+        throw new Error(`Unknown level "${id}"`);
+    }
+    const level = getLevel(id);
+    if (!level.modes.includes(mode)) {
+        throw new Error(`Level "${id}" can't be played in ${mode} mode`);
+    }
+    return level;
+}
@@ -0,0 +1,213 @@
+// Seeded map generator: the same seed always gives the same board, so a seed is all two players need to
+// play the same map. Boards come out as level data (see Levels.js), with the id "random-<seed>".
+import { createRouteFinder } from '../FlowField.js';
+import { Pathfinding, getPathLength } from '../Pathfinding.js';
+import { SeededRandom } from '../simulation/Random.js';
+import { MAX_ELEVATION, Terrain } from './Terrain.js';
+
+const GENERATED_ID_PATTERN = /^random-(\d{1,10})$/;
+const GRID_SIZE = 20;
+const DECORATION_TYPES = ['tree', 'tree-large', 'rocks', 'crystal']; // Scattered props (see LEVEL_DECORATIONS)
+
+// Fairness: most of the board stays open for blocks and towers, and the route doesn't start out twisted
+const MIN_OPEN_SHARE = 0.7; // Of the cells inside the border
+const MAX_DETOUR = 1.6; // Route length against the straight line from spawn to exit
+const FEATURE_ATTEMPTS = 12; // Tries per pond, rock cluster, unbuildable patch or plateau before leaving it out
+
+/**
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {string} The generated level's id, e.g. "random-1234"
+ */
+export function getGeneratedLevelId(seed) {
+    return `random-${seed >>> 0}`;
+}
+
+/**
+ * @param {string} levelId
+ * @returns {number|null} The seed a generated level's id names, null for other ids
+ */
+export function getMapSeed(levelId) {
+    const match = GENERATED_ID_PATTERN.exec(levelId);
+    if (!match) return null;
+    const seed = Number(match[1]);
+    return seed <= 0xFFFFFFFF ? seed : null;
+}
+
+/**
+ * Read a seed the player typed or was sent, e.g. "1234" or "random-1234"
+ * @param {string} text
+ * @returns {number|null} The seed, null when the text isn't one
+ */
+export function parseMapSeed(text) {
+    const trimmed = String(text).trim();
+    return /^\d{1,10}$/.test(trimmed) ? getMapSeed(`random-${trimmed}`) : getMapSeed(trimmed);
+}
+
+function cellKey(cell) {
+    return `${cell.x},${cell.z}`;
+}
+
+/**
+ * Generate a playable board: spawns along one edge and exits along the opposite one, ponds and rock
+ * clusters that enemies go round, unbuildable patches between the buildable zones, plateaus of high
+ * ground, and scattered props.
+ * Every spawn reaches an exit, and features that would crowd the build area or twist the route are left out.
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Object} Level data (validate with validateLevel)
+ */
+export function generateLevel(seed) {
+    const random = new SeededRandom(seed);
+    const between = (min, max) => min + Math.floor(random.next() * (max - min + 1));
+    const pick = list => list[Math.floor(random.next() * list.length)];
+
+    const half = GRID_SIZE / 2;
+    const pointLimit = half - 2;
+    const cellLimit = half - 1.5; // Outermost cell centre inside the border
+
+    // Spawns on one side, exits opposite; the side and the positions along it come from the seed
+    const [across, along] = random.next() < 0.5 ? ['x', 'z'] : ['z', 'x'];
+    const direction = random.next() < 0.5 ? 1 : -1;
+    const placeAlongEdge = (count, edge) => {
+        const points = [];
+        while (points.length < count) {
+            const offset = between(-pointLimit, pointLimit);
+            if (points.every(point => Math.abs(point[along] - offset) >= 6)) {
+                points.push({ [across]: edge, [along]: offset });
+            }
+        }
+        return points.map(point => ({ x: point.x, z: point.z }));
+    };
+    const spawnPoints = placeAlongEdge(between(1, 2), -direction * pointLimit);
+    const exitPoints = placeAlongEdge(between(1, 2), direction * pointLimit);
+
+    // Cells near a spawn or exit stay open, so enemies can always get going
+    const points = [...spawnPoints, ...exitPoints];
+    const isNearPoint = cell => points.some(point => Math.abs(cell.x - point.x) < 2.5 && Math.abs(cell.z - point.z) < 2.5);
+    const interior = [];
+    for (let x = -cellLimit; x <= cellLimit; x++) {
+        for (let z = -cellLimit; z <= cellLimit; z++) {
+            interior.push({ x, z });
+        }
+    }
+
+    const taken = new Set(); // Cells already given to a feature
+    const water = [];
+    const rocks = [];
+    const unbuildable = [];
+    const elevation = [];
+    const raised = new Set(); // Plateau cells, which stay open for blocks and towers
+
+    // Routes over the terrain as it stands; rebuilt when a plateau goes up or comes down
+    const createFindPath = () => createRouteFinder({
+        pathfinding: new Pathfinding(GRID_SIZE, new Terrain(elevation)),
+        spawns: spawnPoints,
+        exits: exitPoints
+    });
+    let findPath = createFindPath();
+    const straightLength = Math.max(...spawnPoints.map(spawn => Math.min(...exitPoints.map(exit =>
+        Math.hypot(exit.x - spawn.x, exit.z - spawn.z)))));
+    const isFair = () => {
+        const obstacles = [...rocks, ...water];
+        if (!findPath(obstacles)) return false;
+        const longest = Math.max(...spawnPoints.map(spawn => getPathLength(findPath(obstacles, spawn))));
+        const open = interior.length - taken.size;
+        return longest <= straightLength * MAX_DETOUR && open >= interior.length * MIN_OPEN_SHARE;
+    };
+
+    // Grow a blob of cells from a random seed cell
+    const growPatch = size => {
+        const start = pick(interior);
+        const patch = [start];
+        const inPatch = new Set([cellKey(start)]);
+        while (patch.length < size) {
+            const from = pick(patch);
+            const step = pick([{ x: 1, z: 0 }, { x: -1, z: 0 }, { x: 0, z: 1 }, { x: 0, z: -1 }]);
+            const next = { x: from.x + step.x, z: from.z + step.z };
+            if (Math.abs(next.x) > cellLimit || Math.abs(next.z) > cellLimit) continue;
+            if (!inPatch.has(cellKey(next))) {
+                inPatch.add(cellKey(next));
+                patch.push(next);
+            }
+        }
+        return patch;
+    };
+
+    // Try a feature a few times; keep the first placement that leaves the board fair
+    const addFeature = (list, minSize, maxSize, checkFairness) => {
+        for (let attempt = 0; attempt < FEATURE_ATTEMPTS; attempt++) {
+            const patch = growPatch(between(minSize, maxSize));
+            if (patch.some(cell => taken.has(cellKey(cell)) || isNearPoint(cell))) continue;
+
+            list.push(...patch);
+            patch.forEach(cell => taken.add(cellKey(cell)));
+            if (!checkFairness || isFair()) return;
+
+            list.splice(list.length - patch.length, patch.length);
+            patch.forEach(cell => taken.delete(cellKey(cell)));
+        }
+    };
+
+    const ponds = between(1, 2);
+    for (let i = 0; i < ponds; i++) addFeature(water, 4, 9, true);
+    const rockClusters = between(3, 6);
+    for (let i = 0; i < rockClusters; i++) addFeature(rocks, 1, 3, true);
+    // Unbuildable patches don't block the route, only the build area
+    const patches = between(1, 3);
+    for (let i = 0; i < patches; i++) addFeature(unbuildable, 3, 6, true);
+
+    // Plateaus last, on open ground: towers up there reach further, and enemies climb slowly or go round
+    const addPlateau = () => {
+        const height = between(1, MAX_ELEVATION);
+        for (let attempt = 0; attempt < FEATURE_ATTEMPTS; attempt++) {
+            const patch = growPatch(between(4, 8));
+            if (patch.some(cell => taken.has(cellKey(cell)) || raised.has(cellKey(cell)) || isNearPoint(cell))) continue;
+
+            elevation.push(...patch.map(cell => ({ ...cell, height })));
+            findPath = createFindPath();
+            if (isFair()) {
+                patch.forEach(cell => raised.add(cellKey(cell)));
+                return;
+            }
+
+            elevation.splice(elevation.length - patch.length, patch.length);
+            findPath = createFindPath();
+        }
+    };
+    const plateaus = between(0, 2);
+    for (let i = 0; i < plateaus; i++) addPlateau();
+
+    // Props off the playing cells: on the border ring, or on flat open ground away from the spawns
+    const decorations = [];
+    const round = value => Math.round(value * 100) / 100;
+    const decorationCount = between(10, 16);
+    for (let attempt = 0; attempt < decorationCount * 10 && decorations.length < decorationCount; attempt++) {
+        const position = { x: (random.next() - 0.5) * GRID_SIZE, z: (random.next() - 0.5) * GRID_SIZE };
+        const cell = { x: Math.floor(position.x) + 0.5, z: Math.floor(position.z) + 0.5 };
+        const onBorder = Math.abs(cell.x) > cellLimit || Math.abs(cell.z) > cellLimit;
+        if (!onBorder && (taken.has(cellKey(cell)) || raised.has(cellKey(cell)) || isNearPoint(cell))) continue;
+        if (decorations.some(other => Math.hypot(other.x - position.x, other.z - position.z) < 2)) continue;
+        decorations.push({
+            type: pick(DECORATION_TYPES),
+            x: round(position.x),
+            z: round(position.z),
+            rotation: round(random.next() * Math.PI * 2)
+        });
+    }
+
+    return {
+        id: getGeneratedLevelId(seed),
+        name: `Random Map #${seed >>> 0}`,
+        description: `Generated from seed ${seed >>> 0}; share the seed to play the same map.`,
+        modes: ['singleplayer'],
+        gridSize: GRID_SIZE,
+        spawnPoints,
+        exitPoints,
+        restricted: [],
+        unbuildable,
+        rocks,
+        water,
+        elevation,
+        decorations,
+        startingMoney: 100
+    };
+}
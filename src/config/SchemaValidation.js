@@ -0,0 +1,39 @@
+// Minimal schema checker for the JSON catalogues in this folder (towers.json, enemies.json).
+
+/**
+ * Check a value against a schema rule, collecting every problem found
+ * @param {*} value - Value to check
+ * @param {{type: string, required?: boolean, min?: number, max?: number, pattern?: RegExp,
+ *          items?: Object, properties?: Object}} rule - Schema rule for the value
+ * @param {string} path - Where the value sits, used in error messages
+ * @param {string[]} errors - Problems are pushed here
+ */
+export function validateValue(value, rule, path, errors) {
+    if (value === undefined) {
+        if (rule.required) errors.push(`${path} is required`);
+        return;
+    }
+
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== rule.type || (rule.type === 'number' && !Number.isFinite(value))) {
+        errors.push(`${path} should be ${rule.type}, got ${actualType}`);
+        return;
+    }
+
+    if (rule.min !== undefined && value < rule.min) errors.push(`${path} should be >= ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) errors.push(`${path} should be <= ${rule.max}`);
+    if (rule.pattern && !rule.pattern.test(value)) errors.push(`${path} does not match ${rule.pattern}`);
+
+    if (rule.type === 'array' && rule.items) {
+        value.forEach((item, index) => validateValue(item, rule.items, `${path}[${index}]`, errors));
+    }
+
+    if (rule.type === 'object' && rule.properties) {
+        for (const [key, childRule] of Object.entries(rule.properties)) {
+            validateValue(value[key], childRule, `${path}.${key}`, errors);
+        }
+        for (const key of Object.keys(value)) {
+            if (!rule.properties[key]) errors.push(`${path}.${key} is not a known field`);
+        }
+    }
+}
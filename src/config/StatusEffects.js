@@ -0,0 +1,126 @@
+// Status effects - shared by the client Enemy and the server game states so an
+// effect slows/weakens/stuns/burns (or hastes/shields a boss) by the same amount everywhere.
+//
+// Stack rules:
+//   'refresh' - one stack; re-applying extends the effect but never shortens it
+//   'stack'   - each application adds a stack (up to maxStacks) and restarts the duration
+// Damage-over-time effects deal damagePerTick * stacks every tickInterval ms.
+
+export const STATUS_EFFECTS = {
+    slow: {
+        name: 'Slowed',
+        speedMultiplier: 0.7,       // Moves 30% slower
+        damageTakenMultiplier: 1.0,
+        stackMode: 'refresh',
+        maxStacks: 1,
+        color: 0x66ccff
+    },
+    weaken: {
+        name: 'Weakened',
+        speedMultiplier: 1.0,
+        damageTakenMultiplier: 1.25, // Takes 25% more damage
+        stackMode: 'refresh',
+        maxStacks: 1,
+        color: 0xbb55ff
+    },
+    stun: {
+        name: 'Stunned',
+        speedMultiplier: 0,          // Can't move at all
+        damageTakenMultiplier: 1.0,
+        stackMode: 'refresh',
+        maxStacks: 1,
+        color: 0xffdd33
+    },
+    burn: {
+        name: 'Burning',
+        speedMultiplier: 1.0,
+        damageTakenMultiplier: 1.0,
+        stackMode: 'refresh',
+        maxStacks: 1,
+        tickInterval: 500,
+        color: 0xff6622
+    },
+    poison: {
+        name: 'Poisoned',
+        speedMultiplier: 1.0,
+        damageTakenMultiplier: 1.0,
+        stackMode: 'stack',
+        maxStacks: 5,
+        tickInterval: 1000,
+        color: 0x66dd33
+    },
+    // Boss phase abilities
+    haste: {
+        name: 'Hasted',
+        speedMultiplier: 2.0,        // Twice as fast
+        damageTakenMultiplier: 1.0,
+        stackMode: 'refresh',
+        maxStacks: 1,
+        color: 0xff3355
+    },
+    shielded: {
+        name: 'Shielded',
+        speedMultiplier: 1.0,
+        damageTakenMultiplier: 0.1,  // Takes 90% less damage
+        stackMode: 'refresh',
+        maxStacks: 1,
+        color: 0x33ffee
+    }
+};
+
+// Which effect the enemy indicator shows when several are active
+export const STATUS_EFFECT_PRIORITY = ['shielded', 'stun', 'slow', 'haste', 'burn', 'poison', 'weaken'];
+
+export function isValidStatusEffect(effectType) {
+    return Object.prototype.hasOwnProperty.call(STATUS_EFFECTS, effectType);
+}
+
+/**
+ * Combine the modifiers of every active effect
+ * @param {Iterable<string>} effectTypes - Active effect ids
+ * @returns {{speedMultiplier: number, damageTakenMultiplier: number}}
+ */
+export function getStatusModifiers(effectTypes) {
+    let speedMultiplier = 1.0;
+    let damageTakenMultiplier = 1.0;
+
+    for (const effectType of effectTypes) {
+        const effect = STATUS_EFFECTS[effectType];
+        if (!effect) continue;
+        speedMultiplier *= effect.speedMultiplier;
+        damageTakenMultiplier *= effect.damageTakenMultiplier;
+    }
+
+    return { speedMultiplier, damageTakenMultiplier };
+}
+
+export function isDamageOverTime(effectType) {
+    return !!STATUS_EFFECTS[effectType]?.tickInterval;
+}
+
+/**
+ * Apply the effect's stack rule to a new application
+ * @param {string} effectType - Effect id
+ * @param {{stacks: number, remaining: number}|null} current - Effect already on the enemy, if any
+ * @param {number} duration - ms the new application lasts
+ * @returns {{stacks: number, remaining: number}} Stack count and ms left after this application
+ */
+export function stackStatusEffect(effectType, current, duration) {
+    const effect = STATUS_EFFECTS[effectType];
+    if (!current) return { stacks: 1, remaining: duration };
+
+    if (effect.stackMode === 'stack') {
+        return {
+            stacks: Math.min(current.stacks + 1, effect.maxStacks),
+            remaining: duration
+        };
+    }
+
+    return { stacks: current.stacks, remaining: Math.max(current.remaining, duration) };
+}
+
+// Highest-priority effect out of the active ones (null when none)
+export function getDominantEffect(effectTypes) {
+    const active = new Set(effectTypes);
+    return STATUS_EFFECT_PRIORITY.find(effectType => active.has(effectType)) || null;
+}
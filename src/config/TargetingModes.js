@@ -0,0 +1,60 @@
+// Tower targeting priorities - shared by the client Tower and the server game
+// states so both pick the same target.
+
+export const TARGETING_MODES = {
+    FIRST: 'first',         // Furthest along the path (closest to the exit)
+    LAST: 'last',           // Least far along the path
+    STRONGEST: 'strongest', // Most current health
+    WEAKEST: 'weakest',     // Least current health
+    CLOSEST: 'closest'      // Nearest to the tower
+};
+
+// Closest was the only behaviour before modes existed, so it stays the default
+export const DEFAULT_TARGETING_MODE = TARGETING_MODES.CLOSEST;
+
+export const TARGETING_MODE_LABELS = {
+    first: 'First',
+    last: 'Last',
+    strongest: 'Strong',
+    weakest: 'Weak',
+    closest: 'Close'
+};
+
+export function isValidTargetingMode(mode) {
+    return Object.values(TARGETING_MODES).includes(mode);
+}
+
+/**
+ * Pick a target from enemies already known to be in range
+ * @param {Array<{enemy: *, distance: number, progress: number, health: number}>} candidates
+ * @param {string} mode - One of TARGETING_MODES
+ * @returns {*} The chosen enemy, or null when there are no candidates
+ */
+export function selectTarget(candidates, mode = DEFAULT_TARGETING_MODE) {
+    let best = null;
+
+    for (const candidate of candidates) {
+        if (!best || isBetterTarget(candidate, best, mode)) {
+            best = candidate;
+        }
+    }
+
+    return best ? best.enemy : null;
+}
+
+// Strict comparisons so ties keep the earlier candidate on both client and server
+function isBetterTarget(candidate, best, mode) {
+    switch (mode) {
+        case TARGETING_MODES.LAST:
+            return candidate.progress < best.progress;
+        case TARGETING_MODES.STRONGEST:
+            return candidate.health > best.health;
+        case TARGETING_MODES.WEAKEST:
+            return candidate.health < best.health;
+        case TARGETING_MODES.CLOSEST:
+            return candidate.distance < best.distance;
+        case TARGETING_MODES.FIRST:
+        default:
+            return candidate.progress > best.progress;
+    }
+}
@@ -0,0 +1,52 @@
+// Terrain height: a level's raised cells (its "elevation" list) as terraces. Towers on high ground reach
+// further, enemies slow down on the ramps between levels, and routes count climbing as extra distance.
+// Shared by pathfinding, the simulation and the views.
+
+export const MAX_ELEVATION = 2;
+export const TERRACE_HEIGHT = 0.4; // World units per elevation level
+export const HIGH_GROUND_RANGE_BONUS = 0.15; // Extra tower range per level above the ground
+export const RAMP_SPEED_MULTIPLIER = 0.6; // Ground enemies on a ramp, going up or down
+export const CLIMB_COST = 1.5; // Route cost per level changed, on top of the step itself
+
+function cellKey(x, z) {
+    return `${x},${z}`;
+}
+
+export class Terrain {
+    /**
+     * @param {Array<{x: number, z: number, height: number}>} elevation - Raised cells by their centres;
+     *        every other cell is at level 0
+     */
+    constructor(elevation = []) {
+        this.heights = new Map(elevation.map(cell => [cellKey(cell.x, cell.z), cell.height]));
+        this.isFlat = this.heights.size === 0;
+    }
+
+    // Level of the cell a position is in
+    getCellHeight(x, z) {
+        if (this.isFlat) return 0;
+        return this.heights.get(cellKey(Math.floor(x) + 0.5, Math.floor(z) + 0.5)) || 0;
+    }
+
+    /**
+     * Level of the ground at a position: the highest cell within half a cell of it, so a grid point
+     * (where enemies walk) on a terrace's rim counts as on top
+     */
+    getHeightAt(x, z) {
+        if (this.isFlat) return 0;
+        return Math.max(
+            this.getCellHeight(x - 0.5, z - 0.5),
+            this.getCellHeight(x + 0.5, z - 0.5),
+            this.getCellHeight(x - 0.5, z + 0.5),
+            this.getCellHeight(x + 0.5, z + 0.5)
+        );
+    }
+
+    // Extra route cost of a step between two grid points, the same both ways
+    getClimbCost(from, to) {
+        if (this.isFlat) return 0;
+        return CLIMB_COST * Math.abs(this.getHeightAt(to.x, to.z) - this.getHeightAt(from.x, from.z));
+    }
+}
+
+export const FLAT_TERRAIN = new Terrain();
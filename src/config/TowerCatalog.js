@@ -0,0 +1,294 @@
+// Shared tower catalogue - loaded by both the client and the server so tower
+// costs and stats only live in one place (towers.json).
+import catalogData from './towers.json' with { type: 'json' };
+import { isValidStatusEffect, isDamageOverTime } from './StatusEffects.js';
+import { isValidDamageType } from './DamageTypes.js';
+import { validateValue } from './SchemaValidation.js';
+
+// Schema for the catalogue file. Each field lists its type and whether it is required.
+export const TOWER_CATALOG_SCHEMA = {
+    refundRate: { type: 'number', required: true, min: 0, max: 1 },
+    towers: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            properties: {
+                id: { type: 'string', required: true, pattern: /^[a-z][a-z0-9_]*$/ },
+                name: { type: 'string', required: true },
+                description: { type: 'string', required: true },
+                cost: { type: 'number', required: true, min: 0 },
+                color: { type: 'string', required: true, pattern: /^#[0-9a-fA-F]{6}$/ },
+                range: { type: 'number', required: true, min: 0 },
+                damage: { type: 'number', required: true, min: 0 },
+                fireRate: { type: 'number', required: true, min: 0.01 }, // shots per second
+                damageType: { type: 'string' }, // One of DAMAGE_TYPES - every damage-dealing tower needs one
+                splashRadius: { type: 'number', min: 0 },
+                // 'projectile' (default) fires at one target, 'pulse' hits everything in range,
+                // 'support' deals no damage and buffs towers in range through its aura
+                attack: { type: 'string', pattern: /^(projectile|pulse|support)$/ },
+                antiAir: { type: 'boolean' }, // Can also hit flying enemies
+                // Bonuses a support tower gives every damage-dealing tower within its range
+                aura: {
+                    type: 'object',
+                    properties: {
+                        damageMultiplier: { type: 'number', min: 1 },
+                        fireRateMultiplier: { type: 'number', min: 1 },
+                        rangeMultiplier: { type: 'number', min: 1 },
+                        revealsStealth: { type: 'boolean' }
+                    }
+                },
+                // Status effect applied to every enemy the tower hits
+                effect: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', required: true },
+                        duration: { type: 'number', required: true, min: 0 }, // ms
+                        damagePerTick: { type: 'number', min: 0 } // per stack, damage-over-time effects only
+                    }
+                },
+                weaponModel: { type: 'string', required: true },
+                upgrade: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        damageMultiplier: { type: 'number', required: true, min: 1 },
+                        fireRateMultiplier: { type: 'number', required: true, min: 1 },
+                        costMultiplier: { type: 'array', required: true, items: { type: 'number', min: 0 } },
+                        maxLevel: { type: 'number', required: true, min: 1 },
+                        // Level at which the tower branches into one of its specializations
+                        branchLevel: { type: 'number', min: 2 },
+                        specializations: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', required: true, pattern: /^[a-z][a-z0-9_]*$/ },
+                                    name: { type: 'string', required: true },
+                                    description: { type: 'string', required: true },
+                                    costMultiplier: { type: 'number', required: true, min: 0 }, // of the tower's base cost
+                                    damageMultiplier: { type: 'number', min: 0 },
+                                    fireRateMultiplier: { type: 'number', min: 0.01 },
+                                    rangeMultiplier: { type: 'number', min: 0 },
+                                    splashRadiusMultiplier: { type: 'number', min: 0 },
+                                    pierce: { type: 'number', min: 0 },        // extra enemies hit behind the target
+                                    shredDuration: { type: 'number', min: 0 }  // ms of 'weaken' applied on hit
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate catalogue data against TOWER_CATALOG_SCHEMA
+ * @param {Object} data - Parsed catalogue JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateTowerCatalog(data) {
+    const errors = [];
+    validateValue(data, { type: 'object', required: true, properties: TOWER_CATALOG_SCHEMA }, 'catalog', errors);
+    if (errors.length > 0) return errors;
+
+    // Cross-field checks the per-field schema can't express
+    const seenIds = new Set();
+    data.towers.forEach((tower, index) => {
+        if (seenIds.has(tower.id)) errors.push(`catalog.towers[${index}].id "${tower.id}" is duplicated`);
+        seenIds.add(tower.id);
+
+        if (tower.effect && !isValidStatusEffect(tower.effect.type)) {
+            errors.push(`catalog.towers[${index}].effect.type "${tower.effect.type}" is not a known status effect`);
+        } else if (tower.effect && isDamageOverTime(tower.effect.type) && !tower.effect.damagePerTick) {
+            errors.push(`catalog.towers[${index}].effect.damagePerTick is required for "${tower.effect.type}"`);
+        }
+
+        if (tower.attack !== 'support' && !isValidDamageType(tower.damageType)) {
+            errors.push(`catalog.towers[${index}].damageType "${tower.damageType}" is not a known damage type`);
+        }
+
+        if (tower.antiAir && tower.attack === 'support') {
+            errors.push(`catalog.towers[${index}].antiAir is meaningless on a support tower`);
+        }
+
+        if ((tower.attack === 'support') !== (tower.aura !== undefined)) {
+            errors.push(`catalog.towers[${index}].aura is required for support towers and only allowed on them`);
+        }
+
+        const upgrade = tower.upgrade;
+        const path = `catalog.towers[${index}].upgrade`;
+
+        // Every plain (non-branch) upgrade needs a cost multiplier
+        for (let level = 1; level < upgrade.maxLevel; level++) {
+            if (level + 1 !== upgrade.branchLevel && upgrade.costMultiplier[level - 1] === undefined) {
+                errors.push(`${path}.costMultiplier is missing an entry for level ${level} -> ${level + 1}`);
+            }
+        }
+
+        if (upgrade.branchLevel !== undefined) {
+            if (upgrade.branchLevel > upgrade.maxLevel) {
+                errors.push(`${path}.branchLevel can't be above maxLevel`);
+            }
+            if (!upgrade.specializations || upgrade.specializations.length < 2) {
+                errors.push(`${path}.specializations needs at least two entries when branchLevel is set`);
+            }
+        } else if (upgrade.specializations) {
+            errors.push(`${path}.specializations requires branchLevel`);
+        }
+
+        const specIds = new Set();
+        (upgrade.specializations || []).forEach(spec => {
+            if (specIds.has(spec.id)) errors.push(`${path}.specializations id "${spec.id}" is duplicated`);
+            specIds.add(spec.id);
+        });
+    });
+
+    return errors;
+}
+
+const catalogErrors = validateTowerCatalog(catalogData);
+if (catalogErrors.length > 0) {
+    throw new Error(`Invalid tower catalogue (towers.json):\n  - ${catalogErrors.join('\n  - ')}`);
+}
+
+export const TOWER_REFUND_RATE = catalogData.refundRate;
+
+// Tower definitions in catalogue order (the order towers appear in the UI)
+export const TOWER_CATALOG = Object.freeze(catalogData.towers.map(tower => Object.freeze(tower)));
+
+const towersById = new Map(TOWER_CATALOG.map(tower => [tower.id, tower]));
+
+export function getTowerDefinition(towerType) {
+    if (typeof towerType !== 'string') return null;
+    return towersById.get(towerType.toLowerCase()) || null;
+}
+
+// For rules that only ever see validated towers: an unknown type there is a bug, so fail loudly
+export function requireTowerDefinition(towerType) {
+    const definition = getTowerDefinition(towerType);
+    if (!definition) {
+        throw new Error(`Unknown tower type "${towerType}" (expected ${getTowerIds().join(', ')})`);
+    }
+    return definition;
+}
+
+export function getTowerIds() {
+    return TOWER_CATALOG.map(tower => tower.id);
+}
+
+export function isValidTowerType(towerType) {
+    return getTowerDefinition(towerType) !== null;
+}
+
+// Pulse towers damage every enemy in range instead of firing projectiles
+export function isPulseTower(towerType) {
+    return getTowerDefinition(towerType)?.attack === 'pulse';
+}
+
+// Only anti-air towers can hit flying enemies
+export function isAntiAirTower(towerType) {
+    return getTowerDefinition(towerType)?.antiAir === true;
+}
+
+// The server schedules shots in milliseconds between shots
+export function getFireIntervalMs(fireRate) {
+    return Math.round(1000 / fireRate);
+}
+
+export function getSpecialization(towerType, specializationId) {
+    const config = getTowerDefinition(towerType);
+    if (!config || !specializationId || !config.upgrade.specializations) return null;
+    return config.upgrade.specializations.find(spec => spec.id === specializationId) || null;
+}
+
+// True when upgrading from currentLevel means picking a specialization
+export function isBranchUpgrade(towerType, currentLevel) {
+    const config = getTowerDefinition(towerType);
+    return !!config && config.upgrade.branchLevel === currentLevel + 1 && currentLevel < config.upgrade.maxLevel;
+}
+
+// Specializations on offer for the next upgrade, with their cost (empty unless at the branch)
+export function getSpecializationChoices(towerType, currentLevel) {
+    if (!isBranchUpgrade(towerType, currentLevel)) return [];
+
+    return getTowerDefinition(towerType).upgrade.specializations.map(spec => ({
+        ...spec,
+        cost: calculateUpgradeCost(towerType, currentLevel, spec.id)
+    }));
+}
+
+// Utility functions for upgrade calculations.
+// specializationId is the branch the tower took (or is about to take) - ignored before the branch level.
+export function calculateUpgradeCost(towerType, currentLevel, specializationId = null) {
+    const config = getTowerDefinition(towerType);
+    if (!config || !config.upgrade || currentLevel >= config.upgrade.maxLevel) {
+        return null; // Cannot upgrade
+    }
+
+    const baseCost = config.cost;
+
+    if (isBranchUpgrade(towerType, currentLevel)) {
+        const spec = getSpecialization(towerType, specializationId);
+        return spec ? Math.floor(baseCost * spec.costMultiplier) : null; // Must choose a branch
+    }
+
+    const multiplier = config.upgrade.costMultiplier[currentLevel - 1]; // currentLevel is 1-based
+    return Math.floor(baseCost * multiplier);
+}
+
+export function calculateUpgradedStats(towerType, currentLevel, specializationId = null) {
+    const config = getTowerDefinition(towerType);
+    if (!config || !config.upgrade) {
+        return null;
+    }
+
+    const damageUpgrade = Math.pow(config.upgrade.damageMultiplier, currentLevel - 1);
+    const fireRateUpgrade = Math.pow(config.upgrade.fireRateMultiplier, currentLevel - 1);
+
+    const branched = config.upgrade.branchLevel !== undefined && currentLevel >= config.upgrade.branchLevel;
+    const spec = branched ? getSpecialization(towerType, specializationId) : null;
+
+    return {
+        damage: Math.floor(config.damage * damageUpgrade * (spec?.damageMultiplier ?? 1)),
+        fireRate: parseFloat((config.fireRate * fireRateUpgrade * (spec?.fireRateMultiplier ?? 1)).toFixed(2)),
+        // Range and splash only change through specializations
+        range: config.range * (spec?.rangeMultiplier ?? 1),
+        splashRadius: config.splashRadius !== undefined
+            ? config.splashRadius * (spec?.splashRadiusMultiplier ?? 1)
+            : undefined,
+        pierce: spec?.pierce ?? 0,
+        shredDuration: spec?.shredDuration ?? 0,
+        effect: config.effect ? scaleEffect(config.effect, damageUpgrade) : null,
+        specialization: spec ? spec.id : null
+    };
+}
+
+// Damage-over-time grows with the same per-level multiplier as hit damage
+function scaleEffect(effect, damageUpgrade) {
+    const scaled = { ...effect };
+    if (effect.damagePerTick !== undefined) {
+        scaled.damagePerTick = Math.floor(effect.damagePerTick * damageUpgrade);
+    }
+    return scaled;
+}
+
+export function calculateTotalInvestment(towerType, currentLevel, specializationId = null) {
+    const config = getTowerDefinition(towerType);
+    if (!config) return 0;
+
+    let total = config.cost; // Base cost
+
+    // Add upgrade costs up to current level (including the specialization bought at the branch)
+    for (let level = 1; level < currentLevel; level++) {
+        total += calculateUpgradeCost(towerType, level, specializationId) || 0;
+    }
+
+    return total;
+}
+
+export function calculateRefundAmount(towerType, currentLevel, specializationId = null) {
+    const total = calculateTotalInvestment(towerType, currentLevel, specializationId);
+    return Math.floor(total * TOWER_REFUND_RATE);
+}
@@ -0,0 +1,262 @@
+// Scripted waves - loaded by the single player game and the cooperative server so both
+// play the same waves (waves.json, unless a level brings its own script in the same format).
+//
+// Each wave is a list of enemy groups spawned one after another:
+//   archetype  - enemy kind from enemies.json
+//   count      - enemies in the group
+//   interval   - ms between spawns within the group
+//   delay      - ms to wait after the previous group's last spawn (or the wave start) before this group
+//   spawnPoint - index of the map spawn point to use; omitted = any (maps with one spawn ignore it)
+// After the last scripted wave, the final wave repeats with more enemies spawning faster (see "endless").
+// Every "bosses.every" waves a boss follows the wave's last group after "bosses.delay" ms.
+// All times are ms on whatever clock the caller passes in (Date.now() or server gameTime).
+import scriptData from './waves.json' with { type: 'json' };
+import { isValidArchetype, isBossArchetype } from './EnemyCatalog.js';
+import { validateValue } from './SchemaValidation.js';
+
+export const WAVE_SCRIPT_SCHEMA = {
+    intermission: { type: 'number', required: true, min: 0 }, // ms between waves unless a wave overrides it
+    bosses: {
+        type: 'object',
+        properties: {
+            every: { type: 'number', required: true, min: 1 },
+            archetype: { type: 'string', required: true },
+            delay: { type: 'number', required: true, min: 0 }
+        }
+    },
+    endless: {
+        type: 'object',
+        required: true,
+        properties: {
+            countGrowth: { type: 'number', required: true, min: 1 },       // per wave past the script
+            intervalScale: { type: 'number', required: true, min: 0.01, max: 1 },
+            minInterval: { type: 'number', required: true, min: 0 }
+        }
+    },
+    waves: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            properties: {
+                intermission: { type: 'number', min: 0 }, // ms after this wave before the next
+                groups: {
+                    type: 'array',
+                    required: true,
+                    items: {
+                        type: 'object',
+                        properties: {
+                            archetype: { type: 'string', required: true },
+                            count: { type: 'number', required: true, min: 1 },
+                            interval: { type: 'number', required: true, min: 0 },
+                            delay: { type: 'number', min: 0 },
+                            spawnPoint: { type: 'number', min: 0 }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Validate wave script data against WAVE_SCRIPT_SCHEMA
+ * @param {Object} data - Parsed script JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateWaveScript(data) {
+    const errors = [];
+    validateValue(data, { type: 'object', required: true, properties: WAVE_SCRIPT_SCHEMA }, 'script', errors);
+    if (errors.length > 0) return errors;
+
+    if (data.waves.length === 0) errors.push('script.waves needs at least one wave');
+    if (data.bosses && !isBossArchetype(data.bosses.archetype)) {
+        errors.push(`script.bosses.archetype "${data.bosses.archetype}" is not a boss archetype`);
+    }
+
+    data.waves.forEach((wave, waveIndex) => {
+        if (wave.groups.length === 0) errors.push(`script.waves[${waveIndex}].groups needs at least one group`);
+
+        wave.groups.forEach((group, groupIndex) => {
+            const path = `script.waves[${waveIndex}].groups[${groupIndex}]`;
+            if (!isValidArchetype(group.archetype)) {
+                errors.push(`${path}.archetype "${group.archetype}" is not an enemy archetype`);
+            }
+            if (!Number.isInteger(group.count)) errors.push(`${path}.count should be a whole number`);
+            if (group.spawnPoint !== undefined && !Number.isInteger(group.spawnPoint)) {
+                errors.push(`${path}.spawnPoint should be a whole number`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * A validated wave script: the shared waves.json, or a level's own
+ */
+export class WaveScript {
+    /**
+     * @param {Object} data - Script data (WAVE_SCRIPT_SCHEMA)
+     * @param {string} name - Used in the error, e.g. 'waves.json'
+     * @throws {Error} With every problem found when the data isn't a valid script
+     */
+    constructor(data, name = 'waves.json') {
+        const errors = validateWaveScript(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid wave script (${name}):\n  - ${errors.join('\n  - ')}`);
+        }
+
+        this.data = data;
+        this.intermission = data.intermission;
+        this.scriptedWaveCount = data.waves.length;
+    }
+
+    isBossWave(wave) {
+        return !!this.data.bosses && wave % this.data.bosses.every === 0;
+    }
+
+    /**
+     * Groups and intermission of a wave (1-based); waves past the script scale up the last one
+     * @returns {{groups: Array<Object>, intermission: number}}
+     */
+    getWaveDefinition(wave) {
+        const scriptedIndex = Math.min(Math.max(wave, 1), this.scriptedWaveCount) - 1;
+        const scripted = this.data.waves[scriptedIndex];
+        const intermission = scripted.intermission ?? this.intermission;
+
+        let groups = scripted.groups;
+        const extraWaves = Math.max(wave - this.scriptedWaveCount, 0);
+        if (extraWaves > 0) {
+            const { countGrowth, intervalScale, minInterval } = this.data.endless;
+            groups = groups.map(group => ({
+                ...group,
+                count: Math.floor(group.count * Math.pow(countGrowth, extraWaves)),
+                interval: Math.max(group.interval * Math.pow(intervalScale, extraWaves), Math.min(minInterval, group.interval))
+            }));
+        }
+
+        if (this.isBossWave(wave)) {
+            const { archetype, delay } = this.data.bosses;
+            groups = [...groups, { archetype, count: 1, interval: 0, delay }];
+        }
+
+        return { groups, intermission };
+    }
+
+    // Total enemies a wave spawns (splitter children not included)
+    getWaveEnemyCount(wave) {
+        return this.getWaveDefinition(wave).groups.reduce((total, group) => total + group.count, 0);
+    }
+
+    // ms to wait after this wave before the next one starts
+    getWaveIntermission(wave) {
+        return this.getWaveDefinition(wave).intermission;
+    }
+
+    /**
+     * Flatten a wave into individual spawns
+     * @returns {Array<{time: number, archetype: string, spawnPoint: (number|null)}>} time is ms after the wave start
+     */
+    buildSpawnSchedule(wave) {
+        const schedule = [];
+        let time = 0;
+
+        for (const group of this.getWaveDefinition(wave).groups) {
+            time += group.delay || 0;
+            for (let i = 0; i < group.count; i++) {
+                if (i > 0) time += group.interval;
+                schedule.push({ time, archetype: group.archetype, spawnPoint: group.spawnPoint ?? null });
+            }
+        }
+
+        return schedule;
+    }
+}
+
+// The shared script, played wherever a level doesn't bring its own
+export const DEFAULT_WAVE_SCRIPT = new WaveScript(scriptData);
+
+/**
+ * Spawn point for a scripted spawn
+ * @param {{spawnPoint: (number|null)}} spawn - Entry from buildSpawnSchedule
+ * @param {Array} spawnPoints - The map's spawn points
+ * @param {function(): number} random - Picks one when the script leaves it open
+ */
+export function resolveSpawnPoint(spawn, spawnPoints, random = Math.random) {
+    if (spawn.spawnPoint !== null) return spawnPoints[spawn.spawnPoint % spawnPoints.length];
+    return spawnPoints[Math.floor(random() * spawnPoints.length)];
+}
+
+/**
+ * Plays one wave's schedule against the caller's clock
+ */
+export class WaveSpawner {
+    /**
+     * @param {WaveScript} script - Waves to play
+     */
+    constructor(script = DEFAULT_WAVE_SCRIPT) {
+        this.script = script;
+        this.wave = null;
+        this.schedule = [];
+        this.nextIndex = 0;
+        this.startTime = 0;
+    }
+
+    /**
+     * @param {number} wave - Wave to play
+     * @param {number} now - Current time in ms
+     * @param {number} alreadySpawned - Spawns to skip, e.g. when resuming a saved wave
+     */
+    start(wave, now, alreadySpawned = 0) {
+        this.wave = wave;
+        this.schedule = this.script.buildSpawnSchedule(wave);
+        this.nextIndex = Math.min(alreadySpawned, this.schedule.length);
+
+        // Pick up where the skipped spawns left off instead of replaying their gaps
+        const resumeAt = this.nextIndex > 0 ? this.schedule[this.nextIndex - 1].time : 0;
+        this.startTime = now - resumeAt;
+    }
+
+    isSpawnDue(now) {
+        const next = this.schedule[this.nextIndex];
+        return !!next && now - this.startTime >= next.time;
+    }
+
+    // Every spawn that has fallen due, in order; each is handed out once
+    takeDueSpawns(now) {
+        const due = [];
+        while (this.isSpawnDue(now)) {
+            due.push(this.schedule[this.nextIndex++]);
+        }
+        return due;
+    }
+
+    isDone() {
+        return this.nextIndex >= this.schedule.length;
+    }
+
+    reset() {
+        this.wave = null;
+        this.schedule = [];
+        this.nextIndex = 0;
+    }
+
+    // Where the wave is up to, for a saved run (no wave before the first one starts)
+    serialize() {
+        const data = { nextIndex: this.nextIndex, startTime: this.startTime };
+        if (this.wave !== null) data.wave = this.wave;
+        return data;
+    }
+
+    // Carry on a saved wave exactly where it was (the schedule is rebuilt from the script)
+    restore({ wave, nextIndex, startTime }) {
+        this.reset();
+        if (wave === undefined) return;
+
+        this.wave = wave;
+        this.schedule = this.script.buildSpawnSchedule(wave);
+        this.nextIndex = Math.min(nextIndex, this.schedule.length);
+        this.startTime = startTime;
+    }
+}
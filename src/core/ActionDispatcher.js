@@ -45,14 +45,24 @@ export class ActionDispatcher {
         this.networkManager.placeTower(position.x, position.z, towerType);
     }
     
-    upgradeTower(towerId) {
-        console.log('🎮 ActionDispatcher: Upgrading tower', towerId);
+    upgradeTower(towerId, specialization = null) {
+        console.log('🎮 ActionDispatcher: Upgrading tower', towerId, specialization);
         
         if (!this.networkManager) {
             throw new Error('NetworkManager not available');
         }
         
-        this.networkManager.upgradeTower(towerId);
+        this.networkManager.upgradeTower(towerId, specialization);
+    }
+    
+    setTowerTargeting(towerId, targetingMode) {
+        console.log('🎮 ActionDispatcher: Setting tower targeting', { towerId, targetingMode });
+        
+        if (!this.networkManager) {
+            throw new Error('NetworkManager not available');
+        }
+        
+        this.networkManager.setTowerTargeting(towerId, targetingMode);
     }
     
     sellTower(towerId) {
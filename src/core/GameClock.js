@@ -0,0 +1,71 @@
+const MAX_FRAME_MS = 100; // A long stall (background tab) counts as one short frame instead of jumping ahead
+
+// Effects written as per-frame rates scale them by delta / FRAME_SECONDS (they were tuned at 60fps)
+export const FRAME_SECONDS = 0.016;
+
+/**
+ * The one clock the game's views run on. The game loop advances it once per frame; pausing or
+ * speeding it up pauses or speeds up the simulation ticks and every effect animation with it.
+ */
+export class GameClock {
+    /**
+     * @param {function(): number} realNow - Real time source in ms
+     */
+    constructor(realNow = () => performance.now()) {
+        this.realNow = realNow;
+        this.lastRealTime = null;
+        this.time = 0;      // Game time in ms
+        this.delta = 0;     // Game seconds the last frame advanced
+        this.timeScale = 1; // Game time per real time: 0 pauses, 2 plays at double speed
+        this.animations = new Set();
+    }
+
+    // Game time in ms (matches the { now } clocks the simulation entities take)
+    now() {
+        return this.time;
+    }
+
+    setTimeScale(scale) {
+        this.timeScale = Math.max(0, scale);
+    }
+
+    isPaused() {
+        return this.timeScale === 0;
+    }
+
+    /**
+     * Run a per-frame animation on game time; it stops while the game is paused
+     * @param {function(number, number): boolean} step - (deltaSeconds, gameTimeMs) => keep going?
+     */
+    animate(step) {
+        this.animations.add(step);
+    }
+
+    // Advance by the real time since the last frame and step the animations
+    update() {
+        const realTime = this.realNow();
+        const realDelta = this.lastRealTime === null ? 0 : Math.min(realTime - this.lastRealTime, MAX_FRAME_MS);
+        this.lastRealTime = realTime;
+
+        const deltaMs = realDelta * this.timeScale;
+        this.time += deltaMs;
+        this.delta = deltaMs / 1000;
+        if (this.delta === 0) return;
+
+        for (const step of this.animations) {
+            if (!step(this.delta, this.time)) {
+                this.animations.delete(step);
+            }
+        }
+    }
+
+    // Back to normal speed with no animations, e.g. when a game is cleaned up
+    reset() {
+        this.lastRealTime = null;
+        this.delta = 0;
+        this.timeScale = 1;
+        this.animations.clear();
+    }
+}
+
+export const gameClock = new GameClock();
@@ -86,6 +86,10 @@ export class GameController {
             this.eventHub.emit('tower:player_placed', data);
         });
         
+        this.networkManager.setOnTowerTargetingChanged((data) => {
+            this.eventHub.emit('tower:targeting_changed', data);
+        });
+        
         // === ENEMY EVENTS ===
         this.networkManager.setOnEnemySpawned((data) => {
             console.log('🌉 GameController: Enemy spawned, bridging to EventHub');
@@ -192,9 +196,10 @@ export class GameController {
     
     /**
      * Start quick match
+     * @param {string} levelId - Cooperative map to play; the server's default when missing
      */
-    startQuickMatch() {
-        this.networkManager.startQuickMatch();
+    startQuickMatch(levelId) {
+        this.networkManager.startQuickMatch(levelId);
     }
     
     /**
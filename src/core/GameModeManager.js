@@ -1,6 +1,8 @@
 import { LoadingScreen } from '../ui/LoadingScreen.js';
 import { SinglePlayerGame } from '../modes/SinglePlayerGame.js';
 import { MultiplayerGame } from '../modes/MultiplayerGame.js';
+import { ReplayViewer } from '../modes/ReplayViewer.js';
+import { LevelEditor } from '../modes/LevelEditor.js';
 import { GameModeSelector } from '../ui/GameModeSelector.js';
 import { GameController } from './GameController.js';
 
@@ -11,6 +13,9 @@ export class GameModeManager {
         // Game instances
         this.singlePlayerGame = null;
         this.multiplayerGame = null;
+        this.replayViewer = null;
+        this.levelEditor = null;
+        this.backToEditorButton = null; // Shown while play-testing a level from the editor
         this.currentGameMode = null;
         
         // Central controller for multiplayer (NEW ARCHITECTURE)
@@ -51,12 +56,12 @@ export class GameModeManager {
             this.currentGameMode = selectedMode;            
             if (this.currentGameMode === 'multiplayer' && options.matchmaking) {
                 // Start multiplayer with matchmaking
-                this.startMultiplayerMode();
+                this.startMultiplayerMode({ levelId: options.levelId });
             } else {
                 // Start regular game mode
                 this.gameModeSelector.hide();
                 this.loadingScreen.show();
-                this.startGameMode(this.currentGameMode);
+                this.startGameMode(this.currentGameMode, options);
             }
         });
 
@@ -70,12 +75,18 @@ export class GameModeManager {
     /**
      * Start the specified game mode
      */
-    async startGameMode(mode) {
+    async startGameMode(mode, options = {}) {
         try {
             if (mode === 'singleplayer') {
-                await this.startSinglePlayerMode();
+                await this.startSinglePlayerMode({ levelId: options.levelId });
+            } else if (mode === 'continue') {
+                await this.startSinglePlayerMode({ save: options.save });
+            } else if (mode === 'replay') {
+                await this.startReplayMode(options.replay);
+            } else if (mode === 'editor') {
+                await this.startEditorMode();
             } else if (mode === 'multiplayer') {
-                await this.startMultiplayerMode();
+                await this.startMultiplayerMode({ levelId: options.levelId });
             } else {
                 throw new Error(`Unknown game mode: ${mode}`);
             }
@@ -87,14 +98,15 @@ export class GameModeManager {
 
     /**
      * Start single player mode
+     * @param {Object} options - Passed to SinglePlayerGame, e.g. { levelId } for a new game or { save } to continue a saved run
      */
-    async startSinglePlayerMode() {
+    async startSinglePlayerMode(options = {}) {
         try {
             // Cleanup any existing games
             this.cleanup();
             
             // Create and initialize single player game
-            this.singlePlayerGame = new SinglePlayerGame();
+            this.singlePlayerGame = new SinglePlayerGame(options);
             await this.singlePlayerGame.initialize(this.loadingScreen);
             this.singlePlayerGame.start();
             
@@ -106,10 +118,88 @@ export class GameModeManager {
         }
     }
 
+    /**
+     * Watch a recorded single player game
+     * @param {Object} replay - From parseReplay
+     */
+    async startReplayMode(replay) {
+        try {
+            // Cleanup any existing games
+            this.cleanup();
+            
+            this.replayViewer = new ReplayViewer(replay);
+            await this.replayViewer.initialize(this.loadingScreen);
+            this.replayViewer.start();
+            
+        } catch (error) {
+            console.error('Failed to start replay:', error);
+            this.loadingScreen.hide();
+            this.showError('Failed to play the replay. Please refresh the page.');
+            throw error;
+        }
+    }
+
+    /**
+     * Open the level editor
+     * @param {Object|null} level - Level data to carry on editing, e.g. after a play-test
+     */
+    async startEditorMode(level = null) {
+        try {
+            // Cleanup any existing games
+            this.cleanup();
+            this.currentGameMode = 'editor';
+            
+            this.levelEditor = new LevelEditor(level);
+            this.levelEditor.setOnPlaytestCallback((playtestLevel) => this.startPlaytestMode(playtestLevel));
+            this.levelEditor.setOnExitCallback(() => this.returnToMenu());
+            await this.levelEditor.initialize(this.loadingScreen);
+            this.levelEditor.start();
+            
+        } catch (error) {
+            console.error('Failed to start the level editor:', error);
+            this.loadingScreen.hide();
+            this.showError('Failed to open the level editor. Please refresh the page.');
+            throw error;
+        }
+    }
+
+    /**
+     * Play a level from the editor in single player, with a button back to editing it
+     * @param {Object} level - From loadLevel
+     */
+    async startPlaytestMode(level) {
+        const { waveScript, terrain, ...levelData } = level; // Back to plain level data for the editor
+        this.loadingScreen.show();
+        this.currentGameMode = 'singleplayer';
+        await this.startSinglePlayerMode({ level });
+
+        this.backToEditorButton = document.createElement('button');
+        this.backToEditorButton.className = 'back-to-editor-btn';
+        this.backToEditorButton.textContent = '✏️ Back to Editor';
+        Object.assign(this.backToEditorButton.style, {
+            position: 'fixed',
+            bottom: '20px',
+            left: '20px',
+            padding: '8px 14px',
+            background: 'rgba(20, 20, 30, 0.9)',
+            border: '2px solid rgba(100, 150, 255, 0.6)',
+            borderRadius: '8px',
+            color: '#ffffff',
+            cursor: 'pointer',
+            zIndex: '1000'
+        });
+        this.backToEditorButton.addEventListener('click', () => {
+            this.loadingScreen.show();
+            this.startEditorMode(levelData);
+        });
+        document.body.appendChild(this.backToEditorButton);
+    }
+
     /**
      * Start multiplayer mode with matchmaking
+     * @param {Object} options - { levelId } of the cooperative map to find a match on (the default one when missing)
      */
-    async startMultiplayerMode() {
+    async startMultiplayerMode(options = {}) {
         try {
             // Cleanup any existing games
             this.cleanup();
@@ -171,7 +261,7 @@ export class GameModeManager {
             
             // Start the matchmaking process AFTER connection is established
             console.log('🎮 GameModeManager: Starting quick match...');
-            this.gameController.startQuickMatch();
+            this.gameController.startQuickMatch(options.levelId);
             
             // Initialize multiplayer game systems
             await this.multiplayerGame.initializeWithMatchmaking(this.loadingScreen, statusCallbacks);
@@ -266,10 +356,14 @@ export class GameModeManager {
      * Handle window resize
      */
     onWindowResize() {
-        if (this.currentGameMode === 'singleplayer' && this.singlePlayerGame) {
+        if ((this.currentGameMode === 'singleplayer' || this.currentGameMode === 'continue') && this.singlePlayerGame) {
             this.singlePlayerGame.onWindowResize();
         } else if (this.currentGameMode === 'multiplayer' && this.multiplayerGame) {
             this.multiplayerGame.onWindowResize();
+        } else if (this.currentGameMode === 'replay' && this.replayViewer) {
+            this.replayViewer.onWindowResize();
+        } else if (this.currentGameMode === 'editor' && this.levelEditor) {
+            this.levelEditor.onWindowResize();
         }
     }
 
@@ -284,7 +378,7 @@ export class GameModeManager {
      * Check if a game is currently active
      */
     isGameActive() {
-        return this.singlePlayerGame !== null || this.multiplayerGame !== null;
+        return this.singlePlayerGame !== null || this.multiplayerGame !== null || this.replayViewer !== null || this.levelEditor !== null;
     }
 
     /**
@@ -297,6 +391,30 @@ export class GameModeManager {
         }
     }
 
+    /**
+     * Cleanup replay viewer
+     */
+    cleanupReplay() {
+        if (this.replayViewer) {
+            this.replayViewer.cleanup();
+            this.replayViewer = null;
+        }
+    }
+
+    /**
+     * Cleanup the level editor (and the play-test's way back to it)
+     */
+    cleanupEditor() {
+        if (this.levelEditor) {
+            this.levelEditor.cleanup();
+            this.levelEditor = null;
+        }
+        if (this.backToEditorButton) {
+            this.backToEditorButton.remove();
+            this.backToEditorButton = null;
+        }
+    }
+
     /**
      * Cleanup multiplayer game
      */
@@ -318,6 +436,8 @@ export class GameModeManager {
      */
     cleanup() {
         this.cleanupSinglePlayer();
+        this.cleanupReplay();
+        this.cleanupEditor();
         this.cleanupMultiplayer();
         
         // Note: We don't cleanup UI components (gameModeSelector, loadingScreen)
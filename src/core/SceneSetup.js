@@ -4,7 +4,11 @@ import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { loadTexture } from '../utils/textureLoader.js';
 
 export class SceneSetup {
-    constructor() {
+    /**
+     * @param {number} gridSize - Width and depth of the board the ground covers
+     */
+    constructor(gridSize = 20) {
+        this.gridSize = gridSize;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
@@ -150,8 +154,9 @@ export class SceneSetup {
     }
 
     createGround() {
-        const groundGeometry = new THREE.PlaneGeometry(20, 20);
-        const snowTexture = loadTexture('/assets/textures/snow01.png', 10, 10);
+        const groundGeometry = new THREE.PlaneGeometry(this.gridSize, this.gridSize);
+        const snowTexture = loadTexture('/assets/textures/snow01.png', this.gridSize / 2, this.gridSize / 2);
+        snowTexture.repeat.set(this.gridSize / 2, this.gridSize / 2); // The texture is cached from the first board's size
         const groundMaterial = new THREE.MeshLambertMaterial({ 
             map: snowTexture,
             color: 0x1B4332 // Dark green color to match oklch(44.8% 0.119 151.328)
@@ -162,6 +167,17 @@ export class SceneSetup {
         this.scene.add(this.ground);
     }
 
+    /**
+     * Fit the ground to a different board size (the level editor's grid size setting)
+     * @param {number} gridSize
+     */
+    resizeGround(gridSize) {
+        this.gridSize = gridSize;
+        this.ground.geometry.dispose();
+        this.ground.geometry = new THREE.PlaneGeometry(gridSize, gridSize);
+        this.ground.material.map?.repeat.set(gridSize / 2, gridSize / 2);
+    }
+
     /**
      * Handle window resize
      */
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { gameClock, FRAME_SECONDS } from '../core/GameClock.js';
 
 export class ParticleSystem {
     constructor(scene) {
@@ -60,7 +61,8 @@ export class ParticleSystem {
      * Animate explosion particles
      */
     animateExplosion(particles) {
-        const animate = () => {
+        gameClock.animate((delta) => {
+            const frames = delta / FRAME_SECONDS;
             let activeParticles = 0;
 
             for (let i = particles.length - 1; i >= 0; i--) {
@@ -75,13 +77,13 @@ export class ParticleSystem {
                 }
 
                 // Update position
-                particle.mesh.position.add(particle.velocity.clone().multiplyScalar(0.016));
+                particle.mesh.position.add(particle.velocity.clone().multiplyScalar(delta));
                 
                 // Apply gravity
-                particle.velocity.y -= 9.8 * 0.016;
+                particle.velocity.y -= 9.8 * delta;
                 
                 // Update life and opacity
-                particle.life -= particle.decay;
+                particle.life -= particle.decay * frames;
                 particle.mesh.material.opacity = particle.life * 0.8;
                 
                 // Scale down over time
@@ -91,12 +93,8 @@ export class ParticleSystem {
                 activeParticles++;
             }
 
-            if (activeParticles > 0) {
-                requestAnimationFrame(animate);
-            }
-        };
-
-        animate();
+            return activeParticles > 0;
+        });
     }
 
     /**
@@ -179,7 +177,8 @@ export class ParticleSystem {
      * Animate spark particles
      */
     animateSparks(sparks) {
-        const animate = () => {
+        gameClock.animate((delta) => {
+            const frames = delta / FRAME_SECONDS;
             let activeSparks = 0;
 
             for (let i = sparks.length - 1; i >= 0; i--) {
@@ -194,25 +193,21 @@ export class ParticleSystem {
                 }
 
                 // Update position
-                spark.mesh.position.add(spark.velocity.clone().multiplyScalar(0.016));
+                spark.mesh.position.add(spark.velocity.clone().multiplyScalar(delta));
                 
                 // Apply gravity and air resistance
-                spark.velocity.y -= 9.8 * 0.016;
-                spark.velocity.multiplyScalar(0.98); // Air resistance
+                spark.velocity.y -= 9.8 * delta;
+                spark.velocity.multiplyScalar(Math.pow(0.98, frames)); // Air resistance
                 
                 // Update life and opacity
-                spark.life -= spark.decay;
+                spark.life -= spark.decay * frames;
                 spark.mesh.material.opacity = spark.life;
                 
                 activeSparks++;
             }
 
-            if (activeSparks > 0) {
-                requestAnimationFrame(animate);
-            }
-        };
-
-        animate();
+            return activeSparks > 0;
+        });
     }
 
     /**
@@ -227,21 +222,19 @@ export class ParticleSystem {
 
         // Animate flash
         let life = 1.0;
-        const animate = () => {
-            life -= 0.1;
+        gameClock.animate((delta) => {
+            const frames = delta / FRAME_SECONDS;
+            life -= 0.1 * frames;
             flash.material.opacity = life;
-            flash.scale.multiplyScalar(1.1);
-
-            if (life > 0) {
-                requestAnimationFrame(animate);
-            } else {
-                this.scene.remove(flash);
-                flash.geometry.dispose();
-                flash.material.dispose();
-            }
-        };
+            flash.scale.multiplyScalar(Math.pow(1.1, frames));
 
-        animate();
+            if (life > 0) return true;
+
+            this.scene.remove(flash);
+            flash.geometry.dispose();
+            flash.material.dispose();
+            return false;
+        });
     }
 
     /**
@@ -348,7 +341,8 @@ export class ParticleSystem {
      * Animate energy particles with spiral motion
      */
     animateEnergyParticles(particles) {
-        const animate = () => {
+        gameClock.animate((delta) => {
+            const frames = delta / FRAME_SECONDS;
             let activeParticles = 0;
 
             for (let i = particles.length - 1; i >= 0; i--) {
@@ -363,24 +357,20 @@ export class ParticleSystem {
                 }
 
                 // Spiral upward motion
-                particle.angle += particle.speed * 0.016;
-                particle.mesh.position.y += particle.speed * 0.016 * 2;
-                particle.mesh.position.x = particle.mesh.position.x + Math.cos(particle.angle) * particle.radius * 0.016;
-                particle.mesh.position.z = particle.mesh.position.z + Math.sin(particle.angle) * particle.radius * 0.016;
+                particle.angle += particle.speed * delta;
+                particle.mesh.position.y += particle.speed * delta * 2;
+                particle.mesh.position.x = particle.mesh.position.x + Math.cos(particle.angle) * particle.radius * delta;
+                particle.mesh.position.z = particle.mesh.position.z + Math.sin(particle.angle) * particle.radius * delta;
                 
                 // Update life and opacity
-                particle.life -= particle.decay;
+                particle.life -= particle.decay * frames;
                 particle.mesh.material.opacity = particle.life * 0.9;
                 
                 activeParticles++;
             }
 
-            if (activeParticles > 0) {
-                requestAnimationFrame(animate);
-            }
-        };
-
-        animate();
+            return activeParticles > 0;
+        });
     }
 
     /**
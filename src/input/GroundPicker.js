@@ -0,0 +1,52 @@
+import * as THREE from 'three';
+
+/**
+ * Finds the spot on the ground under the mouse, as a point, a cell centre or a grid point.
+ * Used by the maze builder and the level editor.
+ */
+export class GroundPicker {
+    /**
+     * @param {THREE.Camera} camera
+     * @param {THREE.Mesh} ground - The ground plane from SceneSetup
+     */
+    constructor(camera, ground) {
+        this.camera = camera;
+        this.ground = ground;
+        this.surfaces = []; // Raised ground on top of the plane, e.g. terraces
+        this.raycaster = new THREE.Raycaster();
+        this.mouse = new THREE.Vector2();
+    }
+
+    /**
+     * Also aim at raised ground, so a cell on a terrace is picked where its top is seen
+     * @param {Array<THREE.Object3D>} surfaces
+     */
+    setSurfaces(surfaces) {
+        this.surfaces = surfaces;
+    }
+
+    // Follow the mouse (call from mousemove)
+    setPointer(event) {
+        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
+        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    }
+
+    // Ground point under the mouse, or null when it's off the ground
+    pick() {
+        this.raycaster.setFromCamera(this.mouse, this.camera);
+        const intersects = this.raycaster.intersectObjects([this.ground, ...this.surfaces]);
+        return intersects.length > 0 ? intersects[0].point : null;
+    }
+
+    // Centre of the cell under the mouse, e.g. { x: 2.5, z: -3.5 }
+    pickCell() {
+        const point = this.pick();
+        return point ? { x: Math.floor(point.x) + 0.5, z: Math.floor(point.z) + 0.5 } : null;
+    }
+
+    // Grid point nearest the mouse, e.g. { x: 3, z: -4 } (where spawns and exits go)
+    pickGridPoint() {
+        const point = this.pick();
+        return point ? { x: Math.round(point.x), z: Math.round(point.z) } : null;
+    }
+}
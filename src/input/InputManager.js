@@ -1,22 +1,27 @@
 import * as THREE from 'three';
 import { Tower } from '../Tower.js';
+import { TowerState } from '../simulation/TowerState.js';
 import { debugLog } from '../config/DebugConfig.js';
-import { Pathfinding } from '../Pathfinding.js';
 
 export class InputManager {
-    constructor(scene, camera, renderer, gameState, ground, pathWaypoints, towers, mazeState) {
+    /**
+     * @param {function(Array<{x: number, z: number}>): (Array|null)} findRoute - Enemy route around the given
+     *        obstacles (the game's route finder), for blocking checks. There's no route preview here as with
+     *        shapes: towers only go on maze blocks, which the route already goes around
+     */
+    constructor(scene, camera, renderer, simulation, ground, findRoute, towers, mazeState) {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
-        this.gameState = gameState;
+        this.simulation = simulation; // Placements go through the simulation as commands
+        this.gameState = simulation.state;
         this.ground = ground;
-        this.pathWaypoints = pathWaypoints;
+        this.findRoute = findRoute;
         this.towers = towers;
+        this.mazeState = mazeState; // Knows the level's rocks and unbuildable cells
 
         // Maze information – towers can only be placed on top of these blocks
-        this.mazeObstacles = mazeState ? mazeState.getObstacles() : [];
-        // Create a quick-lookup set for validity checks
-        this.mazeObstacleSet = new Set(this.mazeObstacles.map(o => `${o.x.toFixed(1)}_${o.z.toFixed(1)}`));
+        this.setMazeObstacles(mazeState ? mazeState.getObstacles() : []);
         
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
@@ -57,7 +62,7 @@ export class InputManager {
         if (!this.selectedTowerData || !this.previewTower) return;
         
         this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObject(this.ground);
+        const intersects = this.intersectGround();
         
         if (intersects.length > 0) {
             const point = intersects[0].point;
@@ -65,15 +70,22 @@ export class InputManager {
             const gridX = Math.round(point.x - 0.5) + 0.5;
             const gridZ = Math.round(point.z - 0.5) + 0.5;
             
-            // Update preview tower position (center y = 1.0)
-            this.previewTower.mesh.position.set(gridX, 1.0, gridZ);
-            this.previewTower.rangeIndicator.position.set(gridX, 0.01, gridZ);
+            // Update preview tower position (center y = 1.0 above the cell's ground)
+            const groundLevel = this.mazeState ? this.mazeState.getGroundLevel(gridX, gridZ) : 0;
+            this.previewTower.mesh.position.set(gridX, 1.0 + groundLevel, gridZ);
+            this.previewTower.rangeIndicator.position.set(gridX, 0.01 + groundLevel, gridZ);
             
             // Update preview color based on position validity
             this.updatePreviewAppearance(gridX, gridZ);
         }
     }
 
+    // The ground and any terraces on it under the mouse (set the raycaster first)
+    intersectGround() {
+        const terraces = this.mazeState ? this.mazeState.terrainMeshes : [];
+        return this.raycaster.intersectObjects([this.ground, ...terraces]);
+    }
+
     updatePreviewAppearance(gridX, gridZ) {
         if (!this.selectedTowerData || !this.previewTower) return;
         
@@ -124,7 +136,7 @@ export class InputManager {
     handleTowerPlacement() {
         debugLog(`Attempting to place tower: ${this.selectedTowerData.name}`, 'TOWER_PLACEMENT');
         
-        const intersects = this.raycaster.intersectObject(this.ground);
+        const intersects = this.intersectGround();
         
         if (intersects.length > 0) {
             const point = intersects[0].point;
@@ -152,19 +164,11 @@ export class InputManager {
     placeTower(gridX, gridZ) {
         debugLog(`Creating tower at: ${gridX}, ${gridZ}`, 'TOWER_PLACEMENT');
         
-        // Create new tower using the Tower class
-        const tower = new Tower(
-            gridX,
-            1.0, // Center height adjusted to sit on top of block
-            gridZ,
-            this.selectedTowerData.id
-        );
+        // The simulation buys the tower; its towerPlaced event adds the view to this.towers
+        const towerState = this.simulation.placeTower(this.selectedTowerData.id, gridX, gridZ);
+        const tower = towerState && this.towers.find(view => view.state === towerState);
         
         if (tower) {
-            this.towers.push(tower);
-            this.scene.add(tower.mesh);
-            this.gameState.spendMoney(this.selectedTowerData.cost);
-            
             debugLog('Tower created successfully', 'TOWER_PLACEMENT');
             
             // Clean up preview and selection
@@ -297,11 +301,21 @@ export class InputManager {
         }
     }
 
+    // Call again when blocks leave or return to the grid mid-defense (UFO beams)
+    setMazeObstacles(mazeObstacles) {
+        this.mazeObstacles = mazeObstacles;
+        // Create a quick-lookup set for validity checks
+        this.mazeObstacleSet = new Set(this.mazeObstacles.map(o => `${o.x.toFixed(1)}_${o.z.toFixed(1)}`));
+    }
+
     isValidTowerPosition(x, z) {
-        // Towers must sit on a maze block
+        // Towers must sit on a maze block, and not one on a rock or a cell the level keeps unbuildable
         if (!this.mazeObstacleSet.has(`${x.toFixed(1)}_${z.toFixed(1)}`)) {
             return false;
         }
+        if (this.mazeState && !this.mazeState.canBuildTowerAt(x, z)) {
+            return false;
+        }
 
         // Check if position is occupied by another tower
         for (const tower of this.towers) {
@@ -312,13 +326,7 @@ export class InputManager {
         }
         
         // Check if placing tower here would block all possible paths
-        const tempObstacles = [...this.getAllObstacles(), { x, z }];
-        const pathfinding = new Pathfinding();
-        const path = pathfinding.findPath(
-            { x: -8, z: -8 }, // Enemy start position
-            { x: 8, z: 8 },   // Enemy end position
-            tempObstacles
-        );
+        const path = this.findRoute([...this.getAllObstacles(), { x, z }]);
         
         // If no valid path exists with this tower placement, it's not valid
         if (!path) {
@@ -369,7 +377,7 @@ export class InputManager {
         debugLog(`Creating preview tower for: ${towerData.name}`, 'TOWER_PLACEMENT');
         
         // Create preview tower using the Tower class
-        const tower = new Tower(0, 1.0, 0, towerData.id);
+        const tower = new Tower(new TowerState(towerData.id, { x: 0, z: 0 }));
         
         // Make preview tower transparent - traverse all materials in the group
         tower.mesh.traverse((child) => {
@@ -1,6 +1,5 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { Enemy } from '../Enemy.js';
 
 export class AssetManager {
     constructor() {
@@ -351,6 +350,112 @@ export class AssetManager {
                     group.add(areaCrystals);
                     break;
                     
+                case 'frost':
+                    const frostBase = await this.loadAsset('towers', 'tower-round-base');
+                    const frostBottom = await this.loadAsset('towers', 'tower-round-bottom-b');
+                    const frostMiddle = await this.loadAsset('towers', 'tower-round-middle-a');
+                    const frostWeapon = await this.loadAsset('weapons', 'cannon');
+                    
+                    group.add(frostBase);
+                    frostBottom.position.y = 0.2;
+                    group.add(frostBottom);
+                    frostMiddle.position.y = 0.4;
+                    group.add(frostMiddle);
+                    frostWeapon.position.y = 0.8;
+                    group.add(frostWeapon);
+                    break;
+                    
+                case 'disruptor':
+                    const disruptorBase = await this.loadAsset('towers', 'tower-square-base');
+                    const disruptorMiddle = await this.loadAsset('towers', 'tower-square-middle-a');
+                    const disruptorWeapon = await this.loadAsset('weapons', 'catapult');
+                    
+                    group.add(disruptorBase);
+                    disruptorMiddle.position.y = 0.5;
+                    group.add(disruptorMiddle);
+                    disruptorWeapon.position.y = 1.0;
+                    group.add(disruptorWeapon);
+                    break;
+                    
+                case 'stun':
+                    // Pulse tower like 'area' - crystals on a square base
+                    const stunBase = await this.loadAsset('towers', 'tower-square-base');
+                    const stunBottom = await this.loadAsset('towers', 'tower-square-bottom-b');
+                    const stunCrystals = await this.loadAsset('towers', 'tower-round-crystals');
+                    
+                    group.add(stunBase);
+                    stunBottom.position.y = 0.2;
+                    group.add(stunBottom);
+                    stunCrystals.position.y = 0.6;
+                    group.add(stunCrystals);
+                    break;
+                    
+                case 'flame':
+                    const flameBase = await this.loadAsset('towers', 'tower-round-base');
+                    const flameBottom = await this.loadAsset('towers', 'tower-round-bottom-c');
+                    const flameTop = await this.loadAsset('towers', 'tower-round-top-a');
+                    const flameWeapon = await this.loadAsset('weapons', 'turret');
+                    
+                    group.add(flameBase);
+                    flameBottom.position.y = 0.2;
+                    group.add(flameBottom);
+                    flameTop.position.y = 0.4;
+                    group.add(flameTop);
+                    flameWeapon.position.y = 0.7;
+                    group.add(flameWeapon);
+                    break;
+                    
+                case 'venom':
+                    const venomBase = await this.loadAsset('towers', 'tower-square-base');
+                    const venomMiddle = await this.loadAsset('towers', 'tower-square-middle-a');
+                    const venomWeapon = await this.loadAsset('weapons', 'ballista');
+                    
+                    group.add(venomBase);
+                    venomMiddle.position.y = 0.5;
+                    group.add(venomMiddle);
+                    venomWeapon.position.y = 1.0;
+                    group.add(venomWeapon);
+                    break;
+                    
+                case 'flak':
+                    // Anti-air: twin turret stacked high on a square tower
+                    const flakBase = await this.loadAsset('towers', 'tower-square-base');
+                    const flakMiddle = await this.loadAsset('towers', 'tower-square-middle-a');
+                    const flakWeapon = await this.loadAsset('weapons', 'turret');
+                    
+                    group.add(flakBase);
+                    flakMiddle.position.y = 0.5;
+                    group.add(flakMiddle);
+                    flakWeapon.position.y = 1.0;
+                    group.add(flakWeapon);
+                    break;
+                    
+                case 'beacon':
+                case 'radar':
+                    // Support towers have no weapon - a roof caps the tower instead
+                    const supportBase = await this.loadAsset('towers', 'tower-round-base');
+                    const supportBottom = await this.loadAsset('towers', 'tower-round-bottom-a');
+                    const supportRoof = await this.loadAsset('towers', towerType === 'beacon' ? 'tower-round-roof-a' : 'tower-round-roof-c');
+                    
+                    group.add(supportBase);
+                    supportBottom.position.y = 0.2;
+                    group.add(supportBottom);
+                    supportRoof.position.y = 0.6;
+                    group.add(supportRoof);
+                    break;
+                    
+                case 'amplifier':
+                    const amplifierBase = await this.loadAsset('towers', 'tower-square-base');
+                    const amplifierBottom = await this.loadAsset('towers', 'tower-square-bottom-b');
+                    const amplifierRoof = await this.loadAsset('towers', 'tower-square-roof-a');
+                    
+                    group.add(amplifierBase);
+                    amplifierBottom.position.y = 0.2;
+                    group.add(amplifierBottom);
+                    amplifierRoof.position.y = 0.6;
+                    group.add(amplifierRoof);
+                    break;
+                    
                 default:
                     throw new Error(`Unknown tower type: ${towerType}`);
             }
@@ -378,7 +483,12 @@ export class AssetManager {
             'basic': 'bullet',
             'sniper': 'arrow', 
             'rapid': 'bullet',
-            'area': 'boulder'
+            'area': 'boulder',
+            'frost': 'cannonball',
+            'disruptor': 'boulder',
+            'flame': 'bullet',
+            'venom': 'arrow',
+            'flak': 'bullet'
         };
         
         const projectileKey = projectileMap[towerType] || 'bullet';
@@ -386,13 +496,12 @@ export class AssetManager {
     }
 
     /**
-     * Get enemy model for wave/type
-     * @param {number} wave - Current wave number
+     * Get enemy model for an archetype
+     * @param {string} modelKey - Archetype model ('ufo-a' .. 'ufo-d')
      * @returns {Promise<THREE.Group>}
      */
-    async getEnemyModel(wave) {
-        const enemyType = Enemy.getEnemyTypeForWave(wave);
-        return await this.loadAsset('enemies', enemyType);
+    async getEnemyModel(modelKey) {
+        return await this.loadAsset('enemies', modelKey);
     }
 
     /**
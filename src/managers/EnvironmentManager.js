@@ -1,6 +1,16 @@
 import * as THREE from 'three';
+import { FRAME_SECONDS, gameClock } from '../core/GameClock.js';
 import { assetManager } from './AssetManager.js';
 
+// Size of each level decoration type (see LEVEL_DECORATIONS in config/Levels.js)
+const DECORATION_SCALES = {
+    'tree': 1.5,
+    'tree-large': 1.8,
+    'rocks': 1.2,
+    'crystal': 1.3,
+    'dirt': 1.0
+};
+
 export class EnvironmentManager {
     constructor(scene, gridSize = 20) {
         this.scene = scene;
@@ -12,19 +22,24 @@ export class EnvironmentManager {
     /**
      * Initialize environmental details
      * @param {Array} obstacles - Array of obstacle positions to avoid
-     * @param {THREE.Vector3} enemyStart - Enemy spawn position
-     * @param {THREE.Vector3} enemyEnd - Enemy end position
+     * @param {Array<THREE.Vector3>} enemySpawns - Enemy spawn positions
+     * @param {Array<THREE.Vector3>} enemyExits - Enemy exit positions
+     * @param {Array<Object>} decorations - The level's own props; scattered at random when it has none
      */
-    async initializeEnvironment(obstacles = [], enemyStart, enemyEnd) {
+    async initializeEnvironment(obstacles = [], enemySpawns = [], enemyExits = [], decorations = []) {
         try {
             // Clear existing environment objects
             this.clearEnvironment();
             
             // Add spawn points
-            await this.addSpawnPoints(enemyStart, enemyEnd);
+            await this.addSpawnPoints(enemySpawns, enemyExits);
             
-            // Scatter environmental details
-            await this.scatterEnvironmentalObjects(obstacles, enemyStart, enemyEnd);
+            // Place the level's decorations, or scatter environmental details
+            if (decorations.length > 0) {
+                await this.placeDecorations(decorations);
+            } else {
+                await this.scatterEnvironmentalObjects(obstacles, [...enemySpawns, ...enemyExits]);
+            }
             
             console.log(`Environment initialized with ${this.environmentObjects.length} objects`);
         } catch (error) {
@@ -197,65 +212,58 @@ export class EnvironmentManager {
     /**
      * Add spawn point models (original single-player method)
      */
-    async addSpawnPoints(enemyStart, enemyEnd) {
+    async addSpawnPoints(enemySpawns, enemyExits) {
         try {
-            // Enemy spawn point
-            const spawnModel = await assetManager.loadAsset('environment', 'spawn-round');
-            spawnModel.position.copy(enemyStart);
-            spawnModel.position.y = 0;
-            spawnModel.scale.set(1.2, 1.2, 1.2);
-            
-            // Add subtle glow effect
-            spawnModel.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(mat => {
-                            mat.emissive = new THREE.Color(0x00ff00);
-                            mat.emissiveIntensity = 0.2;
-                        });
-                    } else {
-                        child.material.emissive = new THREE.Color(0x00ff00);
-                        child.material.emissiveIntensity = 0.2;
-                    }
-                }
-            });
-            
-            this.scene.add(spawnModel);
-            this.spawnPoints.push(spawnModel);
-            
-            // Enemy end point
-            const endModel = await assetManager.loadAsset('environment', 'spawn-square');
-            endModel.position.copy(enemyEnd);
-            endModel.position.y = 0;
-            endModel.scale.set(1.2, 1.2, 1.2);
-            
-            // Add red glow for end point
-            endModel.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(mat => {
-                            mat.emissive = new THREE.Color(0xff0000);
-                            mat.emissiveIntensity = 0.2;
-                        });
-                    } else {
-                        child.material.emissive = new THREE.Color(0xff0000);
-                        child.material.emissiveIntensity = 0.2;
-                    }
-                }
-            });
-            
-            this.scene.add(endModel);
-            this.spawnPoints.push(endModel);
-            
+            // Enemy spawn points glow green, end points red
+            for (const enemyStart of enemySpawns) {
+                await this.addSpawnMarker('spawn-round', enemyStart, 0x00ff00);
+            }
+            for (const enemyEnd of enemyExits) {
+                await this.addSpawnMarker('spawn-square', enemyEnd, 0xff0000);
+            }
         } catch (error) {
             console.error('Failed to add spawn points:', error);
         }
     }
 
+    // Swap the spawn and exit markers for new ones, e.g. when the level editor moves them
+    async replaceSpawnPoints(enemySpawns, enemyExits) {
+        for (const spawn of this.spawnPoints) {
+            this.scene.remove(spawn);
+        }
+        this.spawnPoints = [];
+        await this.addSpawnPoints(enemySpawns, enemyExits);
+    }
+
+    async addSpawnMarker(key, position, glowColor) {
+        const model = await assetManager.loadAsset('environment', key);
+        model.position.copy(position);
+        model.position.y = 0;
+        model.scale.set(1.2, 1.2, 1.2);
+        
+        // Add subtle glow effect
+        model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(mat => {
+                        mat.emissive = new THREE.Color(glowColor);
+                        mat.emissiveIntensity = 0.2;
+                    });
+                } else {
+                    child.material.emissive = new THREE.Color(glowColor);
+                    child.material.emissiveIntensity = 0.2;
+                }
+            }
+        });
+        
+        this.scene.add(model);
+        this.spawnPoints.push(model);
+    }
+
     /**
      * Scatter environmental objects around the map
      */
-    async scatterEnvironmentalObjects(obstacles, enemyStart, enemyEnd) {
+    async scatterEnvironmentalObjects(obstacles, markers) {
         const objectTypes = [
             { category: 'environment', key: 'tree', weight: 0.3, scale: [1.2, 1.8] },
             { category: 'environment', key: 'rocks', weight: 0.25, scale: [0.9, 1.5] },
@@ -279,7 +287,7 @@ export class EnvironmentManager {
                 const position = new THREE.Vector3(x, 0, z);
                 
                 // Check if position is far enough from obstacles, spawns, and other objects
-                if (this.isValidPosition(position, obstacles, enemyStart, enemyEnd, minDistance)) {
+                if (this.isValidPosition(position, obstacles, markers, minDistance)) {
                     validPosition = position;
                 }
                 attempts++;
@@ -293,6 +301,32 @@ export class EnvironmentManager {
         }
     }
 
+    /**
+     * Place a level's decorations where it says
+     * @param {Array<{type: string, x: number, z: number, rotation: number}>} decorations
+     */
+    async placeDecorations(decorations) {
+        for (const decoration of decorations) {
+            await this.placeDecoration(decoration);
+        }
+    }
+
+    /**
+     * @param {{type: string, x: number, z: number, rotation: number}} decoration
+     * @returns {Promise<THREE.Object3D|null>} The placed model
+     */
+    async placeDecoration(decoration) {
+        const scale = DECORATION_SCALES[decoration.type] || 1;
+        const objectType = { category: 'environment', key: decoration.type, scale: [scale, scale] };
+        return this.placeEnvironmentalObject(objectType, new THREE.Vector3(decoration.x, 0, decoration.z), decoration.rotation || 0);
+    }
+
+    // Take one placed object (e.g. a decoration) off the board
+    removeObject(object) {
+        this.scene.remove(object);
+        this.environmentObjects = this.environmentObjects.filter(candidate => candidate !== object);
+    }
+
     /**
      * Select a random object type based on weights
      */
@@ -313,10 +347,11 @@ export class EnvironmentManager {
     /**
      * Check if a position is valid (not too close to obstacles or spawns)
      */
-    isValidPosition(position, obstacles, enemyStart, enemyEnd, minDistance) {
-        // Check distance from spawn points
-        if (position.distanceTo(enemyStart) < minDistance) return false;
-        if (position.distanceTo(enemyEnd) < minDistance) return false;
+    isValidPosition(position, obstacles, markers, minDistance) {
+        // Check distance from spawn and end points
+        for (const marker of markers) {
+            if (position.distanceTo(marker) < minDistance) return false;
+        }
         
         // Check distance from obstacles
         for (const obstacle of obstacles) {
@@ -334,8 +369,9 @@ export class EnvironmentManager {
 
     /**
      * Place an environmental object at the specified position
+     * @returns {Promise<THREE.Object3D|null>} The placed model, null when it failed to load
      */
-    async placeEnvironmentalObject(objectType, position) {
+    async placeEnvironmentalObject(objectType, position, rotation = Math.random() * Math.PI * 2) {
         try {
             const model = await assetManager.loadAsset(objectType.category, objectType.key);
             
@@ -348,8 +384,8 @@ export class EnvironmentManager {
             model.position.copy(position);
             model.position.y = 0;
             
-            // Random rotation for variety
-            model.rotation.y = Math.random() * Math.PI * 2;
+            // Random rotation for variety, unless the level sets one
+            model.rotation.y = rotation;
             
             // Add subtle random tilt for natural look
             if (objectType.key.includes('tree') || objectType.key.includes('crystal')) {
@@ -384,30 +420,33 @@ export class EnvironmentManager {
             
             this.scene.add(model);
             this.environmentObjects.push(model);
+            return model;
             
         } catch (error) {
             console.error(`Failed to place environmental object ${objectType.key}:`, error);
+            return null;
         }
     }
 
     /**
-     * Update environmental objects (for animations, if any)
+     * Update environmental objects (for animations, if any); they run on game time, so they stop while paused
      */
     update() {
         // Add subtle animations to crystals
-        const time = Date.now() * 0.001;
+        const time = gameClock.now() * 0.001;
+        const frames = gameClock.delta / FRAME_SECONDS;
         
         for (const obj of this.environmentObjects) {
             // Add gentle floating animation to crystals
             if (obj.userData.type === 'crystal') {
                 obj.position.y = 0.05 + Math.sin(time * 2 + obj.position.x) * 0.02;
-                obj.rotation.y += 0.01;
+                obj.rotation.y += 0.01 * frames;
             }
         }
         
         // Animate spawn points
         for (const spawn of this.spawnPoints) {
-            spawn.rotation.y += 0.005;
+            spawn.rotation.y += 0.005 * frames;
             
             // Pulse the emissive intensity
             const pulseFactor = 0.5 + 0.3 * Math.sin(time * 3);
@@ -8,24 +8,20 @@ export class ObjectPool {
     }
 
     /**
-     * Get a projectile from the pool or create a new one
-     * @param {THREE.Vector3} startPosition - Starting position
-     * @param {Object} target - Target object
-     * @param {number} damage - Damage amount
-     * @param {number} splashRadius - Splash damage radius
-     * @param {string} towerType - Tower type for model selection
+     * Get a projectile view from the pool or create a new one
+     * @param {ProjectileState} state - Simulated shot to render
      * @returns {Projectile} - Projectile instance
      */
-    getProjectile(startPosition, target, damage, splashRadius = 0, towerType = 'basic') {
+    getProjectile(state) {
         let projectile;
         
         if (this.projectilePool.length > 0) {
             // Reuse existing projectile
             projectile = this.projectilePool.pop();
-            projectile.reset(startPosition, target, damage, splashRadius, towerType);
+            projectile.reset(state);
         } else {
             // Create new projectile
-            projectile = new Projectile(startPosition, target, damage, splashRadius, towerType);
+            projectile = new Projectile(state);
         }
         
         this.activeProjectiles.push(projectile);
@@ -61,20 +57,11 @@ export class ObjectPool {
     }
 
     /**
-     * Update all active projectiles
+     * Render all active projectiles (the simulation moves them and decides hits)
      */
-    updateActiveProjectiles() {
-        for (let i = this.activeProjectiles.length - 1; i >= 0; i--) {
-            const projectile = this.activeProjectiles[i];
-            projectile.update();
-            
-            // Check if projectile should be removed
-            const hit = projectile.hasHitTarget();
-            const shouldRemove = hit || projectile.shouldRemove();
-            
-            if (shouldRemove) {
-                this.returnProjectile(projectile);
-            }
+    renderActiveProjectiles() {
+        for (const projectile of this.activeProjectiles) {
+            projectile.render();
         }
     }
 
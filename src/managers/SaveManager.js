@@ -0,0 +1,59 @@
+import { parseSave } from '../simulation/SaveGame.js';
+import { downloadJson } from '../utils/downloadJson.js';
+
+const STORAGE_KEY = 'towerDefenseSavedRun';
+
+/**
+ * Keeps the single player run in localStorage and moves saves to and from files
+ */
+export class SaveManager {
+    // Store a save (see createSave) as the run to continue
+    save(save) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(save));
+            return true;
+        } catch (error) {
+            console.error('💾 SaveManager: Failed to save run:', error);
+            return false;
+        }
+    }
+
+    // The stored run, or null when there is none or it can no longer be loaded
+    load() {
+        const text = localStorage.getItem(STORAGE_KEY);
+        if (!text) return null;
+
+        try {
+            return parseSave(text);
+        } catch (error) {
+            console.warn('💾 SaveManager: Ignoring stored run:', error.message);
+            return null;
+        }
+    }
+
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    // Forget the stored run, e.g. once it has ended
+    clear() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    // Download a save as a JSON file
+    exportToFile(save) {
+        downloadJson(save, `towerdef-save-wave${save.simulation.state.wave}-${save.savedAt.slice(0, 10)}.json`);
+    }
+
+    /**
+     * Read a save file picked by the player
+     * @param {File} file
+     * @returns {Promise<Object>} The save
+     * @throws {Error} When the file isn't a save this game can load
+     */
+    async importFromFile(file) {
+        return parseSave(await file.text());
+    }
+}
+
+export const saveManager = new SaveManager();
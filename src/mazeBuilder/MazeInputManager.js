@@ -1,4 +1,4 @@
-import * as THREE from 'three';
+import { GroundPicker } from '../input/GroundPicker.js';
 
 export class MazeInputManager {
     constructor(scene, camera, renderer, ground, mazeState, mazeBuilderUI, actionDispatcher = null) {
@@ -10,9 +10,10 @@ export class MazeInputManager {
         this.mazeState = mazeState;
         this.mazeBuilderUI = mazeBuilderUI;
         this.actionDispatcher = actionDispatcher; // NEW ARCHITECTURE: Use ActionDispatcher instead of NetworkManager
+        this.placeShapeCommand = null; // Optional (shape, x, z) => boolean that places shapes for single player
         
-        this.raycaster = new THREE.Raycaster();
-        this.mouse = new THREE.Vector2();
+        this.groundPicker = new GroundPicker(camera, ground);
+        this.groundPicker.setSurfaces(mazeState.terrainMeshes);
         
         // Turn-based state for cooperative multiplayer
         this.isMyTurn = true; // Default to true for single player
@@ -33,6 +34,10 @@ export class MazeInputManager {
         this.setupEventListeners();
     }
 
+    setPlaceShapeCommand(command) {
+        this.placeShapeCommand = command;
+    }
+
     // Turn management for cooperative multiplayer
     updateTurnState(currentTurn, localPlayerId, gamePhase) {
         this.currentTurn = currentTurn;
@@ -104,8 +109,7 @@ export class MazeInputManager {
         }
         
         // Update mouse position
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+        this.groundPicker.setPointer(event);
         
         // Update preview position if shape is selected
         if (this.mazeState.selectedShape) {
@@ -114,11 +118,8 @@ export class MazeInputManager {
     }
 
     updatePreviewPosition() {
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObject(this.ground);
-        
-        if (intersects.length > 0) {
-            const point = intersects[0].point;
+        const point = this.groundPicker.pick();
+        if (point) {
             this.mazeState.updatePreview(point.x, point.z);
         }
     }
@@ -151,12 +152,8 @@ export class MazeInputManager {
             return;
         }
         
-        this.raycaster.setFromCamera(this.mouse, this.camera);
-        const intersects = this.raycaster.intersectObject(this.ground);
-        
-        if (intersects.length > 0) {
-            const point = intersects[0].point;
-            
+        const point = this.groundPicker.pick();
+        if (point) {
             // Store shape name before placement (since it gets cleared)
             const shapeName = this.mazeState.selectedShape.name;
             
@@ -168,7 +165,10 @@ export class MazeInputManager {
                 this.lastClick = Date.now();
             } else {
                 // Single player mode: place locally
-                if (this.mazeState.placeShape(point.x, point.z)) {
+                const placed = this.placeShapeCommand
+                    ? this.placeShapeCommand(this.mazeState.selectedShape, point.x, point.z)
+                    : this.mazeState.placeShape(point.x, point.z);
+                if (placed) {
                     // Shape placed successfully
                     this.mazeBuilderUI.onShapePlaced();
                     
@@ -1,12 +1,98 @@
 import * as THREE from 'three';
-import { generateShapeHand } from './TetrisShapes.js';
+import { DEFAULT_EXIT_POINTS, DEFAULT_SPAWN_POINTS, generateShapeHand, markMapCells, Shape, TETRIS_SHAPES } from './TetrisShapes.js';
 import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { Pathfinding } from '../Pathfinding.js';
+import { createRouteFinder } from '../FlowField.js';
+import { getFixedObstacles } from '../config/Levels.js';
+import { FLAT_TERRAIN, TERRACE_HEIGHT, Terrain } from '../config/Terrain.js';
 import * as BufferGeometryUtils from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 import { Modal } from '../ui/Modal.js';
+import { PathPreview } from '../ui/PathPreview.js';
+
+const TERRACE_COLORS = [0x7cb342, 0x9e8b5a]; // Grass, then earth, by terrain level
+
+/**
+ * Meshes showing a level's own cells: raised cells as terraces, restricted and unbuildable cells as tinted
+ * tiles, rocks as low boulders, water as pools. Shared by the maze builder and the level editor.
+ * @param {Object} level - restricted, unbuildable, rocks, water and elevation cell lists
+ * @returns {Array<THREE.Object3D>} Not yet added to a scene; terraces have userData.terrain set
+ */
+export function createLevelCellMeshes({ restricted = [], unbuildable = [], rocks = [], water = [], elevation = [] }) {
+    const meshes = [];
+    const terrain = new Terrain(elevation);
+    const groundLevel = cell => terrain.getCellHeight(cell.x, cell.z) * TERRACE_HEIGHT;
+
+    // One column per raised cell, as tall as its level
+    TERRACE_COLORS.forEach((color, index) => {
+        const cells = elevation.filter(cell => cell.height === index + 1);
+        if (cells.length === 0) return;
+        const height = (index + 1) * TERRACE_HEIGHT;
+        const geometry = new THREE.BoxGeometry(1, height, 1);
+        geometry.translate(0, height / 2, 0);
+        const terraces = new THREE.InstancedMesh(geometry, new THREE.MeshLambertMaterial({ color }), cells.length);
+        const matrix = new THREE.Matrix4();
+        cells.forEach((cell, cellIndex) => {
+            terraces.setMatrixAt(cellIndex, matrix.makeTranslation(cell.x, 0, cell.z));
+        });
+        terraces.castShadow = true;
+        terraces.receiveShadow = true;
+        terraces.userData.terrain = true;
+        meshes.push(terraces);
+    });
+
+    const addTiles = (cells, color) => {
+        if (cells.length === 0) return;
+        const material = new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.25, depthWrite: false });
+        const tiles = new THREE.InstancedMesh(new THREE.PlaneGeometry(0.9, 0.9), material, cells.length);
+        const matrix = new THREE.Matrix4();
+        cells.forEach((cell, index) => {
+            matrix.makeRotationX(-Math.PI / 2).setPosition(cell.x, groundLevel(cell) + 0.015, cell.z);
+            tiles.setMatrixAt(index, matrix);
+        });
+        meshes.push(tiles);
+    };
+    addTiles(restricted, 0xff5252);
+    addTiles(unbuildable, 0xffc107);
+
+    if (water.length > 0) {
+        const waterMaterial = new THREE.MeshLambertMaterial({ color: 0x1e88e5, transparent: true, opacity: 0.85 });
+        const pools = new THREE.InstancedMesh(new THREE.PlaneGeometry(1, 1), waterMaterial, water.length);
+        const matrix = new THREE.Matrix4();
+        water.forEach((cell, index) => {
+            matrix.makeRotationX(-Math.PI / 2).setPosition(cell.x, groundLevel(cell) + 0.02, cell.z);
+            pools.setMatrixAt(index, matrix);
+        });
+        pools.receiveShadow = true;
+        meshes.push(pools);
+    }
+
+    const rockMaterial = new THREE.MeshLambertMaterial({ color: 0x6d6d6d, flatShading: true });
+    for (const cell of rocks) {
+        const rock = new THREE.Mesh(new THREE.DodecahedronGeometry(0.5), rockMaterial);
+        rock.position.set(cell.x, groundLevel(cell) + 0.3, cell.z);
+        rock.scale.set(1, 0.7, 1);
+        rock.castShadow = true;
+        rock.receiveShadow = true;
+        meshes.push(rock);
+    }
+    return meshes;
+}
 
 export class MazeState {
-    constructor(scene, gridSize = 10) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {number} gridSize
+     * @param {Object} map - The level's board (see Levels.js); spawns and exits must stay clear and connected
+     * @param {Array<{x: number, z: number}>} map.spawnPoints
+     * @param {Array<{x: number, z: number}>} map.exitPoints
+     * @param {Array<{x: number, z: number}>} map.restricted - Cells blocks may not cover
+     * @param {Array<{x: number, z: number}>} map.unbuildable - Cells blocks may cover but towers can't use
+     * @param {Array<{x: number, z: number}>} map.rocks - Fixed obstacles
+     * @param {Array<{x: number, z: number}>} map.water - Fixed obstacles drawn as water
+     * @param {Array<{x: number, z: number, height: number}>} map.elevation - Raised cells
+     * @param {Terrain} map.terrain - The Terrain those cells make (loadLevel adds it)
+     */
+    constructor(scene, gridSize = 10, { spawnPoints = DEFAULT_SPAWN_POINTS, exitPoints = DEFAULT_EXIT_POINTS, restricted = [], unbuildable = [], rocks = [], water = [], elevation = [], terrain = FLAT_TERRAIN } = {}) {
         this.scene = scene;
         this.gridSize = gridSize;
         this.isBuilding = true;
@@ -17,16 +103,28 @@ export class MazeState {
         this.placedShapes = [];
         this.gridBlocks = []; // Visual blocks in the scene
         this.restrictedAreaMarkers = []; // Visual markers for restricted areas
-        this.pathfinding = new Pathfinding(gridSize);
+        this.terrainMeshes = []; // Terraces, which the pickers aim at along with the ground
+        this.pathfinding = new Pathfinding(gridSize, terrain);
         this.lastPlacedShape = null;
         this.isPlacing = false; // Add placement lock
         this.lastShapeWave = 0;  // Track when the last shape was given
         
-        // Path constraints - start and end must remain clear
-        // Start area is 2x2 in top-left corner at (-8,-8)
-        this.pathStartArea = { x: -8, z: -8, width: 2, height: 2 };
-        // End area is 2x2 in bottom-right corner at (8,8)
-        this.pathEndArea = { x: 8, z: 8, width: 2, height: 2 };
+        // Path constraints - the areas round every spawn and exit must remain clear, and every spawn
+        // must keep a route to an exit
+        this.spawnPoints = spawnPoints.map(point => ({ x: point.x, z: point.z }));
+        this.exitPoints = exitPoints.map(point => ({ x: point.x, z: point.z }));
+        this.restricted = restricted;
+        this.unbuildable = unbuildable;
+        this.rocks = rocks;
+        this.water = water;
+        this.elevation = elevation;
+        this.terrain = terrain;
+        this.findRoute = createRouteFinder({
+            pathfinding: this.pathfinding,
+            spawns: this.spawnPoints,
+            exits: this.exitPoints
+        });
+        this.pathPreview = new PathPreview(scene, this.findRoute); // Route the hovered placement would leave
         
         this.init();
         this.invalidPlacementModal = new Modal();
@@ -41,7 +139,7 @@ export class MazeState {
         // Generate initial hand of shapes (reduced to 3)
         this.currentShapeHand = generateShapeHand(3);
         
-        // Mark path areas as restricted
+        // Mark path areas as restricted, plus the level's own cells and rocks
         this.markPathAreas();
         
         // Create visual markers for restricted areas
@@ -49,63 +147,48 @@ export class MazeState {
     }
 
     markPathAreas() {
-        const halfGrid = this.gridSize / 2;
-        
-        // Mark start area as restricted (2x2 area)
-        for (let x = -9; x <= -7; x++) {
-            for (let z = -9; z <= -7; z++) {
-                const gridX = x + halfGrid;
-                const gridZ = z + halfGrid;
-                if (gridX >= 0 && gridX < this.gridSize && gridZ >= 0 && gridZ < this.gridSize) {
-                    if (!this.gridState[gridZ][gridX]) {
-                        this.gridState[gridZ][gridX] = {};
-                    }
-                    this.gridState[gridZ][gridX].restricted = true;
-                }
-            }
-        }
-        
-        // Mark end area as restricted (2x2 area)
-        for (let x = 7; x <= 9; x++) {
-            for (let z = 7; z <= 9; z++) {
-                const gridX = x + halfGrid;
-                const gridZ = z + halfGrid;
-                if (gridX >= 0 && gridX < this.gridSize && gridZ >= 0 && gridZ < this.gridSize) {
-                    if (!this.gridState[gridZ][gridX]) {
-                        this.gridState[gridZ][gridX] = {};
-                    }
-                    this.gridState[gridZ][gridX].restricted = true;
-                }
-            }
-        }
-
-        // Mark edge boundaries as restricted (1-unit wide border)
-        for (let i = 0; i < this.gridSize; i++) {
-            // Top edge
-            if (!this.gridState[0][i]) this.gridState[0][i] = {};
-            this.gridState[0][i].restricted = true;
-            
-            // Bottom edge
-            if (!this.gridState[this.gridSize - 1][i]) this.gridState[this.gridSize - 1][i] = {};
-            this.gridState[this.gridSize - 1][i].restricted = true;
-            
-            // Left edge
-            if (!this.gridState[i][0]) this.gridState[i][0] = {};
-            this.gridState[i][0].restricted = true;
-            
-            // Right edge
-            if (!this.gridState[i][this.gridSize - 1]) this.gridState[i][this.gridSize - 1] = {};
-            this.gridState[i][this.gridSize - 1].restricted = true;
-        }
+        markMapCells(this.gridState, this.gridSize, this);
     }
 
     createRestrictedAreaMarkers() {
         // Clear existing markers
         this.restrictedAreaMarkers.forEach(marker => this.scene.remove(marker));
         this.restrictedAreaMarkers = [];
+        this.terrainMeshes.length = 0; // Emptied in place: the pickers hold on to the list
 
         // Create a single clean boundary outline instead of individual markers
         this.createBoundaryOutline();
+        this.createLevelCellMarkers();
+    }
+
+    // Terraces, rocks as low boulders, water as pools; restricted and unbuildable cells as tinted tiles
+    createLevelCellMarkers() {
+        for (const mesh of createLevelCellMeshes(this)) {
+            this.scene.add(mesh);
+            this.restrictedAreaMarkers.push(mesh);
+            if (mesh.userData.terrain) this.terrainMeshes.push(mesh);
+        }
+    }
+
+    // World height of the ground in a cell: 0, or the top of its terrace
+    getGroundLevel(x, z) {
+        return this.terrain.getCellHeight(x, z) * TERRACE_HEIGHT;
+    }
+
+    // Ground level under a shape, from its first cell (a placed shape sits on a single level)
+    getShapeGroundLevel(shape) {
+        const [cell] = shape.getWorldCells();
+        return cell ? this.getGroundLevel(cell.x, cell.z) : 0;
+    }
+
+    /**
+     * Whether a tower may go on a cell: it needs a placed block there, not a rock or an unbuildable cell
+     */
+    canBuildTowerAt(x, z) {
+        const gridX = Math.floor(x + this.gridSize / 2);
+        const gridZ = Math.floor(z + this.gridSize / 2);
+        const cell = this.gridState[gridZ] && this.gridState[gridZ][gridX];
+        return !!cell && !!cell.occupied && !cell.rock && !cell.unbuildable;
     }
     
     createBoundaryOutline() {
@@ -286,6 +369,7 @@ export class MazeState {
             this.scene.remove(this.shapePreview);
             this.shapePreview = null;
         }
+        this.pathPreview.hide();
     }
 
     updatePreview(worldX, worldZ) {
@@ -298,10 +382,16 @@ export class MazeState {
         const gridX = Math.floor(worldX) + 0.5;
         const gridZ = Math.floor(worldZ) + 0.5;
         
-        this.shapePreview.position.set(gridX, 0, gridZ);
+        this.shapePreview.position.set(gridX, this.getGroundLevel(gridX, gridZ), gridZ);
         
-        // Update colors based on validity
-        const canPlace = this.selectedShape.canPlaceAt(gridX, gridZ, this.gridState, this.gridSize);
+        // Update colors based on validity, showing the route the shape would leave behind
+        let canPlace = this.selectedShape.canPlaceAt(gridX, gridZ, this.gridState, this.gridSize);
+        if (canPlace) {
+            const preview = this.pathPreview.update(this.getObstacles(), this.selectedShape.getWorldCells(), { x: gridX, z: gridZ });
+            canPlace = !preview.blocked;
+        } else {
+            this.pathPreview.hide();
+        }
         const color = canPlace ? this.selectedShape.color : 0xff0000;
         
         // Update the single mesh material color
@@ -329,13 +419,9 @@ export class MazeState {
         return false;
     }
 
+    // First spawn's route, or null when the maze cuts any spawn off from every exit
     validatePath() {
-        const obstacles = this.getObstacles();
-        return this.pathfinding.findPath(
-            { x: this.pathStartArea.x, z: this.pathStartArea.z },
-            { x: this.pathEndArea.x, z: this.pathEndArea.z },
-            obstacles
-        );
+        return this.findRoute(this.getObstacles());
     }
 
     undoLastPlacement() {
@@ -388,8 +474,17 @@ export class MazeState {
         return true;
     }
 
-    placeShape(worldX, worldZ) {
-        if (!this.selectedShape) {
+    // Build a shape with the given (possibly rotated) cells, e.g. to place it again from a replay
+    createShape(name, cells) {
+        const shapeData = TETRIS_SHAPES.find(data => data.name === name);
+        if (!shapeData) {
+            throw new Error(`Unknown shape: ${name}`);
+        }
+        return new Shape({ ...shapeData, cells: cells.map(cell => [...cell]) });
+    }
+
+    placeShape(worldX, worldZ, shape = this.selectedShape) {
+        if (!shape) {
             return false;
         }
         
@@ -398,7 +493,7 @@ export class MazeState {
         }
         
         this.isPlacing = true; // Lock placement
-        console.log('Starting placement for shape:', this.selectedShape.name);
+        console.log('Starting placement for shape:', shape.name);
         
         // Snap to grid cell centers by adding 0.5
         const gridX = Math.floor(worldX) + 0.5;
@@ -406,27 +501,27 @@ export class MazeState {
         
         console.log('Attempting to place at grid position:', gridX, gridZ);
         
-        if (!this.selectedShape.canPlaceAt(gridX, gridZ, this.gridState, this.gridSize)) {
+        if (!shape.canPlaceAt(gridX, gridZ, this.gridState, this.gridSize)) {
             console.log('Cannot place shape at this position');
             this.isPlacing = false; // Unlock
             return false;
         }
         
         // Place the shape
-        this.selectedShape.position = { x: gridX, z: gridZ };
-        this.selectedShape.placeInGrid(this.gridState, this.gridSize);
+        shape.position = { x: gridX, z: gridZ };
+        shape.placeInGrid(this.gridState, this.gridSize);
         
         console.log('Shape placed in grid state');
         
         // Create visual blocks
-        this.createVisualBlocks(this.selectedShape);
+        this.createVisualBlocks(shape);
         
         // Store as last placed shape before adding to placedShapes
-        this.lastPlacedShape = this.selectedShape;
+        this.lastPlacedShape = shape;
         
         // Add to placed shapes and remove from hand
-        this.placedShapes.push(this.selectedShape);
-        const handIndex = this.currentShapeHand.indexOf(this.selectedShape);
+        this.placedShapes.push(shape);
+        const handIndex = this.currentShapeHand.indexOf(shape);
         if (handIndex !== -1) {
             this.currentShapeHand.splice(handIndex, 1);
             console.log('Removed shape from hand. New hand size:', this.currentShapeHand.length);
@@ -445,8 +540,10 @@ export class MazeState {
         }
         
         // Clear selection
-        this.selectedShape = null;
-        this.clearPreview();
+        if (this.selectedShape === shape) {
+            this.selectedShape = null;
+            this.clearPreview();
+        }
         
         console.log('Placement completed successfully');
         this.isPlacing = false; // Unlock
@@ -477,7 +574,7 @@ export class MazeState {
         
         // Position the shape at its world position
         // NOTE: The geometry already includes the shape offset, so we position at the shape's grid position
-        shapeMesh.position.set(shape.position.x, 0, shape.position.z);
+        shapeMesh.position.set(shape.position.x, this.getShapeGroundLevel(shape), shape.position.z);
         shapeMesh.castShadow = true;
         shapeMesh.receiveShadow = true;
         
@@ -492,7 +589,8 @@ export class MazeState {
 
     // Get obstacles for pathfinding
     getObstacles() {
-        const obstacles = [];
+        // The level's rocks and water come first; they never move
+        const obstacles = getFixedObstacles(this);
         
         for (const shape of this.placedShapes) {
             for (const cell of shape.getWorldCells()) {
@@ -503,6 +601,60 @@ export class MazeState {
         return obstacles;
     }
 
+    /**
+     * Take a placed shape off the grid (a UFO's lift_block beam). Its mesh leaves the scene
+     * and is handed to the caller so the UFO can carry it.
+     * @returns {THREE.Mesh|null} The shape's mesh
+     */
+    liftShape(shape) {
+        const index = this.placedShapes.indexOf(shape);
+        if (index === -1) return null;
+        this.placedShapes.splice(index, 1);
+
+        for (const cell of shape.getWorldCells()) {
+            const gridX = Math.floor(cell.x + this.gridSize/2);
+            const gridZ = Math.floor(cell.z + this.gridSize/2);
+            if (this.gridState[gridZ] && this.gridState[gridZ][gridX]) {
+                delete this.gridState[gridZ][gridX].occupied;
+                delete this.gridState[gridZ][gridX].shape;
+                delete this.gridState[gridZ][gridX].color;
+            }
+        }
+        shape.placed = false;
+        if (this.lastPlacedShape === shape) this.lastPlacedShape = null;
+
+        const mesh = this.gridBlocks.find(block => block.userData.shape === shape) || null;
+        if (mesh) {
+            this.scene.remove(mesh);
+            this.gridBlocks.splice(this.gridBlocks.indexOf(mesh), 1);
+        }
+        return mesh;
+    }
+
+    /**
+     * Put a lifted shape back where it was, if its cells are still free
+     * @param {THREE.Mesh|null} mesh - The mesh liftShape returned
+     * @returns {boolean} False when something now occupies its cells (the shape is then lost)
+     */
+    restoreShape(shape, mesh) {
+        if (!shape.canPlaceAt(shape.position.x, shape.position.z, this.gridState, this.gridSize)) {
+            return false;
+        }
+
+        shape.placeInGrid(this.gridState, this.gridSize);
+        this.placedShapes.push(shape);
+
+        if (mesh) {
+            mesh.position.set(shape.position.x, this.getShapeGroundLevel(shape), shape.position.z);
+            mesh.rotation.set(0, 0, 0);
+            this.scene.add(mesh);
+            this.gridBlocks.push(mesh);
+        } else {
+            this.createVisualBlocks(shape);
+        }
+        return true;
+    }
+
     // Check if player has placed at least one shape
     hasPlacedShapes() {
         return this.placedShapes.length > 0;
@@ -595,6 +747,7 @@ export class MazeState {
                     this.gridState[gridZ] = {};
                 }
                 this.gridState[gridZ][gridX] = {
+                    ...this.gridState[gridZ][gridX],
                     occupied: true,
                     shape: shapeObj,
                     color: shapeObj.color
@@ -618,7 +771,7 @@ export class MazeState {
             <div class="modal-info">
                 <div class="modal-section">
                     <h3>⚠️ Invalid Placement</h3>
-                    <p>This placement blocks all paths to the end!</p>
+                    <p>This placement cuts an enemy spawn off from every exit!</p>
                     <p>The placement will be undone automatically.</p>
                 </div>
             </div>
@@ -626,6 +779,38 @@ export class MazeState {
         this.invalidPlacementModal.show('Path Blocked', modalContent);
     }
 
+    // Plain data for a saved run: placed shapes where they stand and the shapes still in hand
+    serialize() {
+        return {
+            placedShapes: this.placedShapes.map(shape => ({
+                name: shape.name,
+                cells: shape.cells.map(cell => [...cell]),
+                x: shape.position.x,
+                z: shape.position.z
+            })),
+            hand: this.currentShapeHand.map(shape => ({
+                name: shape.name,
+                cells: shape.cells.map(cell => [...cell])
+            })),
+            lastShapeWave: this.lastShapeWave,
+            canPlaceShape: !!this.canPlaceShape
+        };
+    }
+
+    // Rebuild a saved maze on a fresh grid
+    restore(data) {
+        for (const saved of data.placedShapes) {
+            const shape = this.createShape(saved.name, saved.cells);
+            shape.position = { x: saved.x, z: saved.z };
+            shape.placeInGrid(this.gridState, this.gridSize);
+            this.placedShapes.push(shape);
+            this.createVisualBlocks(shape);
+        }
+        this.currentShapeHand = data.hand.map(saved => this.createShape(saved.name, saved.cells));
+        this.lastShapeWave = data.lastShapeWave;
+        this.canPlaceShape = data.canPlaceShape;
+    }
+
     // Clean up maze builder
     cleanup() {
         // Clear all visual elements from the scene
@@ -645,6 +830,7 @@ export class MazeState {
         
         // Clear preview
         this.clearPreview();
+        this.pathPreview.dispose();
         if (this.invalidPlacementModal) {
             this.invalidPlacementModal.destroy();
             this.invalidPlacementModal = null;
@@ -104,6 +104,7 @@ export class Shape {
     // Check if shape can be placed at given position
     canPlaceAt(x, z, gridState, gridSize = 10) {
         this.position = { x, z };
+        let height = null; // Every cell has to be on the same terrain level
         
         for (const cell of this.getWorldCells()) {
             // Check bounds (adjusted for cell-centered coordinates)
@@ -121,6 +122,12 @@ export class Shape {
                 (gridState[gridZ][gridX].occupied || gridState[gridZ][gridX].restricted)) {
                 return false;
             }
+
+            const cellHeight = gridState[gridZ]?.[gridX]?.height || 0;
+            if (height !== null && cellHeight !== height) {
+                return false;
+            }
+            height = cellHeight;
         }
         
         return true;
@@ -137,6 +144,7 @@ export class Shape {
             
             if (!gridState[gridZ]) gridState[gridZ] = {};
             gridState[gridZ][gridX] = {
+                ...gridState[gridZ][gridX], // Keeps the level's flags, e.g. unbuildable
                 occupied: true,
                 shape: this,
                 color: this.color
@@ -165,4 +173,56 @@ export function generateShapeHand(count = 3) {
     }
     
     return hand;
-} 
\ No newline at end of file
+} 
+
+// The board's enemy spawn (top-left corner) and exit (bottom-right corner) unless a level says otherwise
+export const DEFAULT_SPAWN_POINTS = [{ x: -8, z: -8 }];
+export const DEFAULT_EXIT_POINTS = [{ x: 8, z: 8 }];
+
+/**
+ * Mark a level's fixed cells in a grid state: the 3x3 areas round every spawn and exit, the outer border
+ * and the level's restricted cells are kept clear of blocks, unbuildable cells take blocks but no towers,
+ * rocks and water are occupied from the start, and raised cells note their terrain level. Cells are given by their centres, e.g. { x: 2.5, z: -3.5 }.
+ * @param {Object} gridState - MazeState/HeadlessMaze grid, rows by gridZ then gridX
+ * @param {number} gridSize
+ * @param {Object} map - spawnPoints, exitPoints, restricted, unbuildable, rocks, water and elevation (see Levels.js)
+ */
+export function markMapCells(gridState, gridSize, {
+    spawnPoints = DEFAULT_SPAWN_POINTS,
+    exitPoints = DEFAULT_EXIT_POINTS,
+    restricted = [],
+    unbuildable = [],
+    rocks = [],
+    water = [],
+    elevation = []
+} = {}) {
+    const halfGrid = gridSize / 2;
+    const mark = (gridX, gridZ, flags) => {
+        if (gridX < 0 || gridX >= gridSize || gridZ < 0 || gridZ >= gridSize) return;
+        if (!gridState[gridZ]) gridState[gridZ] = {};
+        gridState[gridZ][gridX] = { ...gridState[gridZ][gridX], ...flags };
+    };
+    const markCell = (cell, flags) => mark(Math.floor(cell.x + halfGrid), Math.floor(cell.z + halfGrid), flags);
+
+    for (const point of [...spawnPoints, ...exitPoints]) {
+        for (let x = point.x - 1; x <= point.x + 1; x++) {
+            for (let z = point.z - 1; z <= point.z + 1; z++) {
+                mark(x + halfGrid, z + halfGrid, { restricted: true });
+            }
+        }
+    }
+
+    // 1-unit wide border along every edge
+    for (let i = 0; i < gridSize; i++) {
+        mark(i, 0, { restricted: true });
+        mark(i, gridSize - 1, { restricted: true });
+        mark(0, i, { restricted: true });
+        mark(gridSize - 1, i, { restricted: true });
+    }
+
+    restricted.forEach(cell => markCell(cell, { restricted: true }));
+    unbuildable.forEach(cell => markCell(cell, { unbuildable: true }));
+    rocks.forEach(cell => markCell(cell, { occupied: true, rock: true }));
+    water.forEach(cell => markCell(cell, { occupied: true, rock: true })); // Held like a rock: no blocks, no towers
+    elevation.forEach(cell => markCell(cell, { height: cell.height }));
+}
@@ -0,0 +1,543 @@
+import * as THREE from 'three';
+import { gameClock } from '../core/GameClock.js';
+import { SceneSetup } from '../core/SceneSetup.js';
+import { GroundPicker } from '../input/GroundPicker.js';
+import { EnvironmentManager } from '../managers/EnvironmentManager.js';
+import { assetManager } from '../managers/AssetManager.js';
+import { createLevelCellMeshes } from '../mazeBuilder/MazeState.js';
+import { LEVEL_DECORATIONS, createBlankLevel, getFixedObstacles, loadLevel, parseLevel, validateLevel } from '../config/Levels.js';
+import { createRouteFinder } from '../FlowField.js';
+import { Pathfinding, getPathLength } from '../Pathfinding.js';
+import { MAX_ELEVATION, TERRACE_HEIGHT, Terrain } from '../config/Terrain.js';
+import { LevelEditorUI } from '../ui/LevelEditorUI.js';
+import { downloadJson } from '../utils/downloadJson.js';
+
+const DRAFT_STORAGE_KEY = 'towerDefenseLevelDraft';
+const CELL_TOOLS = ['restricted', 'unbuildable', 'rocks', 'water', 'buildable', 'raise', 'lower'];
+const CELL_LISTS = ['restricted', 'unbuildable', 'rocks', 'water'];
+const TERRAIN_TOOLS = ['raise', 'lower']; // Change a cell's height and leave its kind alone
+const ROUTE_COLORS = [0xff0000, 0xffa000, 0x00b0ff, 0xff00ff]; // As the single player path lines
+const DECORATION_PICK_DISTANCE = 0.6; // How close a click has to be to remove a decoration
+
+// Where the cell or point sits in a list of { x, z }
+function findPoint(list, point) {
+    return list.findIndex(candidate => candidate.x === point.x && candidate.z === point.z);
+}
+
+/**
+ * Builds level files (see Levels.js) on the game's own board: paint cells, place spawns, exits and
+ * decorations, check every spawn reaches an exit, then export the file or play-test it.
+ * The level in progress is kept as a draft in localStorage, so a reload or a play-test doesn't lose it.
+ */
+export class LevelEditor {
+    /**
+     * @param {Object|null} level - Level data to edit, e.g. the one just play-tested; the stored draft or a blank board when missing
+     */
+    constructor(level = null) {
+        this.level = level ? structuredClone(level) : this.loadDraft() || createBlankLevel();
+        this.tool = 'rocks';
+        this.decorationType = LEVEL_DECORATIONS[0];
+        this.errors = [];
+
+        // Scene
+        this.sceneSetup = null;
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.labelRenderer = null;
+        this.controls = null;
+        this.groundPicker = null;
+        this.environmentManager = null;
+
+        // Board visuals
+        this.cellMeshes = [];
+        this.terrain = new Terrain(); // The drawn terraces' heights, for hovering over them
+        this.gridHelper = null;
+        this.hoverMarker = null;
+        this.routeLines = [];
+        this.decorationModels = []; // Same order as level.decorations
+        this.showCount = 0; // Tells a showLevel still loading props that a newer one took over
+        this.markerUpdate = Promise.resolve(); // Spawn/exit marker swaps, one at a time
+
+        // Painting
+        this.isPainting = false;
+        this.lastPaintedCell = null;
+        this.strokeCells = new Set(); // Cells raised or lowered since the button went down, once each
+
+        this.ui = null;
+        this.onPlaytestCallback = null;
+        this.onExitCallback = null;
+        this.animationId = null;
+    }
+
+    async initialize(loadingScreen = null) {
+        loadingScreen?.setStatus('Opening the level editor...');
+
+        this.sceneSetup = new SceneSetup(this.level.gridSize);
+        const sceneComponents = this.sceneSetup.initialize(true);
+        this.scene = sceneComponents.scene;
+        this.camera = sceneComponents.camera;
+        this.renderer = sceneComponents.renderer;
+        this.labelRenderer = sceneComponents.labelRenderer;
+        this.controls = sceneComponents.controls;
+
+        // The left button paints, so the camera turns with the right one
+        this.controls.mouseButtons = { LEFT: null, MIDDLE: THREE.MOUSE.DOLLY, RIGHT: THREE.MOUSE.ROTATE };
+        this.fitCamera();
+
+        this.groundPicker = new GroundPicker(this.camera, sceneComponents.ground);
+        this.environmentManager = new EnvironmentManager(this.scene, this.level.gridSize);
+
+        // Load the markers and props up front so placing them doesn't wait on the network
+        await assetManager.preloadAssets([
+            { category: 'environment', key: 'spawn-round' },
+            { category: 'environment', key: 'spawn-square' },
+            ...LEVEL_DECORATIONS.map(key => ({ category: 'environment', key }))
+        ]);
+
+        this.hoverMarker = new THREE.Mesh(
+            new THREE.PlaneGeometry(1, 1),
+            new THREE.MeshBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.3, depthWrite: false })
+        );
+        this.hoverMarker.rotation.x = -Math.PI / 2;
+        this.hoverMarker.visible = false;
+        this.scene.add(this.hoverMarker);
+
+        this.ui = new LevelEditorUI();
+        this.setupUICallbacks();
+        this.ui.setTool(this.tool);
+        this.ui.setDecorationType(this.decorationType);
+
+        this.boundMouseDown = this.onMouseDown.bind(this);
+        this.boundMouseMove = this.onMouseMove.bind(this);
+        this.boundMouseUp = this.onMouseUp.bind(this);
+        window.addEventListener('mousedown', this.boundMouseDown);
+        window.addEventListener('mousemove', this.boundMouseMove);
+        window.addEventListener('mouseup', this.boundMouseUp);
+
+        await this.showLevel();
+        loadingScreen?.hide();
+    }
+
+    start() {
+        const render = () => {
+            this.animationId = requestAnimationFrame(render);
+            this.controls.update();
+            gameClock.update(); // The editor has no game loop of its own to advance the decoration animations
+            this.environmentManager.update();
+            for (const line of this.routeLines) {
+                line.material.dashOffset -= 0.02;
+            }
+            this.renderer.render(this.scene, this.camera);
+            this.labelRenderer.render(this.scene, this.camera);
+        };
+        render();
+        console.log('🛠 Level editor started');
+    }
+
+    setupUICallbacks() {
+        this.ui.setOnToolChangedCallback((tool) => {
+            this.tool = tool;
+            this.ui.setTool(tool);
+        });
+        this.ui.setOnDecorationTypeChangedCallback((type) => {
+            this.decorationType = type;
+        });
+        this.ui.setOnSettingsChangedCallback((settings) => this.changeSettings(settings));
+        this.ui.setOnValidateCallback(() => this.validate(true));
+        this.ui.setOnNewCallback(() => {
+            if (confirm('Start a new level? The current one is lost unless you exported it.')) {
+                this.level = createBlankLevel(this.level.gridSize);
+                this.showLevel();
+            }
+        });
+        this.ui.setOnImportCallback((file) => this.importFile(file));
+        this.ui.setOnExportCallback(() => this.exportLevel());
+        this.ui.setOnPlaytestCallback(() => this.playtest());
+        this.ui.setOnExitCallback(() => {
+            if (this.onExitCallback) {
+                this.onExitCallback();
+            }
+        });
+    }
+
+    // Rebuild everything on the board from the level (a new, imported or resized level)
+    async showLevel() {
+        const shown = ++this.showCount;
+        this.sceneSetup.resizeGround(this.level.gridSize);
+        this.environmentManager.gridSize = this.level.gridSize;
+        this.fitCamera();
+
+        if (this.gridHelper) {
+            this.scene.remove(this.gridHelper);
+            this.gridHelper.geometry.dispose();
+            this.gridHelper.material.dispose();
+        }
+        this.gridHelper = new THREE.GridHelper(this.level.gridSize, this.level.gridSize, 0x88aaff, 0x88aaff);
+        this.gridHelper.position.y = 0.01;
+        this.gridHelper.material.transparent = true;
+        this.gridHelper.material.opacity = 0.25;
+        this.scene.add(this.gridHelper);
+
+        this.ui.setLevel(this.level);
+        this.updateCells();
+        this.updateMarkers();
+        for (const model of this.decorationModels) {
+            if (model) this.environmentManager.removeObject(model);
+        }
+        this.decorationModels = [];
+        this.onLevelChanged();
+        for (const decoration of this.level.decorations) {
+            const model = await this.environmentManager.placeDecoration(decoration);
+            if (shown !== this.showCount) {
+                if (model) this.environmentManager.removeObject(model);
+                return;
+            }
+            this.decorationModels.push(model);
+        }
+    }
+
+    fitCamera() {
+        const { gridSize } = this.level;
+        this.camera.position.set(0, gridSize, gridSize * 0.75);
+        this.controls.target.set(0, 0, 0);
+        this.controls.maxDistance = gridSize * 1.5;
+        this.controls.update();
+    }
+
+    // Board edited: check it again and keep the draft
+    onLevelChanged() {
+        this.validate();
+        this.saveDraft();
+    }
+
+    /**
+     * Check the level and show every spawn's route when it's valid
+     * @param {boolean} flash - Asked for with the Validate button
+     */
+    validate(flash = false) {
+        this.errors = validateLevel(this.level);
+
+        let routes = [];
+        let summary = '';
+        if (this.errors.length === 0) {
+            const findPath = createRouteFinder({
+                pathfinding: new Pathfinding(this.level.gridSize, new Terrain(this.level.elevation)),
+                spawns: this.level.spawnPoints,
+                exits: this.level.exitPoints,
+                yCoordinate: 0.1
+            });
+            const obstacles = getFixedObstacles(this.level);
+            routes = this.level.spawnPoints.map(spawn => findPath(obstacles, spawn));
+            const lengths = routes.map(route => getPathLength(route).toFixed(1));
+            summary = `Valid level. Route length ${lengths.join(', ')} cells with no maze built.`;
+        }
+
+        this.ui.setStatus(this.errors, summary, flash);
+        this.showRoutes(routes);
+        return this.errors.length === 0;
+    }
+
+    showRoutes(routes) {
+        for (const line of this.routeLines) {
+            this.scene.remove(line);
+            line.geometry.dispose();
+            line.material.dispose();
+        }
+        this.routeLines = [];
+
+        routes.forEach((route, i) => {
+            if (!route || route.length === 0) return;
+            const geometry = new THREE.BufferGeometry().setFromPoints(route.map(point => new THREE.Vector3(point.x, point.y, point.z)));
+            const material = new THREE.LineDashedMaterial({
+                color: ROUTE_COLORS[i % ROUTE_COLORS.length],
+                dashSize: 0.2,
+                gapSize: 0.8,
+                transparent: true,
+                opacity: 0.9
+            });
+            const line = new THREE.Line(geometry, material);
+            line.computeLineDistances();
+            this.scene.add(line);
+            this.routeLines.push(line);
+        });
+    }
+
+    updateCells() {
+        for (const mesh of this.cellMeshes) {
+            this.scene.remove(mesh);
+            mesh.geometry.dispose();
+        }
+        this.cellMeshes = createLevelCellMeshes(this.level);
+        this.terrain = new Terrain(this.level.elevation);
+        for (const mesh of this.cellMeshes) {
+            this.scene.add(mesh);
+        }
+        this.groundPicker.setSurfaces(this.cellMeshes.filter(mesh => mesh.userData.terrain));
+    }
+
+    updateMarkers() {
+        const toVector = point => new THREE.Vector3(point.x, 0, point.z);
+        const spawns = this.level.spawnPoints.map(toVector);
+        const exits = this.level.exitPoints.map(toVector);
+        this.markerUpdate = this.markerUpdate.then(() => this.environmentManager.replaceSpawnPoints(spawns, exits));
+    }
+
+    // Mouse handling: the panel takes its own clicks, the right button turns the camera
+
+    isOverPanel(event) {
+        return !!event.target.closest?.('.level-editor-panel');
+    }
+
+    onMouseDown(event) {
+        if (event.button !== 0 || this.isOverPanel(event)) return;
+        this.groundPicker.setPointer(event);
+
+        if (CELL_TOOLS.includes(this.tool)) {
+            this.isPainting = true;
+            this.lastPaintedCell = null;
+            this.strokeCells.clear();
+            this.paintCell(this.groundPicker.pickCell());
+        } else if (this.tool === 'spawn' || this.tool === 'exit') {
+            this.togglePoint(this.groundPicker.pickGridPoint());
+        } else if (this.tool === 'decoration') {
+            this.toggleDecoration(this.groundPicker.pick());
+        }
+    }
+
+    onMouseMove(event) {
+        this.groundPicker.setPointer(event);
+        const overPanel = this.isOverPanel(event);
+        const isCellTool = CELL_TOOLS.includes(this.tool);
+        const spot = overPanel ? null : isCellTool ? this.groundPicker.pickCell() : this.groundPicker.pickGridPoint();
+
+        this.hoverMarker.visible = !!spot && this.tool !== 'decoration';
+        if (spot) {
+            const groundLevel = isCellTool ? this.terrain.getCellHeight(spot.x, spot.z) * TERRACE_HEIGHT : 0;
+            this.hoverMarker.position.set(spot.x, groundLevel + 0.02, spot.z);
+            this.hoverMarker.scale.setScalar(isCellTool ? 1 : 0.5);
+        }
+
+        if (this.isPainting && spot && isCellTool) {
+            this.paintCell(spot);
+        }
+    }
+
+    onMouseUp() {
+        this.isPainting = false;
+    }
+
+    /**
+     * Give a cell the current cell tool's kind (each cell has at most one)
+     * @param {{x: number, z: number}|null} cell - Cell centre
+     */
+    paintCell(cell) {
+        const limit = this.level.gridSize / 2 - 1; // The border ring stays plain
+        if (!cell || Math.abs(cell.x) > limit || Math.abs(cell.z) > limit) return;
+        if (this.lastPaintedCell && findPoint([this.lastPaintedCell], cell) === 0) return;
+        this.lastPaintedCell = cell;
+
+        if (TERRAIN_TOOLS.includes(this.tool)) {
+            this.changeHeight(cell);
+            return;
+        }
+
+        const current = CELL_LISTS.find(list => findPoint(this.level[list], cell) >= 0) || 'buildable';
+        if (current === this.tool) return;
+
+        for (const list of CELL_LISTS) {
+            this.level[list] = this.level[list].filter(candidate => candidate.x !== cell.x || candidate.z !== cell.z);
+        }
+        if (this.tool !== 'buildable') {
+            this.level[this.tool].push(cell);
+        }
+        this.updateCells();
+        this.onLevelChanged();
+    }
+
+    // Raise or lower a cell by one terrain level, once per stroke so dragging over it again doesn't keep going
+    changeHeight(cell) {
+        const key = `${cell.x},${cell.z}`;
+        if (this.strokeCells.has(key)) return;
+        this.strokeCells.add(key);
+
+        const index = findPoint(this.level.elevation, cell);
+        const height = (index >= 0 ? this.level.elevation[index].height : 0) + (this.tool === 'raise' ? 1 : -1);
+        if (height < 0 || height > MAX_ELEVATION) return;
+
+        if (index >= 0) this.level.elevation.splice(index, 1);
+        if (height > 0) this.level.elevation.push({ ...cell, height });
+        this.updateCells();
+        this.onLevelChanged();
+    }
+
+    // Add a spawn or exit at a grid point, or take away the one already there
+    togglePoint(point) {
+        const limit = this.level.gridSize / 2 - 2; // Their clear 3x3 area has to fit inside the border
+        if (!point || Math.abs(point.x) > limit || Math.abs(point.z) > limit) return;
+
+        const list = this.tool === 'spawn' ? this.level.spawnPoints : this.level.exitPoints;
+        const other = this.tool === 'spawn' ? this.level.exitPoints : this.level.spawnPoints;
+        const index = findPoint(list, point);
+        if (index >= 0) {
+            list.splice(index, 1);
+        } else {
+            list.push(point);
+            const otherIndex = findPoint(other, point);
+            if (otherIndex >= 0) other.splice(otherIndex, 1);
+        }
+        this.updateMarkers();
+        this.onLevelChanged();
+    }
+
+    // Place a prop of the chosen type, or take away the one clicked
+    async toggleDecoration(point) {
+        if (!point) return;
+
+        const index = this.level.decorations.findIndex(decoration =>
+            Math.hypot(decoration.x - point.x, decoration.z - point.z) < DECORATION_PICK_DISTANCE);
+        if (index >= 0) {
+            this.level.decorations.splice(index, 1);
+            const [model] = this.decorationModels.splice(index, 1);
+            if (model) this.environmentManager.removeObject(model);
+        } else {
+            const round = value => Math.round(value * 100) / 100;
+            const decoration = {
+                type: this.decorationType,
+                x: round(point.x),
+                z: round(point.z),
+                rotation: round(Math.random() * Math.PI * 2)
+            };
+            this.level.decorations.push(decoration);
+            this.decorationModels.push(null); // Keeps the order while the model loads
+            const model = await this.environmentManager.placeDecoration(decoration);
+            const slot = this.level.decorations.indexOf(decoration);
+            if (slot >= 0) {
+                this.decorationModels[slot] = model;
+            } else if (model) {
+                this.environmentManager.removeObject(model); // Removed again before it loaded
+            }
+        }
+        this.onLevelChanged();
+    }
+
+    changeSettings(settings) {
+        const resized = settings.gridSize !== undefined && settings.gridSize !== this.level.gridSize;
+        Object.assign(this.level, settings);
+
+        if (resized) {
+            // Drop whatever no longer fits on the board
+            const { gridSize } = this.level;
+            const fits = limit => point => Math.abs(point.x) <= limit && Math.abs(point.z) <= limit;
+            for (const list of [...CELL_LISTS, 'elevation']) {
+                this.level[list] = this.level[list].filter(fits(gridSize / 2 - 1));
+            }
+            this.level.spawnPoints = this.level.spawnPoints.filter(fits(gridSize / 2 - 2));
+            this.level.exitPoints = this.level.exitPoints.filter(fits(gridSize / 2 - 2));
+            this.level.decorations = this.level.decorations.filter(fits(gridSize / 2));
+            this.showLevel();
+        } else {
+            this.ui.setLevel(this.level);
+            this.onLevelChanged();
+        }
+    }
+
+    // File buttons
+
+    async importFile(file) {
+        try {
+            const data = parseLevel(await file.text());
+            this.level = { restricted: [], unbuildable: [], rocks: [], water: [], elevation: [], decorations: [], description: '', ...data };
+        } catch (error) {
+            console.error('Failed to import level:', error);
+            alert(error.message);
+            return;
+        }
+        await this.showLevel();
+        console.log(`📂 Imported level "${this.level.id}"`);
+    }
+
+    exportLevel() {
+        if (!this.validate(true)) {
+            alert('Fix the problems listed under Status before exporting the level.');
+            return;
+        }
+        downloadJson(this.level, `${this.level.id}.json`);
+    }
+
+    playtest() {
+        if (!this.validate(true)) {
+            alert('Fix the problems listed under Status before play-testing the level.');
+            return;
+        }
+        if (!this.level.modes.includes('singleplayer')) {
+            alert('Play-testing runs the level in single player; tick the Single player mode first.');
+            return;
+        }
+        this.saveDraft();
+        if (this.onPlaytestCallback) {
+            this.onPlaytestCallback(loadLevel(structuredClone(this.level)));
+        }
+    }
+
+    // Draft kept between sessions
+
+    saveDraft() {
+        try {
+            localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(this.level));
+        } catch (error) {
+            console.warn('Could not store the level draft:', error);
+        }
+    }
+
+    loadDraft() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY));
+            // Drafts may be half finished, but the board size has to work
+            if (draft && Number.isInteger(draft.gridSize) && draft.gridSize % 2 === 0 &&
+                draft.gridSize >= 10 && draft.gridSize <= 40) {
+                return { ...createBlankLevel(draft.gridSize), ...draft };
+            }
+        } catch (error) {
+            console.warn('Ignoring an unreadable level draft:', error);
+        }
+        return null;
+    }
+
+    // Callback setters
+    setOnPlaytestCallback(callback) {
+        this.onPlaytestCallback = callback;
+    }
+
+    setOnExitCallback(callback) {
+        this.onExitCallback = callback;
+    }
+
+    onWindowResize() {
+        if (this.sceneSetup) {
+            this.sceneSetup.onWindowResize();
+        }
+    }
+
+    cleanup() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        window.removeEventListener('mousedown', this.boundMouseDown);
+        window.removeEventListener('mousemove', this.boundMouseMove);
+        window.removeEventListener('mouseup', this.boundMouseUp);
+
+        if (this.ui) {
+            this.ui.cleanup();
+            this.ui = null;
+        }
+        if (this.environmentManager) {
+            this.environmentManager.clearEnvironment();
+        }
+        if (this.sceneSetup) {
+            this.sceneSetup.dispose();
+        }
+        console.log('🛠 Level editor closed');
+    }
+}
@@ -6,6 +6,8 @@ import { MultiplayerTowerInputManager } from '../multiplayer/MultiplayerTowerInp
 import { LoadingScreen } from '../ui/LoadingScreen.js';
 import { SpectatorOverlay } from '../ui/SpectatorOverlay.js';
 import { TurnIndicatorUI } from '../ui/TurnIndicatorUI.js';
+import { BossHealthBar } from '../ui/BossHealthBar.js';
+import { BeamWarningUI } from '../ui/BeamWarningUI.js';
 import { GameState } from '../GameState.js';
 import { MazeState } from '../mazeBuilder/MazeState.js';
 import { MazeBuilderUI } from '../mazeBuilder/MazeBuilderUI.js';
@@ -17,9 +19,15 @@ import { assetManager } from '../managers/AssetManager.js';
 import { CSS2DRenderer } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
 import { Enemy } from '../Enemy.js';
 import { Tower } from '../Tower.js';
+import { EnemyState } from '../simulation/EnemyState.js';
+import { TowerState } from '../simulation/TowerState.js';
+import { getAuraModifiers } from '../config/Auras.js';
 import { Pathfinding } from '../Pathfinding.js';
+import { createRouteFinder } from '../FlowField.js';
+import { COOPERATIVE_LEVEL_ID, getLevelForMode } from '../config/Levels.js';
 import { EnvironmentManager } from '../managers/EnvironmentManager.js';
 import { GameSummaryUI } from '../ui/GameSummaryUI.js';
+import { gameClock } from '../core/GameClock.js';
 
 export class MultiplayerGame {
     constructor(gameController = null) {
@@ -40,22 +48,16 @@ export class MultiplayerGame {
         this.gameState = null;
         this.mazeState = null;
         this.pathfinding = null;  // Add pathfinding
+        this.findRoute = null;    // findPath(obstacles, from) to the exit, backed by a flow field
         this.environmentManager = null;  // Add environment manager
         
         // Game objects
         this.enemies = new Map();
         this.towers = new Map();
         
-        // Game constants - updated for cooperative mode
-        this.spawnPoints = [
-            new THREE.Vector3(-8, 0.1, -8),  // Northwest
-            new THREE.Vector3(-8, 0.1, 8)    // Southwest
-        ];
-        this.exitPoint = new THREE.Vector3(8, 0.1, 0);  // East center
-        
-        // Legacy single spawn (for backward compatibility)
-        this.enemyStartPosition = this.spawnPoints[0];
-        this.enemyEndPosition = this.exitPoint;
+        // The board, from the same level the server plays (see CooperativeGameState); the session's own
+        // level replaces the default once joined
+        this.setLevel(COOPERATIVE_LEVEL_ID);
         this.lastEnemySpawn = 0;
         this.enemySpawnInterval = 2000;
         
@@ -68,6 +70,8 @@ export class MultiplayerGame {
         this.towerSelectionUI = null;
         this.towerManagementUI = null;
         this.turnIndicatorUI = null;
+        this.bossHealthBar = null;
+        this.beamWarningUI = null;
         
         // Input managers  
         this.mazeInputManager = null;
@@ -97,6 +101,21 @@ export class MultiplayerGame {
         this.onSessionJoined = null;
     }
 
+    /**
+     * Play on a cooperative level: the board, spawns and exit the views and route previews use
+     * @param {string} levelId - The session's level (see getLevelsForMode('cooperative'))
+     */
+    setLevel(levelId) {
+        this.level = getLevelForMode(levelId, 'cooperative');
+        this.spawnPoints = this.level.spawnPoints.map(point => new THREE.Vector3(point.x, 0.1, point.z));
+        const [exit] = this.level.exitPoints;
+        this.exitPoint = new THREE.Vector3(exit.x, 0.1, exit.z);
+        
+        // Legacy single spawn (for backward compatibility)
+        this.enemyStartPosition = this.spawnPoints[0];
+        this.enemyEndPosition = this.exitPoint;
+    }
+
     /**
      * Initialize multiplayer game with matchmaking
      */
@@ -244,6 +263,32 @@ export class MultiplayerGame {
         
         // === GAME STATE EVENTS ===
         this.eventHub.on('game:state_updated', (data) => {
+            // Mirror the server's slows/stuns/weakens on the local enemies
+            if (data.gameState && data.gameState.enemies) {
+                for (const [enemyId, enemyUpdate] of Object.entries(data.gameState.enemies)) {
+                    const enemy = this.enemies.get(enemyId);
+                    if (enemy && enemyUpdate && enemyUpdate.statusEffects) {
+                        enemy.syncStatusEffects(enemyUpdate.statusEffects);
+                    }
+                    if (enemy && enemyUpdate && enemyUpdate.bossPhase !== undefined) {
+                        enemy.syncBossPhase(enemyUpdate.bossPhase);
+                    }
+                    if (enemy && enemyUpdate && enemyUpdate.beamCount !== undefined) {
+                        enemy.syncBeams(enemyUpdate.beamCount);
+                    }
+                }
+            }
+            
+            // Towers knocked out by UFO beams
+            if (data.gameState && data.gameState.towers) {
+                for (const [towerId, towerUpdate] of Object.entries(data.gameState.towers)) {
+                    const tower = this.towers.get(towerId);
+                    if (tower && towerUpdate && towerUpdate.disabledRemaining !== undefined) {
+                        tower.syncDisabled(towerUpdate.disabledRemaining);
+                    }
+                }
+            }
+            
             if (this.spectatorOverlay && data.players) {
                 // Get opponent's data
                 const opponentId = this.localPlayerId === 'player1' ? 'player2' : 'player1';
@@ -312,6 +357,10 @@ export class MultiplayerGame {
             this.handlePlayerTowerPlacement(data);
         });
         
+        this.eventHub.on('tower:targeting_changed', (data) => {
+            this.handleTowerTargetingChanged(data);
+        });
+        
         // === ENEMY EVENTS ===
         this.eventHub.on('enemy:spawned', (data) => {
             // Create enemy in scene
@@ -330,15 +379,11 @@ export class MultiplayerGame {
                     }
                 });
                 
-                // Extract wave number from enemy type (e.g., 'ufo-a' = wave 1, 'ufo-b' = wave 2)
-                let wave = 1;
-                if (data.enemy.type) {
-                    const typeMap = { 'ufo-a': 1, 'ufo-d': 2 };
-                    wave = typeMap[data.enemy.type] || 1;
-                }
+                // Server sends the archetype as the enemy type; health and speed are overwritten below
+                const wave = data.enemy.wave || 1;
                 
-                // Create enemy with proper wave and path
-                const enemy = new Enemy(enemyPath, wave);
+                // Create enemy with proper wave, archetype and path
+                const enemy = new Enemy(new EnemyState(enemyPath, wave, data.enemy.type));
                 
                 // Set initial position from server data
                 if (data.enemy.position) {
@@ -347,7 +392,7 @@ export class MultiplayerGame {
                         y: data.enemy.position.y || 0.5,
                         z: data.enemy.position.z
                     };
-                    enemy.mesh.position.set(newPosition.x, newPosition.y, newPosition.z);
+                    enemy.setPosition(newPosition.x, newPosition.y, newPosition.z);
                 }
                 
                 // Set health from server data
@@ -395,6 +440,7 @@ export class MultiplayerGame {
             // Store local player ID - FIXED: read from data.player.playerId
             this.localPlayerId = data.player.playerId;
             this.isInSession = true;
+            this.setLevel(data.sessionInfo?.levelId || COOPERATIVE_LEVEL_ID);
             
             // Call external callback to hide game mode selector
             if (this.onSessionJoined) {
@@ -654,17 +700,13 @@ export class MultiplayerGame {
                     lastWaypoint: enemyPath[enemyPath.length - 1]
                 });
                 
-                // Extract wave number from enemy type (e.g., 'ufo-a' = wave 1, 'ufo-b' = wave 2)
-                let wave = 1;
-                if (data.enemy.type) {
-                    const typeMap = { 'ufo-a': 1, 'ufo-d': 2 };
-                    wave = typeMap[data.enemy.type] || 1;
-                }
-                console.log('👾 Enemy wave calculated:', wave, 'from type:', data.enemy.type);
+                // Server sends the archetype as the enemy type; health and speed are overwritten below
+                const wave = data.enemy.wave || 1;
+                console.log('👾 Enemy wave:', wave, 'archetype:', data.enemy.type);
                 
-                // Create enemy with proper wave and path
+                // Create enemy with proper wave, archetype and path
                 console.log('🏗️ Creating Enemy instance...');
-                const enemy = new Enemy(enemyPath, wave);
+                const enemy = new Enemy(new EnemyState(enemyPath, wave, data.enemy.type));
                 console.log('✅ Enemy instance created successfully');
                 
                 // Set initial position from server data
@@ -674,7 +716,7 @@ export class MultiplayerGame {
                         y: data.enemy.position.y || 0.1,
                         z: data.enemy.position.z
                     };
-                    enemy.mesh.position.set(newPosition.x, newPosition.y, newPosition.z);
+                    enemy.setPosition(newPosition.x, newPosition.y, newPosition.z);
                     console.log('📍 Enemy position set to:', newPosition);
                 }
                 
@@ -772,6 +814,7 @@ export class MultiplayerGame {
             // Store local player ID - FIXED: read from data.player.playerId
             this.localPlayerId = data.player.playerId;
             this.isInSession = true;
+            this.setLevel(data.sessionInfo?.levelId || COOPERATIVE_LEVEL_ID);
             
             console.log('🎯 Set localPlayerId to:', this.localPlayerId);
             
@@ -835,6 +878,7 @@ export class MultiplayerGame {
         this.animationId = requestAnimationFrame(() => this.gameLoop());
 
         const currentTime = Date.now();
+        gameClock.update(); // Effect animations; the server owns game time, so it always runs at 1x
 
         // Animate all path lines
         for (const pathLine of this.pathLines) {
@@ -853,19 +897,7 @@ export class MultiplayerGame {
             const obstacles = this.getAllObstacles();
             
             // Calculate paths from all spawn points to exit for cooperative mode
-            const allPaths = [];
-            for (const spawnPoint of this.spawnPoints) {
-                const path = this.pathfinding.findPath(
-                    { x: spawnPoint.x, z: spawnPoint.z },
-                    { x: this.exitPoint.x, z: this.exitPoint.z },
-                    obstacles
-                );
-                if (path) {
-                    allPaths.push(path);
-                }
-            }
-            
-            this.updateMultiplePathVisualization(allPaths);
+            this.updateMultiplePathVisualization(this.findSpawnPaths(obstacles));
         }
 
         // Update enemies
@@ -891,6 +923,20 @@ export class MultiplayerGame {
                 }
             }
         }
+        
+        if (this.bossHealthBar) {
+            this.bossHealthBar.update(this.enemies.values());
+        }
+        
+        // Beam-disabled towers come from the server (see syncDisabled); only the rings and HUD are local
+        let disabledTowers = 0;
+        for (const tower of this.towers.values()) {
+            tower.updateDisabledIndicator();
+            if (tower.isDisabled()) disabledTowers++;
+        }
+        if (this.beamWarningUI) {
+            this.beamWarningUI.update({ disabledTowers });
+        }
 
         // Update controls
         if (this.controls) {
@@ -941,7 +987,8 @@ export class MultiplayerGame {
                 const waypoints = pathsArray[i];
                 if (waypoints && waypoints.length > 0) {
                     const positions = waypoints.map(waypoint => {
-                        return waypoint.position ? waypoint.position.clone() : waypoint.clone();
+                        const position = waypoint.position || waypoint;
+                        return new THREE.Vector3(position.x, position.y ?? 0.1, position.z);
                     });
 
                     const pathGeometry = new THREE.BufferGeometry().setFromPoints(positions);
@@ -981,23 +1028,22 @@ export class MultiplayerGame {
         this.pathLine = null;
     }
 
-    updateMultiplePathsFromServer(sharedPath) {
-        // Server provides one path, but we need to calculate paths from all spawn points
-        // to show the complete cooperative gameplay picture
-        const obstacles = this.getAllObstacles();
-        const allPaths = [];
-        
+    // Routes from every spawn point to the exit; one flow field serves them all until the obstacles change
+    findSpawnPaths(obstacles) {
+        const paths = [];
         for (const spawnPoint of this.spawnPoints) {
-            const path = this.pathfinding.findPath(
-                { x: spawnPoint.x, z: spawnPoint.z },
-                { x: this.exitPoint.x, z: this.exitPoint.z },
-                obstacles
-            );
-            
+            const path = this.findRoute(obstacles, { x: spawnPoint.x, z: spawnPoint.z });
             if (path) {
-                allPaths.push(path);
+                paths.push(path);
             }
         }
+        return paths;
+    }
+
+    updateMultiplePathsFromServer(sharedPath) {
+        // Server provides one path, but we need to calculate paths from all spawn points
+        // to show the complete cooperative gameplay picture
+        const allPaths = this.findSpawnPaths(this.getAllObstacles());
         
         // If we couldn't calculate any local paths, fall back to server path
         if (allPaths.length === 0 && sharedPath) {
@@ -1089,10 +1135,15 @@ export class MultiplayerGame {
             this.controls.maxPolarAngle = Math.PI / 2;
             
             // Create game state
-            this.gameState = new GameState();
-            this.mazeState = new MazeState(this.multiplayerScene.scene, 20);
-            this.pathfinding = new Pathfinding(20);  // Initialize pathfinding
-            this.environmentManager = new EnvironmentManager(this.multiplayerScene.scene, 20);  // Initialize environment
+            this.gameState = new GameState(this.level.waveScript);
+            this.mazeState = new MazeState(this.multiplayerScene.scene, this.level.gridSize, this.level);
+            this.pathfinding = new Pathfinding(this.level.gridSize);  // Initialize pathfinding
+            this.findRoute = createRouteFinder({
+                pathfinding: this.pathfinding,
+                spawns: this.spawnPoints,
+                exits: [this.exitPoint]
+            });
+            this.environmentManager = new EnvironmentManager(this.multiplayerScene.scene, this.level.gridSize);  // Initialize environment
             
             // Initialize UI systems (true = multiplayer mode)
             this.mazeBuilderUI = new MazeBuilderUI(this.mazeState, this.gameState, true);
@@ -1102,6 +1153,8 @@ export class MultiplayerGame {
             // Initialize cooperative mode UI
             this.turnIndicatorUI = new TurnIndicatorUI();
             this.turnIndicatorUI.show();
+            this.bossHealthBar = new BossHealthBar();
+            this.beamWarningUI = new BeamWarningUI();
             
             // Initialize game summary UI
             this.gameSummaryUI = new GameSummaryUI();
@@ -1448,6 +1501,13 @@ export class MultiplayerGame {
             this.towerSelectionUI.updateTowerMenu();
         });
         
+        this.towerManagementUI.setOnTowerTargetingChangeCallback((tower, mode) => {
+            const actionDispatcher = this.gameController ? this.gameController.getActionDispatcher() : null;
+            if (actionDispatcher && tower.serverId) {
+                actionDispatcher.setTowerTargeting(tower.serverId, mode);
+            }
+        });
+        
         this.towerManagementUI.setOnTowerDestroyCallback((tower) => {
             // This would need server implementation for cooperative tower destruction
             console.log('Tower destruction in multiplayer not implemented yet');
@@ -1606,22 +1666,34 @@ export class MultiplayerGame {
      */
     createTowerFromServerData(towerData) {
         // Create tower instance (same as single player)
-        const tower = new Tower(
-            towerData.position.x,
-            towerData.position.y || 1.0,
-            towerData.position.z,
-            towerData.type
-        );
+        const tower = new Tower(new TowerState(towerData.type, {
+            x: towerData.position.x,
+            z: towerData.position.z
+        }));
         
         // Store additional server data
         tower.serverId = towerData.id;
         tower.playerId = towerData.playerId;
         tower.level = towerData.level || 1;
         tower.cost = towerData.cost;
+        if (towerData.targetingMode) {
+            tower.setTargetingMode(towerData.targetingMode);
+        }
         
         // Add to scene and towers map
         this.multiplayerScene.scene.add(tower.mesh);
         this.towers.set(towerData.id, tower);
+        this.refreshAuras();
+    }
+
+    /**
+     * Recompute support tower buffs (mirrors the server's aura maths for the panel and range rings)
+     */
+    refreshAuras() {
+        const towers = Array.from(this.towers.values());
+        for (const tower of towers) {
+            tower.setAuraModifiers(getAuraModifiers(tower, towers));
+        }
     }
 
     /**
@@ -1666,6 +1738,21 @@ export class MultiplayerGame {
         console.log('✅ CLIENT: Player tower placement handled successfully');
     }
 
+    /**
+     * Apply a targeting mode change confirmed by the server
+     */
+    handleTowerTargetingChanged(data) {
+        const tower = this.towers.get(data.towerId);
+        if (!tower) return;
+        
+        tower.setTargetingMode(data.targetingMode);
+        
+        // Refresh the management panel if this tower is open
+        if (this.towerManagementUI && this.towerManagementUI.selectedTower === tower) {
+            this.towerManagementUI.updatePanelContent();
+        }
+    }
+
     /**
      * Handle other players' maze placements for state synchronization
      */
@@ -1725,6 +1812,7 @@ export class MultiplayerGame {
     cleanup() {
         // Stop the game loop first
         this.stop();
+        gameClock.reset();
         
         // Reset initialization flag
         this.isInitializing = false;
@@ -1753,6 +1841,14 @@ export class MultiplayerGame {
             this.turnIndicatorUI.cleanup?.();
             this.turnIndicatorUI = null;
         }
+        if (this.bossHealthBar) {
+            this.bossHealthBar.cleanup();
+            this.bossHealthBar = null;
+        }
+        if (this.beamWarningUI) {
+            this.beamWarningUI.cleanup();
+            this.beamWarningUI = null;
+        }
         if (this.gameSummaryUI) {
             this.gameSummaryUI.cleanup();
             this.gameSummaryUI = null;
@@ -1827,7 +1923,7 @@ export class MultiplayerGame {
         if (enemy) {
             // Update position
             if (enemyUpdate.position) {
-                enemy.mesh.position.set(
+                enemy.setPosition(
                     enemyUpdate.position.x,
                     enemyUpdate.position.y || 0.1,
                     enemyUpdate.position.z
@@ -1847,6 +1943,21 @@ export class MultiplayerGame {
                 enemy.currentSpeed = enemyUpdate.speed;
             }
 
+            // Update status effects
+            if (enemyUpdate.statusEffects) {
+                enemy.syncStatusEffects(enemyUpdate.statusEffects);
+            }
+
+            // Beam for any boss phases the server triggered
+            if (enemyUpdate.bossPhase !== undefined) {
+                enemy.syncBossPhase(enemyUpdate.bossPhase);
+            }
+
+            // Beam for any beam abilities the server fired
+            if (enemyUpdate.beamCount !== undefined) {
+                enemy.syncBeams(enemyUpdate.beamCount);
+            }
+
             // Update path
             if (enemyUpdate.path) {
                 enemy.setPath(enemyUpdate.path);
@@ -0,0 +1,93 @@
+import { SinglePlayerGame } from './SinglePlayerGame.js';
+import { ReplayControlsUI } from '../ui/ReplayControlsUI.js';
+import { gameClock } from '../core/GameClock.js';
+
+/**
+ * Plays a recorded single player game back with pause, speed and seek controls.
+ * Seeking forward fast-forwards the running game; seeking back replays from the start up to that tick.
+ */
+export class ReplayViewer {
+    /**
+     * @param {Object} replay - From parseReplay
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.game = null;
+        this.controlsUI = null;
+        this.loadingScreen = null;
+        this.animationId = null;
+    }
+
+    async initialize(loadingScreen = null) {
+        this.loadingScreen = loadingScreen;
+        this.game = await this.createGame();
+
+        this.controlsUI = new ReplayControlsUI(this.replay.endTick);
+        this.controlsUI.setOnPauseChangedCallback(() => this.applyTimeScale());
+        this.controlsUI.setOnSpeedChangedCallback(() => this.applyTimeScale());
+        this.controlsUI.setOnSeekCallback((tick) => this.seek(tick));
+        this.controlsUI.setOnExitCallback(() => location.reload());
+
+        console.log(`🎬 Replay loaded: seed ${this.replay.seed}, ${this.replay.commands.length} commands`);
+    }
+
+    async createGame() {
+        const game = new SinglePlayerGame({ replay: this.replay });
+        await game.initialize(this.loadingScreen);
+        return game;
+    }
+
+    start() {
+        this.game.start();
+        this.updateControls();
+    }
+
+    // Keep the slider and clock label on the replay's tick
+    updateControls() {
+        this.animationId = requestAnimationFrame(() => this.updateControls());
+        this.controlsUI.update(this.game.simulation.tickCount);
+    }
+
+    applyTimeScale() {
+        gameClock.setTimeScale(this.controlsUI.isPaused ? 0 : this.controlsUI.speed);
+    }
+
+    async seek(tick) {
+        if (tick < this.game.simulation.tickCount) {
+            // The simulation only runs forwards: start over, keeping the camera where it was
+            const cameraPosition = this.game.camera.position.clone();
+            const cameraTarget = this.game.controls?.target.clone();
+            this.game.cleanup();
+
+            this.game = await this.createGame();
+            this.game.camera.position.copy(cameraPosition);
+            if (cameraTarget) this.game.controls.target.copy(cameraTarget);
+            this.game.fastForwardTo(tick);
+            this.game.start();
+        } else {
+            this.game.fastForwardTo(tick);
+        }
+        this.applyTimeScale();
+    }
+
+    onWindowResize() {
+        if (this.game) {
+            this.game.onWindowResize();
+        }
+    }
+
+    cleanup() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        if (this.controlsUI) {
+            this.controlsUI.cleanup();
+            this.controlsUI = null;
+        }
+        if (this.game) {
+            this.game.cleanup();
+            this.game = null;
+        }
+    }
+}
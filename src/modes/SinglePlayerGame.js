@@ -1,11 +1,15 @@
 import * as THREE from 'three';
 import { Enemy } from '../Enemy.js';
+import { Tower } from '../Tower.js';
 import { GameState } from '../GameState.js';
 import { InputManager } from '../input/InputManager.js';
 import { MazeState } from '../mazeBuilder/MazeState.js';
 import { MazeBuilderUI } from '../mazeBuilder/MazeBuilderUI.js';
 import { MazeInputManager } from '../mazeBuilder/MazeInputManager.js';
 import { Pathfinding } from '../Pathfinding.js';
+import { createRouteFinder } from '../FlowField.js';
+import { getLevel } from '../config/Levels.js';
+import { getMapSeed } from '../config/MapGenerator.js';
 import { TowerSelectionUI } from '../ui/TowerSelectionUI.js';
 import { TowerManagementUI } from '../ui/TowerManagementUI.js';
 import { TOWER_TYPES } from '../TowerTypes.js';
@@ -15,12 +19,30 @@ import { EnvironmentManager } from '../managers/EnvironmentManager.js';
 import { objectPool } from '../managers/ObjectPool.js';
 import { ParticleSystem } from '../effects/ParticleSystem.js';
 import { SceneSetup } from '../core/SceneSetup.js';
+import { gameClock, FRAME_SECONDS } from '../core/GameClock.js';
 import { GameSummaryUI } from '../ui/GameSummaryUI.js';
 import { Modal } from '../ui/Modal.js';
 import { WaveCountdownUI } from '../ui/TurnIndicatorUI.js';
+import { BossHealthBar } from '../ui/BossHealthBar.js';
+import { BeamWarningUI } from '../ui/BeamWarningUI.js';
+import { Simulation } from '../simulation/Simulation.js';
+import { FixedStepClock } from '../simulation/Clock.js';
+import { ReplayRecorder, ReplayPlayer } from '../simulation/Replay.js';
+import { createSave } from '../simulation/SaveGame.js';
+import { saveManager } from '../managers/SaveManager.js';
+import { SaveGameUI } from '../ui/SaveGameUI.js';
+import { GameSpeedUI } from '../ui/GameSpeedUI.js';
+import { downloadJson } from '../utils/downloadJson.js';
 
 export class SinglePlayerGame {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object|null} [options.replay] - Replay to play back instead of taking player input
+     * @param {Object|null} [options.save] - Saved run to continue (see SaveGame.js)
+     * @param {string} [options.levelId] - Level to play a new game on (see Levels.js)
+     * @param {Object|null} [options.level] - A loaded level to play-test instead, e.g. from the level editor
+     */
+    constructor({ replay = null, save = null, levelId, level = null } = {}) {
         // Core systems
         this.sceneSetup = null;
         this.scene = null;
@@ -33,7 +55,17 @@ export class SinglePlayerGame {
         // Game systems
         this.gameState = null;
         this.mazeState = null;
+        this.simulation = null; // Plays the game; everything here renders it and feeds it player commands
+        this.clock = null; // Turns game time (gameClock, so pause and speed apply) into simulation ticks
+        
+        // Replays: live games record their commands, replay mode feeds recorded ones back in
+        this.replay = replay;
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.isFastForwarding = false;
+        this.save = save; // Saved run to continue, see resumeSavedRun
         this.pathfinding = null;
+        this.findRoute = null; // findPath(obstacles, from) from the spawn's flow field, see createRouteFinder
         this.environmentManager = null;
         this.particleSystem = null;
         
@@ -43,10 +75,14 @@ export class SinglePlayerGame {
         this.towerManagementUI = null;
         this.loadingScreen = null;
         this.gameSummaryUI = null;  // Add game summary UI
+        this.saveGameUI = null;
+        this.gameSpeedUI = null;
         this.infoModal = new Modal();
         
         // Add wave countdown UI
         this.waveCountdownUI = new WaveCountdownUI();
+        this.bossHealthBar = new BossHealthBar();
+        this.beamWarningUI = new BeamWarningUI();
         
         // Show info modal with game objectives and strategy tips
         const modalContent = `
@@ -82,24 +118,30 @@ export class SinglePlayerGame {
             </div>
         `;
         
-        this.infoModal.show('Welcome Commander', modalContent);
+        if (!this.replay && !this.save) {
+            this.infoModal.show('Welcome Commander', modalContent);
+        }
         
         // Input managers
         this.inputManager = null;
         this.mazeInputManager = null;
         
-        // Game objects
+        // Views of the simulation's enemies, towers and projectiles
         this.enemies = [];
         this.towers = [];
+        this.projectiles = new Map(); // ProjectileState -> pooled Projectile
         
-        // Game constants
-        this.enemyStartPosition = new THREE.Vector3(-8, 1.0, -8);
-        this.enemyEndPosition = new THREE.Vector3(8, 1.0, 8);
-        this.lastEnemySpawn = 0;
-        this.enemySpawnInterval = 2000;
+        // The map: waves say which spawn each group uses, and enemies head for the nearest exit.
+        // Replays and saves play on the level they were recorded on (classic when they predate levels)
+        this.level = level || getLevel(replay ? replay.level : save ? save.simulation.level : levelId);
+        // Nothing could load a save or replay of an unpublished level, so play-tests make neither
+        this.isPlaytest = level !== null;
+        this.spawnPoints = this.level.spawnPoints;
+        this.exitPoints = this.level.exitPoints;
         
-        // Path visualization
-        this.pathLine = null;
+        // Path visualization, one line per spawn point
+        this.pathLines = [];
+        this.pathLineWaypoints = []; // Route each line shows
         
         // Game loop
         this.isRunning = false;
@@ -115,7 +157,8 @@ export class SinglePlayerGame {
         this.loadingScreen.setStatus('Initializing single player game...');
 
         // Setup scene
-        this.sceneSetup = new SceneSetup();
+        const { gridSize } = this.level;
+        this.sceneSetup = new SceneSetup(gridSize);
         const sceneComponents = this.sceneSetup.initialize(true);
         
         this.scene = sceneComponents.scene;
@@ -126,16 +169,55 @@ export class SinglePlayerGame {
         this.ground = sceneComponents.ground;
 
         // Initialize game systems
-        this.gameState = new GameState();
-        this.mazeState = new MazeState(this.scene, 20);
-        this.pathfinding = new Pathfinding(20);
-        this.environmentManager = new EnvironmentManager(this.scene, 20);
+        this.gameState = new GameState(this.level.waveScript);
+        this.gameState.money = this.level.startingMoney;
+        this.gameState.onChanged();
+        this.showMapName();
+        this.mazeState = new MazeState(this.scene, gridSize, this.level);
+        this.pathfinding = new Pathfinding(gridSize, this.level.terrain);
+        this.findRoute = createRouteFinder({
+            pathfinding: this.pathfinding,
+            spawns: this.spawnPoints,
+            exits: this.exitPoints,
+            yCoordinate: 1.0  // Use y=1.0 for single player enemies
+        });
+        this.environmentManager = new EnvironmentManager(this.scene, gridSize);
         this.particleSystem = new ParticleSystem(this.scene);
+        this.simulation = new Simulation({
+            ...(this.replay && { seed: this.replay.seed, finalWave: this.replay.finalWave }),
+            state: this.gameState,
+            maze: this.mazeState,
+            findPath: this.findRoute,
+            spawnPoints: this.spawnPoints,
+            levelId: this.level.id,
+            terrain: this.level.terrain
+        });
+        this.simulation.onEvent = (type, detail) => this.onSimulationEvent(type, detail);
+        this.clock = new FixedStepClock(() => gameClock.now());
+        if (this.replay) {
+            this.replayPlayer = new ReplayPlayer(this.replay);
+        } else if (!this.save && !this.isPlaytest) {
+            // A resumed run didn't start from its seed here, so it can't be replayed
+            this.replayRecorder = new ReplayRecorder(this.simulation);
+        }
 
         // Initialize UI systems
         this.towerSelectionUI = new TowerSelectionUI(this.gameState);
-        this.towerManagementUI = new TowerManagementUI(this.gameState, this.labelRenderer, this.camera);
-                    this.mazeBuilderUI = new MazeBuilderUI(this.mazeState, this.gameState, false);  // false = single player mode
+        if (!this.replay) {
+            // A replay only watches: no building or tower management
+            this.towerManagementUI = new TowerManagementUI(this.gameState, this.labelRenderer, this.camera);
+            this.mazeBuilderUI = new MazeBuilderUI(this.mazeState, this.gameState, false);  // false = single player mode
+            
+            if (!this.isPlaytest) {
+                this.saveGameUI = new SaveGameUI();
+                this.saveGameUI.setOnSaveCallback(() => this.saveGame());
+                this.saveGameUI.setOnExportCallback(() => saveManager.exportToFile(createSave(this.simulation)));
+            }
+
+            // Replays have their own pause and speed controls (ReplayControlsUI)
+            this.gameSpeedUI = new GameSpeedUI();
+            this.gameSpeedUI.setOnSpeedChangedCallback((timeScale) => gameClock.setTimeScale(timeScale));
+        }
 
         // Initialize game summary UI
         this.gameSummaryUI = new GameSummaryUI();
@@ -144,15 +226,22 @@ export class SinglePlayerGame {
         this.setupUICallbacks();
 
         // Initialize maze input manager for building phase
-        this.initializeMazeInput();
+        if (!this.replay) {
+            this.initializeMazeInput();
+        }
 
         // Hide tower selection UI initially (show only during defense phase)
         this.towerSelectionUI.hide();
 
         // Listen for tower updates
-        document.addEventListener('towersUpdated', (event) => {
+        this.handleTowersUpdated = () => {
             this.towerSelectionUI.updateTowerMenu();
-        });
+        };
+        document.addEventListener('towersUpdated', this.handleTowersUpdated);
+
+        if (this.save) {
+            this.resumeSavedRun();
+        }
 
         // Hide loading screen
         this.loadingScreen.hide();
@@ -160,24 +249,54 @@ export class SinglePlayerGame {
         console.log('Single player game initialized');
     }
 
+    // Carry on from this.save: rebuild the simulation, its views, and the UI for the saved phase
+    resumeSavedRun() {
+        this.simulation.restore(this.save.simulation);
+        this.syncViews();
+        
+        if (this.gameState.isDefensePhase()) {
+            this.onDefensePhaseStarted();
+        } else {
+            this.mazeBuilderUI.updateCardDisplay();
+            this.updatePathVisualization(this.findCurrentRoutes());
+        }
+        console.log(`💾 Resumed saved run at wave ${this.gameState.wave}`);
+    }
+
+    // Keep the run in localStorage so it can be continued from the menu
+    saveGame(message = 'Saved') {
+        if (saveManager.save(createSave(this.simulation))) {
+            this.saveGameUI.showStatus(message);
+        } else {
+            this.saveGameUI.showStatus('Save failed');
+        }
+    }
+
     start() {
         this.isRunning = true;
+        this.clock.reset();
         this.gameLoop();
         console.log('Single player game started');
     }
 
     setupUICallbacks() {
         // Setup maze builder callbacks
-        this.mazeBuilderUI.setOnStartDefenseCallback(() => {
-            this.startDefensePhase();
-        });
+        if (this.mazeBuilderUI) {
+            this.mazeBuilderUI.setOnStartDefenseCallback(() => {
+                this.startDefensePhase();
+            });
+        }
 
-        // Listen for phase changes
-        document.addEventListener('phaseChanged', (event) => {
+        // Listen for phase changes (whether the player or a replay started them)
+        this.handlePhaseChanged = (event) => {
+            if (this.isFastForwarding) return;
             if (event.detail === 'MAZE_BUILDING') {
                 this.startBuildingPhase();
+            } else if (event.detail === 'DEFENSE') {
+                this.onDefensePhaseStarted();
             }
-        });
+        };
+        document.addEventListener('phaseChanged', this.handlePhaseChanged);
     }
 
     initializeMazeInput() {
@@ -192,26 +311,19 @@ export class SinglePlayerGame {
             this.mazeState, 
             this.mazeBuilderUI
         );
+        this.mazeInputManager.setPlaceShapeCommand((shape, x, z) => this.simulation.placeShape(shape, x, z));
     }
 
     initializeTowerInput() {
         if (this.inputManager) return; // Already initialized
         
-        // Get current path for tower placement validation
-        const currentPath = this.pathfinding.findPath(
-            { x: this.enemyStartPosition.x, z: this.enemyStartPosition.z },
-            { x: this.enemyEndPosition.x, z: this.enemyEndPosition.z },
-            this.getAllObstacles(),
-            1.0  // Use y=1.0 for single player enemies
-        );
-        
         this.inputManager = new InputManager(
             this.scene,
             this.camera,
             this.renderer,
-            this.gameState,
+            this.simulation,
             this.ground,
-            currentPath,
+            this.findRoute,
             this.towers,
             this.mazeState
         );
@@ -238,100 +350,82 @@ export class SinglePlayerGame {
             this.towerManagementUI.hidePanel();
         });
         
+        // Upgrades, sales and targeting go through the simulation so replays record them
+        this.towerManagementUI.setTowerCommands({
+            upgrade: (tower, specializationId) => this.simulation.upgradeTower(tower.state, specializationId),
+            sell: (tower) => this.simulation.sellTower(tower.state),
+            setTargetingMode: (tower, mode) => this.simulation.setTargetingMode(tower.state, mode)
+        });
+        
         this.towerManagementUI.setOnTowerUpgradeCallback((tower) => {
             this.towerSelectionUI.updateTowerMenu();
         });
         
         this.towerManagementUI.setOnTowerDestroyCallback((tower) => {
-            this.destroyTower(tower);
+            // The simulation already sold it; the view goes with the towerRemoved event
+            this.towerSelectionUI.updateTowerMenu();
         });
     }
 
-    destroyTower(tower) {
-        // Remove tower from arrays and scene
-        const index = this.towers.indexOf(tower);
-        if (index > -1) {
-            this.towers.splice(index, 1);
-            this.scene.remove(tower.mesh);
-            
-            // Clean up tower resources
-            tower.mesh.traverse((child) => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) {
-                    if (Array.isArray(child.material)) {
-                        child.material.forEach(mat => mat.dispose());
-                    } else {
-                        child.material.dispose();
-                    }
-                }
-            });
-        }
-        
-        // Update UI
-        this.towerSelectionUI.updateTowerMenu();
+    getAllObstacles() {
+        // Maze blocks plus the cells towers stand on
+        return this.simulation.getObstacles();
     }
 
-    getAllObstacles() {
-        const obstacles = [];
-        
-        // Add maze blocks
-        const mazeObstacles = this.mazeState.getObstacles();
-        obstacles.push(...mazeObstacles);
-        
-        // Add towers
-        for (const tower of this.towers) {
-            const pos = tower.getPosition();
-            obstacles.push({ x: pos.x, z: pos.z });
-        }
-        
-        return obstacles;
+    // Path enemies would take through the maze and towers as they stand (null when any spawn is cut off)
+    findCurrentPath() {
+        return this.findRoute(this.getAllObstacles());
     }
 
-    startDefensePhase() {
-        console.log('Starting defense phase...');
-        
-        // Calculate initial path
+    // Route from each spawn point, null for any the maze cuts off
+    findCurrentRoutes() {
         const obstacles = this.getAllObstacles();
-        const initialPath = this.pathfinding.findPath(
-            { x: this.enemyStartPosition.x, z: this.enemyStartPosition.z },
-            { x: this.enemyEndPosition.x, z: this.enemyEndPosition.z },
-            obstacles,
-            1.0  // Use y=1.0 for single player enemies
-        );
+        return this.spawnPoints.map(spawnPoint => this.findRoute(obstacles, spawnPoint));
+    }
 
+    startDefensePhase() {
         // Check if there's a valid path before starting defense phase
-        if (!initialPath) {
-            console.error('No valid path exists from start to end! Cannot start defense phase.');
-            alert('Cannot start defense phase: No valid path exists from start to end. Please ensure there is a path through your maze.');
+        if (!this.findCurrentPath()) {
+            console.error('No valid path exists from every spawn to an exit! Cannot start defense phase.');
+            alert('Cannot start defense phase: No valid path exists from every spawn to an exit. Please ensure there is a path through your maze.');
             return;
         }
         
-        // Transition game state
-        this.gameState.startDefensePhase();
-        
-        // Hide maze builder UI
-        this.mazeBuilderUI.hide();
-        
-        // Show tower selection UI and add single-player class
-        this.towerSelectionUI.show();
-        document.getElementById('basic-tower-menu').classList.add('single-player');
+        // Transition game state and start the first wave's countdown (the phase change calls onDefensePhaseStarted)
+        this.simulation.startDefense();
+    }
+
+    onDefensePhaseStarted() {
+        console.log('Starting defense phase...');
         
-        // Cleanup maze input and initialize tower input
-        if (this.mazeInputManager) {
-            this.mazeInputManager.cleanup();
-            this.mazeInputManager = null;
+        if (!this.replay) {
+            // Hide maze builder UI
+            this.mazeBuilderUI.hide();
+            
+            // Show tower selection UI and add single-player class
+            this.towerSelectionUI.show();
+            document.getElementById('basic-tower-menu').classList.add('single-player');
+            
+            // Cleanup maze input and initialize tower input
+            if (this.mazeInputManager) {
+                this.mazeInputManager.cleanup();
+                this.mazeInputManager = null;
+            }
+            
+            this.initializeTowerInput();
         }
         
-        this.initializeTowerInput();
-        
         // Update path visualization with the valid path
-        this.updatePathVisualization(initialPath);
+        this.updatePathVisualization(this.findCurrentRoutes());
         
         // Initialize environment with obstacles and spawn points
-        this.environmentManager.initializeEnvironment(obstacles, this.enemyStartPosition, this.enemyEndPosition);
-
-        // Start first wave with countdown
-        this.gameState.startFirstWaveCountdown();
+        const toVector = point => new THREE.Vector3(point.x, 1.0, point.z);
+        this.environmentManager.initializeEnvironment(
+            this.getAllObstacles(),
+            this.spawnPoints.map(toVector),
+            this.exitPoints.map(toVector),
+            this.level.decorations
+        );
         
         console.log('Defense phase started');
     }
@@ -339,13 +433,18 @@ export class SinglePlayerGame {
     startBuildingPhase() {
         console.log('Starting building phase...');
         
+        // Prepare maze state for building
+        this.mazeState.prepareForBuilding();
+        
+        // Update path visualization
+        this.updatePathVisualization(this.findCurrentRoutes());
+        
+        if (this.replay) return;
+        
         // Hide tower selection UI and remove single-player class
         this.towerSelectionUI.hide();
         document.getElementById('basic-tower-menu').classList.remove('single-player');
         
-        // Prepare maze state for building
-        this.mazeState.prepareForBuilding();
-        
         // Show maze builder UI
         this.mazeBuilderUI.show();
         
@@ -357,16 +456,6 @@ export class SinglePlayerGame {
         
         this.initializeMazeInput();
         
-        // Update path visualization
-        const obstacles = this.getAllObstacles();
-        const currentPath = this.pathfinding.findPath(
-            { x: this.enemyStartPosition.x, z: this.enemyStartPosition.z },
-            { x: this.enemyEndPosition.x, z: this.enemyEndPosition.z },
-            obstacles,
-            1.0  // Use y=1.0 for single player enemies
-        );
-        this.updatePathVisualization(currentPath);
-        
         // Show message to player using modal only every 5 waves
         if (this.gameState.wave > 1 && this.gameState.wave % 5 === 0) {
             const modalContent = `
@@ -385,38 +474,52 @@ export class SinglePlayerGame {
         console.log('Building phase started');
     }
 
-    updatePathVisualization(waypoints) {
-        // Remove existing path line
-        if (this.pathLine) {
-            this.scene.remove(this.pathLine);
-            this.pathLine.geometry.dispose();
-            this.pathLine.material.dispose();
-            this.pathLine = null;
+    /**
+     * Draw each spawn point's route
+     * @param {Array<Array|null>} routes - One per spawn point; null where the maze cuts it off
+     */
+    updatePathVisualization(routes) {
+        // Routes come back as the same arrays until the obstacles change, so the lines can stay
+        if (routes.length === this.pathLineWaypoints.length && routes.every((route, i) => route === this.pathLineWaypoints[i])) return;
+
+        // Remove existing path lines
+        for (const pathLine of this.pathLines) {
+            this.scene.remove(pathLine);
+            pathLine.geometry.dispose();
+            pathLine.material.dispose();
         }
+        this.pathLines = [];
+        this.pathLineWaypoints = routes;
+
+        // First spawn's line keeps the red it always had; extra spawns get their own colors
+        const colors = [0xff0000, 0xffa000, 0x00b0ff, 0xff00ff];
+        routes.forEach((waypoints, i) => {
+            // Only create a path line where a route exists
+            if (!waypoints || waypoints.length === 0) return;
 
-        // Only create new path line if waypoints exist
-        if (waypoints && waypoints.length > 0) {
             // Extract just the position vectors from the waypoints
             const positions = waypoints.map(waypoint => {
-                // Handle both simple Vector3 waypoints and complex waypoints with turn info
-                return waypoint.position ? waypoint.position.clone() : waypoint.clone();
+                // Pathfinding waypoints carry x/y/z themselves; older ones wrap them in position
+                const position = waypoint.position || waypoint;
+                return new THREE.Vector3(position.x, position.y, position.z);
             });
 
             const pathGeometry = new THREE.BufferGeometry().setFromPoints(positions);
 
             const pathMaterial = new THREE.LineDashedMaterial({
-                color: 0xff0000,
+                color: colors[i % colors.length],
                 dashSize: 0.2,
                 gapSize: 0.8,
                 transparent: true,
                 opacity: 0.9
             });
 
-            this.pathLine = new THREE.Line(pathGeometry, pathMaterial);
+            const pathLine = new THREE.Line(pathGeometry, pathMaterial);
             // Required for dashed lines to appear
-            this.pathLine.computeLineDistances();
-            this.scene.add(this.pathLine);
-        }
+            pathLine.computeLineDistances();
+            this.scene.add(pathLine);
+            this.pathLines.push(pathLine);
+        });
     }
 
     gameLoop() {
@@ -424,70 +527,49 @@ export class SinglePlayerGame {
 
         this.animationId = requestAnimationFrame(() => this.gameLoop());
         
-        const currentTime = Date.now();
+        // Advance game time (runs the effect animations), then the simulation by however many fixed ticks are due
+        gameClock.update();
+        const ticks = this.clock.takeTicks();
+        for (let i = 0; i < ticks && this.isRunning; i++) {
+            if (this.replayPlayer) {
+                if (this.simulation.tickCount >= this.replayPlayer.getEndTick()) break; // End of the recording
+                this.replayPlayer.applyDue(this.simulation);
+            }
+            this.simulation.tick();
+        }
+        if (!this.isRunning) return; // The game ended during these ticks
         
         // Update wave countdown if in cooldown
         if (this.gameState.isWaveCoolingDown()) {
-            const timeLeft = (this.gameState.getWaveCooldownEnd() - currentTime) / 1000; // Convert to seconds
+            const timeLeft = this.gameState.getWaveCooldownRemaining() / 1000; // Convert to seconds
             this.waveCountdownUI.show(timeLeft);
         } else {
             this.waveCountdownUI.hide();
         }
 
-        // Animate dashed line
-        if (this.pathLine) {
+        // Animate dashed lines
+        for (const pathLine of this.pathLines) {
             // Move dash offset to create motion illusion
-            this.pathLine.material.dashOffset -= 0.02;
+            pathLine.material.dashOffset -= 0.02 * (gameClock.delta / FRAME_SECONDS);
         }
 
-        // Display path continuously during maze building
+        // Display paths continuously during maze building
         if (this.gameState.isMazeBuilding()) {
-            const obstacles = this.getAllObstacles();
-            const currentPath = this.pathfinding.findPath(
-                { x: this.enemyStartPosition.x, z: this.enemyStartPosition.z },
-                { x: this.enemyEndPosition.x, z: this.enemyEndPosition.z },
-                obstacles,
-                1.0  // Use y=1.0 for single player enemies
-            );
-            this.updatePathVisualization(currentPath);
-        }
-
-        // Only spawn enemies during defense phase
-        if (this.gameState.isDefensePhase() && currentTime - this.lastEnemySpawn > this.enemySpawnInterval && this.gameState.canSpawnMore()) {
-            const currentWave = this.gameState.getWave();
-            
-            // Calculate path considering all current obstacles
-            const obstacles = this.getAllObstacles();
-            const path = this.pathfinding.findPath(
-                { x: this.enemyStartPosition.x, z: this.enemyStartPosition.z },
-                { x: this.enemyEndPosition.x, z: this.enemyEndPosition.z },
-                obstacles,
-                1.0  // Use y=1.0 for single player enemies
-            );
-            
-            // Only spawn enemy and update visualization if a valid path exists
-            if (path) {
-                // Update path visualization
-                this.updatePathVisualization(path);
-                
-                // Create enemy with calculated path
-                const enemy = new Enemy(path, currentWave);
-                this.enemies.push(enemy);
-                this.scene.add(enemy.mesh);
-                this.lastEnemySpawn = currentTime;
-                this.gameState.addEnemy();
-            } else {
-                // If no valid path exists, clear path visualization
-                if (this.pathLine) {
-                    this.scene.remove(this.pathLine);
-                    this.pathLine = null;
-                }
-            }
+            this.updatePathVisualization(this.findCurrentRoutes());
         }
 
-        this.updateEnemies();
-        this.updateTowers();
-        this.updateProjectiles();
+        for (const enemy of this.enemies) {
+            enemy.render();
+        }
+        for (const tower of this.towers) {
+            tower.render(this.simulation.enemies);
+        }
+        objectPool.renderActiveProjectiles();
+        this.bossHealthBar.update(this.enemies);
+        this.beamWarningUI.update({
+            disabledTowers: this.towers.filter(tower => tower.isDisabled()).length,
+            liftedBlocks: this.enemies.filter(enemy => enemy.liftedBlock).length
+        });
 
         // Update controls
         if (this.controls) {
@@ -501,153 +583,219 @@ export class SinglePlayerGame {
         }
     }
 
-    updateEnemies() {
-        for (let i = this.enemies.length - 1; i >= 0; i--) {
-            const enemy = this.enemies[i];
-            enemy.update();
-
-            // Check if enemy reached end
-            if (enemy.hasReachedEnd()) {
-                console.log('Enemy reached end! Health lost.');
-                enemy.cleanup();
-                this.scene.remove(enemy.mesh);
-                this.enemies.splice(i, 1);
-                
-                this.gameState.loseHealth(10);
-                this.gameState.removeEnemy();
-                
-                // Check if game over
-                if (this.gameState.health <= 0) {
-                    console.log('Game Over!');
-                    this.handleGameOver(false); // Game over - defeat
+    // Build, update and remove views as the simulation reports what happened
+    onSimulationEvent(type, detail) {
+        switch (type) {
+            case 'enemySpawned': {
+                const enemy = new Enemy(detail.enemy);
+                this.enemies.push(enemy);
+                this.scene.add(enemy.mesh);
+                if (detail.path) {
+                    this.updatePathVisualization(this.findCurrentRoutes());
                 }
-                
-                continue;
+                break;
             }
-
-            // Check if enemy is dead
-            if (!enemy.isAlive()) {
-                // Create death particles
-                this.particleSystem.createExplosion(enemy.mesh.position, 0.8, new THREE.Color(0xff3300));
-                
-                console.log('Enemy defeated! Score increased.');
-                enemy.cleanup();
-                this.scene.remove(enemy.mesh);
-                this.enemies.splice(i, 1);
-                this.gameState.addScore(10);
-                this.gameState.addMoney(5);
-                this.gameState.removeEnemy();
-
-                // Check if wave is complete and no more enemies can spawn
-                if (this.enemies.length === 0 && !this.gameState.canSpawnMore()) {
-                    // Check if player has survived all waves (e.g., 10 waves)
-                    if (this.gameState.wave >= 10) {
-                        this.handleGameOver(true); // Victory!
-                    }
+            case 'pathBlocked':
+                // Spawns cut off from every exit lose their line
+                this.updatePathVisualization(this.findCurrentRoutes());
+                break;
+            case 'enemyLeaked': {
+                console.log('Enemy reached end! Health lost.');
+                if (detail.enemy.liftedBlock) {
+                    this.beamWarningUI.notify(`${detail.enemy.archetype.name} escaped with a maze block`);
                 }
-                continue;
+                this.removeEnemyView(detail.enemy);
+                break;
+            }
+            case 'enemyKilled': {
+                const enemy = this.getEnemyView(detail.enemy);
+                // Create death effect before cleanup
+                this.particleSystem.createExplosion(enemy.mesh.position, detail.explosionSize, new THREE.Color(0xff3300));
+                // A carried block goes back to the maze (blockRecovered) or is lost (blockLost)
+                enemy.dropBlock();
+                this.removeEnemyView(detail.enemy);
+                break;
+            }
+            case 'towerPlaced': {
+                const tower = new Tower(detail.tower);
+                this.towers.push(tower);
+                this.scene.add(tower.mesh);
+                break;
+            }
+            case 'towerRemoved':
+                this.removeTowerView(detail.tower);
+                break;
+            case 'projectileFired': {
+                const projectile = objectPool.getProjectile(detail.projectile);
+                this.projectiles.set(detail.projectile, projectile);
+                this.scene.add(projectile.mesh);
+                break;
             }
+            case 'projectileRemoved': {
+                // Remove from scene and return to pool
+                const projectile = this.projectiles.get(detail.projectile);
+                this.projectiles.delete(detail.projectile);
+                this.scene.remove(projectile.mesh);
+                objectPool.returnProjectile(projectile);
+                break;
+            }
+            case 'towerDisabled':
+                this.getTowerView(detail.tower).updateDisabledIndicator();
+                this.beamWarningUI.notify(`${detail.enemy.archetype.name} disabled a ${TOWER_TYPES[detail.tower.type.toUpperCase()].name}`);
+                break;
+            case 'moneyStolen':
+                this.beamWarningUI.notify(`${detail.enemy.archetype.name} stole ${detail.amount} money`);
+                break;
+            case 'blockLifted':
+                this.getEnemyView(detail.enemy).carryBlock(detail.mesh);
+                this.onMazeChanged();
+                this.beamWarningUI.notify(`${detail.enemy.archetype.name} abducted a maze block`);
+                break;
+            case 'blockRecovered':
+                this.onMazeChanged();
+                this.beamWarningUI.notify('Maze block recovered');
+                break;
+            case 'blockLost':
+                if (detail.mesh) {
+                    detail.mesh.geometry.dispose();
+                    detail.mesh.material.dispose();
+                }
+                this.beamWarningUI.notify('Maze block lost - its spot is no longer free');
+                break;
+            case 'waveStarted':
+                // Autosave as each wave begins (replays only watch)
+                if (this.saveGameUI) {
+                    this.saveGame(`Autosaved (wave ${detail.wave})`);
+                }
+                break;
+            case 'command':
+                if (this.replayRecorder) {
+                    this.replayRecorder.record(detail.command);
+                }
+                break;
+            case 'gameOver':
+                console.log(detail.victory ? 'Victory!' : 'Game Over!');
+                // A replay stays on screen so it can be paused and rewound
+                if (!this.replay) {
+                    this.handleGameOver(detail.victory);
+                }
+                break;
         }
     }
 
-    updateTowers() {
-        for (const tower of this.towers) {
-            // Handle different tower types
-            if (tower.type === 'area') {
-                // Area tower logic - pass all enemies for area effect
-                if (tower.canShoot()) {
-                    const deadEnemies = tower.shoot(this.enemies);
-                    if (deadEnemies && deadEnemies.length > 0) {
-                        // Remove dead enemies
-                        for (const deadEnemy of deadEnemies) {
-                            const index = this.enemies.indexOf(deadEnemy);
-                            if (index !== -1) {
-                                deadEnemy.cleanup();
-                                this.scene.remove(deadEnemy.mesh);
-                                this.enemies.splice(index, 1);
-                                this.gameState.removeEnemy();
-                                this.gameState.addMoney(10);
-                                this.gameState.addScore(100);
-                            }
-                        }
-                    }
-                }
-            } else {
-                // Regular tower logic
-                const target = tower.findTarget(this.enemies);
-                if (target && tower.canShoot()) {
-                    const projectile = tower.shoot(target);
-                    if (projectile) {
-                        this.scene.add(projectile.mesh);
-                    }
-                }
+    // Jump a replay ahead to the given tick without drawing the ticks in between
+    fastForwardTo(tick) {
+        const phase = this.gameState.getCurrentPhase();
+        this.clearViews();
+        
+        const onEvent = this.simulation.onEvent;
+        this.simulation.onEvent = null;
+        this.isFastForwarding = true;
+        this.replayPlayer.runTo(this.simulation, tick);
+        this.isFastForwarding = false;
+        this.simulation.onEvent = onEvent;
+        this.syncViews();
+        
+        // Catch up on the phase we ended in, once
+        if (this.gameState.getCurrentPhase() !== phase) {
+            this.handlePhaseChanged({ detail: this.gameState.getCurrentPhase() });
+        } else if (this.gameState.isDefensePhase()) {
+            this.updatePathVisualization(this.findCurrentRoutes());
+        }
+        this.clock.reset();
+    }
+
+    // Drop every view, leaving the simulation as it is
+    clearViews() {
+        for (const enemy of [...this.enemies]) {
+            enemy.dropBlock(); // The maze may want its block back while no view is around
+            enemy.state.onEvent = null;
+            this.removeEnemyView(enemy.state);
+        }
+        for (const tower of [...this.towers]) {
+            tower.state.onEvent = null;
+            this.removeTowerView(tower.state);
+        }
+        for (const projectile of this.projectiles.values()) {
+            this.scene.remove(projectile.mesh);
+            objectPool.returnProjectile(projectile);
+        }
+        this.projectiles.clear();
+    }
+
+    // Build views for everything the simulation has right now
+    syncViews() {
+        for (const tower of this.simulation.towers) {
+            this.onSimulationEvent('towerPlaced', { tower });
+        }
+        for (const enemy of this.simulation.enemies) {
+            this.onSimulationEvent('enemySpawned', { enemy });
+            if (enemy.liftedBlock) {
+                this.getEnemyView(enemy).carryBlock(enemy.liftedBlock.mesh);
             }
         }
+        for (const projectile of this.simulation.projectiles) {
+            this.onSimulationEvent('projectileFired', { projectile });
+        }
     }
 
-    updateProjectiles() {
-        const activeProjectiles = objectPool.getActiveProjectiles();
-        for (let i = activeProjectiles.length - 1; i >= 0; i--) {
-            const projectile = activeProjectiles[i];
-            projectile.update();
-            
-            const hit = projectile.hasHitTarget();
-            const shouldRemove = hit || projectile.shouldRemove();
-            
-            if (shouldRemove) {
-                if (hit) {
-                    const target = projectile.target;
-                    if (target && target.isAlive()) {
-                        // Apply damage to main target
-                        const isDead = target.takeDamage(projectile.damage);
-                        
-                        if (isDead) {
-                            const index = this.enemies.indexOf(target);
-                            if (index !== -1) {
-                                // Create death effect before cleanup
-                                const enemyPos = target.mesh.position;
-                                this.particleSystem.createExplosion(enemyPos, 0.8, new THREE.Color(0xff3300));
-                                
-                                target.cleanup();
-                                this.scene.remove(target.mesh);
-                                this.enemies.splice(index, 1);
-                                this.gameState.removeEnemy();
-                                this.gameState.addMoney(10);
-                                this.gameState.addScore(100);
-                            }
-                        }
-                        
-                        // Handle splash damage if applicable
-                        const splashTargets = projectile.getSplashTargets(this.enemies);
-                        for (const splashTarget of splashTargets) {
-                            const isDead = splashTarget.takeDamage(projectile.damage * 0.5);
-                            
-                            if (isDead) {
-                                const index = this.enemies.indexOf(splashTarget);
-                                if (index !== -1) {
-                                    // Create death effect for splash target
-                                    const splashPos = splashTarget.mesh.position;
-                                    this.particleSystem.createExplosion(splashPos, 0.6, new THREE.Color(0xff3300));
-                                    
-                                    splashTarget.cleanup();
-                                    this.scene.remove(splashTarget.mesh);
-                                    this.enemies.splice(index, 1);
-                                    this.gameState.removeEnemy();
-                                    this.gameState.addMoney(10);
-                                    this.gameState.addScore(100);
-                                }
-                            }
-                        }
-                    }
+    getEnemyView(state) {
+        return this.enemies.find(enemy => enemy.state === state);
+    }
+
+    getTowerView(state) {
+        return this.towers.find(tower => tower.state === state);
+    }
+
+    removeEnemyView(state) {
+        const enemy = this.getEnemyView(state);
+        if (!enemy) return;
+        
+        enemy.cleanup();
+        this.scene.remove(enemy.mesh);
+        this.enemies.splice(this.enemies.indexOf(enemy), 1);
+    }
+
+    removeTowerView(state) {
+        const tower = this.getTowerView(state);
+        if (!tower) return;
+        
+        this.towers.splice(this.towers.indexOf(tower), 1);
+        this.scene.remove(tower.mesh);
+        
+        // Clean up tower resources
+        tower.mesh.traverse((child) => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(mat => mat.dispose());
+                } else {
+                    child.material.dispose();
                 }
-                
-                // Remove from scene and return to pool
-                this.scene.remove(projectile.mesh);
-                objectPool.returnProjectile(projectile);
             }
+        });
+    }
+
+    // Blocks left or returned mid-defense: towers can only be placed on what is there now
+    onMazeChanged() {
+        if (this.inputManager) {
+            this.inputManager.setMazeObstacles(this.mazeState.getObstacles());
         }
     }
 
+    // Name the map in the HUD; clicking a generated map's name copies its seed to share
+    showMapName() {
+        const mapStat = document.getElementById('map-stat');
+        if (!mapStat) return;
+
+        const seed = getMapSeed(this.level.id);
+        document.getElementById('map-name').textContent = this.level.name;
+        mapStat.style.display = '';
+        mapStat.style.cursor = seed !== null ? 'pointer' : '';
+        mapStat.title = seed !== null ? `Seed ${seed}: click to copy it` : '';
+        mapStat.onclick = seed !== null ? () => navigator.clipboard?.writeText(String(seed)) : null;
+    }
+
     onWindowResize() {
         if (this.sceneSetup) {
             this.sceneSetup.onWindowResize();
@@ -666,6 +814,11 @@ export class SinglePlayerGame {
     handleGameOver(isVictory) {
         // Stop the game
         this.stop();
+        
+        // The run is over, there is nothing left to continue (a play-test never touched the stored run)
+        if (!this.isPlaytest) {
+            saveManager.clear();
+        }
 
         // Get final stats
         const stats = {
@@ -676,12 +829,34 @@ export class SinglePlayerGame {
         };
 
         // Show game summary
-        this.gameSummaryUI.show(stats, isVictory);
+        this.gameSummaryUI.show(stats, isVictory, {
+            onSaveReplay: this.replayRecorder ? () => this.saveReplay() : null
+        });
+    }
+
+    // Download the game's replay as a JSON file
+    saveReplay() {
+        const replay = this.replayRecorder.toReplay();
+        downloadJson(replay, `towerdef-replay-wave${replay.result.wave}-${replay.recordedAt.slice(0, 10)}.json`);
     }
 
     cleanup() {
         this.stop();
         
+        // Stop listening to document events
+        if (this.handlePhaseChanged) {
+            document.removeEventListener('phaseChanged', this.handlePhaseChanged);
+        }
+        if (this.handleTowersUpdated) {
+            document.removeEventListener('towersUpdated', this.handleTowersUpdated);
+        }
+        
+        // Hand pooled projectiles back
+        for (const projectile of this.projectiles.values()) {
+            objectPool.returnProjectile(projectile);
+        }
+        this.projectiles.clear();
+        
         // Cleanup UI
         if (this.mazeBuilderUI) this.mazeBuilderUI.cleanup?.();
         if (this.towerSelectionUI) this.towerSelectionUI.cleanup?.();
@@ -699,6 +874,25 @@ export class SinglePlayerGame {
             this.waveCountdownUI.cleanup();
             this.waveCountdownUI = null;
         }
+        if (this.bossHealthBar) {
+            this.bossHealthBar.cleanup();
+            this.bossHealthBar = null;
+        }
+        if (this.beamWarningUI) {
+            this.beamWarningUI.cleanup();
+            this.beamWarningUI = null;
+        }
+        if (this.saveGameUI) {
+            this.saveGameUI.cleanup();
+            this.saveGameUI = null;
+        }
+        if (this.gameSpeedUI) {
+            this.gameSpeedUI.cleanup();
+            this.gameSpeedUI = null;
+        }
+        gameClock.reset(); // Normal speed and no leftover effect animations for the next game
+        const mapStat = document.getElementById('map-stat');
+        if (mapStat) mapStat.style.display = 'none';
         
         // Cleanup input managers
         if (this.inputManager) this.inputManager.destroy?.();
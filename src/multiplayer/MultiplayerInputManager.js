@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { getTowerDefinition } from '../config/TowerCatalog.js';
 
 export class MultiplayerInputManager {
     constructor(multiplayerScene, camera, renderer, gameState, localPlayerId, actionDispatcher) {
@@ -464,13 +465,8 @@ export class MultiplayerInputManager {
     }
     
     getTowerCost(towerType) {
-        const costs = {
-            basic: 20,
-            sniper: 30,
-            cannon: 40,
-            missile: 50
-        };
-        return costs[towerType] || 20;
+        const config = getTowerDefinition(towerType);
+        return config ? config.cost : Infinity;
     }
     
     // Enable/disable input handling
@@ -1,5 +1,6 @@
 import * as THREE from 'three';
 import { Tower } from '../Tower.js';
+import { TowerState } from '../simulation/TowerState.js';
 import { debugLog } from '../config/DebugConfig.js';
 import { TOWER_TYPES } from '../TowerTypes.js';
 
@@ -329,7 +330,7 @@ export class MultiplayerTowerInputManager {
         debugLog('Creating preview tower', 'TOWER_INPUT');
         
         // Create preview tower using the Tower class (same as single player)
-        const tower = new Tower(0, 1.0, 0, this.selectedTowerData.id);
+        const tower = new Tower(new TowerState(this.selectedTowerData.id, { x: 0, z: 0 }));
         
         // Make preview tower transparent - traverse all materials in the group
         tower.mesh.traverse((child) => {
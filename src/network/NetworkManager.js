@@ -39,6 +39,7 @@ export class NetworkManager {
         this.onTowerUpgradeFailed = null;
         this.onTowerSold = null;
         this.onTowerSellFailed = null;
+        this.onTowerTargetingChanged = null;
         
         // Connection monitoring
         this.pingInterval = null;
@@ -309,6 +310,12 @@ export class NetworkManager {
             }
         });
 
+        this.socket.on('tower:targeting_changed', (data) => {
+            if (this.onTowerTargetingChanged) {
+                this.onTowerTargetingChanged(data);
+            }
+        });
+
         this.socket.on('tower:sold', (data) => {
             if (this.onTowerSold) {
                 this.onTowerSold(data);
@@ -409,9 +416,19 @@ export class NetworkManager {
         console.log('✅ NETWORK: Tower placement request sent');
     }
     
-    upgradeTower(towerId) {
+    upgradeTower(towerId, specialization = null) {
         this.socket.emit('tower:upgrade', {
             towerId,
+            specialization,
+            playerId: this.playerId,
+            timestamp: Date.now()
+        });
+    }
+    
+    setTowerTargeting(towerId, targetingMode) {
+        this.socket.emit('tower:set_targeting', {
+            towerId,
+            targetingMode,
             playerId: this.playerId,
             timestamp: Date.now()
         });
@@ -509,6 +526,10 @@ export class NetworkManager {
         this.onTowerUpgradeFailed = callback;
     }
 
+    setOnTowerTargetingChanged(callback) {
+        this.onTowerTargetingChanged = callback;
+    }
+
     setOnTowerSold(callback) {
         this.onTowerSold = callback;
     }
@@ -532,7 +553,8 @@ export class NetworkManager {
         });
     }
     
-    startQuickMatch() {
+    // levelId: cooperative map to be matched on (the server's default when missing)
+    startQuickMatch(levelId) {
         if (!this.isConnected) {
             return;
         }
@@ -543,7 +565,8 @@ export class NetworkManager {
 
         this.socket.emit('matchmaking:quick_match', {
             rating: 1000,
-            playerName: this.playerName || `Player_${this.socket.id.slice(0, 6)}`
+            playerName: this.playerName || `Player_${this.socket.id.slice(0, 6)}`,
+            levelId
         });
         this.isInMatchmaking = true;
     }
@@ -0,0 +1,265 @@
+// Balance runs: play a fixed maze and tower plan through the simulation without rendering and report
+// how it went (leaks per wave, damage per tower, money over time, the wave that broke it).
+// Used by scripts/balance.js.
+import { getDifficulty } from '../config/Difficulty.js';
+import { getLevel } from '../config/Levels.js';
+import { validateValue } from '../config/SchemaValidation.js';
+import { getSpecialization, getTowerDefinition } from '../config/TowerCatalog.js';
+import { SILENT_LOGGER, TICK_RATE } from './Clock.js';
+import { HeadlessMaze } from './HeadlessMaze.js';
+import { Simulation } from './Simulation.js';
+import { SimulationState } from './SimulationState.js';
+
+const MAX_WAVE_SECONDS = 600; // Give up on a run that spends this long per wave (e.g. a path that stays blocked)
+
+// { "shapes": [{ "shape": "T", "x": -3, "z": 2, "rotation": 90, "wave": 5 }] } - rotation in degrees, clockwise;
+// a shape with a wave is put down in the building phase before that wave (every fifth wave hands out one)
+export const MAZE_LAYOUT_SCHEMA = {
+    shapes: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            required: true,
+            properties: {
+                shape: { type: 'string', required: true },
+                x: { type: 'number', required: true },
+                z: { type: 'number', required: true },
+                rotation: { type: 'number', min: 0 },
+                wave: { type: 'number', min: 1 }
+            }
+        }
+    }
+};
+
+// { "towers": [{ "type": "basic", "x": -2.5, "z": 1.5, "wave": 1, "level": 2 }] } - each tower is bought
+// once its wave has come and it can be afforded, then upgraded towards its level the same way
+export const TOWER_LAYOUT_SCHEMA = {
+    towers: {
+        type: 'array',
+        required: true,
+        items: {
+            type: 'object',
+            required: true,
+            properties: {
+                type: { type: 'string', required: true },
+                x: { type: 'number', required: true },
+                z: { type: 'number', required: true },
+                wave: { type: 'number', min: 1 },
+                level: { type: 'number', min: 1 },
+                specialization: { type: 'string' }, // Needed to upgrade past the branch level
+                targeting: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Check a layout file's data, throwing with every problem found
+ * @param {Object} data - Parsed layout JSON
+ * @param {Object} schema - MAZE_LAYOUT_SCHEMA or TOWER_LAYOUT_SCHEMA
+ * @param {string} name - Used in messages, e.g. 'maze'
+ */
+export function validateLayout(data, schema, name) {
+    const errors = [];
+    validateValue(data, { type: 'object', required: true, properties: schema }, name, errors);
+    if (errors.length > 0) {
+        throw new Error(`Invalid ${name} layout:\n  - ${errors.join('\n  - ')}`);
+    }
+    return data;
+}
+
+/**
+ * Play a maze and tower plan through the waves and report what happened
+ * @param {Object} options
+ * @param {Object} options.maze - Maze layout (MAZE_LAYOUT_SCHEMA)
+ * @param {Object} options.towers - Tower layout (TOWER_LAYOUT_SCHEMA)
+ * @param {function(Array<{x: number, z: number}>): (Array|null)} options.findPath - Enemy route around obstacles
+ *        on the level's board (see createRouteFinder)
+ * @param {Object} options.level - From Levels.js: board, waves and starting money
+ * @param {string} options.difficulty - Key of DIFFICULTIES; scales the level's starting money
+ * @param {number} options.waves - Clearing this many waves wins
+ * @param {number} options.seed - Random seed; the same inputs and seed give the same report
+ * @param {number} options.sampleSeconds - Game time between money samples
+ * @param {{log: function(...*)}} options.logger - Where the game's own messages go; silent unless given
+ * @returns {Object} The report (plain data, ready for JSON.stringify)
+ * @throws {Error} For bad options, a maze shape that doesn't fit, an unknown tower type, a tower planned past
+ *         its branch level without a specialization, two towers on one cell or a tower plan that blocks the path
+ */
+export function runBalance({ maze, towers, findPath, level = getLevel(), difficulty = 'normal', waves = 10, seed = 1, sampleSeconds = 5, logger = SILENT_LOGGER }) {
+    const preset = getDifficulty(difficulty);
+    if (!Number.isInteger(waves) || waves < 1) throw new Error(`waves should be a whole number of at least 1, not ${waves}`);
+    if (!Number.isInteger(seed) || seed < 0) throw new Error(`seed should be a whole number of at least 0, not ${seed}`);
+    if (!(sampleSeconds > 0)) throw new Error(`sample interval should be more than 0 seconds, not ${sampleSeconds}`);
+
+    const state = new SimulationState(level.waveScript, { logger });
+    state.money = Math.round(level.startingMoney * preset.startingMoney / getDifficulty().startingMoney);
+    state.health = preset.health;
+    state.maxHealth = preset.health;
+
+    const simulation = new Simulation({
+        seed,
+        state,
+        findPath,
+        spawnPoints: level.spawnPoints,
+        maze: new HeadlessMaze({ gridSize: level.gridSize, findPath, map: level }),
+        finalWave: waves,
+        difficulty,
+        levelId: level.id,
+        terrain: level.terrain,
+        logger
+    });
+
+    buildMaze(simulation, maze, 1);
+    const cells = new Set();
+    const plan = towers.towers.map(entry => {
+        const definition = getTowerDefinition(entry.type);
+        if (!definition) {
+            throw new Error(`Unknown tower type "${entry.type}" at (${entry.x}, ${entry.z})`);
+        }
+        // Without a valid branch the upgrade would never go through and hold up the rest of the plan
+        const { branchLevel } = definition.upgrade;
+        if (branchLevel !== undefined && (entry.level || 1) >= branchLevel && !getSpecialization(entry.type, entry.specialization)) {
+            throw new Error(`${entry.type} at (${entry.x}, ${entry.z}) needs a specialization to reach level ${entry.level}`);
+        }
+        const cell = `${entry.x},${entry.z}`;
+        if (cells.has(cell)) {
+            throw new Error(`Two towers planned at (${entry.x}, ${entry.z})`);
+        }
+        cells.add(cell);
+        return { entry, tower: null, builtOnWave: null };
+    });
+    // Towers are never sold, so the finished plan has to leave the enemies a way through
+    if (!findPath([...simulation.getObstacles(), ...plan.map(({ entry }) => ({ x: entry.x, z: entry.z }))])) {
+        throw new Error('The tower plan blocks the enemy path');
+    }
+
+    // Per-wave tallies from the simulation's events
+    const waveReports = new Map();
+    const waveReport = (wave) => {
+        if (!waveReports.has(wave)) {
+            waveReports.set(wave, { wave, spawned: 0, killed: 0, leaked: 0, leakDamage: 0, moneyAtStart: null, moneyAtEnd: null, healthAtEnd: null, seconds: null });
+        }
+        return waveReports.get(wave);
+    };
+    let waveStartTime = 0;
+    simulation.onEvent = (type, detail) => {
+        switch (type) {
+            case 'waveStarted':
+                waveReport(detail.wave).moneyAtStart = state.money;
+                waveStartTime = state.time;
+                break;
+            case 'enemySpawned':
+                waveReport(detail.enemy.wave).spawned++;
+                break;
+            case 'enemyKilled':
+                waveReport(detail.enemy.wave).killed++;
+                break;
+            case 'enemyLeaked':
+                waveReport(detail.enemy.wave).leaked++;
+                waveReport(detail.enemy.wave).leakDamage += detail.enemy.leakDamage;
+                break;
+        }
+    };
+
+    const moneySamples = [];
+    const sampleTicks = Math.max(1, Math.round(sampleSeconds * TICK_RATE));
+    const sample = () => moneySamples.push({ seconds: round(state.time / 1000), wave: state.wave, money: state.money, health: state.health });
+
+    buildDueTowers(simulation, plan);
+    simulation.startDefense();
+    sample();
+
+    let failedWave = null;
+    const maxTicks = waves * MAX_WAVE_SECONDS * TICK_RATE;
+    while (!simulation.isOver() && simulation.tickCount < maxTicks) {
+        const wave = state.wave;
+        simulation.tick();
+        buildDueTowers(simulation, plan);
+
+        // Shape waves hand the game back to maze building; put down the shapes due and carry on, as a player would
+        if (state.isMazeBuilding() && !simulation.isOver()) {
+            buildMaze(simulation, maze, state.wave);
+            simulation.startDefense();
+        }
+
+        if (simulation.outcome === 'defeat') {
+            failedWave = wave; // The last leak can clear the wave and move the state on
+        }
+        if (state.wave !== wave || simulation.isOver()) {
+            const report = waveReport(wave);
+            report.moneyAtEnd = state.money;
+            report.healthAtEnd = state.health;
+            report.seconds = round((state.time - waveStartTime) / 1000);
+        }
+        if (simulation.tickCount % sampleTicks === 0 || simulation.isOver()) {
+            sample();
+        }
+    }
+
+    const outcome = simulation.outcome || 'timeout';
+    return {
+        level: level.id,
+        difficulty: preset.id,
+        seed,
+        waves,
+        outcome,
+        failedWave: outcome === 'timeout' ? state.wave : failedWave,
+        seconds: round(state.time / 1000),
+        health: state.health,
+        money: state.money,
+        score: state.score,
+        waveReports: [...waveReports.values()].sort((a, b) => a.wave - b.wave),
+        towers: plan.filter(item => item.tower).map(({ tower, builtOnWave }) => ({
+            id: tower.id,
+            type: tower.type,
+            x: tower.position.x,
+            z: tower.position.z,
+            level: tower.level,
+            specialization: tower.specialization,
+            builtOnWave,
+            damage: Math.round(tower.damageDealt),
+            kills: tower.kills
+        })),
+        unbuilt: plan.filter(item => !item.tower).map(({ entry }) => ({ ...entry })),
+        moneySamples
+    };
+}
+
+// Put down the layout's shapes for a building phase: those without a wave before the first one
+function buildMaze(simulation, layout, wave) {
+    layout.shapes.forEach((placement, index) => {
+        if ((placement.wave || 1) !== wave) return;
+        const shape = simulation.maze.createShape(placement.shape);
+        for (let turn = 0; turn < Math.round((placement.rotation || 0) / 90) % 4; turn++) {
+            shape.rotate();
+        }
+        if (!simulation.placeShape(shape, placement.x, placement.z)) {
+            throw new Error(`Maze shape ${index} (${placement.shape} at ${placement.x}, ${placement.z}) doesn't fit or blocks the path`);
+        }
+    });
+}
+
+// Buy and upgrade whatever the plan has due and the money allows, in plan order
+function buildDueTowers(simulation, plan) {
+    const wave = simulation.state.wave;
+    for (const item of plan) {
+        const { entry } = item;
+        if ((entry.wave || 1) > wave) continue;
+
+        if (!item.tower) {
+            item.tower = simulation.placeTower(entry.type, entry.x, entry.z);
+            if (!item.tower) return; // Saving up for this one keeps later entries waiting too
+            item.builtOnWave = wave;
+            if (entry.targeting) simulation.setTargetingMode(item.tower, entry.targeting);
+        }
+
+        while (item.tower.level < (entry.level || 1)) {
+            if (!simulation.upgradeTower(item.tower, entry.specialization || null)) return;
+        }
+    }
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
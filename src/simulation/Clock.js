@@ -0,0 +1,52 @@
+// Simulation time - the game advances in fixed ticks, whatever the frame rate.
+
+export const TICK_RATE = 60;                  // Ticks per simulated second
+export const TICK_MS = 1000 / TICK_RATE;      // ms of game time per tick
+export const TICK_SECONDS = 1 / TICK_RATE;    // Same, in seconds (movement speeds are units per second)
+const MAX_TICKS_PER_FRAME = 10;               // After a long stall (background tab) drop the backlog instead of fast-forwarding
+
+// Clock for entities that live outside a simulation, e.g. multiplayer mirrors of server enemies
+export const WALL_CLOCK = Object.freeze({ now: () => Date.now() });
+
+// Logger for runs nobody watches (balance runs, tests): the rules' progress messages go nowhere
+export const SILENT_LOGGER = Object.freeze({ log: () => {} });
+
+/**
+ * Turns elapsed time into a whole number of simulation ticks, carrying the remainder over
+ */
+export class FixedStepClock {
+    /**
+     * @param {function(): number} now - Time source in ms; a paused or sped up source pauses or speeds up the ticks
+     */
+    constructor(now = () => performance.now()) {
+        this.now = now;
+        this.lastTime = null;
+        this.accumulator = 0;
+    }
+
+    // Ticks due since the last call (the first call only starts the clock)
+    takeTicks() {
+        const time = this.now();
+        if (this.lastTime === null) {
+            this.lastTime = time;
+            return 0;
+        }
+
+        this.accumulator += time - this.lastTime;
+        this.lastTime = time;
+
+        let ticks = Math.floor(this.accumulator / TICK_MS);
+        this.accumulator -= ticks * TICK_MS;
+        if (ticks > MAX_TICKS_PER_FRAME) {
+            ticks = MAX_TICKS_PER_FRAME;
+            this.accumulator = 0;
+        }
+        return ticks;
+    }
+
+    // Forget the time since the last call, e.g. when the game loop restarts
+    reset() {
+        this.lastTime = null;
+        this.accumulator = 0;
+    }
+}
@@ -0,0 +1,640 @@
+// A single enemy as the simulation sees it: path following, health, status effects and
+// archetype abilities, with no meshes. The client Enemy renders one of these.
+import { DEFAULT_DAMAGE_TYPE, calculateDamage } from '../config/DamageTypes.js';
+import { buildFlightPath } from '../config/FlightPaths.js';
+import {
+    DEFAULT_ARCHETYPE,
+    BEAM_ABILITY_COLORS,
+    BOSS_ABILITY_EFFECTS,
+    getBossPhasesReached,
+    getEnemyArchetype,
+    getEnemyDefenses,
+    getEnemyStats,
+    getHealAmount
+} from '../config/EnemyCatalog.js';
+import {
+    STATUS_EFFECTS,
+    isValidStatusEffect,
+    getStatusModifiers,
+    stackStatusEffect
+} from '../config/StatusEffects.js';
+import { RAMP_SPEED_MULTIPLIER } from '../config/Terrain.js';
+import { TICK_SECONDS, WALL_CLOCK } from './Clock.js';
+import { add, copyVector, distance, dot, length, normalize, scale, subtract, vector } from './vectors.js';
+
+// Waypoints are plain points or { position, curvature, ... } entries from the pathfinder
+function waypointPosition(waypoint) {
+    return waypoint.position || waypoint;
+}
+
+export class EnemyState {
+    /**
+     * @param {Array} waypoints - Path to follow
+     * @param {number} wave - Wave the enemy belongs to (scales its baseline health and speed)
+     * @param {string} archetypeId - Enemy kind from enemies.json
+     * @param {Object} options
+     * @param {{now: function(): number}} options.clock - Time in ms: the simulation's, or WALL_CLOCK outside one
+     * @param {function(): number} options.random - Returns [0, 1); the simulation's is seeded
+     * @param {{log: function(...*)}} options.logger - Where boss phase changes are reported
+     */
+    constructor(waypoints, wave = 1, archetypeId = DEFAULT_ARCHETYPE, { clock = WALL_CLOCK, random = Math.random, logger = console } = {}) {
+        this.id = null; // Assigned by the simulation
+        this.clock = clock;
+        this.random = random;
+        this.logger = logger;
+
+        // Archetype decides the kind of enemy; the wave decides how tough a plain one is
+        this.archetype = getEnemyArchetype(archetypeId);
+        this.type = this.archetype.id;
+
+        // Flyers skip the maze: same spawn and exit, but an arc over the blocks instead of the A* path
+        this.flying = !!this.archetype.flying;
+        if (this.flying && waypoints.length > 1) {
+            waypoints = buildFlightPath(waypointPosition(waypoints[0]), waypointPosition(waypoints[waypoints.length - 1]));
+        }
+
+        this.waypoints = waypoints;
+        this.currentWaypointIndex = 0;
+        this.wave = wave;
+
+        // Enhanced scaling based on wave number
+        const baseSpeed = 1.2;
+        const baseHealth = 100;
+
+        // Exponential scaling for higher waves
+        const speedMultiplier = 1 + (wave - 1) * 0.10; // +10% speed per wave
+        const healthMultiplier = Math.pow(1.25, wave - 1); // Exponential health scaling
+
+        const stats = getEnemyStats(this.type, {
+            health: baseHealth * healthMultiplier,
+            speed: baseSpeed * speedMultiplier
+        });
+
+        this.speed = stats.speed;
+        this.baseSpeed = this.speed;
+        this.currentSpeed = this.speed; // Current speed (after turn modulation)
+        this.health = stats.health;
+        this.maxHealth = this.health;
+        this.size = stats.size;
+        this.reward = stats.reward;         // Money paid when killed
+        this.leakDamage = stats.leakDamage; // Lives lost when it reaches the end
+        this.lastHealTime = clock.now();    // Healers only
+
+        // Bosses: phases already triggered, and minions summoned but not yet collected by the simulation
+        this.boss = this.archetype.boss || null;
+        this.bossPhase = 0;
+        this.summonedMinions = [];
+
+        // Path following variables
+        this.position = waypoints.length > 0 ? copyVector(waypointPosition(waypoints[0])) : vector();
+        this.pathProgress = 0; // Progress along current segment (0-1)
+        this.currentSegmentIndex = 0;
+        this.direction = vector();
+        this.velocity = vector();
+        this.hasReachedEndFlag = false;
+
+        // Collision avoidance
+        this.radius = 0.25 * this.size; // Collision radius
+        this.minSeparationDistance = 0.6 * this.size; // Minimum distance from other enemies
+        this.avoidanceForce = vector();
+
+        // Turn detection and speed modulation
+        this.upcomingTurnDistance = 3.0; // How far ahead to look for turns
+        this.isNearTurn = false;
+        this.currentTurnAngle = 0;
+
+        // Status effect tracking
+        this.activeEffects = new Map();
+        this.baseDamageMultiplier = 1.0;
+        this.killedBy = null; // Tower credited with the kill
+        this.stealth = stats.stealth; // Stealth enemies need a revealing aura to be targeted
+
+        // Armor and resistances against tower damage types
+        this.defenses = getEnemyDefenses(this.type);
+
+        // Beam ability (enemies.json beam block): fired on a 2-7s then 3-7s timer, applied by the simulation
+        this.beamDuration = 2000; // Beam shows for 2 seconds
+        this.nextBeamTime = clock.now() + (random() * 5000) + 2000;
+        this.beam = this.archetype.beam || null;
+        this.beamCount = 0;      // Beams fired so far (the server's count in multiplayer)
+        this.pendingBeam = null; // Fired but not yet applied, see takeBeamActivation
+        this.liftedBlock = null; // { shape, mesh } carried off by a lift_block beam until the UFO dies
+
+        // Set by the view to hear about hits, effects, heals and beams: (type, detail) => void
+        this.onEvent = null;
+
+        this.calculateDirection();
+    }
+
+    emit(type, detail = {}) {
+        if (this.onEvent) this.onEvent(type, detail);
+    }
+
+    calculateDirection() {
+        if (this.currentSegmentIndex < this.waypoints.length - 1) {
+            const currentPos = waypointPosition(this.waypoints[this.currentSegmentIndex]);
+            const nextPos = waypointPosition(this.waypoints[this.currentSegmentIndex + 1]);
+            this.direction = normalize(subtract(nextPos, currentPos));
+        }
+    }
+
+    // Switch to a route that starts where the enemy stands, e.g. when the maze changes under it
+    followPath(waypoints) {
+        this.waypoints = waypoints;
+        this.currentSegmentIndex = 0;
+        this.currentWaypointIndex = 0;
+        this.pathProgress = 0;
+        this.calculateDirection();
+    }
+
+    /**
+     * Advance one tick along the path
+     * @param {EnemyState[]} allEnemies - Neighbours to steer around (empty skips avoidance)
+     * @param {number} deltaTime - Seconds to move for
+     */
+    update(allEnemies = [], deltaTime = TICK_SECONDS) {
+        if (this.hasReachedEndFlag || this.currentSegmentIndex >= this.waypoints.length - 1) {
+            return;
+        }
+
+        this.updateStatusEffects();
+
+        // If stunned, don't move
+        if (this.activeEffects.has('stun')) {
+            return;
+        }
+
+        // Enhanced turn detection using pathfinding metadata
+        this.updateCurveBasedSpeed();
+
+        // Calculate collision avoidance forces with curve preservation
+        this.calculateCurveAwareAvoidance(allEnemies);
+
+        // Update movement using enhanced smooth interpolation
+        this.updateEnhancedMovement(deltaTime);
+    }
+
+    updateCurveBasedSpeed() {
+        this.isNearTurn = false;
+        this.currentTurnAngle = 0;
+        let curveSpeedModifier = 1.0;
+
+        // Check current waypoint for curve metadata
+        if (this.currentSegmentIndex < this.waypoints.length) {
+            const currentWaypoint = this.waypoints[this.currentSegmentIndex];
+
+            // Use pathfinding metadata if available
+            if (currentWaypoint.curvature !== undefined) {
+                curveSpeedModifier = currentWaypoint.speedMultiplier || 1.0;
+                this.currentTurnAngle = currentWaypoint.turnAngle || 0;
+                this.isNearTurn = currentWaypoint.isSharpTurn || false;
+            }
+        }
+
+        // Look ahead for upcoming curves
+        let lookAheadDistance = 0;
+        let checkIndex = this.currentSegmentIndex;
+        const maxLookAhead = this.upcomingTurnDistance;
+
+        while (checkIndex < this.waypoints.length - 1 && lookAheadDistance < maxLookAhead) {
+            const nextWaypoint = this.waypoints[checkIndex + 1];
+            lookAheadDistance += distance(waypointPosition(this.waypoints[checkIndex]), waypointPosition(nextWaypoint));
+
+            if (nextWaypoint.curvature !== undefined && nextWaypoint.curvature > 0.1) {
+                this.isNearTurn = true;
+                this.currentTurnAngle = Math.max(this.currentTurnAngle, nextWaypoint.turnAngle || 0);
+
+                // Apply distance-based fade for upcoming curves
+                const distanceFactor = Math.max(0.3, 1.0 - (lookAheadDistance / maxLookAhead));
+                const upcomingSpeedModifier = nextWaypoint.speedMultiplier || 1.0;
+                curveSpeedModifier = Math.min(curveSpeedModifier,
+                    1.0 - (1.0 - upcomingSpeedModifier) * distanceFactor);
+                break;
+            }
+
+            checkIndex++;
+        }
+
+        // Ramps between terrain levels are slow going, up or down
+        if (!this.flying && this.isOnRamp()) {
+            curveSpeedModifier *= RAMP_SPEED_MULTIPLIER;
+        }
+
+        this.currentSpeed = this.speed * curveSpeedModifier;
+    }
+
+    // Whether the current path segment climbs or descends (routes over flat ground keep one height)
+    isOnRamp() {
+        if (this.currentSegmentIndex >= this.waypoints.length - 1) return false;
+        const currentPos = waypointPosition(this.waypoints[this.currentSegmentIndex]);
+        const nextPos = waypointPosition(this.waypoints[this.currentSegmentIndex + 1]);
+        return Math.abs(nextPos.y - currentPos.y) > 0.01;
+    }
+
+    calculateCurveAwareAvoidance(allEnemies) {
+        let force = vector();
+
+        // Current movement direction, so avoidance doesn't pull enemies off the curve
+        const currentPos = waypointPosition(this.waypoints[this.currentSegmentIndex]);
+        const nextPos = waypointPosition(this.waypoints[Math.min(this.currentSegmentIndex + 1, this.waypoints.length - 1)]);
+        const pathDirection = normalize(subtract(nextPos, currentPos));
+        const perpendicular = vector(-pathDirection.z, 0, pathDirection.x);
+
+        for (const otherEnemy of allEnemies) {
+            if (otherEnemy === this || !otherEnemy.isAlive()) continue;
+            if (otherEnemy.flying !== this.flying) continue; // Flyers pass over ground enemies
+
+            const separation = distance(this.position, otherEnemy.position);
+            if (separation >= this.minSeparationDistance || separation <= 0) continue;
+
+            // Repulsion with exponential falloff
+            const forceMagnitude = Math.pow((this.minSeparationDistance - separation) / this.minSeparationDistance, 2);
+            const repulsion = scale(normalize(subtract(this.position, otherEnemy.position)), forceMagnitude * 3.0);
+
+            // Favor perpendicular avoidance to maintain path following
+            const steer = add(
+                scale(perpendicular, dot(perpendicular, repulsion) * 1.5),
+                scale(pathDirection, dot(pathDirection, repulsion) * 0.3)
+            );
+            steer.y *= 0.1; // Keep movement horizontal
+
+            force = add(force, steer);
+        }
+
+        // Limit avoidance force to prevent breaking the curved path
+        const maxAvoidanceForce = 1.0;
+        if (length(force) > maxAvoidanceForce) {
+            force = scale(normalize(force), maxAvoidanceForce);
+        }
+        this.avoidanceForce = force;
+    }
+
+    updateEnhancedMovement(deltaTime) {
+        if (this.currentSegmentIndex >= this.waypoints.length - 1) {
+            this.hasReachedEndFlag = true;
+            return;
+        }
+
+        const currentPos = waypointPosition(this.waypoints[this.currentSegmentIndex]);
+        const nextPos = waypointPosition(this.waypoints[this.currentSegmentIndex + 1]);
+
+        const segment = subtract(nextPos, currentPos);
+        const segmentLength = length(segment);
+        const segmentDirection = normalize(segment);
+
+        // Curve-aware speed plus a little of the avoidance force
+        const avoidanceStrength = 0.2;
+        this.velocity = add(scale(segmentDirection, this.currentSpeed), scale(this.avoidanceForce, avoidanceStrength));
+
+        // Move along the path
+        this.setPosition(add(this.position, scale(this.velocity, deltaTime)));
+
+        this.pathProgress = dot(subtract(this.position, currentPos), segmentDirection) / segmentLength;
+
+        // Check if we've reached the next waypoint with curve tolerance
+        const distanceToNext = distance(this.position, nextPos);
+        const progressThreshold = Math.max(0.9, 1.0 - (segmentLength * 0.1));
+
+        if (this.pathProgress >= progressThreshold || distanceToNext < 0.2) {
+            // Ease onto the waypoint, nudged by a minimal horizontal avoidance offset
+            const target = add(nextPos, vector(this.avoidanceForce.x * 0.05, 0, this.avoidanceForce.z * 0.05));
+            const lerpFactor = 0.3;
+            this.setPosition(add(this.position, scale(subtract(target, this.position), lerpFactor)));
+
+            // Move to next segment when close enough
+            if (distanceToNext < 0.15) {
+                this.currentSegmentIndex++;
+                this.pathProgress = 0;
+
+                if (this.currentSegmentIndex >= this.waypoints.length - 1) {
+                    this.hasReachedEndFlag = true;
+                } else {
+                    this.calculateDirection();
+                }
+            }
+        }
+    }
+
+    // Move in place so views holding on to the position object see the change
+    setPosition({ x, y, z }) {
+        this.position.x = x;
+        this.position.y = y;
+        this.position.z = z;
+    }
+
+    updateStatusEffects() {
+        const currentTime = this.clock.now();
+
+        for (const [effect, data] of this.activeEffects.entries()) {
+            // Damage-over-time ticks that fell due before the effect ran out
+            if (data.damagePerTick > 0) {
+                const tickInterval = STATUS_EFFECTS[effect].tickInterval;
+                const tickUntil = Math.min(currentTime, data.endTime);
+                while (tickUntil - data.lastTickTime >= tickInterval && this.isAlive()) {
+                    data.lastTickTime += tickInterval;
+                    this.takeDamage(data.damagePerTick * data.stacks, {
+                        source: data.source,
+                        damageType: data.damageType,
+                        ignoreArmor: true // Ticks seep past armor, resistances still apply
+                    });
+                }
+            }
+
+            // Drop expired effects
+            if (currentTime >= data.endTime) {
+                this.activeEffects.delete(effect);
+            }
+        }
+
+        // Apply effect modifiers (same numbers the server uses)
+        const modifiers = getStatusModifiers(this.activeEffects.keys());
+        this.baseDamageMultiplier = modifiers.damageTakenMultiplier;
+
+        // Update base speed (before turn modifications)
+        this.speed = this.baseSpeed * modifiers.speedMultiplier;
+    }
+
+    /**
+     * Apply (or re-apply) a status effect following its stack rule
+     * @param {string} effectType - One of STATUS_EFFECTS
+     * @param {number} duration - Duration in ms
+     * @param {Object} options
+     * @param {number} options.damagePerTick - Damage per stack per tick (damage-over-time effects)
+     * @param {string} options.damageType - Damage type of the ticks
+     * @param {Object} options.source - Tower credited if the effect's ticks kill the enemy
+     */
+    applyEffect(effectType, duration, { damagePerTick = 0, damageType = DEFAULT_DAMAGE_TYPE, source = null } = {}) {
+        if (!isValidStatusEffect(effectType)) return;
+
+        const currentTime = this.clock.now();
+        const existing = this.activeEffects.get(effectType);
+        const stacked = stackStatusEffect(
+            effectType,
+            existing ? { stacks: existing.stacks, remaining: existing.endTime - currentTime } : null,
+            duration
+        );
+
+        this.activeEffects.set(effectType, {
+            endTime: currentTime + stacked.remaining,
+            lastTickTime: existing ? existing.lastTickTime : currentTime,
+            stacks: stacked.stacks,
+            damagePerTick: Math.max(existing?.damagePerTick || 0, damagePerTick),
+            damageType,
+            source: source || existing?.source || null // Latest applier gets the kill
+        });
+
+        this.emit('effect', { color: STATUS_EFFECTS[effectType].color });
+    }
+
+    // Mirror the server's effects. The server owns the damage, so mirrored damage-over-time never ticks here.
+    syncStatusEffects(statusEffects = {}) {
+        const currentTime = this.clock.now();
+
+        for (const effectType of this.activeEffects.keys()) {
+            if (!(effectType in statusEffects)) {
+                this.activeEffects.delete(effectType);
+            }
+        }
+
+        for (const [effectType, serverEffect] of Object.entries(statusEffects)) {
+            if (!isValidStatusEffect(effectType)) continue;
+            const existing = this.activeEffects.get(effectType);
+            this.activeEffects.set(effectType, {
+                endTime: currentTime + serverEffect.remaining,
+                lastTickTime: existing ? existing.lastTickTime : currentTime,
+                stacks: serverEffect.stacks,
+                damagePerTick: 0,
+                source: null
+            });
+        }
+    }
+
+    /**
+     * Apply a hit after armor, resistances and status effect modifiers
+     * @param {number} damage - Raw damage
+     * @param {Object} options
+     * @param {Object} options.source - Tower dealing the damage; the one whose hit drops health to 0 is credited
+     * @param {string} options.damageType - One of DAMAGE_TYPES
+     * @param {boolean} options.ignoreArmor - Skip flat armor (damage-over-time ticks)
+     */
+    takeDamage(damage, { source = null, damageType = DEFAULT_DAMAGE_TYPE, ignoreArmor = false } = {}) {
+        const wasAlive = this.isAlive();
+        const healthBefore = this.health;
+        const actualDamage = calculateDamage(damage, damageType, this.defenses, { ignoreArmor }) * this.baseDamageMultiplier;
+        this.health -= actualDamage;
+
+        if (this.health < 0) {
+            this.health = 0;
+        }
+        if (source) {
+            source.damageDealt += healthBefore - this.health;
+        }
+
+        if (wasAlive && !this.isAlive()) {
+            this.killedBy = source;
+        }
+
+        this.emit('damaged', { amount: actualDamage });
+
+        return this.health <= 0;
+    }
+
+    /**
+     * Healers repair damaged allies in range once per heal interval
+     * @param {EnemyState[]} allEnemies - Every enemy on the map
+     */
+    healAllies(allEnemies) {
+        const heal = this.archetype.heal;
+        if (!heal || !this.isAlive()) return;
+
+        const currentTime = this.clock.now();
+        if (currentTime - this.lastHealTime < heal.interval) return;
+        this.lastHealTime = currentTime;
+
+        for (const ally of allEnemies) {
+            if (ally === this || !ally.isAlive()) continue;
+            if (distance(ally.position, this.position) > heal.radius) continue;
+
+            const amount = getHealAmount(heal, ally);
+            if (amount <= 0) continue;
+
+            ally.health += amount;
+            ally.emit('healed', { amount });
+        }
+    }
+
+    /**
+     * Enemies a splitter breaks into, placed where it died and carrying on along its path
+     * @returns {EnemyState[]} Empty for archetypes that don't split
+     */
+    createSplitChildren() {
+        const split = this.archetype.split;
+        if (!split) return [];
+
+        return this.spawnChildren(split.into, split.count);
+    }
+
+    /**
+     * Trigger any boss phases the boss's health has dropped into (the simulation runs this;
+     * in multiplayer the server does and the client view mirrors it)
+     */
+    updateBossPhases() {
+        if (!this.boss || !this.isAlive()) return;
+
+        const reached = getBossPhasesReached(this.boss, this.health / this.maxHealth);
+        while (this.bossPhase < reached) {
+            this.enterBossPhase(this.boss.phases[this.bossPhase]);
+            this.bossPhase++;
+        }
+    }
+
+    // Speed bursts and shields are status effects on the boss; summons come down its beam
+    enterBossPhase(phase) {
+        const effectType = BOSS_ABILITY_EFFECTS[phase.ability];
+        if (effectType) {
+            this.applyEffect(effectType, phase.duration);
+            this.emit('beam', { duration: phase.duration, color: STATUS_EFFECTS[effectType].color });
+        } else if (phase.ability === 'summon') {
+            this.summonedMinions.push(...this.spawnChildren(phase.archetype, phase.count));
+            this.emit('beam', { duration: this.beamDuration, color: 0x00ffff });
+        }
+        this.logger.log(`👾 ${this.archetype.name}: ${phase.name}`);
+    }
+
+    // Minions summoned since the last call; the simulation adds them to the wave
+    takeSummonedMinions() {
+        const minions = this.summonedMinions;
+        this.summonedMinions = [];
+        return minions;
+    }
+
+    // Name of the latest phase the boss has entered, or null before the first
+    getBossPhaseName() {
+        return this.boss && this.bossPhase > 0 ? this.boss.phases[this.bossPhase - 1].name : null;
+    }
+
+    /**
+     * New enemies of another archetype placed at this one and carrying on along its path
+     * @returns {EnemyState[]}
+     */
+    spawnChildren(archetypeId, count) {
+        const children = [];
+        for (let i = 0; i < count; i++) {
+            const child = new EnemyState(this.waypoints, this.wave, archetypeId, { clock: this.clock, random: this.random, logger: this.logger });
+            child.currentSegmentIndex = this.currentSegmentIndex;
+            child.pathProgress = this.pathProgress;
+
+            // Fan out a little so the children don't start stacked on one spot
+            const angle = (i / count) * Math.PI * 2;
+            child.setPosition(add(this.position, vector(Math.cos(angle) * 0.2, 0, Math.sin(angle) * 0.2)));
+            child.calculateDirection();
+
+            children.push(child);
+        }
+        return children;
+    }
+
+    /**
+     * Fire the archetype's beam ability when its timer comes up (the simulation runs this;
+     * in multiplayer the server does and the client view mirrors it)
+     */
+    updateBeamAbility() {
+        if (!this.beam || !this.isAlive()) return;
+
+        const currentTime = this.clock.now();
+        if (currentTime < this.nextBeamTime) return;
+
+        this.pendingBeam = this.beam;
+        this.beamCount++;
+        this.emit('beam', { duration: this.beamDuration, color: BEAM_ABILITY_COLORS[this.beam.ability] });
+
+        // Schedule next beam (random 3-7 seconds after this beam ends)
+        this.nextBeamTime = currentTime + this.beamDuration + (this.random() * 4000) + 3000;
+    }
+
+    // Beam fired since the last call, or null; the simulation applies it to towers, money or the maze
+    takeBeamActivation() {
+        const beam = this.pendingBeam;
+        this.pendingBeam = null;
+        return beam;
+    }
+
+    /**
+     * Plain data for a saved run (see SaveGame.js)
+     * @param {function(Object): *} shapeToSave - Saves a carried maze shape
+     */
+    serialize(shapeToSave) {
+        return {
+            id: this.id,
+            type: this.type,
+            wave: this.wave,
+            waypoints: this.waypoints.map(waypoint => copyVector(waypointPosition(waypoint))),
+            currentSegmentIndex: this.currentSegmentIndex,
+            pathProgress: this.pathProgress,
+            position: copyVector(this.position),
+            health: this.health,
+            maxHealth: this.maxHealth,
+            lastHealTime: this.lastHealTime,
+            bossPhase: this.bossPhase,
+            nextBeamTime: this.nextBeamTime,
+            beamCount: this.beamCount,
+            // Tower sources are saved by id
+            activeEffects: [...this.activeEffects].map(([effect, data]) => ({
+                ...data,
+                effect,
+                source: data.source ? data.source.id : null
+            })),
+            liftedBlock: this.liftedBlock ? shapeToSave(this.liftedBlock.shape) : null
+        };
+    }
+
+    /**
+     * Rebuild a saved enemy
+     * @param {Object} data - From serialize
+     * @param {Object} options - Same as the constructor's
+     * @param {Object} refs
+     * @param {function(number): (Object|null)} refs.getTower - Tower by id, for effect sources
+     * @param {function(*): Object} refs.shapeFromSave - Rebuilds a carried maze shape
+     * @returns {EnemyState}
+     */
+    static deserialize(data, options, { getTower, shapeFromSave }) {
+        const enemy = new EnemyState(data.waypoints, data.wave, data.type, options);
+        enemy.id = data.id;
+        enemy.waypoints = data.waypoints; // Flyers keep the arc they were on
+        enemy.currentSegmentIndex = data.currentSegmentIndex;
+        enemy.pathProgress = data.pathProgress;
+        enemy.setPosition(data.position);
+        enemy.health = data.health;
+        enemy.maxHealth = data.maxHealth;
+        enemy.lastHealTime = data.lastHealTime;
+        enemy.bossPhase = data.bossPhase;
+        enemy.nextBeamTime = data.nextBeamTime;
+        enemy.beamCount = data.beamCount;
+        for (const { effect, source, ...effectData } of data.activeEffects) {
+            enemy.activeEffects.set(effect, { ...effectData, source: source !== null ? getTower(source) : null });
+        }
+        // The block's mesh went with the old page; the maze rebuilds one if it's recovered
+        if (data.liftedBlock) {
+            enemy.liftedBlock = { shape: shapeFromSave(data.liftedBlock), mesh: null };
+        }
+        enemy.calculateDirection();
+        return enemy;
+    }
+
+    hasReachedEnd() {
+        return this.hasReachedEndFlag;
+    }
+
+    getPosition() {
+        return this.position;
+    }
+
+    // How far along the path the enemy is (segment index plus progress through it)
+    getPathProgress() {
+        return this.currentSegmentIndex + Math.min(Math.max(this.pathProgress, 0), 1);
+    }
+
+    isAlive() {
+        return this.health > 0;
+    }
+}
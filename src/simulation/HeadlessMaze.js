@@ -0,0 +1,115 @@
+// Maze blocks without a scene: the grid rules of MazeState (same shapes, and the level's restricted cells and rocks)
+// for simulations that run in Node, e.g. the balance simulator.
+import { markMapCells, Shape, TETRIS_SHAPES } from '../mazeBuilder/TetrisShapes.js';
+import { getFixedObstacles } from '../config/Levels.js';
+
+export class HeadlessMaze {
+    /**
+     * @param {Object} options
+     * @param {number} options.gridSize - Same as MazeState's
+     * @param {function(Array<{x: number, z: number}>): (Array|null)} options.findPath - Enemy route around
+     *        the given obstacles; placements that leave no route are refused
+     * @param {Object} options.map - The level's board, as for MazeState: spawnPoints, exitPoints, restricted,
+     *        unbuildable, rocks and water (the default board when missing)
+     */
+    constructor({ gridSize = 20, findPath, map = {} }) {
+        this.gridSize = gridSize;
+        this.findPath = findPath;
+        this.gridState = {};
+        this.placedShapes = [];
+        this.fixedObstacles = getFixedObstacles(map); // Rocks and water
+        markMapCells(this.gridState, gridSize, map);
+    }
+
+    /**
+     * @param {string} name - Shape from TETRIS_SHAPES
+     * @param {Array<number[]>} [cells] - Rotated cells; the shape's own when missing
+     */
+    createShape(name, cells) {
+        const shapeData = TETRIS_SHAPES.find(data => data.name === name);
+        if (!shapeData) {
+            throw new Error(`Unknown shape: ${name}`);
+        }
+        return new Shape({ ...shapeData, cells: (cells || shapeData.cells).map(cell => [...cell]) });
+    }
+
+    // Same snapping and checks as MazeState.placeShape
+    placeShape(worldX, worldZ, shape) {
+        const gridX = Math.floor(worldX) + 0.5;
+        const gridZ = Math.floor(worldZ) + 0.5;
+        if (!shape.canPlaceAt(gridX, gridZ, this.gridState, this.gridSize)) {
+            return false;
+        }
+
+        shape.position = { x: gridX, z: gridZ };
+        if (!this.findPath([...this.getObstacles(), ...shape.getWorldCells()])) {
+            return false;
+        }
+
+        shape.placeInGrid(this.gridState, this.gridSize);
+        this.placedShapes.push(shape);
+        return true;
+    }
+
+    getObstacles() {
+        const obstacles = [...this.fixedObstacles];
+        for (const shape of this.placedShapes) {
+            for (const cell of shape.getWorldCells()) {
+                obstacles.push({ x: cell.x, z: cell.z });
+            }
+        }
+        return obstacles;
+    }
+
+    // A UFO's lift_block beam; there is no mesh to hand over
+    liftShape(shape) {
+        const index = this.placedShapes.indexOf(shape);
+        if (index === -1) return null;
+        this.placedShapes.splice(index, 1);
+
+        for (const cell of shape.getWorldCells()) {
+            const gridX = Math.floor(cell.x + this.gridSize / 2);
+            const gridZ = Math.floor(cell.z + this.gridSize / 2);
+            if (this.gridState[gridZ] && this.gridState[gridZ][gridX]) {
+                delete this.gridState[gridZ][gridX].occupied;
+                delete this.gridState[gridZ][gridX].shape;
+                delete this.gridState[gridZ][gridX].color;
+            }
+        }
+        shape.placed = false;
+        return null;
+    }
+
+    restoreShape(shape) {
+        if (!shape.canPlaceAt(shape.position.x, shape.position.z, this.gridState, this.gridSize)) {
+            return false;
+        }
+        shape.placeInGrid(this.gridState, this.gridSize);
+        this.placedShapes.push(shape);
+        return true;
+    }
+
+    // Same data as MazeState.serialize; there is no hand of shapes here
+    serialize() {
+        return {
+            placedShapes: this.placedShapes.map(shape => ({
+                name: shape.name,
+                cells: shape.cells.map(cell => [...cell]),
+                x: shape.position.x,
+                z: shape.position.z
+            })),
+            hand: [],
+            lastShapeWave: 0,
+            canPlaceShape: false
+        };
+    }
+
+    restore(data) {
+        for (const saved of data.placedShapes) {
+            const shape = this.createShape(saved.name, saved.cells);
+            shape.position = { x: saved.x, z: saved.z };
+            shape.placeInGrid(this.gridState, this.gridSize);
+            this.placedShapes.push(shape);
+        }
+    }
+}
@@ -0,0 +1,170 @@
+// A tower's shot in flight as the simulation sees it: homing, hit checks, splash and pierce.
+// The client Projectile renders one of these.
+import { DEFAULT_DAMAGE_TYPE } from '../config/DamageTypes.js';
+import { TICK_SECONDS } from './Clock.js';
+import { add, copyVector, distance, dot, length, normalize, scale, subtract, vector } from './vectors.js';
+
+export class ProjectileState {
+    constructor(startPosition, target, damage, splashRadius = 0, towerType = 'basic', modifiers = {}) {
+        this.target = target;
+        this.damage = damage;
+        this.splashRadius = splashRadius;
+        this.towerType = towerType;
+        this.setModifiers(modifiers);
+        this.speed = 8.0; // units per second
+        this.maxDistance = 15.0; // Maximum travel distance before removal
+        this.traveledDistance = 0;
+
+        this.position = copyVector(startPosition);
+        this.startPosition = copyVector(startPosition);
+
+        // Calculate initial direction to target
+        this.direction = vector();
+        this.updateDirection();
+    }
+
+    // Specialization and status effect behaviour carried from the tower that fired
+    setModifiers({ pierce = 0, shredDuration = 0, effect = null, source = null, damageType = DEFAULT_DAMAGE_TYPE } = {}) {
+        this.pierce = pierce;           // Extra enemies hit behind the target
+        this.shredDuration = shredDuration; // ms of 'weaken' applied on hit
+        this.effect = effect;           // { type, duration, damagePerTick } status effect applied on hit
+        this.source = source;           // Tower that fired, credited with kills
+        this.damageType = damageType;   // Checked against the target's armor and resistances
+    }
+
+    updateDirection() {
+        if (this.target && this.target.isAlive()) {
+            this.direction = normalize(subtract(this.target.getPosition(), this.position));
+        }
+    }
+
+    update(deltaTime = TICK_SECONDS) {
+        // Update direction towards target (basic homing)
+        this.updateDirection();
+
+        const moved = add(this.position, scale(this.direction, this.speed * deltaTime));
+        this.position.x = moved.x;
+        this.position.y = moved.y;
+        this.position.z = moved.z;
+
+        this.traveledDistance = distance(this.position, this.startPosition);
+    }
+
+    hasHitTarget() {
+        if (!this.target || !this.target.isAlive()) {
+            return false;
+        }
+
+        return distance(this.position, this.target.getPosition()) < 0.3; // Hit radius
+    }
+
+    shouldRemove() {
+        // Remove if traveled too far or target is dead
+        return this.traveledDistance > this.maxDistance ||
+               (this.target && !this.target.isAlive());
+    }
+
+    getPosition() {
+        return this.position;
+    }
+
+    getSplashTargets(enemies) {
+        if (this.splashRadius <= 0) return [];
+
+        return enemies.filter(enemy => {
+            if (!enemy.isAlive() || enemy === this.target || !this.canReach(enemy)) return false;
+            return distance(this.position, enemy.getPosition()) <= this.splashRadius;
+        });
+    }
+
+    // Splash and pierce only carry into flying enemies from anti-air towers
+    canReach(enemy) {
+        return !enemy.flying || !!this.source?.antiAir;
+    }
+
+    // Enemies behind the target along the flight line, nearest first
+    getPierceTargets(enemies) {
+        if (this.pierce <= 0) return [];
+
+        const flatDirection = normalize(vector(this.direction.x, 0, this.direction.z));
+        const candidates = [];
+
+        for (const enemy of enemies) {
+            if (!enemy.isAlive() || enemy === this.target || !this.canReach(enemy)) continue;
+
+            const offset = subtract(enemy.getPosition(), this.position);
+            offset.y = 0;
+            const along = dot(offset, flatDirection);
+            if (along <= 0 || along > 3.0) continue;
+
+            const sideways = length(subtract(offset, scale(flatDirection, along)));
+            if (sideways <= 0.6) {
+                candidates.push({ enemy, along });
+            }
+        }
+
+        return candidates
+            .sort((a, b) => a.along - b.along)
+            .slice(0, this.pierce)
+            .map(candidate => candidate.enemy);
+    }
+
+    // Plain data for a saved run (see SaveGame.js); target and source are saved by id
+    serialize() {
+        return {
+            targetId: this.target ? this.target.id : null,
+            sourceId: this.source ? this.source.id : null,
+            damage: this.damage,
+            splashRadius: this.splashRadius,
+            towerType: this.towerType,
+            pierce: this.pierce,
+            shredDuration: this.shredDuration,
+            effect: this.effect,
+            damageType: this.damageType,
+            position: copyVector(this.position),
+            startPosition: copyVector(this.startPosition),
+            direction: copyVector(this.direction),
+            traveledDistance: this.traveledDistance
+        };
+    }
+
+    /**
+     * Rebuild a saved shot
+     * @param {Object} data - From serialize
+     * @param {Object} refs
+     * @param {function(number): (Object|null)} refs.getEnemy - Enemy by id
+     * @param {function(number): (Object|null)} refs.getTower - Tower by id
+     * @returns {ProjectileState}
+     */
+    static deserialize(data, { getEnemy, getTower }) {
+        const target = data.targetId !== null ? getEnemy(data.targetId) : null;
+        const projectile = new ProjectileState(data.startPosition, target, data.damage, data.splashRadius, data.towerType, {
+            pierce: data.pierce,
+            shredDuration: data.shredDuration,
+            effect: data.effect,
+            source: data.sourceId !== null ? getTower(data.sourceId) : null,
+            damageType: data.damageType
+        });
+        projectile.position = copyVector(data.position);
+        projectile.direction = copyVector(data.direction);
+        projectile.traveledDistance = data.traveledDistance;
+        return projectile;
+    }
+
+    applyDamage(enemy, damage = this.damage) {
+        if (!enemy.isAlive()) return 0;
+        enemy.takeDamage(damage, { source: this.source, damageType: this.damageType });
+        if (!enemy.isAlive()) return damage;
+        if (this.shredDuration > 0) {
+            enemy.applyEffect('weaken', this.shredDuration);
+        }
+        if (this.effect) {
+            enemy.applyEffect(this.effect.type, this.effect.duration, {
+                damagePerTick: this.effect.damagePerTick,
+                damageType: this.damageType,
+                source: this.source
+            });
+        }
+        return damage;
+    }
+}
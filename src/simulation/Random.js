@@ -0,0 +1,28 @@
+// Seeded random numbers for the simulation: the same seed plays out the same game.
+
+/**
+ * mulberry32 - small and fast, plenty for beam timers and spawn picks
+ */
+export class SeededRandom {
+    /**
+     * @param {number} seed - Any 32-bit integer
+     */
+    constructor(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Next number in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+// Fresh seed for a new game
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
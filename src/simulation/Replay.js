@@ -0,0 +1,191 @@
+// Replays: the seed plus every player command with the tick it was issued on. The simulation is
+// deterministic, so feeding the same commands back at the same ticks plays the same game again.
+import { hasLevel } from '../config/Levels.js';
+import { validateValue } from '../config/SchemaValidation.js';
+
+export const REPLAY_FORMAT = 'towerdef-replay';
+export const REPLAY_VERSION = 1;
+
+const CELL_SCHEMA = { type: 'array', items: { type: 'number', required: true } };
+
+// Fields of each command type, besides tick and type (see Simulation.execute)
+export const REPLAY_COMMAND_SCHEMAS = {
+    placeShape: {
+        shape: { type: 'string', required: true },
+        cells: { type: 'array', required: true, items: CELL_SCHEMA },
+        x: { type: 'number', required: true },
+        z: { type: 'number', required: true }
+    },
+    startDefense: {},
+    placeTower: {
+        tower: { type: 'string', required: true },
+        x: { type: 'number', required: true },
+        z: { type: 'number', required: true }
+    },
+    upgradeTower: {
+        towerId: { type: 'number', required: true, min: 1 },
+        specialization: { type: 'string' }
+    },
+    sellTower: {
+        towerId: { type: 'number', required: true, min: 1 }
+    },
+    setTargetingMode: {
+        towerId: { type: 'number', required: true, min: 1 },
+        mode: { type: 'string', required: true }
+    }
+};
+
+export const REPLAY_SCHEMA = {
+    format: { type: 'string', required: true },
+    version: { type: 'number', required: true, min: 1 },
+    seed: { type: 'number', required: true, min: 0 },
+    finalWave: { type: 'number', required: true, min: 1 },
+    level: { type: 'string' }, // Missing in replays from before levels (classic)
+    recordedAt: { type: 'string' },
+    endTick: { type: 'number', required: true, min: 0 }, // Ticks the recorded game ran for
+    result: {
+        type: 'object',
+        properties: {
+            outcome: { type: 'string' }, // 'victory' or 'defeat'; missing when saved mid-game
+            wave: { type: 'number', required: true },
+            score: { type: 'number', required: true }
+        }
+    },
+    commands: { type: 'array', required: true, items: { type: 'object', required: true } }
+};
+
+/**
+ * Validate parsed replay data against REPLAY_SCHEMA and the command schemas
+ * @param {Object} data - Parsed replay JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateReplay(data) {
+    const errors = [];
+    validateValue(data, { type: 'object', required: true, properties: REPLAY_SCHEMA }, 'replay', errors);
+    if (errors.length > 0) return errors;
+
+    if (data.format !== REPLAY_FORMAT) errors.push(`replay.format should be "${REPLAY_FORMAT}"`);
+    if (data.version > REPLAY_VERSION) errors.push(`replay.version ${data.version} is newer than this game supports`);
+    if (data.level !== undefined && !hasLevel(data.level)) {
+        errors.push(`replay.level "${data.level}" is not a level this game has`);
+    }
+
+    let lastTick = 0;
+    data.commands.forEach((command, index) => {
+        const path = `replay.commands[${index}]`;
+        const fields = REPLAY_COMMAND_SCHEMAS[command.type];
+        if (!fields) {
+            errors.push(`${path}.type "${command.type}" is not a replay command`);
+            return;
+        }
+
+        validateValue(command, {
+            type: 'object',
+            properties: { tick: { type: 'number', required: true, min: 0 }, type: { type: 'string' }, ...fields }
+        }, path, errors);
+
+        if (command.tick < lastTick) errors.push(`${path}.tick goes back in time`);
+        lastTick = command.tick;
+    });
+
+    return errors;
+}
+
+/**
+ * Read a replay file's text
+ * @param {string} text - File contents
+ * @returns {Object} The replay
+ * @throws {Error} When the text isn't a replay this game can play
+ */
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid replay: not JSON (${error.message})`);
+    }
+
+    const errors = validateReplay(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid replay:\n  - ${errors.join('\n  - ')}`);
+    }
+    return data;
+}
+
+/**
+ * Collects the commands a simulation reports (its 'command' events) into a replay
+ */
+export class ReplayRecorder {
+    /**
+     * @param {Simulation} simulation - Game being recorded
+     */
+    constructor(simulation) {
+        this.simulation = simulation;
+        this.commands = [];
+    }
+
+    record(command) {
+        this.commands.push(command);
+    }
+
+    /**
+     * The replay so far, ready for JSON.stringify
+     * @returns {Object}
+     */
+    toReplay() {
+        const { simulation } = this;
+        const result = { wave: simulation.state.wave, score: simulation.state.score };
+        if (simulation.outcome) result.outcome = simulation.outcome;
+
+        return {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            seed: simulation.seed,
+            finalWave: simulation.finalWave,
+            level: simulation.levelId,
+            recordedAt: new Date().toISOString(),
+            endTick: simulation.tickCount,
+            result,
+            commands: this.commands.map(command => ({ ...command }))
+        };
+    }
+}
+
+/**
+ * Feeds a replay's commands back into a simulation at the ticks they were recorded on
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - From parseReplay or ReplayRecorder.toReplay
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.nextCommand = 0;
+    }
+
+    // Issue every command due before the simulation's next tick
+    applyDue(simulation) {
+        const { commands } = this.replay;
+        while (this.nextCommand < commands.length && commands[this.nextCommand].tick <= simulation.tickCount) {
+            simulation.execute(commands[this.nextCommand]);
+            this.nextCommand++;
+        }
+    }
+
+    /**
+     * Advance a simulation to the given tick (or until the game ends), issuing commands on the way
+     * @param {Simulation} simulation - Seeded with this replay's seed and not yet past the tick
+     * @param {number} tick - Tick to stop at
+     */
+    runTo(simulation, tick) {
+        while (simulation.tickCount < tick && !simulation.isOver()) {
+            this.applyDue(simulation);
+            simulation.tick();
+        }
+    }
+
+    // Ticks the recorded game ran for
+    getEndTick() {
+        return this.replay.endTick;
+    }
+}
@@ -0,0 +1,128 @@
+// Saved single player runs: a snapshot of the simulation (economy, maze, towers, enemies, shots in
+// flight and the random source) that a fresh game carries on from exactly. See Simulation.serialize/restore.
+import { getLevel, hasLevel } from '../config/Levels.js';
+import { validateValue } from '../config/SchemaValidation.js';
+
+export const SAVE_FORMAT = 'towerdef-save';
+export const SAVE_VERSION = 1;
+
+const NUMBER = { type: 'number', required: true };
+const OBJECT_LIST = { type: 'array', required: true, items: { type: 'object', required: true } };
+
+// SimulationState.serialize
+const STATE_SCHEMA = {
+    time: { ...NUMBER, min: 0 },
+    money: NUMBER,
+    score: NUMBER,
+    wave: { ...NUMBER, min: 1 },
+    enemiesCount: NUMBER,
+    health: NUMBER,
+    maxHealth: NUMBER,
+    enemiesSpawned: { ...NUMBER, min: 0 },
+    waveCooldownEnd: NUMBER,
+    firstWaveStarted: { type: 'boolean', required: true },
+    currentPhase: { type: 'string', required: true, pattern: /^(MAZE_BUILDING|DEFENSE)$/ },
+    lastShapeWave: NUMBER
+};
+
+// Towers and enemies are checked as they are rebuilt; the envelope and economy are checked here
+export const SAVE_SCHEMA = {
+    format: { type: 'string', required: true },
+    version: { type: 'number', required: true, min: 1 },
+    savedAt: { type: 'string' },
+    simulation: {
+        type: 'object',
+        required: true,
+        properties: {
+            seed: { ...NUMBER, min: 0 },
+            randomState: { ...NUMBER, min: 0 },
+            tickCount: { ...NUMBER, min: 0 },
+            nextId: { ...NUMBER, min: 1 },
+            finalWave: { ...NUMBER, min: 1 },
+            difficulty: { type: 'string' }, // Missing in saves from before difficulties (normal)
+            level: { type: 'string' }, // Missing in saves from before levels (classic)
+            state: { type: 'object', required: true, properties: STATE_SCHEMA },
+            maze: {
+                type: 'object', // Missing for an open board
+                properties: {
+                    placedShapes: OBJECT_LIST,
+                    hand: OBJECT_LIST,
+                    lastShapeWave: NUMBER,
+                    canPlaceShape: { type: 'boolean', required: true }
+                }
+            },
+            waveSpawner: {
+                type: 'object',
+                required: true,
+                properties: {
+                    wave: { type: 'number' }, // Missing before the first wave
+                    nextIndex: { ...NUMBER, min: 0 },
+                    startTime: NUMBER
+                }
+            },
+            towers: OBJECT_LIST,
+            enemies: OBJECT_LIST,
+            projectiles: OBJECT_LIST
+        }
+    }
+};
+
+/**
+ * Snapshot a running game
+ * @param {Simulation} simulation - Single player simulation
+ * @returns {Object} The save, ready for JSON.stringify
+ */
+export function createSave(simulation) {
+    return {
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        simulation: simulation.serialize()
+    };
+}
+
+/**
+ * Validate parsed save data against SAVE_SCHEMA
+ * @param {Object} data - Parsed save JSON
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateSave(data) {
+    const errors = [];
+    validateValue(data, { type: 'object', required: true, properties: SAVE_SCHEMA }, 'save', errors);
+    if (errors.length > 0) return errors;
+
+    if (data.format !== SAVE_FORMAT) errors.push(`save.format should be "${SAVE_FORMAT}"`);
+    if (data.version > SAVE_VERSION) errors.push(`save.version ${data.version} is newer than this game supports`);
+    const { level } = data.simulation;
+    if (level !== undefined && !hasLevel(level)) {
+        errors.push(`save.simulation.level "${level}" is not a level this game has`);
+    }
+    return errors;
+}
+
+/**
+ * Read a saved run's text (localStorage or an exported file)
+ * @param {string} text - Saved JSON
+ * @returns {Object} The save
+ * @throws {Error} When the text isn't a save this game can load
+ */
+export function parseSave(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid save: not JSON (${error.message})`);
+    }
+
+    const errors = validateSave(data);
+    if (errors.length > 0) {
+        throw new Error(`Invalid save:\n  - ${errors.join('\n  - ')}`);
+    }
+    return data;
+}
+
+// One-line description for menus, e.g. "Classic · Wave 4 · $230 · 80 health"
+export function describeSave(save) {
+    const { wave, money, health } = save.simulation.state;
+    return `${getLevel(save.simulation.level).name} · Wave ${wave} · $${money} · ${health} health`;
+}
@@ -0,0 +1,584 @@
+// Single player rules as a headless, deterministic simulation: fixed-length ticks on an injected
+// clock and a seeded random source, so the same commands always play out the same game.
+// The browser game is a view over it (see SinglePlayerGame): it ticks the simulation, issues player
+// commands, and builds meshes from the events it emits.
+import { getAuraModifiers } from '../config/Auras.js';
+import { DEFAULT_DIFFICULTY, getDifficulty } from '../config/Difficulty.js';
+import { findBeamTarget, getStolenAmount } from '../config/EnemyCatalog.js';
+import { DEFAULT_LEVEL_ID } from '../config/Levels.js';
+import { FLAT_TERRAIN } from '../config/Terrain.js';
+import { getTowerDefinition } from '../config/TowerCatalog.js';
+import { WaveSpawner, resolveSpawnPoint } from '../config/WaveScript.js';
+import { TICK_MS } from './Clock.js';
+import { EnemyState } from './EnemyState.js';
+import { ProjectileState } from './ProjectileState.js';
+import { SeededRandom, createSeed } from './Random.js';
+import { SimulationState } from './SimulationState.js';
+import { TowerState } from './TowerState.js';
+
+const FINAL_WAVE = 10; // Clearing this wave wins the game
+
+export class Simulation {
+    /**
+     * @param {Object} options
+     * @param {number} options.seed - Seeds every random roll, so the same seed and commands replay the same game
+     * @param {SimulationState} options.state - Economy and waves (the client passes its GameState, which drives the HUD)
+     * @param {function(Array<{x: number, z: number}>, {x: number, z: number}=): (Array|null)} options.findPath -
+     *        Enemy route around the given obstacles from a position to the nearest exit, or null when the maze
+     *        blocks it; given no position, the first spawn's route, or null when any spawn is cut off (see
+     *        createRouteFinder in FlowField.js)
+     * @param {Array<{x: number, z: number}>|null} options.spawnPoints - The map's spawns, which the wave
+     *        script's spawnPoint indexes; null for a single spawn where findPath starts by itself
+     * @param {Object|null} options.maze - Placed blocks: getObstacles(), placedShapes, placeShape(x, z, shape),
+     *        createShape(name, cells), liftShape(shape), restoreShape(shape, handle), serialize() and
+     *        restore(data); null for an open board
+     * @param {number} options.finalWave - Clearing this wave wins
+     * @param {string} options.difficulty - Key of DIFFICULTIES; scales enemy health (starting money and
+     *        health are the state's)
+     * @param {string} options.levelId - Id of the level being played (see Levels.js), kept in saves and replays;
+     *        the map itself comes in through findPath, spawnPoints, maze and the state's wave script
+     * @param {Terrain} options.terrain - The level's heights (see Terrain.js); towers on high ground reach further
+     * @param {{log: function(...*)}} options.logger - Where the entities report what they're doing (the state
+     *        has its own); console, or SILENT_LOGGER from Clock.js for headless runs
+     */
+    constructor({ seed = createSeed(), state = new SimulationState(), findPath, spawnPoints = null, maze = null, finalWave = FINAL_WAVE, difficulty = DEFAULT_DIFFICULTY, levelId = DEFAULT_LEVEL_ID, terrain = FLAT_TERRAIN, logger = console } = {}) {
+        this.seed = seed;
+        this.rng = new SeededRandom(seed);
+        this.state = state;
+        this.findPath = findPath;
+        this.spawnPoints = spawnPoints;
+        this.maze = maze;
+        this.finalWave = finalWave;
+        this.difficulty = getDifficulty(difficulty);
+        this.levelId = levelId;
+        this.terrain = terrain;
+
+        this.tickCount = 0;
+        this.nextId = 1;
+        this.enemies = [];
+        this.towers = [];
+        this.projectiles = [];
+        this.waveSpawner = new WaveSpawner(state.waveScript); // Plays the current wave from the state's script
+        this.outcome = null; // 'victory' or 'defeat' once the game is over
+
+        // Entities read the simulation's time and random rolls instead of Date.now()/Math.random()
+        this.entityOptions = { clock: this, random: () => this.random(), terrain, logger };
+
+        // Set by the view to hear about spawns, kills, shots, beams and player commands: (type, detail) => void
+        this.onEvent = null;
+    }
+
+    // Game time in ms (the clock the entities are given)
+    now() {
+        return this.state.time;
+    }
+
+    random() {
+        return this.rng.next();
+    }
+
+    emit(type, detail = {}) {
+        if (this.onEvent) this.onEvent(type, detail);
+    }
+
+    isOver() {
+        return this.outcome !== null;
+    }
+
+    // Advance the game by one fixed tick
+    tick() {
+        if (this.isOver()) return;
+
+        this.tickCount++;
+        this.state.time += TICK_MS;
+
+        this.updateSpawning();
+        this.updateEnemies();
+        this.updateTowers();
+        this.updateProjectiles();
+    }
+
+    // Run ticks until the game ends or the limit is reached (headless runs)
+    run(maxTicks) {
+        for (let i = 0; i < maxTicks && !this.isOver(); i++) {
+            this.tick();
+        }
+    }
+
+    // === PLAYER COMMANDS ===
+    // Each one that goes through is reported as a 'command' event with the tick it happened on,
+    // which is all a replay needs (see Replay.js)
+
+    record(type, detail = {}) {
+        this.emit('command', { command: { tick: this.tickCount, type, ...detail } });
+    }
+
+    // Issue a recorded command again
+    execute(command) {
+        switch (command.type) {
+            case 'placeShape':
+                return this.placeShape(this.maze.createShape(command.shape, command.cells), command.x, command.z);
+            case 'startDefense':
+                return this.startDefense();
+            case 'placeTower':
+                return this.placeTower(command.tower, command.x, command.z);
+            case 'upgradeTower':
+                return this.upgradeTower(this.getTowerById(command.towerId), command.specialization || null);
+            case 'sellTower':
+                return this.sellTower(this.getTowerById(command.towerId));
+            case 'setTargetingMode':
+                return this.setTargetingMode(this.getTowerById(command.towerId), command.mode);
+            default:
+                throw new Error(`Unknown command: ${command.type}`);
+        }
+    }
+
+    /**
+     * Put a maze shape down during the building phase
+     * @returns {boolean} False when it doesn't fit or would block the path
+     */
+    placeShape(shape, x, z) {
+        if (!this.maze || !this.maze.placeShape(x, z, shape)) return false;
+
+        this.record('placeShape', {
+            shape: shape.name,
+            cells: shape.cells.map(cell => [...cell]),
+            x: shape.position.x,
+            z: shape.position.z
+        });
+        return true;
+    }
+
+    // Leave maze building and start the countdown to the next wave
+    startDefense() {
+        this.state.startDefensePhase();
+        this.state.startFirstWaveCountdown();
+        this.record('startDefense');
+    }
+
+    /**
+     * Buy a tower on a grid cell
+     * @returns {TowerState|null} Null for unknown types, occupied cells or when it can't be afforded
+     */
+    placeTower(type, x, z) {
+        const config = getTowerDefinition(type);
+        if (!config || this.getTowerAt(x, z) || !this.state.spendMoney(config.cost)) {
+            return null;
+        }
+
+        const tower = new TowerState(config.id, { x, z }, this.entityOptions);
+        tower.id = this.nextId++;
+        this.towers.push(tower);
+        this.refreshAuras();
+        this.rerouteEnemies();
+        this.emit('towerPlaced', { tower });
+        this.record('placeTower', { tower: tower.type, x, z });
+        return tower;
+    }
+
+    /**
+     * Pay for a tower's next level (a specialization id is needed at the branch level)
+     * @returns {boolean} False when it can't be upgraded or afforded
+     */
+    upgradeTower(tower, specializationId = null) {
+        if (!tower) return false;
+        const choice = tower.getSpecializationChoices().find(spec => spec.id === specializationId);
+        const cost = choice ? choice.cost : tower.getUpgradeCost();
+        if (!tower.canUpgrade() || cost === null || !this.state.canAfford(cost)) return false;
+        if (!tower.upgrade(specializationId)) return false;
+
+        this.state.spendMoney(cost);
+        this.refreshAuras();
+        this.record('upgradeTower', specializationId ? { towerId: tower.id, specialization: specializationId } : { towerId: tower.id });
+        return true;
+    }
+
+    // Remove a tower for its refund
+    sellTower(tower) {
+        if (!this.towers.includes(tower)) return false;
+        this.state.addMoney(tower.getRefundAmount());
+        this.removeTower(tower);
+        this.record('sellTower', { towerId: tower.id });
+        return true;
+    }
+
+    // Take a tower off the board without paying anything back (the caller settled the refund)
+    removeTower(tower) {
+        const index = this.towers.indexOf(tower);
+        if (index === -1) return;
+
+        this.towers.splice(index, 1);
+        this.refreshAuras();
+        this.rerouteEnemies();
+        this.emit('towerRemoved', { tower });
+    }
+
+    setTargetingMode(tower, mode) {
+        if (!tower || !tower.setTargetingMode(mode)) return false;
+        this.record('setTargetingMode', { towerId: tower.id, mode });
+        return true;
+    }
+
+    // Recompute support tower buffs after towers are placed, upgraded or removed
+    refreshAuras() {
+        for (const tower of this.towers) {
+            tower.setAuraModifiers(getAuraModifiers(tower, this.towers));
+        }
+    }
+
+    getTowerById(id) {
+        return this.towers.find(tower => tower.id === id) || null;
+    }
+
+    getTowerAt(x, z) {
+        return this.towers.find(tower => tower.position.x === x && tower.position.z === z) || null;
+    }
+
+    // Maze blocks plus the cells towers stand on
+    getObstacles() {
+        const obstacles = this.maze ? [...this.maze.getObstacles()] : [];
+        for (const tower of this.towers) {
+            obstacles.push({ x: tower.position.x, z: tower.position.z });
+        }
+        return obstacles;
+    }
+
+    // === SAVED RUNS ===
+
+    /**
+     * Everything needed to pick the run up again exactly where it was (see SaveGame.js)
+     * @returns {Object} Plain data, ready for JSON.stringify
+     */
+    serialize() {
+        const shapeToSave = shape => ({
+            name: shape.name,
+            cells: shape.cells.map(cell => [...cell]),
+            x: shape.position.x,
+            z: shape.position.z
+        });
+
+        return {
+            seed: this.seed,
+            randomState: this.rng.state,
+            tickCount: this.tickCount,
+            nextId: this.nextId,
+            finalWave: this.finalWave,
+            difficulty: this.difficulty.id,
+            level: this.levelId,
+            state: this.state.serialize(),
+            maze: this.maze ? this.maze.serialize() : undefined, // Left out for an open board
+            waveSpawner: this.waveSpawner.serialize(),
+            towers: this.towers.map(tower => tower.serialize()),
+            enemies: this.enemies.map(enemy => enemy.serialize(shapeToSave)),
+            projectiles: this.projectiles.map(projectile => projectile.serialize())
+        };
+    }
+
+    /**
+     * Continue a saved run. Call on a fresh simulation (and fresh maze); views are built afterwards
+     * from towers and enemies, nothing is emitted.
+     * @param {Object} data - From serialize
+     */
+    restore(data) {
+        this.seed = data.seed;
+        this.tickCount = data.tickCount;
+        this.nextId = data.nextId;
+        this.finalWave = data.finalWave;
+        this.difficulty = getDifficulty(data.difficulty);
+        this.levelId = data.level || DEFAULT_LEVEL_ID;
+
+        this.state.restore(data.state);
+        if (this.maze && data.maze) {
+            this.maze.restore(data.maze);
+        }
+
+        this.towers = data.towers.map(tower => TowerState.deserialize(tower, this.entityOptions));
+        this.refreshAuras();
+
+        const refs = {
+            getTower: id => this.getTowerById(id),
+            shapeFromSave: saved => {
+                const shape = this.maze.createShape(saved.name, saved.cells);
+                shape.position = { x: saved.x, z: saved.z };
+                return shape;
+            }
+        };
+        this.enemies = data.enemies.map(enemy => EnemyState.deserialize(enemy, this.entityOptions, refs));
+
+        refs.getEnemy = id => this.enemies.find(enemy => enemy.id === id) || null;
+        this.projectiles = data.projectiles.map(projectile => ProjectileState.deserialize(projectile, refs));
+        this.waveSpawner.restore(data.waveSpawner);
+
+        // Last, as rebuilding entities rolls their random variations
+        this.rng.state = data.randomState;
+    }
+
+    // === TICK STEPS ===
+
+    // Spawn whatever the wave script has due, once the wave's countdown is over
+    updateSpawning() {
+        const state = this.state;
+        const canSpawn = state.isDefensePhase() && state.canSpawnMore();
+        if (canSpawn && this.waveSpawner.wave !== state.getWave()) {
+            // Resumed saves skip whatever part of the wave already spawned
+            this.waveSpawner.start(state.getWave(), state.time, state.enemiesSpawned);
+            this.emit('waveStarted', { wave: state.getWave() });
+        }
+        if (!canSpawn || !this.waveSpawner.isSpawnDue(state.time)) return;
+
+        // The due spawns wait until the maze opens up again for every spawn point
+        const obstacles = this.getObstacles();
+        const firstPath = this.findPath(obstacles);
+        if (!firstPath) {
+            this.emit('pathBlocked');
+            return;
+        }
+
+        for (const spawn of this.waveSpawner.takeDueSpawns(state.time)) {
+            const spawnPoint = this.pickSpawnPoint(spawn);
+            const path = spawnPoint ? this.findPath(obstacles, spawnPoint) : firstPath;
+            const enemy = this.addEnemy(new EnemyState(path, state.getWave(), spawn.archetype, this.entityOptions));
+            state.addEnemy();
+            this.emit('enemySpawned', { enemy, path });
+        }
+    }
+
+    // Where a scheduled spawn enters the map: the group's spawn point, or a seeded pick when the script leaves
+    // it open. Null on a single-spawn map, which rolls nothing so its runs replay as before.
+    pickSpawnPoint(spawn) {
+        if (!this.spawnPoints || this.spawnPoints.length < 2) return null;
+        return resolveSpawnPoint(spawn, this.spawnPoints, () => this.random());
+    }
+
+    addEnemy(enemy) {
+        const multiplier = this.difficulty.enemyHealthMultiplier;
+        if (multiplier !== 1) {
+            enemy.health *= multiplier;
+            enemy.maxHealth *= multiplier;
+        }
+
+        enemy.id = this.nextId++;
+        this.enemies.push(enemy);
+        return enemy;
+    }
+
+    // Split children and boss minions join the current wave
+    addChildEnemy(enemy) {
+        this.addEnemy(enemy);
+        this.state.addChildEnemy();
+        this.emit('enemySpawned', { enemy, path: null });
+    }
+
+    // The obstacles changed under enemies already on the board: walkers take the new way round from where
+    // they stand (flyers keep their arc, and a walker with no way out keeps its old route)
+    rerouteEnemies() {
+        if (this.enemies.length === 0) return;
+
+        const obstacles = this.getObstacles();
+        for (const enemy of this.enemies) {
+            if (enemy.flying || enemy.hasReachedEnd()) continue;
+            const path = this.findPath(obstacles, enemy.getPosition());
+            if (path && path.length > 1) {
+                enemy.followPath(path);
+            }
+        }
+    }
+
+    updateEnemies() {
+        for (let i = this.enemies.length - 1; i >= 0; i--) {
+            const enemy = this.enemies[i];
+            enemy.update();
+            enemy.healAllies(this.enemies);
+            enemy.updateBossPhases();
+            for (const minion of enemy.takeSummonedMinions()) {
+                this.addChildEnemy(minion);
+            }
+            enemy.updateBeamAbility();
+            const beam = enemy.takeBeamActivation();
+            if (beam) {
+                this.applyBeam(enemy, beam);
+            }
+
+            if (enemy.hasReachedEnd()) {
+                this.enemies.splice(i, 1);
+                this.emit('enemyLeaked', { enemy });
+                this.state.loseHealth(enemy.leakDamage);
+                this.state.removeEnemy();
+
+                if (this.state.health <= 0) {
+                    this.finish('defeat');
+                } else {
+                    this.checkVictory();
+                }
+                continue;
+            }
+
+            // Damage over time can finish enemies off between hits
+            if (!enemy.isAlive()) {
+                this.handleEnemyKilled(enemy, 0.8);
+            }
+        }
+    }
+
+    updateTowers() {
+        for (const tower of this.towers) {
+            if (tower.isPulse) {
+                // Pulse towers hit every enemy in range at once
+                if (tower.canShoot()) {
+                    for (const deadEnemy of tower.shoot(this.enemies)) {
+                        this.handleEnemyKilled(deadEnemy, 0.6);
+                    }
+                }
+                continue;
+            }
+
+            const target = tower.findTarget(this.enemies);
+            if (target && tower.canShoot()) {
+                const projectile = tower.shoot(target);
+                if (projectile) {
+                    this.projectiles.push(projectile);
+                    this.emit('projectileFired', { projectile });
+                }
+            }
+        }
+    }
+
+    updateProjectiles() {
+        for (let i = this.projectiles.length - 1; i >= 0; i--) {
+            const projectile = this.projectiles[i];
+            projectile.update();
+
+            const hit = projectile.hasHitTarget();
+            if (!hit && !projectile.shouldRemove()) continue;
+
+            if (hit) {
+                const target = projectile.target;
+
+                projectile.applyDamage(target);
+                if (!target.isAlive()) {
+                    this.handleEnemyKilled(target, 0.8);
+                }
+
+                // Piercing shots carry on into enemies behind the target
+                for (const pierceTarget of projectile.getPierceTargets(this.enemies)) {
+                    projectile.applyDamage(pierceTarget);
+                    if (!pierceTarget.isAlive()) {
+                        this.handleEnemyKilled(pierceTarget, 0.6);
+                    }
+                }
+
+                for (const splashTarget of projectile.getSplashTargets(this.enemies)) {
+                    projectile.applyDamage(splashTarget, projectile.damage * 0.5);
+                    if (!splashTarget.isAlive()) {
+                        this.handleEnemyKilled(splashTarget, 0.6);
+                    }
+                }
+            }
+
+            this.projectiles.splice(i, 1);
+            this.emit('projectileRemoved', { projectile, hit });
+        }
+    }
+
+    // Remove a killed enemy, pay out its archetype's reward and release any split children
+    handleEnemyKilled(enemy, explosionSize) {
+        const index = this.enemies.indexOf(enemy);
+        if (index === -1) return;
+
+        this.emit('enemyKilled', { enemy, explosionSize });
+
+        // Children join the wave before the parent leaves it, so the wave can't end in between
+        for (const child of enemy.createSplitChildren()) {
+            this.addChildEnemy(child);
+        }
+
+        this.returnLiftedBlock(enemy);
+        this.creditKill(enemy);
+        this.enemies.splice(this.enemies.indexOf(enemy), 1);
+        this.state.removeEnemy();
+        this.state.addMoney(enemy.reward);
+        this.state.addScore(enemy.reward * 10);
+
+        this.checkVictory();
+    }
+
+    // Surviving the final wave wins once the field is clear, however its last enemy left. removeEnemy has
+    // already moved the state on to the next wave by then, so the wave cleared is the one before state.wave.
+    checkVictory() {
+        if (this.enemies.length === 0 && this.state.wave > this.finalWave) {
+            this.finish('victory');
+        }
+    }
+
+    // Count the kill for whichever tower dealt the final hit or damage-over-time tick
+    creditKill(enemy) {
+        if (enemy.killedBy && this.towers.includes(enemy.killedBy)) {
+            enemy.killedBy.kills++;
+        }
+    }
+
+    finish(outcome) {
+        if (this.isOver()) return;
+        this.outcome = outcome;
+        this.emit('gameOver', { victory: outcome === 'victory' });
+    }
+
+    // === BEAM ABILITIES ===
+
+    // Apply a UFO's beam ability to whatever is under it
+    applyBeam(enemy, beam) {
+        const position = enemy.getPosition();
+
+        if (beam.ability === 'disable_tower') {
+            const candidates = this.towers.filter(tower => !tower.isSupport && !tower.isDisabled());
+            const tower = findBeamTarget(position, candidates, beam.radius, candidate => candidate.getPosition());
+            if (tower) {
+                tower.disable(beam.duration);
+                this.emit('towerDisabled', { enemy, tower });
+            }
+        } else if (beam.ability === 'steal_money') {
+            const amount = getStolenAmount(beam, this.state.getMoney());
+            if (amount > 0 && this.state.spendMoney(amount)) {
+                this.emit('moneyStolen', { enemy, amount });
+            }
+        } else if (beam.ability === 'lift_block' && !enemy.liftedBlock && this.maze) {
+            this.liftBlock(enemy, beam.radius);
+        }
+    }
+
+    // Carry off the nearest maze shape in reach; shapes with towers on them stay put
+    liftBlock(enemy, radius) {
+        const towerCells = new Set(this.towers.map(tower => `${tower.position.x.toFixed(1)}_${tower.position.z.toFixed(1)}`));
+
+        const cells = [];
+        for (const shape of this.maze.placedShapes) {
+            const shapeCells = shape.getWorldCells();
+            if (shapeCells.some(cell => towerCells.has(`${cell.x.toFixed(1)}_${cell.z.toFixed(1)}`))) continue;
+            cells.push(...shapeCells.map(cell => ({ shape, x: cell.x, z: cell.z })));
+        }
+
+        const target = findBeamTarget(enemy.getPosition(), cells, radius, cell => cell);
+        if (!target) return;
+
+        // The maze hands back whatever it needs to put the shape back (its mesh in the browser)
+        const handle = this.maze.liftShape(target.shape);
+        enemy.liftedBlock = { shape: target.shape, mesh: handle };
+        this.rerouteEnemies();
+        this.emit('blockLifted', { enemy, shape: target.shape, mesh: handle });
+    }
+
+    // A shot-down UFO drops its block back in place, unless the path can no longer get around it
+    returnLiftedBlock(enemy) {
+        const lifted = enemy.liftedBlock;
+        if (!lifted) return;
+        enemy.liftedBlock = null;
+
+        const path = this.findPath([...this.getObstacles(), ...lifted.shape.getWorldCells()]);
+        if (path && this.maze.restoreShape(lifted.shape, lifted.mesh)) {
+            this.rerouteEnemies();
+            this.emit('blockRecovered', { enemy, shape: lifted.shape });
+        } else {
+            this.emit('blockLost', { enemy, shape: lifted.shape, mesh: lifted.mesh });
+        }
+    }
+}
@@ -0,0 +1,236 @@
+// Money, health, score, phases and wave progression of a single player game, on the simulation's clock.
+// The client GameState extends this with the HUD and DOM events; headless runs use it as is.
+import { DEFAULT_WAVE_SCRIPT } from '../config/WaveScript.js';
+
+export class SimulationState {
+    /**
+     * @param {WaveScript} waveScript - The level's waves (the shared waves.json unless it has its own)
+     * @param {Object} options
+     * @param {{log: function(...*)}} options.logger - Where wave and phase changes are reported (console, or
+     *        SILENT_LOGGER from Clock.js for headless runs)
+     */
+    constructor(waveScript = DEFAULT_WAVE_SCRIPT, { logger = console } = {}) {
+        this.waveScript = waveScript;
+        this.logger = logger;
+        this.time = 0; // ms of game time, advanced by the simulation one tick at a time
+        this.money = 100;
+        this.score = 0;
+        this.wave = 1;
+        this.enemiesCount = 0;
+        this.maxEnemies = waveScript.getWaveEnemyCount(1);
+        this.health = 100;
+        this.maxHealth = 100;
+        // How many enemies have been spawned in the current wave
+        this.enemiesSpawned = 0;
+        // Delay before the first wave; later waves use their scripted intermission
+        this.waveDelay = waveScript.intermission;
+        this.waveCooldownEnd = 0; // Game time until which spawning is paused
+        this.firstWaveStarted = false;
+
+        // Game phases: 'MAZE_BUILDING' or 'DEFENSE'
+        this.currentPhase = 'MAZE_BUILDING';
+        this.mazeCompleted = false;
+
+        // Track when to give new shapes
+        this.lastShapeWave = 0;
+        this.wavesPerShape = 5;
+    }
+
+    // Hooks for the client (HUD refresh and DOM events); no-ops when headless
+    onChanged() {}
+    onMoneyChanged() {}
+    onPhaseChanged(phase) {}
+
+    addMoney(amount) {
+        this.money += amount;
+        this.onChanged();
+        this.onMoneyChanged();
+    }
+
+    spendMoney(amount) {
+        if (this.money >= amount) {
+            this.money -= amount;
+            this.onChanged();
+            this.onMoneyChanged();
+            return true;
+        }
+        return false;
+    }
+
+    addScore(points) {
+        this.score += points;
+        this.onChanged();
+    }
+
+    addEnemy() {
+        this.enemiesCount++;
+        this.enemiesSpawned++;
+        this.onChanged();
+    }
+
+    // Enemies released by splitters or summoned by bosses count towards the wave but not the spawn limit
+    addChildEnemy() {
+        this.enemiesCount++;
+        this.onChanged();
+    }
+
+    removeEnemy() {
+        this.enemiesCount--;
+        // The wave is over once its whole script has spawned and nothing is left alive
+        if (this.enemiesCount <= 0 && this.enemiesSpawned >= this.maxEnemies) {
+            const intermission = this.waveScript.getWaveIntermission(this.wave);
+            this.wave++;
+            this.enemiesCount = 0;
+            this.maxEnemies = this.waveScript.getWaveEnemyCount(this.wave);
+            this.enemiesSpawned = 0;
+
+            if (this.shouldGiveNewShape()) {
+                // At level 5 (and multiples of 5), skip the countdown and go directly to building phase
+                this.lastShapeWave = this.wave;
+                this.resetToMazeBuildingPhase();
+                this.logger.log(`Wave ${this.wave}: Skipping countdown for shape wave - immediate building phase transition`);
+            } else {
+                // For regular waves, use the normal countdown
+                this.waveCooldownEnd = this.time + intermission;
+                this.logger.log(`Wave ${this.wave}: Starting ${intermission/1000}s countdown before next wave`);
+            }
+
+            this.addMoney(50); // Wave completion bonus
+            this.addScore(500);
+        }
+        this.onChanged();
+    }
+
+    getWave() {
+        return this.wave;
+    }
+
+    getMoney() {
+        return this.money;
+    }
+
+    getScore() {
+        return this.score;
+    }
+
+    getEnemiesCount() {
+        return this.enemiesCount;
+    }
+
+    getMaxEnemies() {
+        return this.maxEnemies;
+    }
+
+    // True while the countdown before a wave is running
+    isWaveCoolingDown() {
+        return this.time < this.waveCooldownEnd;
+    }
+
+    getWaveCooldownEnd() {
+        return this.waveCooldownEnd;
+    }
+
+    // ms of countdown left before the next wave
+    getWaveCooldownRemaining() {
+        return Math.max(0, this.waveCooldownEnd - this.time);
+    }
+
+    // True if we can spawn an enemy (spawn limit + cooldown)
+    canSpawnMore() {
+        // Don't spawn enemies until the first wave countdown is complete
+        if (!this.firstWaveStarted || this.isWaveCoolingDown()) {
+            return false;
+        }
+        return this.enemiesSpawned < this.maxEnemies;
+    }
+
+    canAfford(cost) {
+        return this.money >= cost;
+    }
+
+    getHealth() {
+        return this.health;
+    }
+
+    getMaxHealth() {
+        return this.maxHealth;
+    }
+
+    loseHealth(amount) {
+        this.health = Math.max(0, this.health - amount);
+        this.onChanged();
+        return this.health <= 0; // Return true if player died
+    }
+
+    healHealth(amount) {
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        this.onChanged();
+    }
+
+    // Phase management methods
+    getCurrentPhase() {
+        return this.currentPhase;
+    }
+
+    isMazeBuilding() {
+        return this.currentPhase === 'MAZE_BUILDING';
+    }
+
+    isDefensePhase() {
+        return this.currentPhase === 'DEFENSE';
+    }
+
+    startDefensePhase() {
+        this.currentPhase = 'DEFENSE';
+        this.mazeCompleted = true;
+        this.onChanged();
+        this.onPhaseChanged('DEFENSE');
+        this.logger.log('Defense phase started!');
+    }
+
+    resetToMazeBuildingPhase() {
+        this.currentPhase = 'MAZE_BUILDING';
+        this.mazeCompleted = false;
+        this.onChanged();
+        this.onPhaseChanged('MAZE_BUILDING');
+    }
+
+    shouldGiveNewShape() {
+        // Give a new shape every 5 waves
+        return this.wave > this.lastShapeWave && this.wave % this.wavesPerShape === 0;
+    }
+
+    startFirstWaveCountdown() {
+        this.waveCooldownEnd = this.time + this.waveDelay;
+        this.firstWaveStarted = true;
+    }
+
+    // Plain data for a saved run (see SaveGame.js)
+    serialize() {
+        return {
+            time: this.time,
+            money: this.money,
+            score: this.score,
+            wave: this.wave,
+            enemiesCount: this.enemiesCount,
+            health: this.health,
+            maxHealth: this.maxHealth,
+            enemiesSpawned: this.enemiesSpawned,
+            waveCooldownEnd: this.waveCooldownEnd,
+            firstWaveStarted: this.firstWaveStarted,
+            currentPhase: this.currentPhase,
+            lastShapeWave: this.lastShapeWave
+        };
+    }
+
+    // Pick a saved run back up; the phase is restored quietly, the caller sets up for it
+    restore(data) {
+        for (const field of Object.keys(this.serialize())) {
+            this[field] = data[field];
+        }
+        this.maxEnemies = this.waveScript.getWaveEnemyCount(this.wave); // The script may have changed since the save
+        this.mazeCompleted = this.currentPhase === 'DEFENSE';
+        this.onChanged();
+        this.onMoneyChanged();
+    }
+}
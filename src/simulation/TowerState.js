@@ -0,0 +1,336 @@
+// A single tower as the simulation sees it: stats, upgrades, targeting and firing, with no meshes.
+// The client Tower renders one of these.
+import {
+    calculateRefundAmount,
+    calculateUpgradeCost,
+    calculateUpgradedStats,
+    getSpecialization,
+    getSpecializationChoices,
+    getTowerDefinition
+} from '../config/TowerCatalog.js';
+import { DEFAULT_TARGETING_MODE, isValidTargetingMode, selectTarget } from '../config/TargetingModes.js';
+import { NO_AURA, describeAura } from '../config/Auras.js';
+import { FLAT_TERRAIN, HIGH_GROUND_RANGE_BONUS, TERRACE_HEIGHT } from '../config/Terrain.js';
+import { WALL_CLOCK } from './Clock.js';
+import { ProjectileState } from './ProjectileState.js';
+import { add, distance, normalize, scale, subtract, vector } from './vectors.js';
+
+const TOWER_HEIGHT = 0.5;   // Towers sit on top of a maze block
+const MUZZLE_HEIGHT = 0.4;  // Projectiles leave this far above the tower base...
+const MUZZLE_OFFSET = 0.3;  // ...and this far out towards the target
+
+export class TowerState {
+    /**
+     * @param {string} type - Tower id from towers.json
+     * @param {{x: number, z: number}} position - Grid cell centre
+     * @param {Object} options
+     * @param {{now: function(): number}} options.clock - Time in ms: the simulation's, or WALL_CLOCK outside one
+     * @param {Terrain} options.terrain - The level's terrain; towers on high ground reach further
+     */
+    constructor(type, { x, z }, { clock = WALL_CLOCK, terrain = FLAT_TERRAIN } = {}) {
+        const config = getTowerDefinition(type);
+
+        this.id = null; // Assigned by the simulation
+        this.clock = clock;
+        this.type = type;
+        this.elevation = terrain.getCellHeight(x, z); // Terrain level of the tower's cell
+        this.position = vector(x, TOWER_HEIGHT + this.elevation * TERRACE_HEIGHT, z);
+        this.isPulse = config.attack === 'pulse'; // Hits everything in range instead of firing
+        this.isSupport = config.attack === 'support'; // Deals no damage, buffs towers in range
+        this.antiAir = !!config.antiAir; // Only anti-air towers can hit flying enemies
+        this.damageType = config.damageType || null; // Checked against enemy armor and resistances
+        this.auraModifiers = NO_AURA; // Bonuses from support towers in range, see setAuraModifiers
+        this.level = 1;
+        this.specialization = null; // Branch chosen at the catalogue's branchLevel
+        this.lastShotTime = -Infinity; // Ready to fire as soon as it is placed
+        this.targetingMode = DEFAULT_TARGETING_MODE;
+        this.kills = 0; // Enemies this tower finished off, including with damage over time
+        this.damageDealt = 0; // Health taken off enemies (overkill doesn't count)
+        this.disabledUntil = 0; // Knocked out by a UFO beam until this time
+        this.currentTarget = null;
+
+        // Set by the view to hear about upgrades, range changes and pulse hits: (type, detail) => void
+        this.onEvent = null;
+
+        this.updateStatsFromLevel();
+    }
+
+    emit(type, detail = {}) {
+        if (this.onEvent) this.onEvent(type, detail);
+    }
+
+    // Update tower stats from base + level (+ specialization), then any aura and high ground bonuses
+    updateStatsFromLevel() {
+        const previousRange = this.range;
+        const stats = calculateUpgradedStats(this.type, this.level, this.specialization);
+        const aura = this.auraModifiers;
+        const highGround = 1 + this.elevation * HIGH_GROUND_RANGE_BONUS;
+        if (stats) {
+            this.damage = Math.floor(stats.damage * aura.damageMultiplier);
+            this.fireRate = parseFloat((stats.fireRate * aura.fireRateMultiplier).toFixed(2));
+            this.range = stats.range * aura.rangeMultiplier * highGround;
+            this.splashRadius = stats.splashRadius;
+            this.pierce = stats.pierce;
+            this.shredDuration = stats.shredDuration;
+            this.effect = stats.effect;
+        } else {
+            // Fallback to base stats
+            const config = getTowerDefinition(this.type);
+            this.damage = config.damage;
+            this.fireRate = config.fireRate;
+            this.range = config.range * highGround;
+            this.splashRadius = config.splashRadius;
+            this.pierce = 0;
+            this.shredDuration = 0;
+            this.effect = config.effect || null;
+        }
+
+        if (previousRange !== undefined && this.range !== previousRange) {
+            this.emit('rangeChanged', { range: this.range });
+        }
+    }
+
+    /**
+     * Pick a target among the enemies in range using the tower's targeting mode
+     * @param {EnemyState[]} enemies
+     * @returns {EnemyState|null}
+     */
+    findTarget(enemies) {
+        if (this.isSupport) {
+            return null;
+        }
+
+        if (this.isPulse) {
+            // Pulse tower doesn't need to find specific target
+            return enemies.length > 0 ? enemies[0] : null;
+        }
+
+        const candidates = [];
+        for (const enemy of enemies) {
+            if (!enemy.isAlive() || !this.canTarget(enemy)) continue;
+
+            const enemyDistance = distance(this.position, enemy.getPosition());
+            if (enemyDistance <= this.range) {
+                candidates.push({
+                    enemy,
+                    distance: enemyDistance,
+                    progress: enemy.getPathProgress(),
+                    health: enemy.health
+                });
+            }
+        }
+
+        this.currentTarget = selectTarget(candidates, this.targetingMode);
+        return this.currentTarget;
+    }
+
+    /**
+     * Fire at a target. Pulse towers take every enemy instead and hit all of them in range.
+     * @returns {ProjectileState|EnemyState[]|null} The projectile, the enemies a pulse killed, or null if not ready
+     */
+    shoot(target) {
+        if (!this.canShoot()) return null;
+
+        this.lastShotTime = this.clock.now();
+
+        if (this.isPulse) {
+            const enemies = target;
+            const deadEnemies = [];
+
+            for (const enemy of enemies) {
+                if (!this.canTarget(enemy)) continue;
+                if (distance(this.position, enemy.getPosition()) > this.range) continue;
+
+                enemy.takeDamage(this.damage, { source: this, damageType: this.damageType });
+                if (this.shredDuration > 0) {
+                    enemy.applyEffect('weaken', this.shredDuration);
+                }
+                if (this.effect && enemy.isAlive()) {
+                    enemy.applyEffect(this.effect.type, this.effect.duration, {
+                        damagePerTick: this.effect.damagePerTick,
+                        damageType: this.damageType,
+                        source: this
+                    });
+                }
+
+                if (!enemy.isAlive()) {
+                    deadEnemies.push(enemy);
+                }
+
+                this.emit('pulseHit', { position: enemy.getPosition() });
+            }
+
+            return deadEnemies;
+        }
+
+        // Leave from just above the tower, a little way out towards the target
+        const towards = subtract(target.getPosition(), this.position);
+        towards.y = 0;
+        const muzzle = add(
+            vector(this.position.x, this.position.y + MUZZLE_HEIGHT, this.position.z),
+            scale(normalize(towards), MUZZLE_OFFSET)
+        );
+
+        return new ProjectileState(muzzle, target, this.damage, 0, this.type, {
+            pierce: this.pierce,
+            shredDuration: this.shredDuration,
+            effect: this.effect,
+            source: this,
+            damageType: this.damageType
+        });
+    }
+
+    // Stealth enemies can only be targeted with a revealing aura in range
+    canSee(enemy) {
+        return !enemy.stealth || this.auraModifiers.revealsStealth;
+    }
+
+    // Visible, and on the ground unless this is an anti-air tower
+    canTarget(enemy) {
+        return this.canSee(enemy) && (!enemy.flying || this.antiAir);
+    }
+
+    canShoot() {
+        return !this.isDisabled() && this.clock.now() - this.lastShotTime > (1000 / this.fireRate);
+    }
+
+    // A disable_tower beam knocks the tower out for duration ms (longer disables win)
+    disable(duration) {
+        this.disabledUntil = Math.max(this.disabledUntil, this.clock.now() + duration);
+    }
+
+    // Mirror the server's disable countdown (multiplayer)
+    syncDisabled(remaining = 0) {
+        this.disabledUntil = this.clock.now() + remaining;
+    }
+
+    isDisabled() {
+        return this.clock.now() < this.disabledUntil;
+    }
+
+    getPosition() {
+        return this.position;
+    }
+
+    // Check if tower can be upgraded
+    canUpgrade() {
+        const config = getTowerDefinition(this.type);
+        return !!config && !!config.upgrade && this.level < config.upgrade.maxLevel;
+    }
+
+    // Get upgrade cost for next level (null when the next level needs a specialization choice)
+    getUpgradeCost() {
+        return calculateUpgradeCost(this.type, this.level, this.specialization);
+    }
+
+    // Specializations to pick from for the next upgrade, empty unless at the branch level
+    getSpecializationChoices() {
+        return getSpecializationChoices(this.type, this.level);
+    }
+
+    // Get refund amount for destroying this tower
+    getRefundAmount() {
+        return calculateRefundAmount(this.type, this.level, this.specialization);
+    }
+
+    // Upgrade tower to next level. At the branch level a specialization id must be given.
+    upgrade(specializationId = null) {
+        if (!this.canUpgrade()) {
+            return false;
+        }
+
+        if (this.getSpecializationChoices().length > 0) {
+            if (!getSpecialization(this.type, specializationId)) {
+                return false;
+            }
+            this.specialization = specializationId;
+        }
+
+        this.level++;
+        this.updateStatsFromLevel();
+        this.emit('upgraded', { level: this.level });
+
+        return true;
+    }
+
+    // Apply bonuses from the support towers around this one (see getAuraModifiers)
+    setAuraModifiers(modifiers) {
+        this.auraModifiers = modifiers;
+        this.updateStatsFromLevel();
+    }
+
+    setTargetingMode(mode) {
+        if (!isValidTargetingMode(mode)) return false;
+        this.targetingMode = mode;
+        return true;
+    }
+
+    // Plain data for a saved run (see SaveGame.js); auras are recomputed on load
+    serialize() {
+        return {
+            id: this.id,
+            type: this.type,
+            x: this.position.x,
+            z: this.position.z,
+            level: this.level,
+            specialization: this.specialization,
+            targetingMode: this.targetingMode,
+            kills: this.kills,
+            damageDealt: this.damageDealt,
+            disabledUntil: this.disabledUntil,
+            lastShotTime: Number.isFinite(this.lastShotTime) ? this.lastShotTime : null
+        };
+    }
+
+    /**
+     * Rebuild a saved tower
+     * @param {Object} data - From serialize
+     * @param {Object} options - Same as the constructor's
+     * @returns {TowerState}
+     */
+    static deserialize(data, options) {
+        const tower = new TowerState(data.type, { x: data.x, z: data.z }, options);
+        tower.id = data.id;
+        tower.level = data.level;
+        tower.specialization = data.specialization;
+        tower.targetingMode = data.targetingMode;
+        tower.kills = data.kills;
+        tower.damageDealt = data.damageDealt ?? 0;
+        tower.disabledUntil = data.disabledUntil;
+        tower.lastShotTime = data.lastShotTime ?? -Infinity;
+        tower.updateStatsFromLevel();
+        return tower;
+    }
+
+    // Get tower info for UI display
+    getTowerInfo() {
+        const config = getTowerDefinition(this.type);
+        return {
+            type: this.type,
+            name: config.name,
+            level: this.level,
+            maxLevel: config.upgrade ? config.upgrade.maxLevel : 1,
+            damage: this.damage,
+            fireRate: this.fireRate,
+            range: this.range,
+            elevation: this.elevation,
+            isPulse: this.isPulse,
+            isSupport: this.isSupport,
+            damageType: this.damageType,
+            aura: this.isSupport ? describeAura(config.aura) : null,
+            auraSources: this.auraModifiers.sources.map(source => ({
+                name: source.name,
+                description: describeAura(source.aura)
+            })),
+            effect: this.effect,
+            kills: this.kills,
+            upgradeCost: this.getUpgradeCost(),
+            refundAmount: this.getRefundAmount(),
+            canUpgrade: this.canUpgrade(),
+            targetingMode: this.targetingMode,
+            specialization: this.specialization,
+            specializationName: this.specialization ? getSpecialization(this.type, this.specialization).name : null,
+            specializationChoices: this.getSpecializationChoices()
+        };
+    }
+}
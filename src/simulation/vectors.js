@@ -0,0 +1,40 @@
+// Plain {x, y, z} vector maths for the simulation. THREE.Vector3s have the same fields,
+// so they can be passed in too, but results are always new plain objects.
+
+export function vector(x = 0, y = 0, z = 0) {
+    return { x, y, z };
+}
+
+export function copyVector(v) {
+    return { x: v.x, y: v.y, z: v.z };
+}
+
+export function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+export function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y, z: a.z - b.z };
+}
+
+export function scale(v, factor) {
+    return { x: v.x * factor, y: v.y * factor, z: v.z * factor };
+}
+
+export function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+export function length(v) {
+    return Math.sqrt(v.x * v.x + v.y * v.y + v.z * v.z);
+}
+
+export function distance(a, b) {
+    return length(subtract(a, b));
+}
+
+// Unit vector in the same direction; a zero vector stays zero
+export function normalize(v) {
+    const len = length(v);
+    return len > 0 ? scale(v, 1 / len) : { x: 0, y: 0, z: 0 };
+}
@@ -0,0 +1,95 @@
+import { gameClock } from '../core/GameClock.js';
+
+/**
+ * HUD warnings for UFO beam abilities: towers knocked out, money stolen, blocks carried off
+ */
+export class BeamWarningUI {
+    constructor() {
+        this.container = document.createElement('div');
+        this.container.className = 'beam-warning';
+        this.container.style.display = 'none';
+
+        // Ongoing problems (disabled towers, abducted blocks), refreshed every frame
+        this.statusText = document.createElement('div');
+        this.statusText.className = 'beam-warning-status';
+        this.container.appendChild(this.statusText);
+
+        // One-off events that fade after a few seconds
+        this.eventList = document.createElement('div');
+        this.container.appendChild(this.eventList);
+        this.events = []; // { element, expiresAt }
+
+        // Add styles
+        this.style = document.createElement('style');
+        this.style.textContent = `
+            .beam-warning {
+                margin-top: 10px;
+                width: 260px;
+                padding: 8px 14px;
+                background: rgba(40, 20, 0, 0.9);
+                border: 2px solid #ff8800;
+                border-radius: 10px;
+                color: #ffcc88;
+                font-size: 12px;
+                pointer-events: none;
+            }
+
+            .beam-warning-status {
+                font-weight: bold;
+                color: #ff8800;
+            }
+
+            .beam-warning-event {
+                margin-top: 4px;
+                transition: opacity 0.3s ease;
+            }
+        `;
+        document.head.appendChild(this.style);
+
+        // Anchor under the HUD stats when the page has them
+        (document.getElementById('hud') || document.body).appendChild(this.container);
+    }
+
+    /**
+     * Show a one-off warning for a few seconds
+     * @param {string} message - e.g. "Drone stole 5 money"
+     * @param {number} duration - Game ms before it disappears, so it waits while the game is paused
+     */
+    notify(message, duration = 3000) {
+        const element = document.createElement('div');
+        element.className = 'beam-warning-event';
+        element.textContent = `⚠️ ${message}`;
+        this.eventList.appendChild(element);
+        this.events.push({ element, expiresAt: gameClock.now() + duration });
+    }
+
+    /**
+     * Refresh the ongoing warnings and drop expired events
+     * @param {{disabledTowers: number, liftedBlocks: number}} status
+     */
+    update({ disabledTowers = 0, liftedBlocks = 0 } = {}) {
+        const now = gameClock.now();
+        this.events = this.events.filter(event => {
+            if (now < event.expiresAt) return true;
+            event.element.remove();
+            return false;
+        });
+
+        const parts = [];
+        if (disabledTowers > 0) parts.push(`${disabledTowers} tower${disabledTowers > 1 ? 's' : ''} disabled`);
+        if (liftedBlocks > 0) parts.push(`${liftedBlocks} block${liftedBlocks > 1 ? 's' : ''} abducted - shoot down the UFO`);
+        this.statusText.textContent = parts.length > 0 ? `🛸 ${parts.join(', ')}` : '';
+        this.statusText.style.display = parts.length > 0 ? 'block' : 'none';
+
+        this.container.style.display = parts.length > 0 || this.events.length > 0 ? 'block' : 'none';
+    }
+
+    cleanup() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        if (this.style && this.style.parentNode) {
+            this.style.parentNode.removeChild(this.style);
+        }
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * Boss health bar shown under the HUD while a boss is on the field
+ */
+export class BossHealthBar {
+    constructor() {
+        this.container = document.createElement('div');
+        this.container.className = 'boss-health-bar';
+        this.container.style.display = 'none';
+
+        this.nameText = document.createElement('div');
+        this.nameText.className = 'boss-health-name';
+        this.container.appendChild(this.nameText);
+
+        const track = document.createElement('div');
+        track.className = 'boss-health-track';
+        this.fill = document.createElement('div');
+        this.fill.className = 'boss-health-fill';
+        track.appendChild(this.fill);
+        this.container.appendChild(track);
+
+        this.phaseText = document.createElement('div');
+        this.phaseText.className = 'boss-health-phase';
+        this.container.appendChild(this.phaseText);
+
+        // Add styles
+        this.style = document.createElement('style');
+        this.style.textContent = `
+            .boss-health-bar {
+                margin-top: 10px;
+                width: 260px;
+                padding: 10px 14px;
+                background: rgba(10, 20, 35, 0.9);
+                border: 2px solid #ff3355;
+                border-radius: 10px;
+                color: white;
+                pointer-events: none;
+            }
+
+            .boss-health-name {
+                font-size: 14px;
+                margin-bottom: 6px;
+                color: #ff6677;
+            }
+
+            .boss-health-track {
+                height: 12px;
+                background: rgba(255, 255, 255, 0.15);
+                border-radius: 6px;
+                overflow: hidden;
+            }
+
+            .boss-health-fill {
+                height: 100%;
+                background: linear-gradient(90deg, #ff3355, #ff9933);
+                transition: width 0.2s ease;
+            }
+
+            .boss-health-phase {
+                margin-top: 6px;
+                font-size: 12px;
+                color: #ccc;
+            }
+        `;
+        document.head.appendChild(this.style);
+
+        // Anchor under the HUD stats when the page has them
+        (document.getElementById('hud') || document.body).appendChild(this.container);
+    }
+
+    /**
+     * Track the first living boss among the enemies, or hide when there is none
+     * @param {Iterable<Enemy>} enemies - Enemies currently on the field
+     */
+    update(enemies) {
+        let boss = null;
+        for (const enemy of enemies) {
+            if (enemy.boss && enemy.isAlive()) {
+                boss = enemy;
+                break;
+            }
+        }
+
+        if (!boss) {
+            this.container.style.display = 'none';
+            return;
+        }
+
+        const percent = Math.max(0, Math.min(100, (boss.health / boss.maxHealth) * 100));
+        this.container.style.display = 'block';
+        this.nameText.textContent = boss.archetype.name;
+        this.fill.style.width = `${percent}%`;
+        this.phaseText.textContent = boss.getBossPhaseName() || `${Math.ceil(percent)}%`;
+    }
+
+    cleanup() {
+        if (this.container && this.container.parentNode) {
+            this.container.parentNode.removeChild(this.container);
+        }
+        if (this.style && this.style.parentNode) {
+            this.style.parentNode.removeChild(this.style);
+        }
+    }
+}
@@ -1,7 +1,17 @@
+import { COOPERATIVE_LEVEL_ID, DEFAULT_LEVEL_ID, getLevel, getLevelsForMode } from '../config/Levels.js';
+import { getGeneratedLevelId, parseMapSeed } from '../config/MapGenerator.js';
+import { createSeed } from '../simulation/Random.js';
+import { parseReplay } from '../simulation/Replay.js';
+import { describeSave } from '../simulation/SaveGame.js';
+import { saveManager } from '../managers/SaveManager.js';
+
 export class GameModeSelector {
     constructor() {
         this.container = null;
         this.onModeSelected = null;
+        this.selectedLevelId = DEFAULT_LEVEL_ID; // Map single player starts on
+        this.selectedCoopLevelId = COOPERATIVE_LEVEL_ID; // Map quick match looks for a partner on
+        this.mapSeed = createSeed(); // Seed of the random map, when that's picked
         this.createSelector();
     }
     
@@ -30,6 +40,21 @@ export class GameModeSelector {
                                 <li>Defend against enemy waves</li>
                                 <li>Unlock towers and upgrades</li>
                             </ul>
+                            <div class="level-picker">
+                                <label>Map
+                                    <select class="level-select">
+                                        ${getLevelsForMode('singleplayer').map(level => `
+                                            <option value="${level.id}">${level.name} (${level.gridSize}×${level.gridSize})</option>
+                                        `).join('')}
+                                        <option value="random">🎲 Random map (20×20)</option>
+                                    </select>
+                                </label>
+                                <label class="map-seed-row" style="display: none;">Seed
+                                    <input class="map-seed-input" type="text" inputmode="numeric" title="Same seed, same map: share it to play the same board">
+                                    <button class="map-seed-reroll" title="New random map">🎲</button>
+                                </label>
+                                <p class="level-description"></p>
+                            </div>
                             <button class="mode-btn single-btn">Play Solo</button>
                         </div>
                         
@@ -42,6 +67,16 @@ export class GameModeSelector {
                                 <li>Shared resources and objectives</li>
                                 <li>Turn-based building phase</li>
                             </ul>
+                            <div class="level-picker">
+                                <label>Map
+                                    <select class="level-select">
+                                        ${getLevelsForMode('cooperative').map(level => `
+                                            <option value="${level.id}">${level.name} (${level.gridSize}×${level.gridSize})</option>
+                                        `).join('')}
+                                    </select>
+                                </label>
+                                <p class="level-description"></p>
+                            </div>
                             <button class="mode-btn multi-btn">Quick Match</button>
                             <div class="matchmaking-status" style="display: none;">
                                 <div class="spinner"></div>
@@ -51,6 +86,15 @@ export class GameModeSelector {
                         </div>
                     </div>
                     
+                    <div class="extra-options">
+                        <button class="extra-btn continue-btn" style="display: none;">▶ Continue</button>
+                        <button class="extra-btn load-save-btn">📂 Load Save</button>
+                        <input class="save-file-input" type="file" accept=".json,application/json" style="display: none;">
+                        <button class="extra-btn watch-replay-btn">🎬 Watch Replay</button>
+                        <input class="replay-file-input" type="file" accept=".json,application/json" style="display: none;">
+                        <button class="extra-btn level-editor-btn">🛠 Level Editor</button>
+                    </div>
+                    
                     <div class="server-status" id="server-status">
                         <span class="status-text">Checking server connection...</span>
                     </div>
@@ -60,6 +104,7 @@ export class GameModeSelector {
         
         document.body.appendChild(this.container);
         this.setupEventListeners();
+        this.updateContinueOption();
         this.checkServerStatus();
     }
     
@@ -82,6 +127,74 @@ export class GameModeSelector {
             });
         });
 
+        // Map picker: choosing a map shouldn't start the game
+        const levelSelect = this.container.querySelector('[data-mode="singleplayer"] .level-select');
+        levelSelect.value = this.selectedLevelId;
+        levelSelect.addEventListener('click', (event) => event.stopPropagation());
+        levelSelect.addEventListener('change', () => this.selectLevel(levelSelect.value));
+        this.selectLevel(this.selectedLevelId);
+
+        // Cooperative map picker: players are matched with someone who picked the same map
+        const coopLevelSelect = this.container.querySelector('[data-mode="multiplayer"] .level-select');
+        coopLevelSelect.value = this.selectedCoopLevelId;
+        coopLevelSelect.addEventListener('click', (event) => event.stopPropagation());
+        coopLevelSelect.addEventListener('change', () => this.selectCoopLevel(coopLevelSelect.value));
+        this.selectCoopLevel(this.selectedCoopLevelId);
+
+        // Random map seed: type one in (e.g. from a friend) or roll a new one
+        const seedRow = this.container.querySelector('.map-seed-row');
+        const seedInput = this.container.querySelector('.map-seed-input');
+        seedRow.addEventListener('click', (event) => event.stopPropagation());
+        seedInput.addEventListener('change', () => {
+            const seed = parseMapSeed(seedInput.value);
+            if (seed === null) {
+                seedInput.value = this.mapSeed; // Not a seed; keep the last good one
+                return;
+            }
+            this.mapSeed = seed;
+            this.selectLevel('random');
+        });
+        this.container.querySelector('.map-seed-reroll').addEventListener('click', () => {
+            this.mapSeed = createSeed();
+            this.selectLevel('random');
+        });
+
+        // Continue the stored single player run
+        this.container.querySelector('.continue-btn').addEventListener('click', () => {
+            const save = saveManager.load();
+            if (save) this.continueRun(save);
+        });
+
+        // Saved run file picker
+        const saveInput = this.container.querySelector('.save-file-input');
+        this.container.querySelector('.load-save-btn').addEventListener('click', () => {
+            saveInput.click();
+        });
+        saveInput.addEventListener('change', () => {
+            const file = saveInput.files[0];
+            saveInput.value = ''; // Let the same file be picked again
+            if (file) this.loadSaveFile(file);
+        });
+
+        // Replay file picker
+        const replayInput = this.container.querySelector('.replay-file-input');
+        this.container.querySelector('.watch-replay-btn').addEventListener('click', () => {
+            replayInput.click();
+        });
+        replayInput.addEventListener('change', () => {
+            const file = replayInput.files[0];
+            replayInput.value = ''; // Let the same file be picked again
+            if (file) this.loadReplay(file);
+        });
+
+        // Level editor
+        this.container.querySelector('.level-editor-btn').addEventListener('click', () => {
+            if (this.onModeSelected) {
+                this.onModeSelected('editor');
+            }
+            this.hide();
+        });
+
         // Cancel matchmaking button
         const cancelButton = this.container.querySelector('.cancel-btn');
         if (cancelButton) {
@@ -93,7 +206,8 @@ export class GameModeSelector {
         
         // Keyboard shortcuts
         document.addEventListener('keydown', (event) => {
-            if (this.container.style.display !== 'none') {
+            // Typing a map seed isn't a shortcut
+            if (this.container.style.display !== 'none' && !event.target.matches?.('input')) {
                 switch (event.code) {
                     case 'Digit1':
                     case 'KeyS':
@@ -139,7 +253,7 @@ export class GameModeSelector {
         
         // Call the mode selection callback for singleplayer
         if (this.onModeSelected) {
-            this.onModeSelected(mode);
+            this.onModeSelected(mode, { levelId: this.selectedLevelId });
         }
         
         // Hide the selector only for singleplayer
@@ -148,6 +262,70 @@ export class GameModeSelector {
         }
     }
 
+    /**
+     * @param {string} levelId - A level's id, or 'random' for the map generated from the current seed
+     */
+    selectLevel(levelId) {
+        const isRandom = levelId === 'random';
+        this.selectedLevelId = isRandom ? getGeneratedLevelId(this.mapSeed) : levelId;
+        this.container.querySelector('.map-seed-row').style.display = isRandom ? 'flex' : 'none';
+        this.container.querySelector('.map-seed-input').value = this.mapSeed;
+        this.container.querySelector('[data-mode="singleplayer"] .level-description').textContent = getLevel(this.selectedLevelId).description;
+    }
+
+    /**
+     * @param {string} levelId - One of getLevelsForMode('cooperative')
+     */
+    selectCoopLevel(levelId) {
+        this.selectedCoopLevelId = levelId;
+        this.container.querySelector('[data-mode="multiplayer"] .level-description').textContent = getLevel(levelId).description;
+    }
+
+    // Offer "Continue" when a single player run is stored
+    updateContinueOption() {
+        const continueButton = this.container.querySelector('.continue-btn');
+        const save = saveManager.load();
+        continueButton.style.display = save ? 'inline-block' : 'none';
+        if (save) {
+            continueButton.textContent = `▶ Continue (${describeSave(save)})`;
+        }
+    }
+
+    async loadSaveFile(file) {
+        let save;
+        try {
+            save = await saveManager.importFromFile(file);
+        } catch (error) {
+            console.error('Failed to load save:', error);
+            alert(error.message);
+            return;
+        }
+        this.continueRun(save);
+    }
+
+    continueRun(save) {
+        if (this.onModeSelected) {
+            this.onModeSelected('continue', { save });
+        }
+        this.hide();
+    }
+
+    async loadReplay(file) {
+        let replay;
+        try {
+            replay = parseReplay(await file.text());
+        } catch (error) {
+            console.error('Failed to load replay:', error);
+            alert(error.message);
+            return;
+        }
+        
+        if (this.onModeSelected) {
+            this.onModeSelected('replay', { replay });
+        }
+        this.hide();
+    }
+
     startMatchmaking() {
         const multiplayerOption = this.container.querySelector('[data-mode="multiplayer"]');
         const matchmakingStatus = multiplayerOption.querySelector('.matchmaking-status');
@@ -160,7 +338,7 @@ export class GameModeSelector {
         
         // Call the mode selection callback with matchmaking
         if (this.onModeSelected) {
-            this.onModeSelected('multiplayer', { matchmaking: true });
+            this.onModeSelected('multiplayer', { matchmaking: true, levelId: this.selectedCoopLevelId });
         }
     }
 
@@ -286,8 +464,9 @@ export class GameModeSelector {
     show() {
         if (this.container) {
             this.container.style.display = 'block';
-            // Refresh server status when showing
+            // Refresh server status and the stored run when showing
             this.checkServerStatus();
+            this.updateContinueOption();
         }
     }
     
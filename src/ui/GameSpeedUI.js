@@ -0,0 +1,128 @@
+const SPEEDS = [1, 2, 3];
+
+/**
+ * HUD pause and speed buttons for single player. Keys: P or Space pauses, 1-3 pick a speed.
+ */
+export class GameSpeedUI {
+    constructor() {
+        this.isPaused = false;
+        this.speed = 1;
+        this.onSpeedChangedCallback = null; // (timeScale) => void, 0 while paused
+
+        this.container = document.createElement('div');
+        this.container.className = 'game-speed-controls';
+        this.container.innerHTML = `
+            <button class="game-speed-button" data-action="pause" title="Pause (P)">⏸</button>
+            ${SPEEDS.map(speed => `
+                <button class="game-speed-button ${speed === 1 ? 'active' : ''}" data-speed="${speed}" title="${speed}x speed (${speed})">${speed}x</button>
+            `).join('')}
+            <span class="game-speed-paused">Paused</span>
+        `;
+        this.pauseButton = this.container.querySelector('[data-action="pause"]');
+        this.pausedLabel = this.container.querySelector('.game-speed-paused');
+
+        // Add styles
+        this.style = document.createElement('style');
+        this.style.textContent = `
+            .game-speed-controls {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-top: 10px;
+            }
+
+            .game-speed-button {
+                padding: 4px 10px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 5px;
+                color: #ffffff;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .game-speed-button:hover {
+                background: rgba(255, 255, 255, 0.2);
+            }
+
+            .game-speed-button.active {
+                background: rgba(100, 150, 255, 0.6);
+            }
+
+            .game-speed-paused {
+                display: none;
+                color: #FFB74D;
+                font-size: 12px;
+                font-weight: bold;
+            }
+
+            .game-speed-controls.paused .game-speed-paused {
+                display: inline;
+            }
+        `;
+        document.head.appendChild(this.style);
+
+        this.pauseButton.addEventListener('click', () => this.togglePause());
+        this.container.querySelectorAll('[data-speed]').forEach(button => {
+            button.addEventListener('click', () => this.setSpeed(Number(button.dataset.speed)));
+        });
+
+        this.handleKeyDown = (event) => this.onKeyDown(event);
+        window.addEventListener('keydown', this.handleKeyDown);
+
+        // Anchor under the HUD stats when the page has them
+        (document.getElementById('hud') || document.body).appendChild(this.container);
+    }
+
+    onKeyDown(event) {
+        if (event.target instanceof HTMLInputElement) return;
+
+        if (event.key === 'p' || event.key === 'P' || event.key === ' ') {
+            this.togglePause();
+            event.preventDefault();
+        } else if (SPEEDS.includes(Number(event.key))) {
+            this.setSpeed(Number(event.key));
+        }
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        this.pauseButton.textContent = this.isPaused ? '▶' : '⏸';
+        this.pauseButton.title = this.isPaused ? 'Resume (P)' : 'Pause (P)';
+        this.container.classList.toggle('paused', this.isPaused);
+        this.notifySpeedChanged();
+    }
+
+    // Picking a speed also resumes a paused game
+    setSpeed(speed) {
+        this.speed = speed;
+        this.container.querySelectorAll('[data-speed]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === speed);
+        });
+        if (this.isPaused) {
+            this.togglePause();
+        } else {
+            this.notifySpeedChanged();
+        }
+    }
+
+    // Game time per real time: 0 while paused
+    getTimeScale() {
+        return this.isPaused ? 0 : this.speed;
+    }
+
+    notifySpeedChanged() {
+        if (this.onSpeedChangedCallback) this.onSpeedChangedCallback(this.getTimeScale());
+    }
+
+    // Callback setters
+    setOnSpeedChangedCallback(callback) {
+        this.onSpeedChangedCallback = callback;
+    }
+
+    cleanup() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        this.container.remove();
+        this.style.remove();
+    }
+}
@@ -3,7 +3,12 @@ export class GameSummaryUI {
         this.overlay = null;
     }
 
-    show(stats, isVictory = false) {
+    /**
+     * @param {Object} stats - wave, score, money and health at the end
+     * @param {boolean} isVictory
+     * @param {Object} [actions] - Optional onSaveReplay() offered as a button
+     */
+    show(stats, isVictory = false, actions = {}) {
         // Create overlay if it doesn't exist
         if (!this.overlay) {
             this.overlay = document.createElement('div');
@@ -24,9 +29,14 @@ export class GameSummaryUI {
                     <p>Health Remaining: ${stats.health}</p>
                 </div>
                 <button class="play-again-btn" onclick="location.reload()">Play Again</button>
+                ${actions.onSaveReplay ? '<button class="play-again-btn save-replay-btn">Save Replay</button>' : ''}
             </div>
         `;
 
+        if (actions.onSaveReplay) {
+            this.overlay.querySelector('.save-replay-btn').addEventListener('click', actions.onSaveReplay);
+        }
+
         this.overlay.style.display = 'flex';
     }
 
@@ -0,0 +1,349 @@
+import { LEVEL_DECORATIONS, LEVEL_MODES } from '../config/Levels.js';
+
+// Painting tools: cell tools paint the cells dragged over, point tools add or remove what's clicked
+export const EDITOR_TOOLS = [
+    { id: 'restricted', label: '🚫 Restricted', hint: 'Paint cells blocks can\'t cover' },
+    { id: 'unbuildable', label: '🟧 Unbuildable', hint: 'Paint cells towers can\'t be built on' },
+    { id: 'rocks', label: '🪨 Rock', hint: 'Paint fixed obstacles' },
+    { id: 'water', label: '🌊 Water', hint: 'Paint water nothing can cross or build on' },
+    { id: 'buildable', label: '🟩 Buildable', hint: 'Paint cells back to plain buildable ground' },
+    { id: 'raise', label: '⛰ Raise', hint: 'Paint cells a terrain level higher (towers up there reach further)' },
+    { id: 'lower', label: '⛏ Lower', hint: 'Paint cells a terrain level lower' },
+    { id: 'spawn', label: '🟢 Spawn', hint: 'Click a grid point to add or remove a spawn' },
+    { id: 'exit', label: '🔴 Exit', hint: 'Click a grid point to add or remove an exit' },
+    { id: 'decoration', label: '🌲 Decoration', hint: 'Click to place a prop, click one to remove it' }
+];
+
+const GRID_SIZES = [10, 12, 14, 16, 18, 20, 24, 28, 32, 36, 40];
+const MODE_LABELS = { singleplayer: 'Single player', cooperative: 'Cooperative' };
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, character => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[character]);
+}
+
+/**
+ * Side panel of the level editor: tools, the level's settings, its validation status and file buttons
+ */
+export class LevelEditorUI {
+    constructor() {
+        // Callbacks
+        this.onToolChangedCallback = null;
+        this.onDecorationTypeChangedCallback = null;
+        this.onSettingsChangedCallback = null;
+        this.onValidateCallback = null;
+        this.onNewCallback = null;
+        this.onImportCallback = null;
+        this.onExportCallback = null;
+        this.onPlaytestCallback = null;
+        this.onExitCallback = null;
+
+        this.container = document.createElement('div');
+        this.container.className = 'level-editor-panel';
+        this.container.innerHTML = `
+            <h2>🛠 Level Editor</h2>
+
+            <div class="editor-section">
+                <h3>Tools</h3>
+                <div class="editor-tools">
+                    ${EDITOR_TOOLS.map(tool => `
+                        <button class="editor-button" data-tool="${tool.id}" title="${tool.hint}">${tool.label}</button>
+                    `).join('')}
+                </div>
+                <select class="editor-decoration-type">
+                    ${LEVEL_DECORATIONS.map(type => `<option value="${type}">${type}</option>`).join('')}
+                </select>
+                <p class="editor-hint"></p>
+            </div>
+
+            <div class="editor-section">
+                <h3>Level</h3>
+                <label>Name <input class="editor-field" data-field="name" type="text"></label>
+                <label>Id <input class="editor-field" data-field="id" type="text" title="Lower case letters, digits and dashes; also the file name"></label>
+                <label>Description <input class="editor-field" data-field="description" type="text"></label>
+                <label>Grid size
+                    <select class="editor-field" data-field="gridSize">
+                        ${GRID_SIZES.map(size => `<option value="${size}">${size}×${size}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Starting money <input class="editor-field" data-field="startingMoney" type="number" min="0" step="10"></label>
+                <div class="editor-modes">
+                    ${LEVEL_MODES.map(mode => `
+                        <label><input type="checkbox" data-mode="${mode}"> ${MODE_LABELS[mode]}</label>
+                    `).join('')}
+                </div>
+                <p class="editor-waves"></p>
+            </div>
+
+            <div class="editor-section">
+                <h3>Status</h3>
+                <div class="editor-status"></div>
+            </div>
+
+            <div class="editor-actions">
+                <button class="editor-button" data-action="validate">✔ Validate</button>
+                <button class="editor-button" data-action="playtest">▶ Play-test</button>
+                <button class="editor-button" data-action="new">📄 New</button>
+                <button class="editor-button" data-action="import">📂 Import</button>
+                <button class="editor-button" data-action="export">💾 Export</button>
+                <button class="editor-button" data-action="exit">Exit</button>
+                <input class="editor-file-input" type="file" accept=".json,application/json" style="display: none;">
+            </div>
+        `;
+
+        this.statusElement = this.container.querySelector('.editor-status');
+        this.decorationSelect = this.container.querySelector('.editor-decoration-type');
+
+        // Add styles
+        this.style = document.createElement('style');
+        this.style.textContent = `
+            .level-editor-panel {
+                position: fixed;
+                top: 20px;
+                left: 20px;
+                bottom: 20px;
+                width: 280px;
+                overflow-y: auto;
+                padding: 12px 16px;
+                background: rgba(20, 20, 30, 0.9);
+                border: 2px solid rgba(100, 150, 255, 0.6);
+                border-radius: 10px;
+                color: #ffffff;
+                font-size: 13px;
+                z-index: 1000;
+            }
+
+            .level-editor-panel h2 {
+                margin: 0 0 10px 0;
+                font-size: 18px;
+            }
+
+            .level-editor-panel h3 {
+                margin: 0 0 6px 0;
+                font-size: 13px;
+                text-transform: uppercase;
+                color: rgba(150, 190, 255, 0.9);
+            }
+
+            .editor-section {
+                margin-bottom: 14px;
+            }
+
+            .editor-section label {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 8px;
+                margin-bottom: 6px;
+            }
+
+            .editor-section input[type="text"],
+            .editor-section input[type="number"],
+            .editor-section select {
+                width: 150px;
+                padding: 3px 6px;
+                background: rgba(0, 0, 0, 0.4);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 4px;
+                color: #ffffff;
+            }
+
+            .editor-tools, .editor-actions {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 6px;
+                margin-bottom: 6px;
+            }
+
+            .editor-modes label {
+                justify-content: flex-start;
+            }
+
+            .editor-button {
+                padding: 4px 10px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 5px;
+                color: #ffffff;
+                cursor: pointer;
+            }
+
+            .editor-button.active {
+                background: rgba(100, 150, 255, 0.6);
+            }
+
+            .editor-hint, .editor-waves {
+                margin: 4px 0 0 0;
+                color: rgba(255, 255, 255, 0.7);
+            }
+
+            .editor-status.valid {
+                color: #69f0ae;
+            }
+
+            .editor-status.invalid {
+                color: #ff8a80;
+            }
+
+            .editor-status.flash {
+                animation: editorStatusFlash 0.6s;
+            }
+
+            .editor-status ul {
+                margin: 0;
+                padding-left: 18px;
+            }
+
+            @keyframes editorStatusFlash {
+                0% { background: rgba(255, 255, 255, 0.3); }
+                100% { background: transparent; }
+            }
+        `;
+        document.head.appendChild(this.style);
+        document.body.appendChild(this.container);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.container.querySelectorAll('[data-tool]').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.onToolChangedCallback) {
+                    this.onToolChangedCallback(button.dataset.tool);
+                }
+            });
+        });
+
+        this.decorationSelect.addEventListener('change', () => {
+            if (this.onDecorationTypeChangedCallback) {
+                this.onDecorationTypeChangedCallback(this.decorationSelect.value);
+            }
+        });
+
+        this.container.querySelectorAll('.editor-field').forEach(field => {
+            field.addEventListener('change', () => {
+                const isNumber = field.dataset.field === 'gridSize' || field.dataset.field === 'startingMoney';
+                this.changeSettings({ [field.dataset.field]: isNumber ? Number(field.value) : field.value.trim() });
+            });
+        });
+
+        this.container.querySelectorAll('[data-mode]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => {
+                const modes = [...this.container.querySelectorAll('[data-mode]')]
+                    .filter(candidate => candidate.checked)
+                    .map(candidate => candidate.dataset.mode);
+                this.changeSettings({ modes });
+            });
+        });
+
+        const fileInput = this.container.querySelector('.editor-file-input');
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = ''; // Let the same file be picked again
+            if (file && this.onImportCallback) {
+                this.onImportCallback(file);
+            }
+        });
+
+        const actions = {
+            validate: () => this.onValidateCallback?.(),
+            playtest: () => this.onPlaytestCallback?.(),
+            new: () => this.onNewCallback?.(),
+            import: () => fileInput.click(),
+            export: () => this.onExportCallback?.(),
+            exit: () => this.onExitCallback?.()
+        };
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => actions[button.dataset.action]());
+        });
+    }
+
+    changeSettings(settings) {
+        if (this.onSettingsChangedCallback) {
+            this.onSettingsChangedCallback(settings);
+        }
+    }
+
+    setTool(toolId) {
+        this.container.querySelectorAll('[data-tool]').forEach(button => {
+            button.classList.toggle('active', button.dataset.tool === toolId);
+        });
+        this.decorationSelect.style.display = toolId === 'decoration' ? 'block' : 'none';
+        this.container.querySelector('.editor-hint').textContent = EDITOR_TOOLS.find(tool => tool.id === toolId).hint;
+    }
+
+    setDecorationType(type) {
+        this.decorationSelect.value = type;
+    }
+
+    // Fill the settings fields from level data
+    setLevel(level) {
+        this.container.querySelectorAll('.editor-field').forEach(field => {
+            field.value = level[field.dataset.field] ?? '';
+        });
+        this.container.querySelectorAll('[data-mode]').forEach(checkbox => {
+            checkbox.checked = level.modes.includes(checkbox.dataset.mode);
+        });
+        this.container.querySelector('.editor-waves').textContent = level.waves
+            ? `Waves: the level's own script (${level.waves.waves.length} scripted waves)`
+            : 'Waves: the shared wave script';
+    }
+
+    /**
+     * @param {string[]} errors - Problems with the level; none means it's valid
+     * @param {string} summary - Shown when it's valid, e.g. the route lengths
+     * @param {boolean} flash - Draw attention to the result (the Validate button)
+     */
+    setStatus(errors, summary, flash = false) {
+        this.statusElement.className = `editor-status ${errors.length > 0 ? 'invalid' : 'valid'}`;
+        this.statusElement.innerHTML = errors.length > 0
+            ? `<ul>${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`
+            : `✓ ${escapeHtml(summary)}`;
+        if (flash) {
+            // Restart the animation
+            void this.statusElement.offsetWidth;
+            this.statusElement.classList.add('flash');
+        }
+    }
+
+    // Callback setters
+    setOnToolChangedCallback(callback) {
+        this.onToolChangedCallback = callback;
+    }
+
+    setOnDecorationTypeChangedCallback(callback) {
+        this.onDecorationTypeChangedCallback = callback;
+    }
+
+    setOnSettingsChangedCallback(callback) {
+        this.onSettingsChangedCallback = callback;
+    }
+
+    setOnValidateCallback(callback) {
+        this.onValidateCallback = callback;
+    }
+
+    setOnNewCallback(callback) {
+        this.onNewCallback = callback;
+    }
+
+    setOnImportCallback(callback) {
+        this.onImportCallback = callback;
+    }
+
+    setOnExportCallback(callback) {
+        this.onExportCallback = callback;
+    }
+
+    setOnPlaytestCallback(callback) {
+        this.onPlaytestCallback = callback;
+    }
+
+    setOnExitCallback(callback) {
+        this.onExitCallback = callback;
+    }
+
+    cleanup() {
+        this.container.remove();
+        this.style.remove();
+    }
+}
@@ -0,0 +1,106 @@
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/examples/jsm/renderers/CSS2DRenderer.js';
+import { previewBlockedCells } from '../Pathfinding.js';
+
+const LINE_HEIGHT = 0.15; // Just above the ground, under the live path line
+const GHOST_COLOR = 0xffffff;
+
+/**
+ * Ghost of the enemy route a hovered placement would leave, with a label saying how much longer or
+ * shorter it gets, or that it blocks the path altogether. Used by the maze's shape placement preview.
+ */
+export class PathPreview {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {function(Array<{x: number, z: number}>): (Array|null)} findPath - Route around the given obstacles
+     */
+    constructor(scene, findPath) {
+        this.scene = scene;
+        this.findPath = findPath;
+        this.line = null;
+        this.linePath = null; // Route the line shows
+
+        const labelDiv = document.createElement('div');
+        labelDiv.className = 'path-preview-label';
+        labelDiv.style.padding = '2px 6px';
+        labelDiv.style.borderRadius = '4px';
+        labelDiv.style.backgroundColor = 'rgba(0, 0, 0, 0.7)';
+        labelDiv.style.fontSize = '12px';
+        labelDiv.style.fontWeight = 'bold';
+        labelDiv.style.pointerEvents = 'none';
+        labelDiv.style.whiteSpace = 'nowrap';
+        this.label = new CSS2DObject(labelDiv);
+        this.label.visible = false;
+        this.scene.add(this.label);
+    }
+
+    /**
+     * Preview blocking some more cells
+     * @param {Array<{x: number, z: number}>} obstacles - The board as it is
+     * @param {Array<{x: number, z: number}>} cells - Cells the placement would block
+     * @param {{x: number, z: number}} anchor - Where to put the label (the hovered cell)
+     * @returns {{path: (Array|null), blocked: boolean, lengthChange: number}}
+     */
+    update(obstacles, cells, anchor) {
+        const preview = previewBlockedCells(this.findPath, obstacles, cells);
+        this.showLine(preview.path);
+
+        const element = this.label.element;
+        if (preview.blocked) {
+            element.textContent = '⛔ Blocks the path';
+            element.style.color = '#ff5252';
+        } else if (Math.abs(preview.lengthChange) < 0.05) {
+            element.textContent = 'Path unchanged';
+            element.style.color = '#ffffff';
+        } else {
+            const sign = preview.lengthChange > 0 ? '+' : '−';
+            element.textContent = `Path ${sign}${Math.abs(preview.lengthChange).toFixed(1)}`;
+            element.style.color = preview.lengthChange > 0 ? '#69f0ae' : '#ffb74d';
+        }
+        this.label.position.set(anchor.x, 1.6, anchor.z);
+        this.label.visible = true;
+
+        return preview;
+    }
+
+    showLine(path) {
+        // Routes come back as the same array while nothing changes, so the line can stay
+        if (path === this.linePath) return;
+        this.removeLine();
+        if (!path || path.length < 2) return;
+
+        const positions = path.map(waypoint => new THREE.Vector3(waypoint.x, LINE_HEIGHT, waypoint.z));
+        const material = new THREE.LineDashedMaterial({
+            color: GHOST_COLOR,
+            dashSize: 0.3,
+            gapSize: 0.3,
+            transparent: true,
+            opacity: 0.6
+        });
+        this.line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(positions), material);
+        this.line.computeLineDistances();
+        this.scene.add(this.line);
+        this.linePath = path;
+    }
+
+    removeLine() {
+        if (this.line) {
+            this.scene.remove(this.line);
+            this.line.geometry.dispose();
+            this.line.material.dispose();
+            this.line = null;
+        }
+        this.linePath = null;
+    }
+
+    hide() {
+        this.removeLine();
+        this.label.visible = false;
+    }
+
+    dispose() {
+        this.hide();
+        this.scene.remove(this.label);
+        this.label.element.remove();
+    }
+}
@@ -1,3 +1,5 @@
+import { TOWER_CATALOG, getTowerDefinition } from '../config/TowerCatalog.js';
+
 export class PrivateControlPanel {
     constructor(playerId, gameState, actionDispatcher) {
         this.playerId = playerId;
@@ -42,10 +44,9 @@ export class PrivateControlPanel {
                 <div class="tower-controls" id="tower-controls-${this.playerId}" style="display: none;">
                     <h3>Your Towers</h3>
                     <div class="tower-selector" id="tower-selector">
-                        <button class="tower-btn" data-tower="basic">💠 Basic ($20)</button>
-                        <button class="tower-btn" data-tower="sniper">🗼 Sniper ($30)</button>
-                        <button class="tower-btn" data-tower="cannon">⚡ Cannon ($40)</button>
-                        <button class="tower-btn" data-tower="missile">🏹 Missile ($50)</button>
+                        ${TOWER_CATALOG.map(tower => `
+                            <button class="tower-btn" data-tower="${tower.id}">${tower.name} ($${tower.cost})</button>
+                        `).join('')}
                     </div>
                     <div class="tower-info">
                         <div class="selected-tower-info" id="selected-tower-info">
@@ -334,8 +335,8 @@ export class PrivateControlPanel {
     }
     
     getTowerCost(towerType) {
-        const costs = { basic: 20, sniper: 30, cannon: 40, missile: 50 };
-        return costs[towerType] || 20;
+        const config = getTowerDefinition(towerType);
+        return config ? config.cost : Infinity;
     }
     
     setPhase(phase) {
@@ -0,0 +1,169 @@
+import { TICK_RATE } from '../simulation/Clock.js';
+
+const SPEEDS = [0.5, 1, 2, 4];
+
+function formatTime(ticks) {
+    const seconds = Math.floor(ticks / TICK_RATE);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Pause, speed and seek controls along the bottom of the screen while watching a replay
+ */
+export class ReplayControlsUI {
+    /**
+     * @param {number} endTick - Length of the replay in ticks
+     */
+    constructor(endTick) {
+        this.endTick = endTick;
+        this.isPaused = false;
+        this.speed = 1;
+        this.isSeeking = false; // Slider held down: don't move it under the pointer
+
+        // Callbacks
+        this.onPauseChangedCallback = null;
+        this.onSpeedChangedCallback = null;
+        this.onSeekCallback = null;
+        this.onExitCallback = null;
+
+        this.container = document.createElement('div');
+        this.container.className = 'replay-controls';
+        this.container.innerHTML = `
+            <span class="replay-label">🎬 Replay</span>
+            <button class="replay-button" data-action="pause">⏸</button>
+            ${SPEEDS.map(speed => `
+                <button class="replay-button ${speed === 1 ? 'active' : ''}" data-speed="${speed}">${speed}x</button>
+            `).join('')}
+            <input class="replay-seek" type="range" min="0" max="${endTick}" value="0">
+            <span class="replay-time">${formatTime(0)} / ${formatTime(endTick)}</span>
+            <button class="replay-button" data-action="exit">Exit</button>
+        `;
+
+        this.pauseButton = this.container.querySelector('[data-action="pause"]');
+        this.seekSlider = this.container.querySelector('.replay-seek');
+        this.timeLabel = this.container.querySelector('.replay-time');
+
+        // Add styles
+        this.style = document.createElement('style');
+        this.style.textContent = `
+            .replay-controls {
+                position: fixed;
+                bottom: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                display: flex;
+                align-items: center;
+                gap: 8px;
+                padding: 8px 14px;
+                background: rgba(20, 20, 30, 0.9);
+                border: 2px solid rgba(100, 150, 255, 0.6);
+                border-radius: 10px;
+                color: #ffffff;
+                font-size: 13px;
+                z-index: 1000;
+            }
+
+            .replay-label {
+                font-weight: bold;
+            }
+
+            .replay-button {
+                padding: 4px 10px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 5px;
+                color: #ffffff;
+                cursor: pointer;
+            }
+
+            .replay-button.active {
+                background: rgba(100, 150, 255, 0.6);
+            }
+
+            .replay-seek {
+                width: 260px;
+            }
+
+            .replay-time {
+                min-width: 90px;
+                font-family: monospace;
+            }
+        `;
+        document.head.appendChild(this.style);
+        document.body.appendChild(this.container);
+
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.pauseButton.addEventListener('click', () => this.setPaused(!this.isPaused));
+
+        this.container.querySelectorAll('[data-speed]').forEach(button => {
+            button.addEventListener('click', () => this.setSpeed(Number(button.dataset.speed)));
+        });
+
+        this.seekSlider.addEventListener('input', () => {
+            this.isSeeking = true;
+            this.timeLabel.textContent = `${formatTime(Number(this.seekSlider.value))} / ${formatTime(this.endTick)}`;
+        });
+        this.seekSlider.addEventListener('change', () => {
+            this.isSeeking = false;
+            if (this.onSeekCallback) {
+                this.onSeekCallback(Number(this.seekSlider.value));
+            }
+        });
+
+        this.container.querySelector('[data-action="exit"]').addEventListener('click', () => {
+            if (this.onExitCallback) {
+                this.onExitCallback();
+            }
+        });
+    }
+
+    setPaused(isPaused) {
+        this.isPaused = isPaused;
+        this.pauseButton.textContent = isPaused ? '▶' : '⏸';
+        if (this.onPauseChangedCallback) {
+            this.onPauseChangedCallback(isPaused);
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        this.container.querySelectorAll('[data-speed]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === speed);
+        });
+        if (this.onSpeedChangedCallback) {
+            this.onSpeedChangedCallback(speed);
+        }
+    }
+
+    // Follow the replay's current tick
+    update(tick) {
+        if (this.isSeeking) return;
+        this.seekSlider.value = tick;
+        this.timeLabel.textContent = `${formatTime(tick)} / ${formatTime(this.endTick)}`;
+    }
+
+    // Callback setters
+    setOnPauseChangedCallback(callback) {
+        this.onPauseChangedCallback = callback;
+    }
+
+    setOnSpeedChangedCallback(callback) {
+        this.onSpeedChangedCallback = callback;
+    }
+
+    setOnSeekCallback(callback) {
+        this.onSeekCallback = callback;
+    }
+
+    setOnExitCallback(callback) {
+        this.onExitCallback = callback;
+    }
+
+    cleanup() {
+        this.container.remove();
+        this.style.remove();
+    }
+}
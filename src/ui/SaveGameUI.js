@@ -0,0 +1,84 @@
+/**
+ * HUD buttons to save the single player run for later or export it to a file
+ */
+export class SaveGameUI {
+    constructor() {
+        this.onSaveCallback = null;
+        this.onExportCallback = null;
+        this.statusTimeout = null;
+
+        this.container = document.createElement('div');
+        this.container.className = 'save-game-controls';
+        this.container.innerHTML = `
+            <button class="save-game-button" data-action="save" title="Save this run to continue it later">💾 Save</button>
+            <button class="save-game-button" data-action="export" title="Download this run as a file">⬇ Export</button>
+            <span class="save-game-status"></span>
+        `;
+        this.statusText = this.container.querySelector('.save-game-status');
+
+        // Add styles
+        this.style = document.createElement('style');
+        this.style.textContent = `
+            .save-game-controls {
+                display: flex;
+                align-items: center;
+                gap: 6px;
+                margin-top: 10px;
+            }
+
+            .save-game-button {
+                padding: 4px 10px;
+                background: rgba(255, 255, 255, 0.1);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 5px;
+                color: #ffffff;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .save-game-button:hover {
+                background: rgba(255, 255, 255, 0.2);
+            }
+
+            .save-game-status {
+                color: #81C784;
+                font-size: 12px;
+            }
+        `;
+        document.head.appendChild(this.style);
+
+        this.container.querySelector('[data-action="save"]').addEventListener('click', () => {
+            if (this.onSaveCallback) this.onSaveCallback();
+        });
+        this.container.querySelector('[data-action="export"]').addEventListener('click', () => {
+            if (this.onExportCallback) this.onExportCallback();
+        });
+
+        // Anchor under the HUD stats when the page has them
+        (document.getElementById('hud') || document.body).appendChild(this.container);
+    }
+
+    // Briefly confirm a save, e.g. "Saved" or "Autosaved (wave 3)"
+    showStatus(message, duration = 2000) {
+        this.statusText.textContent = message;
+        clearTimeout(this.statusTimeout);
+        this.statusTimeout = setTimeout(() => {
+            this.statusText.textContent = '';
+        }, duration);
+    }
+
+    // Callback setters
+    setOnSaveCallback(callback) {
+        this.onSaveCallback = callback;
+    }
+
+    setOnExportCallback(callback) {
+        this.onExportCallback = callback;
+    }
+
+    cleanup() {
+        clearTimeout(this.statusTimeout);
+        this.container.remove();
+        this.style.remove();
+    }
+}
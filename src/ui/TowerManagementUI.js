@@ -1,4 +1,10 @@
 import { debugLog } from '../config/DebugConfig.js';
+import { calculateUpgradedStats } from '../TowerTypes.js';
+import { TARGETING_MODES, TARGETING_MODE_LABELS } from '../config/TargetingModes.js';
+import { STATUS_EFFECTS } from '../config/StatusEffects.js';
+import { NO_AURA } from '../config/Auras.js';
+import { DAMAGE_TYPES } from '../config/DamageTypes.js';
+import { HIGH_GROUND_RANGE_BONUS } from '../config/Terrain.js';
 
 export class TowerManagementUI {
     constructor(gameState, cssRenderer, camera) {
@@ -12,6 +18,11 @@ export class TowerManagementUI {
         // Callbacks
         this.onTowerUpgradeCallback = null;
         this.onTowerDestroyCallback = null;
+        this.onTowerTargetingChangeCallback = null;
+        
+        // Optional { upgrade(tower, specializationId), sell(tower), setTargetingMode(tower, mode) } that carry out
+        // the player's choices instead of changing the tower and money here (single player's simulation)
+        this.towerCommands = null;
         
         this.initializeStyles();
         this.createManagementPanel();
@@ -95,6 +106,80 @@ export class TowerManagementUI {
                 margin-left: 8px;
             }
             
+            .tower-buffs {
+                margin: 8px 0;
+                font-size: 13px;
+            }
+            
+            .buff-source {
+                color: #81D4FA;
+                margin: 4px 0 0 8px;
+            }
+            
+            .targeting-modes {
+                display: flex;
+                gap: 4px;
+                margin: 8px 0 0 0;
+            }
+            
+            .targeting-button {
+                flex: 1;
+                padding: 4px 0;
+                border: 1px solid rgba(100, 150, 255, 0.4);
+                border-radius: 4px;
+                background: rgba(255, 255, 255, 0.05);
+                color: rgba(255, 255, 255, 0.8);
+                font-size: 11px;
+                cursor: pointer;
+                transition: all 0.2s ease;
+            }
+            
+            .targeting-button:hover {
+                background: rgba(100, 150, 255, 0.2);
+            }
+            
+            .targeting-button.active {
+                background: rgba(100, 150, 255, 0.6);
+                color: #ffffff;
+                font-weight: bold;
+            }
+            
+            .specialization-choices {
+                display: flex;
+                flex-direction: column;
+                gap: 6px;
+                margin-top: 12px;
+            }
+            
+            .specialization-button {
+                display: grid;
+                grid-template-columns: 1fr auto;
+                gap: 2px 8px;
+                padding: 8px 10px;
+                border: 1px solid rgba(255, 193, 7, 0.6);
+                border-radius: 6px;
+                background: rgba(255, 193, 7, 0.1);
+                color: #ffffff;
+                text-align: left;
+                cursor: pointer;
+                transition: all 0.2s ease;
+            }
+            
+            .specialization-button:hover {
+                background: rgba(255, 193, 7, 0.25);
+            }
+            
+            .specialization-name {
+                font-weight: bold;
+                font-size: 13px;
+            }
+            
+            .specialization-description {
+                grid-column: 1 / -1;
+                font-size: 11px;
+                color: rgba(255, 255, 255, 0.7);
+            }
+            
             .tower-actions {
                 display: flex;
                 gap: 8px;
@@ -213,16 +298,17 @@ export class TowerManagementUI {
         if (!this.selectedTower) return;
         
         const towerInfo = this.selectedTower.getTowerInfo();
+        const choosingSpecialization = towerInfo.specializationChoices.length > 0;
         const canAffordUpgrade = towerInfo.canUpgrade && towerInfo.upgradeCost <= this.gameState.money;
         
-        const levelProgress = (towerInfo.level - 1) / (towerInfo.maxLevel - 1) * 100;
+        const levelProgress = towerInfo.maxLevel > 1 ? (towerInfo.level - 1) / (towerInfo.maxLevel - 1) * 100 : 100;
         
         // Get preview stats for next level
         let previewDamage = '';
         let previewFireRate = '';
-        if (towerInfo.canUpgrade) {
+        if (towerInfo.canUpgrade && !choosingSpecialization) {
             const nextLevel = towerInfo.level + 1;
-            const nextStats = this.calculateNextLevelStats(towerInfo.type, nextLevel);
+            const nextStats = this.calculateNextLevelStats(towerInfo.type, nextLevel, this.selectedTower.auraModifiers);
             if (nextStats) {
                 previewDamage = ` → ${nextStats.damage} (+${nextStats.damage - towerInfo.damage})`;
                 previewFireRate = ` → ${nextStats.fireRate} (+${(nextStats.fireRate - towerInfo.fireRate).toFixed(1)})`;
@@ -232,40 +318,106 @@ export class TowerManagementUI {
         this.managementPanel.innerHTML = `
             <div class="tower-management-header">
                 <h3 class="tower-name">${towerInfo.name}</h3>
-                <p class="tower-level">Level ${towerInfo.level}/${towerInfo.maxLevel}</p>
+                <p class="tower-level">Level ${towerInfo.level}/${towerInfo.maxLevel}${towerInfo.specializationName ? ` · ${towerInfo.specializationName}` : ''}</p>
                 <div class="progress-bar">
                     <div class="progress-fill" style="width: ${levelProgress}%"></div>
                 </div>
             </div>
             
             <div class="tower-stats">
-                <div class="stat-row">
-                    <span class="stat-label">Damage:</span>
-                    <span>
-                        <span class="stat-value">${towerInfo.damage}</span>
-                        <span class="stat-preview">${previewDamage}</span>
-                    </span>
-                </div>
-                <div class="stat-row">
-                    <span class="stat-label">Fire Rate:</span>
-                    <span>
-                        <span class="stat-value">${towerInfo.fireRate}/s</span>
-                        <span class="stat-preview">${previewFireRate}</span>
-                    </span>
-                </div>
+                ${towerInfo.isSupport ? `
+                    <div class="stat-row">
+                        <span class="stat-label">Aura:</span>
+                        <span class="stat-value">${towerInfo.aura}</span>
+                    </div>
+                ` : `
+                    <div class="stat-row">
+                        <span class="stat-label">Damage:</span>
+                        <span>
+                            <span class="stat-value">${towerInfo.damage}</span>
+                            <span class="stat-preview">${previewDamage}</span>
+                        </span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Fire Rate:</span>
+                        <span>
+                            <span class="stat-value">${towerInfo.fireRate}/s</span>
+                            <span class="stat-preview">${previewFireRate}</span>
+                        </span>
+                    </div>
+                    <div class="stat-row">
+                        <span class="stat-label">Type:</span>
+                        <span class="stat-value">${DAMAGE_TYPES[towerInfo.damageType].name}</span>
+                    </div>
+                `}
                 <div class="stat-row">
                     <span class="stat-label">Range:</span>
-                    <span class="stat-value">${towerInfo.range}</span>
+                    <span class="stat-value">${parseFloat(towerInfo.range.toFixed(2))}</span>
                 </div>
+                ${towerInfo.elevation > 0 ? `
+                    <div class="stat-row">
+                        <span class="stat-label">High ground:</span>
+                        <span class="stat-value">+${Math.round(towerInfo.elevation * HIGH_GROUND_RANGE_BONUS * 100)}% range</span>
+                    </div>
+                ` : ''}
+                ${towerInfo.effect ? `
+                    <div class="stat-row">
+                        <span class="stat-label">Effect:</span>
+                        <span class="stat-value">${this.formatEffect(towerInfo.effect)}</span>
+                    </div>
+                ` : ''}
+                ${towerInfo.auraSources.length > 0 ? `
+                    <div class="tower-buffs">
+                        <span class="stat-label">Active buffs:</span>
+                        ${towerInfo.auraSources.map(source => `
+                            <div class="buff-source">${source.name}: ${source.description}</div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+                ${!towerInfo.isSupport ? `
+                    <div class="stat-row">
+                        <span class="stat-label">Kills:</span>
+                        <span class="stat-value">${towerInfo.kills}</span>
+                    </div>
+                ` : ''}
             </div>
             
+            ${!towerInfo.isPulse ? `
+                <div class="tower-targeting">
+                    <span class="stat-label">Target:</span>
+                    <div class="targeting-modes">
+                        ${Object.values(TARGETING_MODES).map(mode => `
+                            <button class="targeting-button ${mode === towerInfo.targetingMode ? 'active' : ''}" data-targeting="${mode}">
+                                ${TARGETING_MODE_LABELS[mode]}
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            
+            ${choosingSpecialization ? `
+                <div class="specialization-choices">
+                    <span class="stat-label">Choose a specialization:</span>
+                    ${towerInfo.specializationChoices.map(spec => `
+                        <button class="specialization-button ${spec.cost > this.gameState.money ? 'cannot-afford' : ''}"
+                                data-specialization="${spec.id}">
+                            <span class="specialization-name">${spec.name}</span>
+                            <span class="button-cost">$${spec.cost}</span>
+                            <span class="specialization-description">${spec.description}</span>
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+            
             <div class="tower-actions">
-                <button class="action-button upgrade-button ${!canAffordUpgrade ? 'cannot-afford' : ''}" 
-                        ${!towerInfo.canUpgrade ? 'disabled' : ''} 
-                        data-action="upgrade">
-                    ${towerInfo.canUpgrade ? 'Upgrade' : 'Max Level'}
-                    ${towerInfo.canUpgrade ? `<span class="button-cost">$${towerInfo.upgradeCost}</span>` : ''}
-                </button>
+                ${!choosingSpecialization ? `
+                    <button class="action-button upgrade-button ${!canAffordUpgrade ? 'cannot-afford' : ''}" 
+                            ${!towerInfo.canUpgrade ? 'disabled' : ''} 
+                            data-action="upgrade">
+                        ${towerInfo.canUpgrade ? 'Upgrade' : 'Max Level'}
+                        ${towerInfo.canUpgrade ? `<span class="button-cost">$${towerInfo.upgradeCost}</span>` : ''}
+                    </button>
+                ` : ''}
                 <button class="action-button destroy-button" data-action="destroy">
                     Destroy
                     <span class="button-cost">+$${towerInfo.refundAmount}</span>
@@ -277,12 +429,29 @@ export class TowerManagementUI {
         this.setupActionListeners();
     }
 
-    calculateNextLevelStats(towerType, nextLevel) {
-        // Simple calculation for preview - matches upgrade multipliers from TowerTypes.js
-        const currentInfo = this.selectedTower.getTowerInfo();
+    // e.g. "Slowed 2.0s" or "Poisoned 2/1s for 4.0s (stacks x5)"
+    formatEffect(effect) {
+        const config = STATUS_EFFECTS[effect.type];
+        const duration = `${(effect.duration / 1000).toFixed(1)}s`;
+        
+        if (!effect.damagePerTick) {
+            return `${config.name} ${duration}`;
+        }
+        
+        const stacking = config.maxStacks > 1 ? ` (stacks x${config.maxStacks})` : '';
+        return `${config.name} ${effect.damagePerTick}/${config.tickInterval / 1000}s for ${duration}${stacking}`;
+    }
+
+    calculateNextLevelStats(towerType, nextLevel, aura = NO_AURA) {
+        // Same catalogue maths the tower (and server) use when actually upgrading
+        const stats = calculateUpgradedStats(towerType, nextLevel);
+        if (!stats) return null;
+        
+        // Keep the current aura bonuses so the preview compares like with like
         return {
-            damage: Math.floor(currentInfo.damage * 1.5),
-            fireRate: parseFloat((currentInfo.fireRate * 1.25).toFixed(2))
+            ...stats,
+            damage: Math.floor(stats.damage * aura.damageMultiplier),
+            fireRate: parseFloat((stats.fireRate * aura.fireRateMultiplier).toFixed(2))
         };
     }
 
@@ -303,9 +472,45 @@ export class TowerManagementUI {
                 this.handleDestroy();
             });
         }
+        
+        this.managementPanel.querySelectorAll('[data-specialization]').forEach(button => {
+            if (button.disabled) return;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleUpgrade(button.dataset.specialization);
+            });
+        });
+        
+        this.managementPanel.querySelectorAll('[data-targeting]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.handleTargetingChange(button.dataset.targeting);
+            });
+        });
+    }
+
+    handleTargetingChange(mode) {
+        if (!this.selectedTower || this.selectedTower.targetingMode === mode) return;
+        
+        const changed = this.towerCommands
+            ? this.towerCommands.setTargetingMode(this.selectedTower, mode)
+            : this.selectedTower.setTargetingMode(mode);
+        if (!changed) {
+            debugLog('TowerManagementUI: Unknown targeting mode', mode);
+            return;
+        }
+        
+        this.updatePanelContent();
+        
+        // Notify callback (multiplayer forwards the change to the server)
+        if (this.onTowerTargetingChangeCallback) {
+            this.onTowerTargetingChangeCallback(this.selectedTower, mode);
+        }
+        
+        debugLog('TowerManagementUI: Targeting mode set to', mode);
     }
 
-    handleUpgrade() {
+    handleUpgrade(specializationId = null) {
         if (!this.selectedTower) return;
         
         const towerInfo = this.selectedTower.getTowerInfo();
@@ -315,14 +520,27 @@ export class TowerManagementUI {
             return;
         }
         
-        if (towerInfo.upgradeCost > this.gameState.money) {
+        // At the branch level the cost depends on the chosen specialization
+        const choice = towerInfo.specializationChoices.find(spec => spec.id === specializationId);
+        const upgradeCost = choice ? choice.cost : towerInfo.upgradeCost;
+        
+        if (upgradeCost === null) {
+            debugLog('TowerManagementUI: Cannot upgrade tower - choose a specialization first');
+            return;
+        }
+        
+        if (upgradeCost > this.gameState.money) {
             debugLog('TowerManagementUI: Cannot upgrade tower - insufficient funds');
             return;
         }
         
         // Deduct cost and upgrade tower
-        this.gameState.money -= towerInfo.upgradeCost;
-        this.selectedTower.upgrade();
+        if (this.towerCommands) {
+            if (!this.towerCommands.upgrade(this.selectedTower, specializationId)) return;
+        } else {
+            if (!this.selectedTower.upgrade(specializationId)) return;
+            this.gameState.money -= upgradeCost;
+        }
         
         // Update panel content
         this.updatePanelContent();
@@ -346,15 +564,20 @@ export class TowerManagementUI {
             if (!confirmed) return;
         }
         
-        // Add refund to money
-        this.gameState.money += towerInfo.refundAmount;
+        // Pay the refund
+        const tower = this.selectedTower;
+        if (this.towerCommands) {
+            this.towerCommands.sell(tower);
+        } else {
+            this.gameState.money += towerInfo.refundAmount;
+        }
         
         // Hide panel first
         this.hidePanel();
         
         // Notify callback to remove tower
         if (this.onTowerDestroyCallback) {
-            this.onTowerDestroyCallback(this.selectedTower);
+            this.onTowerDestroyCallback(tower);
         }
         
         debugLog('TowerManagementUI: Tower destroyed, refund:', towerInfo.refundAmount);
@@ -402,6 +625,13 @@ export class TowerManagementUI {
                 const canAfford = towerInfo.upgradeCost <= this.gameState.money;
                 upgradeButton.classList.toggle('cannot-afford', !canAfford);
             }
+            
+            for (const spec of towerInfo.specializationChoices) {
+                const button = this.managementPanel.querySelector(`[data-specialization="${spec.id}"]`);
+                if (button) {
+                    button.classList.toggle('cannot-afford', spec.cost > this.gameState.money);
+                }
+            }
         }
     }
 
@@ -414,6 +644,14 @@ export class TowerManagementUI {
         this.onTowerDestroyCallback = callback;
     }
 
+    setOnTowerTargetingChangeCallback(callback) {
+        this.onTowerTargetingChangeCallback = callback;
+    }
+
+    setTowerCommands(commands) {
+        this.towerCommands = commands;
+    }
+
     // Cleanup
     destroy() {
         if (this.managementPanel) {
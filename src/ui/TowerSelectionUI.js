@@ -1,5 +1,7 @@
 import { debugLog } from '../config/DebugConfig.js';
 import { TOWER_TYPES, calculateUpgradeCost } from '../TowerTypes.js';
+import { DAMAGE_TYPES, getEffectiveness } from '../config/DamageTypes.js';
+import { ENEMY_CATALOG, getEnemyDefenses } from '../config/EnemyCatalog.js';
 
 export class TowerSelectionUI {
     constructor(gameState) {
@@ -7,13 +9,13 @@ export class TowerSelectionUI {
         this.selectedTowerData = null;
         this.onTowerSelectedCallback = null;
         
-        // Define tower weapon images with correct preview paths
-        this.towerImages = {
-            basic: '/kenney_tower-defense-kit/Previews/enemy-ufo-a-weapon.png',
-            sniper: '/kenney_tower-defense-kit/Previews/weapon-ballista.png',
-            rapid: '/kenney_tower-defense-kit/Previews/weapon-turret.png',
-            area: '/kenney_tower-defense-kit/Previews/snow-detail-crystal-large.png'
-        };
+        // Tower preview images follow the weapon model named in the tower catalogue
+        this.towerImages = Object.fromEntries(
+            Object.values(TOWER_TYPES).map(tower => [
+                tower.id,
+                `/kenney_tower-defense-kit/Previews/${tower.weaponModel}.png`
+            ])
+        );
         
         // Listen for money updates
         this.handleMoneyUpdate = () => {
@@ -133,6 +135,27 @@ export class TowerSelectionUI {
                 text-align: right;
             }
             
+            .tower-tooltip-effectiveness {
+                padding-top: 6px;
+                border-top: 1px solid rgba(255, 255, 255, 0.1);
+            }
+            
+            .effectiveness-strong {
+                color: #4CAF50;
+            }
+            
+            .effectiveness-normal {
+                color: rgba(255, 255, 255, 0.8);
+            }
+            
+            .effectiveness-weak {
+                color: #f44336;
+            }
+            
+            .effectiveness-immune {
+                color: rgba(255, 255, 255, 0.35);
+            }
+            
             .cannot-afford {
                 opacity: 0.5;
                 cursor: not-allowed;
@@ -240,7 +263,13 @@ export class TowerSelectionUI {
                 
                 <div class="stat-label">DPS</div>
                 <div class="stat-value damage">${(towerConfig.damage * towerConfig.fireRate).toFixed(1)}</div>
+                
+                ${towerConfig.damageType ? `
+                    <div class="stat-label">Type</div>
+                    <div class="stat-value">${DAMAGE_TYPES[towerConfig.damageType].name}</div>
+                ` : ''}
             </div>
+            ${towerConfig.damageType ? this.createEffectivenessList(towerConfig) : ''}
             ${upgradeCost ? `
                 <div class="tower-tooltip-upgrade">
                     ↑ Next upgrade: ${upgradeCost} coins
@@ -253,6 +282,22 @@ export class TowerSelectionUI {
         return tooltip;
     }
 
+    // Strong/Normal/Weak against each enemy archetype for this tower's base hit
+    createEffectivenessList(towerConfig) {
+        const rows = ENEMY_CATALOG.map(archetype => {
+            // Flyers are out of reach for everything but anti-air towers
+            const { label } = archetype.flying && !towerConfig.antiAir
+                ? { label: 'Immune' }
+                : getEffectiveness(towerConfig.damage, towerConfig.damageType, getEnemyDefenses(archetype.id));
+            return `
+                <div class="stat-label">vs ${archetype.name}</div>
+                <div class="stat-value effectiveness-${label.toLowerCase()}">${label}</div>
+            `;
+        }).join('');
+        
+        return `<div class="tower-tooltip-stats tower-tooltip-effectiveness">${rows}</div>`;
+    }
+
     addTowerSlotInteractions(slot, tower) {
         slot.addEventListener('click', (e) => {
             e.preventDefault();
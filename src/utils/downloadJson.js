@@ -0,0 +1,15 @@
+/**
+ * Offer data to the player as a JSON file download
+ * @param {Object} data - Anything JSON.stringify accepts
+ * @param {string} filename - Suggested file name
+ */
+export function downloadJson(data, filename) {
+    const blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
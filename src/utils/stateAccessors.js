@@ -0,0 +1,19 @@
+/**
+ * Expose fields of a view's simulated state (view.state) as properties of the view itself,
+ * so UI and multiplayer code can keep reading and writing e.g. enemy.health or tower.level
+ * @param {Function} ViewClass - Class whose instances keep their state in this.state
+ * @param {string[]} fields - Field names to forward
+ */
+export function exposeStateFields(ViewClass, fields) {
+    for (const field of fields) {
+        Object.defineProperty(ViewClass.prototype, field, {
+            get() {
+                return this.state[field];
+            },
+            set(value) {
+                this.state[field] = value;
+            },
+            configurable: true
+        });
+    }
+}
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRouteFinder } from '../src/FlowField.js';
+import { getLevel } from '../src/config/Levels.js';
+import { WaveScript } from '../src/config/WaveScript.js';
+import { Pathfinding } from '../src/Pathfinding.js';
+import { runBalance } from '../src/simulation/Balance.js';
+
+function routeFinder(level) {
+    return createRouteFinder({
+        pathfinding: new Pathfinding(level.gridSize, level.terrain),
+        spawns: level.spawnPoints,
+        exits: level.exitPoints,
+        yCoordinate: 1.0
+    });
+}
+
+// Classic with waves of a single drone, which leaks for 10 health when nothing stops it
+function singleDroneLevel(waveCount) {
+    const waveScript = new WaveScript({
+        intermission: 1000,
+        bosses: { every: 100, archetype: 'mothership', delay: 1000 },
+        endless: { countGrowth: 1, intervalScale: 1, minInterval: 1000 },
+        waves: Array.from({ length: waveCount }, () => ({ groups: [{ archetype: 'drone', count: 1, interval: 1000 }] }))
+    }, 'test waves');
+    return { ...getLevel('classic'), waveScript };
+}
+
+function readLayout(name) {
+    return JSON.parse(readFileSync(new URL(`../scripts/layouts/${name}`, import.meta.url), 'utf8'));
+}
+
+describe('runBalance', () => {
+    it('gives the same report for the example layouts and seed', () => {
+        const level = getLevel('classic');
+        const options = {
+            maze: readLayout('example-maze.json'),
+            towers: readLayout('example-towers.json'),
+            findPath: routeFinder(level),
+            level,
+            waves: 6,
+            seed: 1
+        };
+        const report = JSON.parse(JSON.stringify(runBalance(options)));
+
+        assert.equal(report.outcome, 'victory');
+        assert.equal(report.failedWave, null);
+        assert.deepEqual(report.waveReports.map(({ wave, killed, leaked, healthAtEnd }) => ({ wave, killed, leaked, healthAtEnd })), [
+            { wave: 1, killed: 10, leaked: 0, healthAtEnd: 100 },
+            { wave: 2, killed: 12, leaked: 0, healthAtEnd: 100 },
+            { wave: 3, killed: 17, leaked: 0, healthAtEnd: 100 },
+            { wave: 4, killed: 19, leaked: 0, healthAtEnd: 100 },
+            { wave: 5, killed: 17, leaked: 5, healthAtEnd: 30 },
+            { wave: 6, killed: 34, leaked: 0, healthAtEnd: 30 }
+        ]);
+        assert.equal(report.health, 30);
+        assert.equal(report.money, 1);
+        assert.equal(report.score, 11890);
+        assert.equal(report.towers.length, 23);
+        assert.equal(report.unbuilt.length, 5);
+        assert.deepEqual(JSON.parse(JSON.stringify(runBalance(options))), report);
+    });
+
+    it('plays on through the shape waves', () => {
+        const level = singleDroneLevel(7);
+        const report = runBalance({ maze: { shapes: [] }, towers: { towers: [] }, findPath: routeFinder(level), level, waves: 7 });
+
+        assert.equal(report.outcome, 'victory');
+        assert.deepEqual(report.waveReports.map(wave => wave.leaked), [1, 1, 1, 1, 1, 1, 1]);
+        assert.equal(report.health, 30);
+    });
+
+    it('puts shapes down in the building phase of their wave', () => {
+        const level = singleDroneLevel(6);
+        const maze = { shapes: [{ shape: 'O', x: -9.5, z: -9.5, wave: 5 }] }; // On the border, so it can't go down
+        assert.throws(() => runBalance({ maze, towers: { towers: [] }, findPath: routeFinder(level), level, waves: 6 }),
+            /Maze shape 0 \(O at -9.5, -9.5\)/);
+    });
+
+    it('turns down a plan that upgrades past the branch level without a specialization', () => {
+        const level = singleDroneLevel(1);
+        const towers = { towers: [{ type: 'sniper', x: -0.5, z: -2.5, level: 3 }] };
+        assert.throws(() => runBalance({ maze: { shapes: [] }, towers, findPath: routeFinder(level), level, waves: 1 }),
+            /sniper at \(-0.5, -2.5\) needs a specialization to reach level 3/);
+    });
+});
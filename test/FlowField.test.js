@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FlowField, createRouteFinder } from '../src/FlowField.js';
+import { Pathfinding } from '../src/Pathfinding.js';
+import { EnemyState } from '../src/simulation/EnemyState.js';
+
+const START = { x: -8, z: -8 };
+const END = { x: 8, z: 8 };
+
+function wall(fromX, toX, z) {
+    const cells = [];
+    for (let x = fromX; x <= toX; x++) {
+        cells.push({ x, z });
+    }
+    return cells;
+}
+
+describe('FlowField', () => {
+    const pathfinding = new Pathfinding(20);
+
+    it('finds a route wherever A* does', () => {
+        const mazes = [[], wall(-6, 10, 0), [...wall(-6, 10, -3), ...wall(-10, 6, 3)], wall(-10, 10, 0), [{ x: -8, z: -8 }]];
+        for (const obstacles of mazes) {
+            const field = new FlowField(pathfinding, [END], obstacles);
+            assert.equal(!!field.pathFrom(START), !!pathfinding.findPath(START, END, obstacles));
+        }
+    });
+
+    it('counts the steps to the exit', () => {
+        const field = new FlowField(pathfinding, [END], []);
+        assert.equal(field.getDistance(END), 0);
+        assert.equal(field.getDistance({ x: 8, z: 5 }), 3);
+        assert.equal(new FlowField(pathfinding, [END], wall(-10, 10, 0)).getDistance(START), Infinity);
+    });
+
+    it('routes from between cells, starting where the enemy stands', () => {
+        const obstacles = wall(-6, 10, 0);
+        const field = new FlowField(pathfinding, [END], obstacles, 1.0);
+        const path = field.pathFrom({ x: 2.3, z: -1.6 });
+
+        assert.deepEqual([path[0].x, path[0].y, path[0].z], [2.3, 1.0, -1.6]);
+        assert.deepEqual([path.at(-1).x, path.at(-1).z], [END.x, END.z]);
+        assert.ok(path.some(waypoint => waypoint.x < -6), 'the route should pass the end of the wall');
+    });
+
+    it('brings an enemy knocked off its route to the exit', () => {
+        const obstacles = wall(-6, 10, 0);
+        const field = new FlowField(pathfinding, [END], obstacles, 1.0);
+        const enemy = new EnemyState(field.pathFrom(START), 1, undefined, { clock: { now: () => 0 }, random: () => 0.5 });
+
+        enemy.setPosition({ x: 5.4, y: 1.0, z: -2.7 });
+        enemy.followPath(field.pathFrom(enemy.getPosition()));
+        for (let tick = 0; tick < 60 * 120 && !enemy.hasReachedEnd(); tick++) {
+            enemy.update();
+        }
+
+        assert.ok(enemy.hasReachedEnd());
+    });
+
+    it('leads every cell to its nearest exit', () => {
+        const field = new FlowField(pathfinding, [END, { x: -8, z: 8 }], []);
+
+        assert.equal(field.getDistance({ x: -8, z: 5 }), 3);
+        assert.deepEqual([field.pathFrom({ x: -8, z: 5 }).at(-1).x, field.pathFrom({ x: -8, z: 5 }).at(-1).z], [-8, 8]);
+        assert.deepEqual([field.pathFrom({ x: 8, z: -8 }).at(-1).x, field.pathFrom({ x: 8, z: -8 }).at(-1).z], [END.x, END.z]);
+    });
+});
+
+describe('createRouteFinder', () => {
+    it('reuses routes until the obstacles change', () => {
+        const findPath = createRouteFinder({ pathfinding: new Pathfinding(20), spawns: [START], exits: [END] });
+        const obstacles = wall(-6, 10, 0);
+
+        const path = findPath(obstacles);
+        assert.equal(findPath([...obstacles]), path);
+        assert.notEqual(findPath([...obstacles, { x: 0.5, z: 4.5 }]), path);
+    });
+
+    it('routes from a given position or the spawn', () => {
+        const findPath = createRouteFinder({ pathfinding: new Pathfinding(20), spawns: [START], exits: [END] });
+
+        assert.deepEqual([findPath([])[0].x, findPath([])[0].z], [START.x, START.z]);
+        assert.deepEqual([findPath([], { x: 0, z: 5 })[0].x, findPath([], { x: 0, z: 5 })[0].z], [0, 5]);
+        assert.equal(findPath(wall(-10, 10, 0)), null);
+    });
+
+    it('needs every spawn to reach an exit', () => {
+        const secondSpawn = { x: 8, z: -8 };
+        const findPath = createRouteFinder({ pathfinding: new Pathfinding(20), spawns: [START, secondSpawn], exits: [END] });
+        // Boxes the second spawn into the top-right corner
+        const obstacles = [...wall(5, 10, -5), { x: 5, z: -6 }, { x: 5, z: -7 }, { x: 5, z: -8 }, { x: 5, z: -9 }];
+
+        assert.ok(findPath([]));
+        assert.equal(findPath(obstacles), null);
+        assert.ok(findPath(obstacles, START), 'the first spawn still has its route');
+        assert.equal(findPath(obstacles, secondSpawn), null);
+    });
+});
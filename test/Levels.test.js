@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { COOPERATIVE_LEVEL_ID, LEVELS, createBlankLevel, getLevel, getLevelForMode, getLevelsForMode, loadLevel, parseLevel, validateLevel } from '../src/config/Levels.js';
+
+function level(overrides = {}) {
+    return {
+        id: 'test',
+        name: 'Test',
+        modes: ['singleplayer'],
+        gridSize: 20,
+        spawnPoints: [{ x: -8, z: -8 }],
+        exitPoints: [{ x: 8, z: 8 }],
+        startingMoney: 100,
+        ...overrides
+    };
+}
+
+describe('Levels', () => {
+    it('ships only valid levels', () => {
+        for (const shipped of LEVELS) {
+            const { waveScript, terrain, ...data } = shipped;
+            assert.deepEqual(validateLevel(data), [], `${shipped.id} should be valid`);
+        }
+    });
+
+    it('has a level for every mode', () => {
+        assert.ok(getLevelsForMode('singleplayer').length > 0);
+        assert.ok(getLevelsForMode('cooperative').length > 0);
+        assert.equal(getLevel().id, 'classic');
+        assert.throws(() => getLevel('nowhere'), /Unknown level "nowhere"/);
+    });
+
+    it('only hands out a level for a mode it was made for', () => {
+        assert.equal(getLevelForMode(COOPERATIVE_LEVEL_ID, 'cooperative').id, COOPERATIVE_LEVEL_ID);
+        assert.throws(() => getLevelForMode('classic', 'cooperative'), /Level "classic" can't be played in cooperative mode/);
+        assert.throws(() => getLevelForMode('random-12', 'cooperative'), /can't be played in cooperative mode/);
+        assert.throws(() => getLevelForMode('nowhere', 'cooperative'), /Unknown level "nowhere"/);
+    });
+
+    it('keeps only the most recently used generated maps', () => {
+        const first = getLevel('random-1');
+        assert.equal(getLevel('random-1'), first);
+        for (let seed = 2; seed <= 9; seed++) getLevel(`random-${seed}`);
+        const again = getLevel('random-1');
+        assert.notEqual(again, first);
+        assert.deepEqual(again.spawnPoints, first.spawnPoints);
+    });
+
+    it('fills in the optional fields', () => {
+        const loaded = loadLevel(level());
+        assert.deepEqual([loaded.restricted, loaded.unbuildable, loaded.rocks], [[], [], []]);
+        assert.equal(loaded.waveScript.scriptedWaveCount, getLevel('classic').waveScript.scriptedWaveCount);
+    });
+
+    it('rejects points off the board', () => {
+        const errors = validateLevel(level({ exitPoints: [{ x: 9, z: 8 }], rocks: [{ x: 3, z: 3 }] }));
+        assert.ok(errors.some(error => error.startsWith('level.exitPoints[0]')));
+        assert.ok(errors.some(error => error.startsWith('level.rocks[0]')));
+    });
+
+    it('rejects rocks that cut a spawn off', () => {
+        const rocks = [];
+        for (let x = -8.5; x <= 8.5; x++) rocks.push({ x, z: 0.5 });
+        assert.deepEqual(validateLevel(level({ rocks })), ['level has a spawn point that can\'t reach any exit']);
+    });
+
+    it('needs a single exit for cooperative play', () => {
+        const errors = validateLevel(level({ modes: ['cooperative'], exitPoints: [{ x: 8, z: 8 }, { x: -8, z: 8 }] }));
+        assert.deepEqual(errors, ['level.exitPoints should have exactly one exit for cooperative play']);
+    });
+
+    it('checks wave groups against the spawn points', () => {
+        const waves = {
+            intermission: 10000,
+            bosses: { every: 5, archetype: 'mothership', delay: 4000 },
+            endless: { countGrowth: 1.2, intervalScale: 0.95, minInterval: 300 },
+            waves: [{ groups: [{ archetype: 'drone', count: 3, interval: 1000, spawnPoint: 1 }] }]
+        };
+        const errors = validateLevel(level({ waves }));
+        assert.deepEqual(errors, ['level.waves.waves[0].groups[0].spawnPoint has no spawn point 1']);
+    });
+
+    it('starts new levels from a valid blank board', () => {
+        for (const gridSize of [10, 20, 40]) {
+            assert.deepEqual(validateLevel(createBlankLevel(gridSize)), [], `blank ${gridSize}x${gridSize} board`);
+        }
+    });
+
+    it('checks decorations', () => {
+        const errors = validateLevel(level({ decorations: [{ type: 'castle', x: 0, z: 0 }, { type: 'tree', x: 12, z: 0 }] }));
+        assert.equal(errors.length, 2);
+        assert.ok(errors[0].startsWith('level.decorations[0].type "castle"'));
+        assert.equal(errors[1], 'level.decorations[1] is off the board');
+    });
+
+    it('checks terrain heights', () => {
+        const elevation = [{ x: 0.5, z: 0.5, height: 1 }, { x: 1.5, z: 0.5, height: 3 }, { x: 2.5, z: 0.5, height: 1.5 }];
+        const errors = validateLevel(level({ elevation }));
+        assert.deepEqual(errors, ['level.elevation[1].height should be <= 2']);
+        assert.deepEqual(validateLevel(level({ elevation: elevation.slice(0, 1), modes: ['cooperative'] })),
+            ['level.elevation should be empty for cooperative play (the server plays on flat ground)']);
+        assert.equal(loadLevel(level({ elevation: elevation.slice(0, 1) })).terrain.getCellHeight(0.5, 0.5), 1);
+    });
+
+    it('reads level files', () => {
+        const data = level({ decorations: [{ type: 'crystal', x: 1.3, z: -2.2, rotation: 0.5 }] });
+        assert.deepEqual(parseLevel(JSON.stringify(data)), data);
+        assert.throws(() => parseLevel('{'), /^Error: Invalid level: not JSON/);
+        assert.throws(() => parseLevel(JSON.stringify(level({ gridSize: 21 }))), /gridSize should be an even whole number/);
+    });
+});
@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateLevel, getGeneratedLevelId, getMapSeed, parseMapSeed } from '../src/config/MapGenerator.js';
+import { getLevel, hasLevel, validateLevel } from '../src/config/Levels.js';
+import { HeadlessMaze } from '../src/simulation/HeadlessMaze.js';
+
+const SEEDS = [0, 1, 42, 1234, 99999, 4294967295];
+
+describe('MapGenerator', () => {
+    it('makes the same map from the same seed', () => {
+        assert.deepEqual(generateLevel(1234), generateLevel(1234));
+        assert.notDeepEqual(generateLevel(1234), generateLevel(1235));
+    });
+
+    it('only makes valid levels', () => {
+        for (let seed = 0; seed < 40; seed++) {
+            assert.deepEqual(validateLevel(generateLevel(seed * 7919)), [], `seed ${seed * 7919}`);
+        }
+    });
+
+    it('leaves most of the board open to build on', () => {
+        for (const seed of SEEDS) {
+            const level = generateLevel(seed);
+            const closed = level.rocks.length + level.water.length + level.unbuildable.length;
+            const interior = (level.gridSize - 2) ** 2;
+            assert.ok(closed <= interior * 0.3, `seed ${seed} closes ${closed} cells`);
+            assert.ok(level.water.length + level.rocks.length > 0, `seed ${seed} has no obstacles`);
+        }
+    });
+
+    it('names generated maps by their seed', () => {
+        assert.equal(getGeneratedLevelId(42), 'random-42');
+        assert.equal(getMapSeed('random-42'), 42);
+        assert.equal(getMapSeed('classic'), null);
+        assert.equal(getMapSeed('random-4294967296'), null);
+        assert.equal(parseMapSeed(' 42 '), 42);
+        assert.equal(parseMapSeed('random-42'), 42);
+        assert.equal(parseMapSeed('forty-two'), null);
+
+        assert.ok(hasLevel('random-42'));
+        assert.equal(getLevel('random-42').name, 'Random Map #42');
+        assert.equal(getLevel('random-42'), getLevel('random-42'));
+    });
+
+    it('keeps blocks off water', () => {
+        const level = getLevel('random-42');
+        const [pool] = level.water;
+        const maze = new HeadlessMaze({ gridSize: level.gridSize, findPath: () => [], map: level });
+        assert.equal(maze.placeShape(pool.x, pool.z, maze.createShape('O')), false);
+        assert.ok(maze.getObstacles().some(cell => cell.x === pool.x && cell.z === pool.z));
+    });
+});
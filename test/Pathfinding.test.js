@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pathfinding, getPathLength, previewBlockedCells } from '../src/Pathfinding.js';
+
+const START = { x: -8, z: -8 };
+const END = { x: 8, z: 8 };
+
+// Wall of obstacles along z from x = fromX to x = toX
+function wall(fromX, toX, z) {
+    const cells = [];
+    for (let x = fromX; x <= toX; x++) {
+        cells.push({ x, z });
+    }
+    return cells;
+}
+
+function assertClearOf(path, obstacles) {
+    for (const waypoint of path) {
+        for (const obstacle of obstacles) {
+            const inside = Math.abs(waypoint.x - obstacle.x) < 0.5 && Math.abs(waypoint.z - obstacle.z) < 0.5;
+            assert.ok(!inside, `waypoint (${waypoint.x}, ${waypoint.z}) is inside obstacle (${obstacle.x}, ${obstacle.z})`);
+        }
+    }
+}
+
+describe('Pathfinding.findPath', () => {
+    const pathfinding = new Pathfinding(20);
+
+    it('finds a route across an empty grid', () => {
+        const path = pathfinding.findPath(START, END, []);
+
+        assert.ok(path && path.length >= 2);
+        assert.deepEqual({ x: path[0].x, z: path[0].z }, START);
+        assert.deepEqual({ x: path.at(-1).x, z: path.at(-1).z }, END);
+    });
+
+    it('routes around obstacles', () => {
+        const obstacles = [...wall(0, 2, 0), ...wall(0, 2, 1)];
+        const path = pathfinding.findPath(START, END, obstacles);
+
+        assert.ok(path);
+        assertClearOf(path, obstacles);
+    });
+
+    it('returns null when a wall cuts the grid in two', () => {
+        assert.equal(pathfinding.findPath(START, END, wall(-10, 10, 0)), null);
+    });
+
+    it('returns null when the start or end is blocked', () => {
+        assert.equal(pathfinding.findPath(START, END, [{ x: -8, z: -8 }]), null);
+        assert.equal(pathfinding.findPath(START, END, [{ x: 8.5, z: 8.5 }]), null);
+    });
+
+    it('keeps off the border cells', () => {
+        // The only gap in this wall is in the border, which enemies may not walk
+        const path = pathfinding.findPath(START, END, wall(-9, 10, 0));
+        assert.equal(path, null);
+
+        const open = pathfinding.findPath(START, END, wall(-6, 10, 0));
+        assert.ok(open);
+        for (const waypoint of open) {
+            assert.ok(Math.abs(waypoint.x) < 9 && Math.abs(waypoint.z) < 9, `waypoint (${waypoint.x}, ${waypoint.z}) is on the border`);
+        }
+    });
+
+    it('routes cooperative spawns around a wall to the shared exit', () => {
+        const obstacles = [-2, -1, 0, 1, 2].map(z => ({ x: 0, z }));
+        for (const spawn of [{ x: -8, z: -8 }, { x: -8, z: 8 }]) {
+            const path = pathfinding.findPath(spawn, { x: 8, z: 0 }, obstacles);
+            assert.ok(path, `no route from (${spawn.x}, ${spawn.z})`);
+            assertClearOf(path, obstacles);
+        }
+    });
+
+    it('puts every waypoint at the requested height', () => {
+        const path = pathfinding.findPath(START, END, wall(-6, 10, 0), 1.0);
+        assert.ok(path.every(waypoint => waypoint.y === 1.0));
+    });
+
+    it('gives the same plain-data route every time', () => {
+        const obstacles = [...wall(-6, 10, -3), ...wall(-10, 6, 3)];
+        const path = pathfinding.findPath(START, END, obstacles);
+
+        assert.deepEqual(new Pathfinding(20).findPath(START, END, obstacles), path);
+        // Routes are sent to clients as JSON
+        assert.deepEqual(JSON.parse(JSON.stringify(path)), path);
+    });
+});
+
+describe('Pathfinding smoothing', () => {
+    const pathfinding = new Pathfinding(20);
+
+    it('collapses a straight route to its ends and a midpoint', () => {
+        const path = pathfinding.findPath({ x: -8, z: 0 }, { x: 8, z: 0 }, []);
+        assert.deepEqual(path.map(({ x, z }) => [x, z]), [[-8, 0], [0, 0], [8, 0]]);
+    });
+
+    it('goes round the end of a wall', () => {
+        const obstacles = wall(-10, 6, 0);
+        const path = pathfinding.findPath({ x: -8, z: -4 }, { x: -8, z: 4 }, obstacles);
+
+        assertClearOf(path, obstacles);
+        assert.ok(path.some(waypoint => waypoint.x > 6), 'the route should pass the end of the wall');
+    });
+
+    it('marks sharp turns with their angle', () => {
+        const waypoints = pathfinding.addTurnAngles([
+            { x: 0, y: 0, z: 0 },
+            { x: 1, y: 0, z: 0 },
+            { x: 2, y: 0, z: 0 },
+            { x: 2, y: 0, z: 1 }
+        ]);
+
+        assert.deepEqual(waypoints.map(waypoint => waypoint.isSharpTurn), [false, false, true, false]);
+        assert.equal(waypoints[1].turnAngle, 0);
+        assert.ok(Math.abs(waypoints[2].turnAngle - Math.PI / 2) < 1e-9);
+    });
+
+    it('curves significant turns through intermediate points', () => {
+        const path = pathfinding.findPath({ x: -8, z: -4 }, { x: -8, z: 4 }, wall(-10, 6, 0));
+
+        // Bezier points fall between the grid's half steps; straight sections only add midpoints
+        assert.ok(path.some(waypoint => !Number.isInteger(waypoint.x * 2) || !Number.isInteger(waypoint.z * 2)));
+    });
+});
+
+describe('previewBlockedCells', () => {
+    const pathfinding = new Pathfinding(20);
+    const findPath = (obstacles) => pathfinding.findPath(START, END, obstacles);
+
+    it('measures how much longer a placement makes the route', () => {
+        const obstacles = wall(-6, 10, 0);
+        const preview = previewBlockedCells(findPath, obstacles, wall(-4, 10, 4));
+
+        assert.equal(preview.blocked, false);
+        assert.ok(preview.lengthChange > 0);
+        assert.equal(preview.lengthChange, getPathLength(preview.path) - getPathLength(findPath(obstacles)));
+    });
+
+    it('flags placements that leave no route', () => {
+        const preview = previewBlockedCells(findPath, wall(-6, 10, 0), wall(-10, -7, 0));
+
+        assert.deepEqual(preview, { path: null, blocked: true, lengthChange: 0 });
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouteFinder } from '../src/FlowField.js';
+import { getLevel } from '../src/config/Levels.js';
+import { Pathfinding } from '../src/Pathfinding.js';
+import { SILENT_LOGGER } from '../src/simulation/Clock.js';
+import { parseReplay, ReplayPlayer, ReplayRecorder } from '../src/simulation/Replay.js';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { SimulationState } from '../src/simulation/SimulationState.js';
+
+const level = getLevel('classic');
+const findPath = createRouteFinder({
+    pathfinding: new Pathfinding(level.gridSize),
+    spawns: level.spawnPoints,
+    exits: level.exitPoints,
+    yCoordinate: 1.0
+});
+
+function createSimulation(seed) {
+    const state = new SimulationState(undefined, { logger: SILENT_LOGGER });
+    return new Simulation({ seed, state, findPath, spawnPoints: level.spawnPoints, finalWave: 3, logger: SILENT_LOGGER });
+}
+
+// What two runs of the same game have to agree on
+function summarize(simulation) {
+    const { wave, health, money, score } = simulation.state;
+    return {
+        outcome: simulation.outcome,
+        tick: simulation.tickCount,
+        wave, health, money, score,
+        towers: simulation.towers.map(tower => [tower.id, tower.type, tower.level, tower.targetingMode, tower.kills])
+    };
+}
+
+describe('Replay', () => {
+    it('plays a recorded game back to the same result', () => {
+        const live = createSimulation(1234);
+        const recorder = new ReplayRecorder(live);
+        live.onEvent = (type, detail) => {
+            if (type === 'command') recorder.record(detail.command);
+        };
+        live.placeTower('basic', -7.5, -6.5);
+        live.placeTower('sniper', -5.5, -4.5);
+        live.startDefense();
+        live.run(600);
+        live.upgradeTower(live.towers[0]);
+        live.setTargetingMode(live.towers[1], 'strongest');
+        live.run(2100); // Into the break after wave 1, with its rewards in hand
+        live.placeTower('rapid', 0.5, 0.5);
+        live.run(600);
+        live.sellTower(live.towers[2]);
+        live.run(60 * 60 * 3);
+
+        const replay = parseReplay(JSON.stringify(recorder.toReplay()));
+        assert.deepEqual(replay.commands.map(command => command.type),
+            ['placeTower', 'placeTower', 'startDefense', 'upgradeTower', 'setTargetingMode', 'placeTower', 'sellTower']);
+
+        const again = createSimulation(replay.seed);
+        const player = new ReplayPlayer(replay);
+        player.runTo(again, player.getEndTick());
+        assert.deepEqual(summarize(again), summarize(live));
+    });
+
+    it('turns down text that is not a replay', () => {
+        assert.throws(() => parseReplay('{"format":"x"}'), /Invalid replay/);
+    });
+});
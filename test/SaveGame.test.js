@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouteFinder } from '../src/FlowField.js';
+import { getLevel } from '../src/config/Levels.js';
+import { Pathfinding } from '../src/Pathfinding.js';
+import { SILENT_LOGGER } from '../src/simulation/Clock.js';
+import { SAVE_VERSION, createSave, describeSave, parseSave } from '../src/simulation/SaveGame.js';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { SimulationState } from '../src/simulation/SimulationState.js';
+
+const level = getLevel('classic');
+const findPath = createRouteFinder({
+    pathfinding: new Pathfinding(level.gridSize),
+    spawns: level.spawnPoints,
+    exits: level.exitPoints,
+    yCoordinate: 1.0
+});
+
+function createSimulation(seed) {
+    const state = new SimulationState(undefined, { logger: SILENT_LOGGER });
+    return new Simulation({ seed, state, findPath, spawnPoints: level.spawnPoints, finalWave: 3, logger: SILENT_LOGGER });
+}
+
+// What a restored game has to agree on with the one it was saved from
+function summarize(simulation) {
+    const { wave, health, money, score } = simulation.state;
+    return {
+        outcome: simulation.outcome,
+        tick: simulation.tickCount,
+        wave, health, money, score,
+        enemies: simulation.enemies.map(enemy => [enemy.id, enemy.type, enemy.health]),
+        towers: simulation.towers.map(tower => [tower.id, tower.type, tower.level, tower.kills])
+    };
+}
+
+describe('SaveGame', () => {
+    it('restores a game mid-wave and plays on the same as the original', () => {
+        const original = createSimulation(99);
+        original.placeTower('basic', -7.5, -6.5);
+        original.placeTower('sniper', -5.5, -4.5);
+        original.upgradeTower(original.towers[0]);
+        original.startDefense();
+        original.run(1500);
+        assert.ok(original.enemies.length > 0, 'saved with enemies on the board');
+
+        const save = parseSave(JSON.stringify(createSave(original)));
+        assert.equal(describeSave(save), `Classic · Wave 1 · $${original.state.money} · ${original.state.health} health`);
+
+        const restored = createSimulation();
+        restored.restore(save.simulation);
+        assert.deepEqual(summarize(restored), summarize(original));
+
+        original.run(60 * 60 * 3);
+        restored.run(60 * 60 * 3);
+        assert.deepEqual(summarize(restored), summarize(original));
+    });
+
+    it('turns down a save from a newer version of the game', () => {
+        const save = createSave(createSimulation(1));
+        save.version = SAVE_VERSION + 1;
+        assert.throws(() => parseSave(JSON.stringify(save)), /is newer than this game supports/);
+    });
+
+    it('turns down a save from an unknown level', () => {
+        const save = createSave(createSimulation(1));
+        save.simulation.level = 'nowhere';
+        assert.throws(() => parseSave(JSON.stringify(save)), /level "nowhere" is not a level this game has/);
+    });
+});
@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRouteFinder } from '../src/FlowField.js';
+import { getLevel } from '../src/config/Levels.js';
+import { WaveScript } from '../src/config/WaveScript.js';
+import { Pathfinding } from '../src/Pathfinding.js';
+import { SILENT_LOGGER } from '../src/simulation/Clock.js';
+import { Simulation } from '../src/simulation/Simulation.js';
+import { SimulationState } from '../src/simulation/SimulationState.js';
+
+// Waves of a single drone each, with a short break between them
+const SCRIPT = new WaveScript({
+    intermission: 1000,
+    bosses: { every: 100, archetype: 'mothership', delay: 1000 },
+    endless: { countGrowth: 1, intervalScale: 1, minInterval: 1000 },
+    waves: [1, 2, 3].map(() => ({ groups: [{ archetype: 'drone', count: 1, interval: 1000 }] }))
+}, 'test waves');
+
+function createSimulation(finalWave) {
+    const level = getLevel('classic');
+    const findPath = createRouteFinder({
+        pathfinding: new Pathfinding(level.gridSize),
+        spawns: level.spawnPoints,
+        exits: level.exitPoints,
+        yCoordinate: 1.0
+    });
+    const state = new SimulationState(SCRIPT, { logger: SILENT_LOGGER });
+    return new Simulation({ seed: 1, state, findPath, spawnPoints: level.spawnPoints, finalWave, logger: SILENT_LOGGER });
+}
+
+describe('Simulation', () => {
+    it('wins once the final wave is cleared, not the wave before', () => {
+        const simulation = createSimulation(2);
+        const killedOnWaves = [];
+        simulation.onEvent = (type, detail) => {
+            if (type === 'enemySpawned') detail.enemy.takeDamage(1e9); // Dies on its first update
+            if (type === 'enemyKilled') killedOnWaves.push(detail.enemy.wave);
+        };
+        simulation.startDefense();
+        simulation.run(60 * 120);
+
+        assert.equal(simulation.outcome, 'victory');
+        assert.deepEqual(killedOnWaves, [1, 2]);
+        assert.equal(simulation.state.wave, 3);
+    });
+
+    it('wins when the final wave ends in a leak', () => {
+        const simulation = createSimulation(2);
+        let leaks = 0;
+        simulation.onEvent = type => {
+            if (type === 'enemyLeaked') leaks++;
+        };
+        simulation.startDefense();
+        simulation.run(60 * 600);
+
+        assert.equal(simulation.outcome, 'victory');
+        assert.equal(leaks, 2);
+        assert.equal(simulation.state.health, 80);
+    });
+});
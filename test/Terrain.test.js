@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { HIGH_GROUND_RANGE_BONUS, RAMP_SPEED_MULTIPLIER, TERRACE_HEIGHT, Terrain } from '../src/config/Terrain.js';
+import { Pathfinding } from '../src/Pathfinding.js';
+import { EnemyState } from '../src/simulation/EnemyState.js';
+import { HeadlessMaze } from '../src/simulation/HeadlessMaze.js';
+import { TowerState } from '../src/simulation/TowerState.js';
+
+const START = { x: -8, z: 0 };
+const END = { x: 8, z: 0 };
+
+// Raised cells across the board at x = 0.5, from z = fromZ to toZ
+function ridge(fromZ, toZ, height = 1) {
+    const cells = [];
+    for (let z = fromZ; z <= toZ; z++) {
+        cells.push({ x: 0.5, z, height });
+    }
+    return cells;
+}
+
+describe('Terrain', () => {
+    it('reads heights by cell, and grid points on a rim as on top', () => {
+        const terrain = new Terrain([{ x: 0.5, z: 0.5, height: 2 }]);
+        assert.equal(terrain.getCellHeight(0.2, 0.9), 2);
+        assert.equal(terrain.getCellHeight(1.5, 0.5), 0);
+        assert.equal(terrain.getHeightAt(1, 1), 2);
+        assert.equal(terrain.getHeightAt(2, 1), 0);
+        assert.equal(terrain.getClimbCost({ x: 2, z: 1 }, { x: 1, z: 1 }), terrain.getClimbCost({ x: 1, z: 1 }, { x: 2, z: 1 }));
+    });
+
+    it('routes round a ridge when there is a way past, and over it when there is not', () => {
+        const obstacles = [];
+        const around = new Pathfinding(20, new Terrain(ridge(-2.5, 2.5))).findPath(START, END, obstacles, 1);
+        assert.ok(around.every(waypoint => waypoint.y === 1), 'the flat way round stays on the ground');
+
+        const over = new Pathfinding(20, new Terrain(ridge(-9.5, 9.5, 2))).findPath(START, END, obstacles, 1);
+        const top = Math.max(...over.map(waypoint => waypoint.y));
+        assert.equal(top, 1 + 2 * TERRACE_HEIGHT);
+        assert.equal(over.at(-1).y, 1);
+    });
+
+    it('slows ground enemies on a ramp', () => {
+        const flat = new EnemyState([{ x: 0, y: 1, z: 0 }, { x: 4, y: 1, z: 0 }], 1, 'drone', { random: () => 0.5 });
+        const ramp = new EnemyState([{ x: 0, y: 1, z: 0 }, { x: 4, y: 1.4, z: 0 }], 1, 'drone', { random: () => 0.5 });
+        flat.updateCurveBasedSpeed();
+        ramp.updateCurveBasedSpeed();
+        assert.ok(ramp.isOnRamp() && !flat.isOnRamp());
+        assert.equal(ramp.currentSpeed, flat.currentSpeed * RAMP_SPEED_MULTIPLIER);
+    });
+
+    it('gives towers on high ground more range', () => {
+        const terrain = new Terrain([{ x: 2.5, z: 2.5, height: 2 }]);
+        const low = new TowerState('basic', { x: -2.5, z: 2.5 }, { terrain });
+        const high = new TowerState('basic', { x: 2.5, z: 2.5 }, { terrain });
+        assert.equal(high.elevation, 2);
+        assert.equal(high.range, low.range * (1 + 2 * HIGH_GROUND_RANGE_BONUS));
+        assert.equal(high.position.y, low.position.y + 2 * TERRACE_HEIGHT);
+    });
+
+    it('keeps maze blocks from straddling a terrace edge', () => {
+        const maze = new HeadlessMaze({ gridSize: 20, findPath: () => [], map: { elevation: ridge(-2.5, 2.5) } });
+        assert.equal(maze.placeShape(0.5, -2.5, maze.createShape('I', [[0, 0], [1, 0]])), false);
+        assert.equal(maze.placeShape(0.5, -2.5, maze.createShape('I', [[0, 0], [0, 1]])), true);
+    });
+});